@@ -5,28 +5,186 @@
  * - Message routing between popup ↔ content scripts
  * - Badge / notification updates
  * - Persistent storage coordination
+ * - The schedule cache (IndexedDB, see utils/schedule-cache.js)
+ * - Background schedule change detection (chrome.alarms)
  */
 
+importScripts('/utils/date-utils.js', '/utils/schedule-cache.js', '/utils/schedule-diff.js');
+
+const SITE_URL_PATTERN = 'https://admin-saceit.smart-school.com.ua/*';
+
 /* ---------- Installation & Startup ---------- */
 
+// Stored on first install and by RESET_CONFIG
+const DEFAULT_CONFIG = {
+  teacherName: '',
+  defaultTeacherId: '',   // TEACHER_ID
+  defaultPredmetId: '',   // PREDMET_ID
+  defaultSubject: '',     // subject name preselected in the report filters
+  defaultGroups: [],      // group names preselected in the report filters
+  subgroupLabel: '2 підгрупа',
+  subgroupCount: 2,        // subgroups a practical is split into
+  groupSubgroupCounts: {}, // { groupName: count } overrides
+  plannedHours: [],        // [{ subject, group, hours }] workload plan (WorkloadReport)
+  curriculumPlans: [],     // [{ subject, group, works: [{ number, title, hours }] }] (CurriculumPlan)
+  slotSearchMode: 'greedy', // 'greedy' | 'optimal' (SlotFinder mode)
+  teacherConstraints: {},  // TeacherConstraints settings
+  searchWindow: {},        // SlotFinder search window (defaults: SlotFinder.DEFAULT_WINDOW)
+  reportTemplate: {},      // ReportTemplate texts (defaults: ReportTemplate.DEFAULTS)
+  semesterStart: '',
+  semesterEnd: '',
+  cacheTtlHours: 12,       // fetched schedule weeks are reused this long
+  watchEnabled: true,      // background change detection
+  watchIntervalMinutes: 60,
+  watchWeeks: 2,           // weeks checked: this one and the following
+};
+
 chrome.runtime.onInstalled.addListener((details) => {
   if (details.reason === 'install') {
     // Set default config on first install
-    chrome.storage.local.set({
-      config: {
-        teacherName: '',
-        defaultTeacherId: '',   // TEACHER_ID
-        defaultPredmetId: '',   // PREDMET_ID
-        subgroupLabel: '2 підгрупа',
-        semesterStart: '',
-        semesterEnd: '',
-      },
-      cachedSchedules: {},
-    });
+    chrome.storage.local.set({ config: DEFAULT_CONFIG });
     console.log('[Smart School Helper] Installed — default config saved.');
+  } else if (details.reason === 'update') {
+    // Whole schedules by group were stored here before the IndexedDB cache
+    chrome.storage.local.remove('cachedSchedules');
+    // Cached weeks hold parsed entries; a new version may parse more fields (e.g. hours)
+    scheduleStore.clear().catch((err) => console.warn('[Smart School Helper] Cache clear failed:', err));
+  }
+  chrome.storage.local.get('config', (data) => scheduleWatchAlarm(data.config || DEFAULT_CONFIG));
+});
+
+chrome.runtime.onStartup.addListener(() => {
+  chrome.storage.local.get('config', (data) => scheduleWatchAlarm(data.config || DEFAULT_CONFIG));
+});
+
+// Settings saved from the popup may switch the watch on/off or change its interval
+chrome.storage.onChanged.addListener((changes, area) => {
+  if (area === 'local' && changes.config) scheduleWatchAlarm(changes.config.newValue || {});
+});
+
+/* ---------- Schedule Cache ---------- */
+
+const scheduleStore = new ScheduleCache.IndexedDBStore();
+
+/** ScheduleCache with the TTL from the current settings. */
+async function scheduleCache() {
+  const { config } = await chrome.storage.local.get('config');
+  const hours = Number(config?.cacheTtlHours);
+  const ttlMs = hours > 0 ? hours * 60 * 60 * 1000 : ScheduleCache.DEFAULT_TTL_MS;
+  return new ScheduleCache({ store: scheduleStore, ttlMs });
+}
+
+/** Run a cache operation and reply with its result or { error }. */
+function withScheduleCache(fn, sendResponse) {
+  scheduleCache()
+    .then(fn)
+    .then(sendResponse)
+    .catch((err) => sendResponse({ error: err.message }));
+}
+
+/* ---------- Schedule Change Detection ---------- */
+
+const WATCH_ALARM = 'schedule-watch';
+const CHANGE_LOG_LIMIT = 200;
+const NOTIFICATION_LINES = 3;
+
+chrome.alarms.onAlarm.addListener((alarm) => {
+  if (alarm.name === WATCH_ALARM) {
+    checkScheduleChanges().catch((err) => console.warn('[Smart School Helper] Schedule check failed:', err.message));
   }
 });
 
+/** Create, update or clear the periodic check from the config. */
+function scheduleWatchAlarm(config) {
+  const enabled = config.watchEnabled ?? DEFAULT_CONFIG.watchEnabled;
+  if (!enabled) {
+    chrome.alarms.clear(WATCH_ALARM);
+    return;
+  }
+  const periodInMinutes = Number(config.watchIntervalMinutes) || DEFAULT_CONFIG.watchIntervalMinutes;
+  chrome.alarms.get(WATCH_ALARM, (alarm) => {
+    if (alarm?.periodInMinutes === periodInMinutes) return;
+    chrome.alarms.create(WATCH_ALARM, { delayInMinutes: 1, periodInMinutes });
+  });
+}
+
+/**
+ * Refetch the teacher's upcoming weeks through an open Smart School tab,
+ * compare them with the stored snapshot and report what changed.
+ * Does nothing without a Smart School tab (the site needs its session).
+ *
+ * @returns {Promise<object>} { success, changes } or { error }
+ */
+async function checkScheduleChanges() {
+  const [tab] = await chrome.tabs.query({ url: SITE_URL_PATTERN });
+  if (!tab?.id) return { error: 'Відкрийте сайт Smart School (admin-saceit.smart-school.com.ua)' };
+
+  const { config = {} } = await chrome.storage.local.get('config');
+  const weeks = Number(config.watchWeeks) || DEFAULT_CONFIG.watchWeeks;
+
+  let current;
+  try {
+    current = await sendMessageToTab(tab.id, 'FETCH_UPCOMING_SCHEDULE', { weeks });
+  } catch {
+    await injectContentScripts(tab.id);
+    current = await sendMessageToTab(tab.id, 'FETCH_UPCOMING_SCHEDULE', { weeks });
+  }
+  if (!current || current.error) return { error: current?.error || 'Розклад не завантажено' };
+
+  const snapshot = makeSnapshot('watch', current);
+  const { scheduleSnapshots = [], scheduleChanges = [], unseenChanges = 0 } =
+    await chrome.storage.local.get(['scheduleSnapshots', 'scheduleChanges', 'unseenChanges']);
+
+  // First check, or another teacher — nothing to compare with yet
+  const previous = scheduleSnapshots.find((s) => s.source === 'watch' && s.teacherId === snapshot.teacherId);
+  const changes = previous ? ScheduleDiff.compare(previous, snapshot) : [];
+  const detected = changes.map((c) => ({ ...c, detectedAt: snapshot.takenAt }));
+
+  await chrome.storage.local.set({
+    scheduleSnapshots: ScheduleDiff.keepSnapshot(scheduleSnapshots, snapshot),
+    scheduleChanges: [...detected, ...scheduleChanges].slice(0, CHANGE_LOG_LIMIT),
+    unseenChanges: unseenChanges + detected.length,
+    lastScheduleCheck: snapshot.takenAt,
+  });
+
+  if (detected.length > 0) {
+    notifyScheduleChanges(detected, unseenChanges + detected.length);
+  }
+  return { success: true, changes: detected };
+}
+
+/**
+ * Snapshot of fetched entries: { id, source, start, end, teacherId,
+ * teacherName, takenAt, entries } (see utils/schedule-diff.js).
+ */
+function makeSnapshot(source, { start, end, teacherId, teacherName, entries }) {
+  const takenAt = Date.now();
+  return {
+    id: takenAt,
+    source,
+    start,
+    end,
+    teacherId: teacherId || '',
+    teacherName: teacherName || '',
+    takenAt,
+    entries: entries.map(ScheduleDiff.lessonOf),
+  };
+}
+
+function notifyScheduleChanges(changes, unseen) {
+  chrome.action.setBadgeText({ text: String(unseen) });
+  chrome.action.setBadgeBackgroundColor({ color: '#F44336' });
+
+  const lines = changes.slice(0, NOTIFICATION_LINES).map(ScheduleDiff.describe);
+  if (changes.length > NOTIFICATION_LINES) lines.push(`…і ще ${changes.length - NOTIFICATION_LINES}`);
+  chrome.notifications.create(WATCH_ALARM, {
+    type: 'basic',
+    iconUrl: '/icons/icon128.png',
+    title: `Зміни в розкладі: ${changes.length}`,
+    message: lines.join('\n'),
+  });
+}
+
 /* ---------- Message Router ---------- */
 
 chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
@@ -44,28 +202,80 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
       });
       return true;
 
+    case 'RESET_CONFIG':
+      chrome.storage.local.set({ config: DEFAULT_CONFIG }, () => {
+        sendResponse(DEFAULT_CONFIG);
+      });
+      return true;
+
     /* --- Schedule caching --- */
-    case 'CACHE_SCHEDULE':
-      chrome.storage.local.get('cachedSchedules', (data) => {
-        const schedules = data.cachedSchedules || {};
-        schedules[payload.groupId] = {
-          data: payload.schedule,
-          fetchedAt: Date.now(),
-        };
-        chrome.storage.local.set({ cachedSchedules: schedules }, () => {
-          sendResponse({ success: true });
-        });
+    case 'CACHE_GET_WEEKS':
+      withScheduleCache((cache) => cache.getWeeks(payload.filter, payload.weeks), sendResponse);
+      return true;
+
+    case 'CACHE_PUT_WEEKS':
+      withScheduleCache(async (cache) => {
+        await cache.putWeeks(payload.filter, payload.byWeek);
+        return { success: true };
+      }, sendResponse);
+      return true;
+
+    case 'CACHE_DROP_WEEKS':
+      withScheduleCache(async (cache) => {
+        const dropped = await cache.dropWeeks(payload.weeks, payload.filter ?? null);
+        return { success: true, dropped };
+      }, sendResponse);
+      return true;
+
+    case 'GET_CACHE_INFO':
+      withScheduleCache(async (cache) => {
+        const { records, bytes } = await cache.stats();
+        return { entries: records, bytes };
+      }, sendResponse);
+      return true;
+
+    case 'CLEAR_CACHE':
+      withScheduleCache(async (cache) => {
+        await cache.clear();
+        return { success: true };
+      }, sendResponse);
+      return true;
+
+    /* --- Schedule change detection --- */
+    case 'CHECK_SCHEDULE_CHANGES':
+      checkScheduleChanges()
+        .then(sendResponse)
+        .catch((err) => sendResponse({ error: err.message }));
+      return true;
+
+    case 'GET_SCHEDULE_CHANGES':
+      chrome.storage.local.get(['scheduleChanges', 'lastScheduleCheck'], (data) => {
+        sendResponse({ changes: data.scheduleChanges || [], lastCheck: data.lastScheduleCheck || null });
       });
       return true;
 
-    case 'GET_CACHED_SCHEDULES':
-      chrome.storage.local.get('cachedSchedules', (data) => {
-        sendResponse(data.cachedSchedules || {});
+    case 'MARK_CHANGES_SEEN':
+      chrome.storage.local.set({ unseenChanges: 0 }, () => {
+        chrome.action.setBadgeText({ text: '' });
+        sendResponse({ success: true });
       });
       return true;
 
-    case 'CLEAR_CACHE':
-      chrome.storage.local.set({ cachedSchedules: {} }, () => {
+    case 'GET_SCHEDULE_SNAPSHOTS':
+      chrome.storage.local.get('scheduleSnapshots', (data) => sendResponse(data.scheduleSnapshots || []));
+      return true;
+
+    case 'SAVE_SCHEDULE_SNAPSHOT':
+      chrome.storage.local.get('scheduleSnapshots', (data) => {
+        const snapshot = makeSnapshot('manual', payload);
+        const scheduleSnapshots = ScheduleDiff.keepSnapshot(data.scheduleSnapshots || [], snapshot);
+        chrome.storage.local.set({ scheduleSnapshots }, () => sendResponse({ success: true, id: snapshot.id }));
+      });
+      return true;
+
+    case 'CLEAR_SCHEDULE_CHANGES':
+      chrome.storage.local.set({ scheduleChanges: [], unseenChanges: 0 }, () => {
+        chrome.action.setBadgeText({ text: '' });
         sendResponse({ success: true });
       });
       return true;
@@ -78,7 +288,10 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
     case 'FETCH_MONTH_SCHEDULE':
     case 'GET_CURRENT_USER':
     case 'FIND_SLOTS_FOR_LESSONS':
+    case 'RESELECT_SLOTS':
     case 'FETCH_LESSON_DETAILS':
+    case 'COPY_SLOTS_TO_SITE':
+    case 'FETCH_AUDIT_SCHEDULE':
       // Forward to active tab's content script (with auto-injection fallback)
       forwardToContentScript(action, payload, sendResponse);
       return true;
@@ -123,24 +336,8 @@ function forwardToContentScript(action, payload, sendResponse) {
       sendResponse(response);
     } catch (err) {
       console.log('[Smart School Helper] Content script not found, injecting…');
-      // Inject content scripts programmatically
       try {
-        await chrome.scripting.executeScript({
-          target: { tabId: tab.id },
-          files: [
-            'utils/config.js',
-            'utils/schedule-parser.js',
-            'utils/schedule-comparator.js',
-            'utils/report-generator.js',
-            'content/content.js',
-          ],
-        });
-        await chrome.scripting.insertCSS({
-          target: { tabId: tab.id },
-          files: ['styles/overlay.css'],
-        });
-        // Wait a tick for the scripts to initialize
-        await new Promise((r) => setTimeout(r, 100));
+        await injectContentScripts(tab.id);
         // Retry the message
         const response = await sendMessageToTab(tab.id, action, payload);
         sendResponse(response);
@@ -152,6 +349,43 @@ function forwardToContentScript(action, payload, sendResponse) {
   });
 }
 
+/**
+ * Inject the content scripts (same list and order as manifest.json) into a
+ * tab that was open before the extension was installed or reloaded.
+ */
+async function injectContentScripts(tabId) {
+  await chrome.scripting.executeScript({
+    target: { tabId },
+    files: [
+      'utils/date-utils.js',
+      'utils/bell-schedule.js',
+      'utils/academic-calendar.js',
+      'utils/teacher-constraints.js',
+      'utils/report-template.js',
+      'utils/report-period.js',
+      'utils/config.js',
+      'utils/schedule-parser.js',
+      'utils/schedule-comparator.js',
+      'utils/zip-writer.js',
+      'utils/xlsx-writer.js',
+      'utils/ics-writer.js',
+      'utils/report-generator.js',
+      'utils/slot-finder.js',
+      'utils/lesson-copier.js',
+      'utils/schedule-cache.js',
+      'utils/week-grid.js',
+      'utils/conflict-detector.js',
+      'content/content.js',
+    ],
+  });
+  await chrome.scripting.insertCSS({
+    target: { tabId },
+    files: ['styles/overlay.css'],
+  });
+  // Wait a tick for the scripts to initialize
+  await new Promise((r) => setTimeout(r, 100));
+}
+
 /**
  * Send a message to a tab and return a Promise.
  * Rejects if chrome.runtime.lastError is set (no receiving end).
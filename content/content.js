@@ -14,8 +14,11 @@
   const state = {
     mySchedule: null,
     targetSchedule: null,
+    teacherSchedule: null, // all the teacher's lessons, for the teacher's limits
     freeSlots: [],
     selectedSlots: [],
+    slotSearch: null,   // inputs of the last FIND_SLOTS_FOR_LESSONS, reused by RESELECT_SLOTS
+    slotResults: [],    // SlotFinder results shown as ghost rows in the on-page panel
     config: {},
   };
 
@@ -28,11 +31,27 @@
     if (chrome.runtime.lastError) {
       SmartSchoolConfig.warn('GET_CONFIG failed:', chrome.runtime.lastError.message);
     }
-    state.config = config || {};
+    applyConfig(config);
     SmartSchoolConfig.log('Config loaded:', state.config);
     injectHelperUI();
   });
 
+  // Keep in sync with edits made from the popup's Settings tab
+  chrome.storage.onChanged.addListener((changes, area) => {
+    if (area === 'local' && changes.config) {
+      applyConfig(changes.config.newValue);
+      SmartSchoolConfig.log('Config updated:', state.config);
+    }
+  });
+
+  function applyConfig(config) {
+    state.config = config || {};
+    SmartSchoolConfig.setAcademicCalendar(state.config);
+    SmartSchoolConfig.setBellSchedule(state.config.bellSchedules);
+    SmartSchoolConfig.setTeacherConstraints(state.config.teacherConstraints);
+    SmartSchoolConfig.setReportTemplate(state.config.reportTemplate);
+  }
+
   /* ========== Message Listener (from popup / background) ========== */
 
   chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
@@ -64,6 +83,7 @@
             groups: liveGroups,
             teachers: ScheduleParser.parseTeacherList(),
             subjects: ScheduleParser.parseSubjectList(),
+            rooms: ScheduleParser.parseRoomList(),
             lessonNums: ScheduleParser.parseLessonNumList(),
           });
         } else {
@@ -102,6 +122,11 @@
         return true;
       }
 
+      case 'RESELECT_SLOTS': {
+        sendResponse(handleReselectSlots(payload));
+        return true;
+      }
+
       case 'FETCH_LESSON_DETAILS': {
         handleFetchLessonDetails(payload)
           .then(sendResponse)
@@ -109,6 +134,27 @@
         return true;
       }
 
+      case 'COPY_SLOTS_TO_SITE': {
+        handleCopySlotsToSite(payload)
+          .then(sendResponse)
+          .catch((err) => sendResponse({ error: err.message }));
+        return true;
+      }
+
+      case 'FETCH_AUDIT_SCHEDULE': {
+        handleFetchAuditSchedule(payload)
+          .then(sendResponse)
+          .catch((err) => sendResponse({ error: err.message }));
+        return true;
+      }
+
+      case 'FETCH_UPCOMING_SCHEDULE': {
+        handleFetchUpcomingSchedule(payload)
+          .then(sendResponse)
+          .catch((err) => sendResponse({ error: err.message }));
+        return true;
+      }
+
       default:
         return false;
     }
@@ -137,17 +183,14 @@
         klassId: targetGroupId, teacherId, predmetId, dateFrom, dateTo,
       });
 
-      hideOverlayStatus();
+      const ownId = teacherId || currentTeacher().teacherId;
+      state.teacherSchedule = null;
+      if (ownId) {
+        showOverlayStatus('Зчитування розкладу викладача…');
+        state.teacherSchedule = await fetchAndParseSchedule({ teacherId: ownId, dateFrom, dateTo });
+      }
 
-      // Cache the schedules
-      chrome.runtime.sendMessage({
-        action: 'CACHE_SCHEDULE',
-        payload: { groupId: myGroupId, schedule: state.mySchedule },
-      });
-      chrome.runtime.sendMessage({
-        action: 'CACHE_SCHEDULE',
-        payload: { groupId: targetGroupId, schedule: state.targetSchedule },
-      });
+      hideOverlayStatus();
 
       return {
         success: true,
@@ -171,21 +214,33 @@
       }
 
       const { dateFrom, dateTo } = payload;
+      const options = { teacherSchedule: state.teacherSchedule };
       const allFree = ScheduleComparator.findFreeSlots(
         state.mySchedule,
         state.targetSchedule,
         dateFrom,
-        dateTo
+        dateTo,
+        options
       );
 
       // Suggest optimal slots (first per week)
       state.freeSlots = allFree;
       state.selectedSlots = ScheduleComparator.suggestSlots(allFree, 'first-per-week');
 
+      // Free for both groups but excluded by the teacher's own limits
+      const rejected = ScheduleComparator.findRejectedSlots(
+        state.mySchedule,
+        state.targetSchedule,
+        dateFrom,
+        dateTo,
+        options
+      );
+
       return {
         success: true,
         slots: state.selectedSlots,
         totalFree: allFree.length,
+        rejected,
         summary: ScheduleComparator.getSummary(
           state.mySchedule,
           state.targetSchedule,
@@ -261,6 +316,7 @@
         groups: ScheduleParser.parseGroupList(doc),
         teachers: ScheduleParser.parseTeacherList(doc),
         subjects: ScheduleParser.parseSubjectList(doc),
+        rooms: ScheduleParser.parseRoomList(doc),
         lessonNums: ScheduleParser.parseLessonNumList(doc),
       };
     } catch (err) {
@@ -271,43 +327,23 @@
 
   /**
    * Fetch and parse a group schedule using the LessonSearch endpoint.
+   * Weeks cached by the service worker are reused (see fetchEntriesCached).
    *
    * @param {object} params
    * @param {string} params.klassId   — KLASS_ID (group)
    * @param {string} [params.teacherId]  — TEACHER_ID
    * @param {string} [params.predmetId]  — PREDMET_ID
+   * @param {string} [params.kabinetId]  — KABINET_ID (room)
    * @param {string} params.dateFrom
    * @param {string} params.dateTo
    */
   async function fetchAndParseSchedule(params) {
-    const { klassId, teacherId, predmetId, dateFrom, dateTo } = params;
-
-    // Build URL using the real LessonSearch parameters
-    const url = SmartSchoolConfig.buildLessonSearchURL({
-      klassId,
-      teacherId,
-      predmetId,
-      startDate: dateFrom,
-      endDate: dateTo,
-    });
-
-    SmartSchoolConfig.log('Fetching schedule from:', url);
+    const { klassId, teacherId, predmetId, kabinetId, dateFrom, dateTo } = params;
 
     try {
-      const response = await fetch(url, {
-        credentials: 'same-origin', // send session cookies
-        headers: {
-          'Accept': 'text/html',
-          'X-Requested-With': 'XMLHttpRequest',
-        },
-      });
-
-      if (!response.ok) {
-        throw new Error(`HTTP ${response.status}`);
-      }
-
-      const html = await response.text();
-      return ScheduleParser.parseFromHTML(html, klassId);
+      const entries = await fetchEntriesCached({ klassId, teacherId, predmetId, kabinetId }, dateFrom, dateTo);
+      const first = klassId && entries.find((e) => e.group);
+      return { groupId: klassId, groupName: first ? first.group : '', entries };
     } catch (err) {
       SmartSchoolConfig.warn('Fetch failed, falling back to DOM parsing:', err.message);
       // Fallback: parse current visible page
@@ -315,6 +351,69 @@
     }
   }
 
+  /* ========== Schedule Cache ========== */
+
+  /**
+   * Entries of a LessonSearch filter between two dates (inclusive).
+   *
+   * The service worker keeps fetched weeks in IndexedDB (ScheduleCache);
+   * only weeks that are missing or past the TTL are fetched, consecutive
+   * ones in a single query, and stored back. When the cache is unavailable
+   * everything is fetched.
+   *
+   * @param {object} filter — { klassId, teacherId, predmetId, kabinetId }
+   * @param {string} start  — YYYY-MM-DD
+   * @param {string} end    — YYYY-MM-DD
+   * @param {object} [options]
+   * @param {boolean} [options.refresh] — fetch every week anew (and update the cache)
+   */
+  async function fetchEntriesCached(filter, start, end, { refresh = false } = {}) {
+    const key = ScheduleCache.filterKey(filter);
+    const weeks = ScheduleCache.weeks(start, end);
+
+    const cached = refresh ? null : await sendToBackground('CACHE_GET_WEEKS', { filter: key, weeks });
+    const hits = cached?.hits || {};
+    const missing = cached?.missing || weeks;
+    SmartSchoolConfig.log(`Cache ${key}: ${weeks.length - missing.length}/${weeks.length} weeks cached`);
+
+    const fetched = {};
+    const toCache = {};
+    for (const range of ScheduleCache.missingRanges(missing)) {
+      const url = SmartSchoolConfig.buildLessonSearchURL({
+        ...filter,
+        startDate: range.start,
+        endDate: range.end,
+      });
+      SmartSchoolConfig.log('Fetching schedule from:', url);
+      const { entries, complete } = await fetchAllPages(url);
+      const byWeek = ScheduleCache.groupByWeek(entries, ScheduleCache.weeks(range.start, range.end));
+      Object.assign(fetched, byWeek);
+      // A cut-off result would be served as the whole week until the TTL runs out
+      if (complete) Object.assign(toCache, byWeek);
+    }
+    if (Object.keys(toCache).length > 0) {
+      await sendToBackground('CACHE_PUT_WEEKS', { filter: key, byWeek: toCache });
+    }
+
+    return weeks
+      .flatMap((week) => hits[week] || fetched[week] || [])
+      .filter((e) => e.date >= start && e.date <= end);
+  }
+
+  /** Message to the service worker; resolves null when it fails. */
+  function sendToBackground(action, payload) {
+    return new Promise((resolve) => {
+      chrome.runtime.sendMessage({ action, payload }, (response) => {
+        if (chrome.runtime.lastError || !response || response.error) {
+          SmartSchoolConfig.warn(`${action} failed:`, chrome.runtime.lastError?.message || response?.error);
+          resolve(null);
+        } else {
+          resolve(response);
+        }
+      });
+    });
+  }
+
   /* ========== Lesson Detail (Topic) Fetching ========== */
 
   /**
@@ -332,8 +431,7 @@
     const DELAY_MS = 100;
     const detailUrl = `${SmartSchoolConfig.SITE_ORIGIN}/index.php?r=lesson%2Flesson-detail`;
 
-    // Yii2 requires CSRF token on POST requests
-    const csrfToken = document.querySelector('meta[name="csrf-token"]')?.getAttribute('content') || '';
+    const csrfToken = getCsrfToken();
     if (!csrfToken) {
       SmartSchoolConfig.warn('CSRF token not found — detail requests may fail.');
     }
@@ -373,6 +471,14 @@
     }
   }
 
+  /**
+   * Yii2 CSRF token from the page's <meta name="csrf-token">; required on POST
+   * requests and sent as X-CSRF-Token.
+   */
+  function getCsrfToken() {
+    return document.querySelector('meta[name="csrf-token"]')?.getAttribute('content') || '';
+  }
+
   /**
    * Parse the topic (тема) from the lesson-detail HTML fragment.
    * The detail is typically a table or div with lesson info.
@@ -431,70 +537,54 @@
     return { name, teacherId };
   }
 
+  /**
+   * The page's current user, falling back to the profile saved in Settings
+   * when the page header does not show the name or the teacher ID.
+   */
+  function currentTeacher() {
+    const user = extractCurrentUser();
+    return {
+      name: user.name || state.config.teacherName || '',
+      teacherId: user.teacherId || state.config.defaultTeacherId || '',
+    };
+  }
+
   /* ========== Fetch Month Schedule ========== */
 
   /**
-   * Fetch all lessons for the current user in a given month.
-   * Uses the teacher ID extracted from the page header.
+   * Fetch all lessons for the current user over a period — a month, a week,
+   * the semester or any range. Payload: { start, end } (YYYY-MM-DD).
+   * The site is queried one calendar month at a time, each with all its pages;
+   * weeks already in the schedule cache are not fetched again.
    */
   async function handleFetchMonthSchedule(payload) {
-    const { month, year } = payload;
-
-    // Get current user's teacher ID from the page
-    const user = extractCurrentUser();
+    // Current user's teacher ID from the page (or the profile in Settings)
+    const user = currentTeacher();
     if (!user.teacherId) {
-      return { error: 'Не вдалося визначити ID викладача. Переконайтесь, що ви залогінені.' };
+      return { error: 'Не вдалося визначити ID викладача. Переконайтесь, що ви залогінені, або вкажіть ID у профілі (Налаштування).' };
     }
 
-    // Calculate date range for the month
-    const startDate = `${year}-${month}-01`;
-    const lastDay = new Date(year, parseInt(month, 10), 0).getDate();
-    const endDate = `${year}-${month}-${String(lastDay).padStart(2, '0')}`;
-
-    SmartSchoolConfig.log(`Fetching schedule for teacher ${user.teacherId}, ${startDate} → ${endDate}`);
-
-    showOverlayStatus(`Завантаження розкладу за ${month}.${year}…`);
-
+    let period;
     try {
-      const url = SmartSchoolConfig.buildLessonSearchURL({
-        teacherId: user.teacherId,
-        startDate,
-        endDate,
-      });
-
-      const response = await fetch(url, {
-        credentials: 'same-origin',
-        headers: { 'Accept': 'text/html' },
-      });
-
-      if (!response.ok) throw new Error(`HTTP ${response.status}`);
+      period = new ReportPeriod(payload.start, payload.end);
+    } catch (err) {
+      return { error: err.message };
+    }
 
-      const html = await response.text();
-      const schedule = ScheduleParser.parseFromHTML(html, '');
+    SmartSchoolConfig.log(`Fetching schedule for teacher ${user.teacherId}, ${period.start} → ${period.end}`);
 
-      // Check if there's pagination — fetch remaining pages
-      const doc = new DOMParser().parseFromString(html, 'text/html');
-      const allEntries = [...schedule.entries];
-      const totalRecords = ScheduleParser.parseTotalRecords(doc);
-
-      if (totalRecords && totalRecords > allEntries.length) {
-        SmartSchoolConfig.log(`Page 1: ${allEntries.length}/${totalRecords} records, fetching more…`);
-        let page = 2;
-        while (allEntries.length < totalRecords) {
-          const pageUrl = url + `&page=${page}`;
-          showOverlayStatus(`Завантаження сторінки ${page}…`);
-          const pageResp = await fetch(pageUrl, {
-            credentials: 'same-origin',
-            headers: { 'Accept': 'text/html' },
-          });
-          if (!pageResp.ok) break;
-          const pageHtml = await pageResp.text();
-          const pageSchedule = ScheduleParser.parseFromHTML(pageHtml, '');
-          if (pageSchedule.entries.length === 0) break;
-          allEntries.push(...pageSchedule.entries);
-          page++;
-          // Safety limit
-          if (page > 20) break;
+    try {
+      const allEntries = [];
+      const seen = new Set();
+      for (const chunk of period.months()) {
+        const [year, month] = chunk.start.split('-');
+        showOverlayStatus(`Завантаження розкладу за ${month}.${year}…`);
+
+        for (const entry of await fetchEntriesCached({ teacherId: user.teacherId }, chunk.start, chunk.end)) {
+          const key = entry.lessonId || `${entry.date}|${entry.pairNumber}|${entry.group}`;
+          if (seen.has(key)) continue;
+          seen.add(key);
+          allEntries.push(entry);
         }
       }
 
@@ -504,6 +594,7 @@
       return {
         success: true,
         entries: allEntries,
+        period: period.toJSON(),
         teacherName: user.name,
         teacherId: user.teacherId,
       };
@@ -514,6 +605,129 @@
     }
   }
 
+  /**
+   * The current user's lessons from this week's Monday over `weeks` weeks,
+   * always fetched from the site — the service worker compares them with
+   * its snapshot to detect changes. Payload: { weeks }.
+   */
+  async function handleFetchUpcomingSchedule({ weeks = 2 } = {}) {
+    const user = currentTeacher();
+    if (!user.teacherId) {
+      return { error: 'Не вдалося визначити ID викладача' };
+    }
+
+    const thisWeek = ReportPeriod.resolve({ kind: 'this-week' });
+    const end = ReportPeriod.week(thisWeek.start, weeks - 1).end;
+    try {
+      const entries = await fetchEntriesCached({ teacherId: user.teacherId }, thisWeek.start, end, { refresh: true });
+      return { success: true, teacherId: user.teacherId, start: thisWeek.start, end, entries };
+    } finally {
+      hideOverlayStatus(); // fetchAllPages reports extra pages in the overlay
+    }
+  }
+
+  /**
+   * Every lesson of a teacher, group or room in a date range, for the
+   * timetable audit (ConflictDetector.audit() runs in the popup). With
+   * `withTopics` each lesson's detail is fetched too, so missing topics
+   * can be reported.
+   *
+   * Payload: { start, end, scope: 'teacher' | 'group' | 'room', id, withTopics }.
+   * An empty teacher id means the current user.
+   */
+  async function handleFetchAuditSchedule(payload) {
+    const { start, end, scope = 'teacher', withTopics = false } = payload || {};
+    let period;
+    try {
+      period = new ReportPeriod(start, end);
+    } catch (err) {
+      return { error: err.message };
+    }
+
+    const id = scope === 'teacher' ? payload.id || currentTeacher().teacherId : payload.id;
+    if (!id) {
+      return { error: scope === 'teacher'
+        ? 'Не вдалося визначити ID викладача. Вкажіть його у профілі (Налаштування).'
+        : 'Оберіть групу або кабінет для перевірки.' };
+    }
+    const filter = {
+      teacher: { teacherId: id },
+      group: { klassId: id },
+      room: { kabinetId: id },
+    }[scope];
+    if (!filter) return { error: `Невідомий об'єкт перевірки: ${scope}` };
+
+    try {
+      showOverlayStatus('Завантаження розкладу для перевірки…');
+      const entries = await fetchEntriesCached(filter, period.start, period.end);
+      if (withTopics) {
+        await fetchLessonDetails(entries, (done, total) => {
+          showOverlayStatus(`Завантаження тем занять (${done}/${total})…`);
+        });
+      }
+      return { success: true, entries, period: period.toJSON() };
+    } catch (err) {
+      SmartSchoolConfig.error('Audit fetch failed:', err);
+      return { error: err.message };
+    } finally {
+      hideOverlayStatus();
+    }
+  }
+
+  // Result pages read per query; a longer result comes back incomplete
+  const MAX_PAGES = 20;
+
+  /**
+   * Entries of a LessonSearch URL across all its result pages, following the
+   * "Показані X–Y із Z записів" total (&page=2, &page=3, …).
+   *
+   * @returns {Promise<{entries: Array, complete: boolean}>} complete is false
+   *   when fewer records than the total were read (page limit, failed or
+   *   empty page); such a result must not be cached
+   */
+  async function fetchAllPages(url) {
+    const response = await fetch(url, {
+      credentials: 'same-origin',
+      headers: { 'Accept': 'text/html' },
+    });
+
+    if (!response.ok) throw new Error(`HTTP ${response.status}`);
+
+    const html = await response.text();
+    const schedule = ScheduleParser.parseFromHTML(html, '');
+
+    // Check if there's pagination — fetch remaining pages
+    const doc = new DOMParser().parseFromString(html, 'text/html');
+    const allEntries = [...schedule.entries];
+    const totalRecords = ScheduleParser.parseTotalRecords(doc);
+
+    if (totalRecords && totalRecords > allEntries.length) {
+      SmartSchoolConfig.log(`Page 1: ${allEntries.length}/${totalRecords} records, fetching more…`);
+      let page = 2;
+      while (allEntries.length < totalRecords) {
+        const pageUrl = url + `&page=${page}`;
+        showOverlayStatus(`Завантаження сторінки ${page}…`);
+        const pageResp = await fetch(pageUrl, {
+          credentials: 'same-origin',
+          headers: { 'Accept': 'text/html' },
+        });
+        if (!pageResp.ok) break;
+        const pageHtml = await pageResp.text();
+        const pageSchedule = ScheduleParser.parseFromHTML(pageHtml, '');
+        if (pageSchedule.entries.length === 0) break;
+        allEntries.push(...pageSchedule.entries);
+        page++;
+        if (page > MAX_PAGES) break;
+      }
+    }
+
+    const complete = !totalRecords || allEntries.length >= totalRecords;
+    if (!complete) {
+      SmartSchoolConfig.warn(`Schedule truncated: ${allEntries.length}/${totalRecords} records read from ${url}`);
+    }
+    return { entries: allEntries, complete };
+  }
+
   /* ========== Fetch Lesson Details (topics) for filtered entries ========== */
 
   /**
@@ -536,18 +750,106 @@
     return { success: true, entries };
   }
 
+  /* ========== Create Found Slots on the Site ========== */
+
+  /**
+   * Create the subgroup lessons planned by LessonCopier.plan() through the
+   * site's lesson/copy2date route, one request per lesson, so every lesson
+   * gets its own outcome. With `dryRun` nothing is sent — each operation
+   * comes back with the request it would make.
+   *
+   * Payload: { operations, dryRun, checkCollisions }.
+   * Returns { success, dryRun, outcomes: [{ ...operation, status, error, url }] }
+   * with status 'created' | 'failed' | 'skipped' | 'dry-run'.
+   */
+  async function handleCopySlotsToSite(payload) {
+    const { operations, dryRun = true, checkCollisions = true } = payload || {};
+    if (!operations || operations.length === 0) {
+      return { error: 'Немає пар для створення на сайті.' };
+    }
+
+    const DELAY_MS = 300;
+    const csrfToken = getCsrfToken();
+    const headers = { 'Accept': 'application/json', 'X-Requested-With': 'XMLHttpRequest' };
+    if (csrfToken) headers['X-CSRF-Token'] = csrfToken;
+
+    const ready = operations.filter((op) => op.ready);
+    const outcomes = [];
+    let done = 0;
+
+    for (const op of operations) {
+      if (!op.ready) {
+        outcomes.push({ ...op, status: 'skipped', error: op.reason });
+        continue;
+      }
+
+      const url = SmartSchoolConfig.buildCopyToDateURL({
+        lessonIds: [op.lessonId], date: op.date, checkCollisions,
+      });
+      if (dryRun) {
+        outcomes.push({ ...op, status: 'dry-run', error: '', url });
+        continue;
+      }
+
+      showOverlayStatus(`Створення занять на сайті (${done}/${ready.length})…`);
+      try {
+        const resp = await fetch(url, { credentials: 'same-origin', headers });
+        const { ok, error } = resp.ok
+          ? LessonCopier.parseResponse(await resp.text())
+          : { ok: false, error: `HTTP ${resp.status}` };
+        outcomes.push({ ...op, status: ok ? 'created' : 'failed', error, url });
+      } catch (err) {
+        SmartSchoolConfig.warn(`Copy failed for lesson ${op.lessonId} → ${op.date}:`, err.message);
+        outcomes.push({ ...op, status: 'failed', error: err.message, url });
+      }
+
+      done++;
+      if (done < ready.length) await SmartSchoolConfig.sleep(DELAY_MS);
+    }
+
+    hideOverlayStatus();
+    await dropCreatedWeeks(outcomes);
+    SmartSchoolConfig.log(`Copy slots to site (dryRun=${dryRun}):`, LessonCopier.summarize(outcomes));
+    return { success: true, dryRun, outcomes };
+  }
+
+  /**
+   * Forget the cached weeks that got new lessons, for every filter (the
+   * teacher's, the group's, the room's), so the next search fetches them
+   * again instead of offering the slots just booked.
+   */
+  async function dropCreatedWeeks(outcomes) {
+    const weeks = [...new Set(outcomes
+      .filter((o) => o.status === 'created')
+      .map((o) => ScheduleCache.weekStart(o.date)))];
+    if (weeks.length > 0) await sendToBackground('CACHE_DROP_WEEKS', { weeks });
+  }
+
   /* ========== Find Slots for Specific Lessons ========== */
 
+  /**
+   * Resolve a room name from a lesson row to its KABINET_ID option.
+   * Falls back to the leading room number ("106.") when the texts differ.
+   */
+  function resolveRoomId(roomName, rooms) {
+    const exact = rooms.find((r) => r.name === roomName);
+    if (exact) return exact.id;
+
+    const number = roomName.match(/^(\d+)\./)?.[1];
+    if (!number) return '';
+    return rooms.find((r) => r.name.startsWith(`${number}.`))?.id || '';
+  }
+
   /**
    * For each checked lesson, find the closest available (free) slot
    * for that group on the same week.
    *
    * Strategy: for each lesson entry, look at the same week's dates
    * and find a pair slot where neither the teacher nor that group
-   * has anything scheduled.
+   * has anything scheduled, and the lesson's room (if any) is free.
    */
   async function handleFindSlotsForLessons(payload) {
-    const { lessons, allTeacherEntries } = payload;
+    const { lessons, allTeacherEntries, mode } = payload;
     if (!lessons || lessons.length === 0) {
       return { error: 'Немає обраних занять.' };
     }
@@ -556,29 +858,37 @@
 
     try {
       // Get current user
-      const user = extractCurrentUser();
+      const user = currentTeacher();
       if (!user.teacherId) {
         hideOverlayStatus();
-        return { error: 'Не вдалося визначити ID викладача.' };
+        return { error: 'Не вдалося визначити ID викладача — вкажіть його у профілі (Налаштування).' };
       }
 
       // Collect unique groups from the selected lessons
       const uniqueGroups = [...new Set(lessons.map((l) => l.group))];
 
-      // Determine full date range from the lessons
-      const dates = lessons.map((l) => l.date).filter(Boolean).sort();
-      if (dates.length === 0) {
+      // Fetch range = union of every lesson's search window
+      const searchWindow = SlotFinder.normalizeWindow(state.config.searchWindow);
+      const ranges = lessons
+        .filter((l) => l.date)
+        .map((l) => SlotFinder.windowRange(l.date, searchWindow));
+      if (ranges.length === 0) {
         hideOverlayStatus();
         return { error: 'Немає дат в обраних заняттях.' };
       }
 
-      const minDate = dates[0];
-      // Extend by 7 days so fetched data covers the next-week fallback window
-      const maxDateExtended = (() => {
-        const d = new Date(dates[dates.length - 1]);
-        d.setDate(d.getDate() + 7);
-        return SmartSchoolConfig.formatDate(d);
-      })();
+      const minDate = ranges.map((r) => r.start).sort()[0];
+      const maxDate = ranges.map((r) => r.end).sort().pop();
+
+      // The month view may end before the window does — fetch the teacher's own
+      // schedule over the whole window and merge it with the entries passed in
+      showOverlayStatus('Завантаження розкладу викладача…');
+      const teacherSchedule = await fetchAndParseSchedule({
+        teacherId: user.teacherId,
+        dateFrom: minDate,
+        dateTo: maxDate,
+      });
+      const teacherEntries = mergeEntries(allTeacherEntries || [], teacherSchedule.entries || []);
 
       // Fetch group list once — used to resolve group name → ID for all groups
       const filters = await fetchFiltersFromLessonPage();
@@ -591,37 +901,41 @@
           groupSchedules[groupName] = await fetchAndParseSchedule({
             klassId: groupOption.id,
             dateFrom: minDate,
-            dateTo: maxDateExtended,
+            dateTo: maxDate,
           });
         }
       }
 
-      const results = new SlotFinder({
+      // Practicals must stay in the lesson's own room — fetch its occupancy too
+      const uniqueRooms = [...new Set(lessons.map((l) => SlotFinder._requiredRoom(l)))]
+        .filter(Boolean);
+
+      const roomSchedules = {};
+      for (const roomName of uniqueRooms) {
+        const kabinetId = resolveRoomId(roomName, filters.rooms || []);
+        if (!kabinetId) {
+          SmartSchoolConfig.warn(`Room "${roomName}" not found in filters — occupancy unknown.`);
+          continue;
+        }
+        showOverlayStatus(`Завантаження розкладу кабінету "${roomName}"…`);
+        roomSchedules[roomName] = await fetchAndParseSchedule({
+          kabinetId,
+          dateFrom: minDate,
+          dateTo: maxDate,
+        });
+      }
+
+      state.slotSearch = {
         lessons,
-        teacherEntries: allTeacherEntries || [],
+        teacherEntries,
         groupSchedules,
-      }).findSlots();
+        roomSchedules,
+        searchWindow,
+        mode: mode || state.config.slotSearchMode || 'greedy',
+      };
 
       hideOverlayStatus();
-
-      // Format output text
-      const lines = results.map((r) => {
-        const l = r.lesson;
-        const s = r.slot;
-        const topicStr = l.topic ? ` | ${l.topic}` : '';
-        const lessonStr = `${l.date} ${l.pairNumber} пара | ${l.group} | ${l.subject}${topicStr}`;
-        const slotStr = s
-          ? `→ ${s.date} (${s.dayName}) ${s.pairNumber} пара`
-          : '→ вільних пар не знайдено';
-        return `${lessonStr}\n  ${slotStr}`;
-      });
-
-      return {
-        success: true,
-        text: lines.join('\n\n'),
-        slotCount: results.filter((r) => r.slot).length,
-        results,
-      };
+      return runSlotFinder(state.slotSearch, {});
     } catch (err) {
       hideOverlayStatus();
       SmartSchoolConfig.error('Find slots error:', err);
@@ -629,6 +943,92 @@
     }
   }
 
+  // Union of two entry lists, one entry per date + pair
+  function mergeEntries(a, b) {
+    const seen = new Set();
+    return [...a, ...b].filter((e) => {
+      const key = `${e.date}|${e.pairNumber}`;
+      if (seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    });
+  }
+
+  /**
+   * Re-run the last slot search with the user's picks pinned, without
+   * fetching schedules again. Payload: { choices: { lessonIndex: [{date, pairNumber}] } }.
+   */
+  function handleReselectSlots(payload) {
+    if (!state.slotSearch) {
+      return { error: 'Спочатку знайдіть вільні пари.' };
+    }
+    try {
+      return runSlotFinder(state.slotSearch, payload.choices || {});
+    } catch (err) {
+      SmartSchoolConfig.error('Reselect slots error:', err);
+      return { error: err.message };
+    }
+  }
+
+  function runSlotFinder(search, choices) {
+    const results = new SlotFinder({
+      ...search,
+      bellSchedule: SmartSchoolConfig.getBellSchedule(),
+      calendar: SmartSchoolConfig.getAcademicCalendar(),
+      constraints: SmartSchoolConfig.getTeacherConstraints(),
+      subgroupCount: Number(state.config.subgroupCount) || 2,
+      groupSubgroupCounts: state.config.groupSubgroupCounts || {},
+      choices,
+    }).findSlots();
+
+    state.slotResults = results;
+    renderPanel();
+
+    return {
+      success: true,
+      text: formatSlotResults(results),
+      slotCount: results.reduce((n, r) => n + r.slots.filter(Boolean).length, 0),
+      results,
+    };
+  }
+
+  /**
+   * Plain-text summary of SlotFinder results: the original lesson followed by
+   * one arrow line per extra subgroup (numbered when there is more than one).
+   */
+  function formatSlotResults(results) {
+    const lines = results.map((r) => {
+      const l = r.lesson;
+      const topicStr = l.topic ? ` | ${l.topic}` : '';
+      const lessonStr = `${l.date} ${l.pairNumber} пара | ${l.group} | ${l.subject}${topicStr}`;
+
+      const slotLines = r.slots.map((s, i) => {
+        const label = r.slots.length > 1
+          ? `${SmartSchoolConfig.subgroupNumeral(i + 2)}: ` : '';
+        if (!s) return `→ ${label}вільних пар не знайдено`;
+
+        const roomStr = s.room ? ` | ${s.room}` : '';
+        const pair = SmartSchoolConfig.getPairByNumber(s.pairNumber, s.date);
+        const timeStr = pair ? ` (${pair.start}–${pair.end})` : '';
+        return `→ ${label}${s.date} (${s.dayName}) ${s.pairNumber} пара${timeStr}${roomStr}`;
+      });
+      return [lessonStr, ...slotLines, ...formatRejected(r)].join('\n  ');
+    });
+    return lines.join('\n\n');
+  }
+
+  /**
+   * Closer pairs skipped because of the teacher's constraints — all of them
+   * when a subgroup stayed without a slot, otherwise those before the last slot.
+   */
+  function formatRejected(result) {
+    const rejected = result.rejected || [];
+    const last = result.slots.includes(null) ? null : result.slots[result.slots.length - 1];
+    return rejected
+      .filter((s) => !last || s.date < last.date || (s.date === last.date && s.pairNumber < last.pairNumber))
+      .map((s) => `✕ ${s.date} (${s.dayName}) ${s.pairNumber} пара — ${s.reason}`);
+  }
+
   /* ========== Overlay UI ========== */
 
   /**
@@ -642,14 +1042,200 @@
     overlay.id = 'ssh-overlay';
     overlay.innerHTML = `
       <div id="ssh-status" class="ssh-status hidden"></div>
+      <div id="ssh-panel" class="ssh-panel hidden">
+        <div class="ssh-panel-header">
+          <strong>📚 Smart School Helper</strong>
+          <button id="ssh-panel-refresh" class="ssh-panel-btn" title="Оновити">⟳</button>
+          <button id="ssh-panel-close" class="ssh-panel-btn" title="Закрити">✕</button>
+        </div>
+        <div id="ssh-panel-body" class="ssh-panel-body"></div>
+      </div>
       <button id="ssh-fab" class="ssh-fab" title="Smart School Helper">📚</button>
     `;
     document.body.appendChild(overlay);
 
-    // FAB click toggles a quick-action panel (future enhancement)
-    document.getElementById('ssh-fab').addEventListener('click', () => {
-      SmartSchoolConfig.log('FAB clicked — open popup for controls');
+    document.getElementById('ssh-fab').addEventListener('click', togglePanel);
+    document.getElementById('ssh-panel-close').addEventListener('click', togglePanel);
+    document.getElementById('ssh-panel-refresh').addEventListener('click', renderPanel);
+  }
+
+  /* ========== On-page Panel ========== */
+
+  /*
+   * Opened from the FAB. On the lesson/index page it annotates the Kartik
+   * grid (table.kv-grid-table): rows that clash with another lesson of the
+   * same teacher or group turn red, and the last SlotFinder proposals appear
+   * as ghost rows under their lessons. The panel itself lists the clashes
+   * and shows the visible lessons as a compact week grid.
+   */
+
+  // Weeks drawn in the panel grid (a page rarely shows more than a month)
+  const PANEL_MAX_WEEKS = 6;
+
+  function togglePanel() {
+    const panel = document.getElementById('ssh-panel');
+    if (panel.classList.toggle('hidden')) {
+      clearGridAnnotations();
+    } else {
+      renderPanel();
+    }
+  }
+
+  function renderPanel() {
+    const panel = document.getElementById('ssh-panel');
+    if (!panel || panel.classList.contains('hidden')) return;
+
+    clearGridAnnotations();
+    const body = document.getElementById('ssh-panel-body');
+    body.replaceChildren();
+
+    const table = document.querySelector('table.kv-grid-table');
+    if (!table) {
+      body.append(el('p', 'ssh-hint',
+        'Відкрийте сторінку «Розклад занять» (lesson/index) — панель позначає її таблицю.'));
+      return;
+    }
+
+    const entries = ScheduleParser.parseVisibleSchedule('').entries;
+    const conflicts = ConflictDetector.clashes(entries);
+    markConflicts(table, conflicts);
+    const ghosts = addGhostRows(table, state.slotResults);
+
+    body.append(el('div', 'ssh-panel-title', conflicts.length > 0
+      ? `Конфлікти: ${conflicts.length}` : 'Конфліктів на сторінці немає'));
+    if (conflicts.length > 0) {
+      const list = el('ul', 'ssh-conflict-list');
+      conflicts.forEach((c) => list.append(el('li', '', ConflictDetector.describe(c))));
+      body.append(list);
+    }
+    if (ghosts.length > 0) {
+      body.append(el('div', 'ssh-panel-title', `Запропоновані пари підгруп: ${ghosts.length}`));
+    }
+    body.append(panelWeekGrid(entries, conflicts, ghosts));
+  }
+
+  /** Red rows for clashing lessons; the reasons go into the row's tooltip. */
+  function markConflicts(table, conflicts) {
+    // parseVisibleSchedule() reads the same rows in the same order
+    const rows = table.querySelectorAll('tbody tr[data-key]');
+    for (const [index, list] of ConflictDetector.byLesson(conflicts)) {
+      const row = rows[index];
+      if (!row) continue;
+      row.classList.add('ssh-conflict');
+      row.title = list.map(ConflictDetector.describe).join('\n');
+    }
+  }
+
+  /**
+   * A ghost row under each lesson for every subgroup slot SlotFinder found.
+   *
+   * @returns {Array} ghost entries (date, pairNumber, group, subject, room, subgroup)
+   */
+  function addGhostRows(table, results) {
+    const ghosts = [];
+    (results || []).forEach(({ lesson, slots }, index) => {
+      // SlotFinder's lesson is a summary; the searched entry has lessonId and teacher
+      const source = state.slotSearch?.lessons[index] || {};
+      const row = source.lessonId
+        ? table.querySelector(`tbody tr[data-key="${CSS.escape(String(source.lessonId))}"]`)
+        : null;
+      let after = row;
+
+      (slots || []).forEach((slot, i) => {
+        if (!slot) return;
+        const subgroup = SmartSchoolConfig.subgroupNumeral(i + 2);
+        const ghost = {
+          date: slot.date,
+          pairNumber: slot.pairNumber,
+          group: lesson.group,
+          subject: lesson.subject,
+          room: slot.room || '',
+          subgroup,
+        };
+        ghosts.push(ghost);
+        if (!after) return;
+
+        // Same columns as the lesson's row (data-col-seq), see schedule-parser.js
+        const texts = {
+          0: `${slot.dayName || SmartSchoolConfig.getDayName(slot.date)} ${SmartSchoolConfig.formatDateUA(slot.date)}`,
+          1: `${slot.pairNumber} пара`,
+          2: `${lesson.group} · ${subgroup} підгрупа`,
+          3: lesson.subject,
+          4: source.teacher || '',
+          5: ghost.room,
+        };
+        const tr = document.createElement('tr');
+        tr.className = 'ssh-ghost';
+        tr.title = 'Запропоновано Smart School Helper — ще не створено на сайті';
+        for (const cell of after.children) {
+          tr.append(el('td', '', texts[cell.getAttribute('data-col-seq')] || ''));
+        }
+        after.after(tr);
+        after = tr;
+      });
     });
+    return ghosts;
+  }
+
+  function clearGridAnnotations() {
+    document.querySelectorAll('tr.ssh-ghost').forEach((tr) => tr.remove());
+    document.querySelectorAll('tr.ssh-conflict').forEach((tr) => {
+      tr.classList.remove('ssh-conflict');
+      tr.removeAttribute('title');
+    });
+  }
+
+  /** Compact days × pairs grid of the page's lessons and the ghost slots. */
+  function panelWeekGrid(entries, conflicts, ghosts) {
+    const all = [...entries, ...ghosts];
+    const dates = all.map((e) => e.date).filter(Boolean).sort();
+    const wrap = el('div', 'ssh-week-grid');
+    if (dates.length === 0) return wrap;
+
+    const clashing = ConflictDetector.byLesson(conflicts);
+    const weeks = WeekGrid.build(all, {
+      start: dates[0],
+      end: dates[dates.length - 1],
+      pairNumbersFor: (date) => SmartSchoolConfig.getBellSchedule().pairNumbersFor(date),
+      isTeachingDay: (date) => SmartSchoolConfig.getAcademicCalendar().isTeachingDay(date),
+    }).slice(0, PANEL_MAX_WEEKS);
+
+    for (const week of weeks) {
+      wrap.append(el('div', 'ssh-panel-title',
+        `${SmartSchoolConfig.formatDateUA(week.start)} – ${SmartSchoolConfig.formatDateUA(week.end)}`));
+      const table = el('table', 'ssh-grid');
+      const head = table.createTHead().insertRow();
+      head.append(el('th', '', ''));
+      week.days.forEach((d) => head.append(el('th', '', WeekGrid.DAY_SHORT[d.weekday] + ' ' + d.date.slice(8))));
+
+      const tbody = table.createTBody();
+      for (const row of week.rows) {
+        const tr = tbody.insertRow();
+        tr.append(el('th', '', String(row.pairNumber)));
+        for (const cell of row.cells) {
+          const td = el('td', `ssh-cell-${cell.state}`, '');
+          if (cell.lessons.some((i) => clashing.has(i))) td.classList.add('ssh-cell-conflict');
+          for (const i of cell.lessons) {
+            const ghost = i >= entries.length;
+            const chip = el('span', ghost ? 'ssh-chip ssh-chip-ghost' : 'ssh-chip', all[i].group);
+            chip.title = [all[i].group, all[i].subject, all[i].room, ghost ? `${all[i].subgroup} підгрупа` : '']
+              .filter(Boolean).join('\n');
+            td.append(chip);
+          }
+          tr.append(td);
+        }
+      }
+      wrap.append(table);
+    }
+    return wrap;
+  }
+
+  // Element with a class and text content (site data never goes through innerHTML)
+  function el(tag, className, text) {
+    const node = document.createElement(tag);
+    if (className) node.className = className;
+    if (text) node.textContent = text;
+    return node;
   }
 
   function showOverlayStatus(text) {
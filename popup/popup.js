@@ -1,10 +1,17 @@
 /**
  * Smart School Helper — Popup Script
  *
+ * The Changes tab shows the log of the background schedule check and
+ * compares any two stored schedule snapshots. The Audit tab checks a
+ * teacher's, group's or room's timetable for clashes and gaps, and sums
+ * the teacher's hours against the planned workload; it also imports the
+ * curriculum plan of practical works and tracks the semester's progress.
+ *
  * Report tab workflow:
- *  1. Select month → fetch all lectures for current user
+ *  1. Select a period (month of any year, week, semester, custom dates)
+ *     → fetch all lectures for current user
  *  2. Populate multiselects: unique groups & unique subjects
- *  3. Apply filter → show lesson list with checkboxes
+ *  3. Apply filter → show the lessons as a week grid (or a list) to pick from
  *  4. For checked lessons → find closest available slots
  *  5. Print result in textarea
  */
@@ -13,17 +20,70 @@ document.addEventListener('DOMContentLoaded', init);
 
 /* ========== State ========== */
 
-let fetchedEntries = [];   // all schedule entries for the month
+let fetchedEntries = [];   // all schedule entries for the period
+let fetchedPeriod = null;  // ReportPeriod of fetchedEntries
 let filteredLessons = [];  // entries visible in the lesson list
+let selectedLessons = new Set(); // indices into filteredLessons picked for SlotFinder
 let lastResults = [];      // results from findAvailableSlots
+let slotChoices = {};      // { lessonIndex: [{date, pairNumber}] } picked alternatives
 let lastTeacherName = '';  // teacher name from fetch
+let appConfig = {};        // stored config (GET_CONFIG)
+let bellDraft = null;      // bell schedules being edited in Settings
+let pdfFonts = null;       // { regular, bold } .ttf bytes, loaded on first PDF
+let siteCopyPlan = [];     // LessonCopier.plan() of lastResults
+let siteCopyOutcomes = {}; // { operation key: outcome } from COPY_SLOTS_TO_SITE
+let snapshots = [];        // stored schedule snapshots, newest first
+let snapshotDiff = null;   // { before, after, changes } of the last comparison
+let auditLists = { teachers: [], groups: [], rooms: [] }; // LOAD_FILTERS lists for the audit
+let auditResult = null;    // { entries, issues, period } of the last audit
+let workload = null;       // { entries, report, period } of the last workload calculation
 
 /* ========== Initialization ========== */
 
 async function init() {
   setupTabs();
-  prefillMonth();
+  prefillPeriod();
   bindEvents();
+  await loadConfig();
+  prefillWorkloadPeriod();
+  renderCurriculumPlans();
+  renderSettings();
+}
+
+async function loadConfig() {
+  appConfig = (await sendMessage('GET_CONFIG')) || {};
+  SmartSchoolConfig.setAcademicCalendar(appConfig);
+  SmartSchoolConfig.setBellSchedule(appConfig.bellSchedules);
+  SmartSchoolConfig.setTeacherConstraints(appConfig.teacherConstraints);
+  SmartSchoolConfig.setReportTemplate(appConfig.reportTemplate);
+  SmartSchoolConfig.setCurriculumPlans(appConfig.curriculumPlans);
+}
+
+/**
+ * Fill every Settings card (and the saved search mode) from the loaded config.
+ */
+function renderSettings() {
+  renderProfileSettings();
+  renderBellSettings();
+  renderCalendarSettings();
+  renderWindowSettings();
+  renderConstraintSettings();
+  renderTemplateSettings();
+  renderSubgroupSettings();
+  renderPlanSettings();
+  renderWatchSettings();
+  renderCacheInfo();
+  setVal('slot-search-mode', appConfig.slotSearchMode);
+}
+
+/**
+ * Merge a partial config into the stored one and persist it.
+ */
+async function saveConfigPatch(patch) {
+  const current = (await sendMessage('GET_CONFIG')) || {};
+  appConfig = { ...current, ...patch };
+  const result = await sendMessage('SAVE_CONFIG', appConfig);
+  return Boolean(result?.success);
 }
 
 /* ========== Tab Switching ========== */
@@ -42,13 +102,41 @@ function setupTabs() {
   });
 }
 
-/* ========== Pre-fill current month ========== */
+/* ========== Period selection ========== */
 
-function prefillMonth() {
+function prefillPeriod() {
   const now = new Date();
-  const mm = String(now.getMonth() + 1).padStart(2, '0');
-  const sel = document.getElementById('report-month');
-  if (sel) sel.value = mm;
+  const current = ReportPeriod.month(now.getFullYear(), now.getMonth() + 1);
+  setVal('report-month', current.start.slice(5, 7));
+  setVal('report-year', current.start.slice(0, 4));
+  setVal('report-from', current.start);
+  setVal('report-to', current.end);
+  setVal('audit-from', current.start);
+  setVal('audit-to', current.end);
+  togglePeriodInputs();
+  renderAuditTargets();
+}
+
+function togglePeriodInputs() {
+  const kind = getVal('report-period');
+  document.getElementById('period-month').classList.toggle('hidden', kind !== 'month');
+  document.getElementById('period-range').classList.toggle('hidden', kind !== 'range');
+  document.getElementById('period-semester').classList.toggle('hidden', kind !== 'semester');
+}
+
+/**
+ * ReportPeriod of the inputs; throws with a user-facing message when invalid.
+ */
+function selectedPeriod() {
+  return ReportPeriod.resolve({
+    kind:  getVal('report-period'),
+    year:  getVal('report-year'),
+    month: getVal('report-month'),
+    from:  getVal('report-from'),
+    to:    getVal('report-to'),
+    semesterStart: appConfig.semesterStart,
+    semesterEnd:   appConfig.semesterEnd,
+  });
 }
 
 /* ========== Event Binding ========== */
@@ -58,21 +146,80 @@ function bindEvents() {
   on('btn-apply-filters', 'click', applyFilters);
   on('btn-check-all', 'click', () => toggleAllLessons(true));
   on('btn-uncheck-all', 'click', () => toggleAllLessons(false));
+  on('lessons-view', 'change', toggleLessonsView);
   on('btn-find-available', 'click', findAvailableSlots);
+  on('slot-search-mode', 'change', () => saveConfigPatch({ slotSearchMode: getVal('slot-search-mode') }));
   on('btn-copy-result', 'click', copyResult);
   on('btn-download-report', 'click', downloadReport);
+  on('btn-download-xlsx', 'click', downloadXlsxReport);
+  on('btn-download-pdf', 'click', downloadPdfReport);
+  on('btn-download-ics', 'click', downloadSlotsIcs);
+  on('btn-export-month-ics', 'click', exportMonthIcs);
+  on('btn-site-copy', 'click', toggleSiteCopy);
+  on('btn-site-copy-dry-run', 'click', () => copySlotsToSite(true));
+  on('btn-site-copy-run', 'click', () => copySlotsToSite(false));
+  document.querySelector('.tab[data-tab="changes"]')?.addEventListener('click', openChangeLog);
+  on('btn-check-changes', 'click', checkChangesNow);
+  on('btn-clear-changes', 'click', clearChangeLog);
+  on('btn-compare-snapshots', 'click', compareSnapshots);
+  on('btn-save-snapshot', 'click', saveSnapshot);
+  on('btn-diff-csv', 'click', downloadChangesCsv);
+  on('audit-scope', 'change', renderAuditTargets);
+  on('btn-audit-load-lists', 'click', loadAuditLists);
+  on('btn-run-audit', 'click', runAudit);
+  on('btn-audit-csv', 'click', () => downloadAudit('csv'));
+  on('btn-audit-xlsx', 'click', () => downloadAudit('xlsx'));
+  on('btn-workload', 'click', calculateWorkload);
+  on('btn-workload-csv', 'click', () => downloadWorkload('csv'));
+  on('btn-workload-xlsx', 'click', () => downloadWorkload('xlsx'));
+  on('plan-file', 'change', importPlanFile);
+  on('btn-plan-progress', 'click', showPlanProgress);
+  on('btn-plan-delete', 'click', deleteCurriculumPlan);
+  on('btn-save-watch', 'click', saveWatchSettings);
+  on('btn-profile-from-site', 'click', fillProfileFromSite);
+  on('btn-profile-load-filters', 'click', loadProfileFilters);
+  on('btn-save-profile', 'click', saveProfileSettings);
+  on('cache-ttl', 'change', saveCacheTtl);
+  on('btn-clear-cache', 'click', clearScheduleCache);
+  on('btn-reset-settings', 'click', resetAllSettings);
+  on('btn-add-bell-profile', 'click', addBellProfile);
+  on('btn-delete-bell-profile', 'click', deleteBellProfile);
+  on('btn-save-bells', 'click', saveBellSettings);
+  on('bell-profile', 'change', switchBellProfile);
+  on('calendar-import', 'change', importCalendarFile);
+  on('btn-save-calendar', 'click', saveCalendarSettings);
+  on('window-mode', 'change', toggleWindowMode);
+  on('btn-save-window', 'click', saveWindowSettings);
+  on('btn-save-constraints', 'click', saveConstraintSettings);
+  on('btn-save-template', 'click', saveTemplateSettings);
+  on('btn-reset-template', 'click', resetTemplateSettings);
+  on('btn-save-subgroups', 'click', saveSubgroupSettings);
+  on('btn-save-plan', 'click', savePlanSettings);
 
   // Cascading reset: changing an earlier step hides all later steps
-  document.getElementById('report-month')?.addEventListener('change', () => {
-    resetFrom('filters');
-  });
+  on('report-period', 'change', togglePeriodInputs);
+  for (const id of ['report-period', 'report-month', 'report-year', 'report-from', 'report-to']) {
+    on(id, 'change', () => resetFrom('filters'));
+  }
   document.getElementById('filter-groups')?.addEventListener('change', () => {
     resetFrom('lessons');
   });
   document.getElementById('filter-subjects')?.addEventListener('change', () => {
     resetFrom('lessons');
   });
-  document.getElementById('lessons-list')?.addEventListener('change', () => {
+  document.getElementById('lessons-list')?.addEventListener('change', (e) => {
+    const index = Number(e.target.dataset.index);
+    if (e.target.checked) selectedLessons.add(index);
+    else selectedLessons.delete(index);
+    renderWeekGrid();
+    resetFrom('result');
+  });
+  document.getElementById('week-grid')?.addEventListener('click', (e) => {
+    const el = e.target.closest('.grid-lesson.selectable');
+    if (!el) return;
+    const index = Number(el.dataset.index);
+    if (!selectedLessons.delete(index)) selectedLessons.add(index);
+    renderLessons(filteredLessons);
     resetFrom('result');
   });
 }
@@ -96,34 +243,49 @@ function resetFrom(step) {
   if (idx <= 0) {
     // Reset filters step
     fetchedEntries = [];
+    fetchedPeriod = null;
     filteredLessons = [];
   }
   if (idx <= 1) {
     // Reset lessons step
     filteredLessons = [];
+    selectedLessons = new Set();
     const list = document.getElementById('lessons-list');
     if (list) list.innerHTML = '';
+    const grid = document.getElementById('week-grid');
+    if (grid) grid.innerHTML = '';
   }
   if (idx <= 2) {
     // Reset result step
     lastResults = [];
+    slotChoices = {};
     const output = document.getElementById('result-output');
     if (output) output.value = '';
+    renderSlotChoices([]);
+    renderDiagnostics([]);
+    siteCopyPlan = [];
+    siteCopyOutcomes = {};
+    document.getElementById('site-copy')?.classList.add('hidden');
   }
 }
 
-/* ========== 1. Fetch month schedule ========== */
+/* ========== 1. Fetch the period's schedule ========== */
 
 async function fetchMonthSchedule() {
+  let period;
+  try {
+    period = selectedPeriod();
+  } catch (err) {
+    showStatus(err.message, false);
+    return;
+  }
+
   const btn = document.getElementById('btn-fetch-month');
   btn.disabled = true;
   btn.textContent = '⏳ Завантаження…';
 
   try {
-    const month = getVal('report-month');
-    const year = new Date().getFullYear();
-
-    const result = await sendMessage('FETCH_MONTH_SCHEDULE', { month, year });
+    const result = await sendMessage('FETCH_MONTH_SCHEDULE', period.toJSON());
 
     if (!result || result.error) {
       showStatus(result?.error || 'Не вдалося завантажити розклад.', false);
@@ -131,10 +293,11 @@ async function fetchMonthSchedule() {
     }
 
     fetchedEntries = result.entries || [];
-    lastTeacherName = result.teacherName || '';
+    fetchedPeriod = period;
+    lastTeacherName = appConfig.teacherName || result.teacherName || '';
 
     if (fetchedEntries.length === 0) {
-      showStatus('Занять за цей місяць не знайдено.', false);
+      showStatus(`Занять за ${period.displayLabel} не знайдено.`, false);
       return;
     }
 
@@ -144,6 +307,8 @@ async function fetchMonthSchedule() {
 
     populateMultiSelect('filter-groups', groups);
     populateMultiSelect('filter-subjects', subjects);
+    preselectDefaults('filter-groups', appConfig.defaultGroups || []);
+    preselectDefaults('filter-subjects', appConfig.defaultSubject ? [appConfig.defaultSubject] : []);
 
     document.getElementById('filters-card').classList.remove('hidden');
     document.getElementById('lessons-card').classList.add('hidden');
@@ -173,6 +338,16 @@ function populateMultiSelect(id, items) {
   });
 }
 
+/**
+ * Select only the profile's default values when the list has any of them;
+ * otherwise everything stays selected.
+ */
+function preselectDefaults(id, defaults) {
+  const sel = document.getElementById(id);
+  if (!sel || !Array.from(sel.options).some((o) => defaults.includes(o.value))) return;
+  for (const opt of sel.options) opt.selected = defaults.includes(opt.value);
+}
+
 /* ========== 3. Apply filters → show lessons ========== */
 
 async function applyFilters() {
@@ -189,7 +364,8 @@ async function applyFilters() {
     return;
   }
 
-  // Show lessons immediately (without topics yet)
+  // Show lessons immediately (without topics yet), all picked
+  selectedLessons = new Set(filteredLessons.map((_, i) => i));
   renderLessons(filteredLessons);
   document.getElementById('lessons-card').classList.remove('hidden');
   document.getElementById('result-card').classList.add('hidden');
@@ -227,7 +403,7 @@ function renderLessons(lessons) {
       ? `<span class="lesson-topic">${escapeHtml(l.topic)}</span>` : '';
     return `
     <label class="lesson-item${topicLine ? ' has-topic' : ''}">
-      <input type="checkbox" data-index="${i}" checked />
+      <input type="checkbox" data-index="${i}"${selectedLessons.has(i) ? ' checked' : ''} />
       <span class="lesson-date">${l.date}</span>
       <span class="lesson-pair">${l.pairNumber} пара</span>
       <span class="lesson-group">${l.group}</span>
@@ -235,11 +411,79 @@ function renderLessons(lessons) {
       ${topicLine}
     </label>`;
   }).join('');
+  renderWeekGrid();
 }
 
 function toggleAllLessons(checked) {
-  document.querySelectorAll('#lessons-list input[type="checkbox"]')
-    .forEach((cb) => { cb.checked = checked; });
+  selectedLessons = checked ? new Set(filteredLessons.map((_, i) => i)) : new Set();
+  renderLessons(filteredLessons);
+  resetFrom('result');
+}
+
+function toggleLessonsView() {
+  const grid = getVal('lessons-view') === 'grid';
+  document.getElementById('week-grid').classList.toggle('hidden', !grid);
+  document.getElementById('lessons-list').classList.toggle('hidden', grid);
+}
+
+/**
+ * Days × pairs grid of the whole fetched period, week by week. Lessons that
+ * match the filters can be picked for SlotFinder; the teacher's other
+ * lessons are shown greyed out, and free teaching pairs are green.
+ */
+function renderWeekGrid() {
+  const container = document.getElementById('week-grid');
+  document.getElementById('lessons-selected').textContent =
+    `Обрано ${selectedLessons.size} з ${filteredLessons.length} занять.`;
+  if (!fetchedPeriod) {
+    container.innerHTML = '';
+    return;
+  }
+
+  const filteredIndex = new Map(filteredLessons.map((l, i) => [l, i]));
+  const weeks = WeekGrid.build(fetchedEntries, {
+    start: fetchedPeriod.start,
+    end: fetchedPeriod.end,
+    pairNumbersFor: (date) => SmartSchoolConfig.getBellSchedule().pairNumbersFor(date),
+    isTeachingDay: (date) => SmartSchoolConfig.getAcademicCalendar().isTeachingDay(date),
+  });
+
+  const gridLesson = (entry) => {
+    const index = filteredIndex.get(entry);
+    const picked = index !== undefined && selectedLessons.has(index);
+    const classes = ['grid-lesson', index !== undefined ? 'selectable' : '', picked ? 'selected' : '']
+      .filter(Boolean).join(' ');
+    const title = [entry.group, entry.subject, entry.room, entry.topic].filter(Boolean).join('\n');
+    const topic = entry.topic ? `<span class="grid-topic">${escapeHtml(entry.topic)}</span>` : '';
+    return `
+      <div class="${classes}"${index !== undefined ? ` data-index="${index}"` : ''} title="${escapeAttr(title)}">
+        <span class="grid-group">${escapeHtml(entry.group)}</span>
+        <span>${escapeHtml(entry.subject)}</span>
+        <span>${escapeHtml(shortRoom(entry.room))}</span>
+        ${topic}
+      </div>`;
+  };
+
+  container.innerHTML = weeks.map((week) => `
+    <div class="week-title">${formatDateUA(week.start)} – ${formatDateUA(week.end)}</div>
+    <table class="week-table">
+      <thead><tr><th></th>${week.days.map((d) => `
+        <th>${WeekGrid.DAY_SHORT[d.weekday]}<br>${formatDateUA(d.date).slice(0, 5)}</th>`).join('')}
+      </tr></thead>
+      <tbody>${week.rows.map((row) => `
+        <tr><th>${row.pairNumber}</th>${row.cells.map((cell) => `
+          <td class="cell-${cell.state}"${cell.state === 'free' ? ' title="Вільна пара"' : ''}>
+            ${cell.lessons.map((i) => gridLesson(fetchedEntries[i])).join('')}
+          </td>`).join('')}
+        </tr>`).join('')}
+      </tbody>
+    </table>`).join('');
+}
+
+// "106. Лабораторія" → "106"
+function shortRoom(room) {
+  const match = /^\s*([^.\s]+)\./.exec(room || '');
+  return match ? match[1] : (room || '');
 }
 
 /* ========== 4. Find available slots ========== */
@@ -250,20 +494,20 @@ async function findAvailableSlots() {
   btn.textContent = '⏳ Пошук…';
 
   try {
-    const checkboxes = document.querySelectorAll('#lessons-list input[type="checkbox"]:checked');
-    const selectedLessons = Array.from(checkboxes).map((cb) => {
-      const idx = parseInt(cb.dataset.index, 10);
-      return filteredLessons[idx];
-    }).filter(Boolean);
+    const lessons = [...selectedLessons]
+      .sort((a, b) => a - b)
+      .map((i) => filteredLessons[i])
+      .filter(Boolean);
 
-    if (selectedLessons.length === 0) {
+    if (lessons.length === 0) {
       showStatus('Оберіть хоча б одне заняття.', false);
       return;
     }
 
     const result = await sendMessage('FIND_SLOTS_FOR_LESSONS', {
-      lessons: selectedLessons,
+      lessons,
       allTeacherEntries: fetchedEntries,
+      mode: getVal('slot-search-mode'),
     });
 
     if (!result || result.error) {
@@ -271,12 +515,8 @@ async function findAvailableSlots() {
       return;
     }
 
-    // Store results for report generation
-    lastResults = result.results || [];
-
-    // Show result textarea
-    const output = document.getElementById('result-output');
-    output.value = result.text || '';
+    slotChoices = {};
+    showSlotResults(result);
     document.getElementById('result-card').classList.remove('hidden');
     showStatus(`Знайдено ${result.slotCount || 0} вільних пар.`, true);
   } catch (err) {
@@ -287,6 +527,162 @@ async function findAvailableSlots() {
   }
 }
 
+/**
+ * Store results for report generation and refresh the result card.
+ */
+function showSlotResults(result) {
+  lastResults = result.results || [];
+  document.getElementById('result-output').value = result.text || '';
+  renderSlotChoices(lastResults);
+  renderDiagnostics(lastResults);
+  if (!document.getElementById('site-copy')?.classList.contains('hidden')) {
+    siteCopyPlan = LessonCopier.plan(lastResults);
+    renderSiteCopy();
+  }
+}
+
+/* ========== 4a. Choosing among alternatives ========== */
+
+function slotOptionLabel(slot) {
+  return `${formatDateUA(slot.date)} (${slot.dayName}) ${slot.pairNumber} пара${pairTimeLabel(slot.pairNumber, slot.date)}`;
+}
+
+/**
+ * One select per subgroup slot, offering the lesson's ranked alternatives.
+ */
+function renderSlotChoices(results) {
+  const container = document.getElementById('slot-choices');
+  if (!container) return;
+
+  container.innerHTML = results.map((r, lessonIndex) => {
+    if (!r.slots || r.slots.length === 0) return '';
+    const l = r.lesson;
+
+    const selects = r.slots.map((slot, i) => {
+      const label = r.slots.length > 1 ? `${SmartSchoolConfig.subgroupNumeral(i + 2)}:` : '';
+      const options = (r.alternatives || []).map((alt) => {
+        const value = `${alt.date}|${alt.pairNumber}`;
+        const selected = slot && slot.date === alt.date && slot.pairNumber === alt.pairNumber;
+        return `<option value="${value}"${selected ? ' selected' : ''}>${escapeHtml(slotOptionLabel(alt))}</option>`;
+      });
+      if (!slot) options.unshift('<option value="" selected>вільних пар не знайдено</option>');
+      return `
+        <div class="slot-choice-row">
+          <span>${label}</span>
+          <select class="input" data-lesson="${lessonIndex}">${options.join('')}</select>
+        </div>`;
+    }).join('');
+
+    return `
+      <div class="slot-choice">
+        <div class="slot-choice-title">${escapeHtml(`${formatDateUA(l.date)} ${l.pairNumber} пара · ${l.group} · ${l.subject}`)}</div>
+        ${selects}
+      </div>`;
+  }).join('');
+
+  container.querySelectorAll('select').forEach((sel) => {
+    sel.addEventListener('change', () => chooseSlot(Number(sel.dataset.lesson)));
+  });
+}
+
+/**
+ * Pin the lesson's selected slots and let the content script re-run the
+ * search, so the other lessons move out of the way.
+ */
+async function chooseSlot(lessonIndex) {
+  const selects = document.querySelectorAll(`#slot-choices select[data-lesson="${lessonIndex}"]`);
+  slotChoices[lessonIndex] = Array.from(selects)
+    .map((sel) => sel.value)
+    .filter(Boolean)
+    .map((value) => {
+      const [date, pairNumber] = value.split('|');
+      return { date, pairNumber: Number(pairNumber) };
+    });
+
+  try {
+    const result = await sendMessage('RESELECT_SLOTS', { choices: slotChoices });
+    if (!result || result.error) {
+      showStatus(result?.error || 'Не вдалося перерахувати пари.', false);
+      return;
+    }
+    showSlotResults(result);
+    showStatus('Вибір збережено, інші заняття перераховано.', true);
+  } catch (err) {
+    showStatus(`Помилка: ${err.message}`, false);
+  }
+}
+
+/* ========== 4b. Why no slot was found ========== */
+
+// Cell mark and CSS modifier per diagnostic status / first blocking reason
+const DIAGNOSTIC_MARKS = {
+  original:   { mark: '●', css: 'original' },
+  assigned:   { mark: '★', css: 'assigned' },
+  free:       { mark: '✓', css: 'free' },
+  teacher:    { mark: 'В', css: 'busy' },
+  group:      { mark: 'Г', css: 'busy' },
+  room:       { mark: 'К', css: 'busy' },
+  reserved:   { mark: 'Р', css: 'reserved' },
+  constraint: { mark: 'О', css: 'constraint' },
+  calendar:   { mark: '—', css: 'off' },
+  before:     { mark: '·', css: 'off' },
+};
+
+/**
+ * Render a day × pair grid for every lesson that still lacks a slot.
+ */
+function renderDiagnostics(results) {
+  const container = document.getElementById('diagnostic-list');
+  if (!container) return;
+
+  const unresolved = results.filter((r) => r.slots?.includes(null) && r.diagnostic?.length > 0);
+  container.classList.toggle('hidden', unresolved.length === 0);
+  if (unresolved.length === 0) {
+    container.innerHTML = '';
+    return;
+  }
+
+  container.innerHTML = `
+    <p class="hint">
+      Чому не знайдено пару: ● заняття, ★ запропоновано, ✓ вільно,
+      В — викладач, Г — група, К — кабінет, Р — інше заняття цього пошуку,
+      О — обмеження викладача, — неробочий день. Наведіть на клітинку для деталей.
+    </p>
+    ${unresolved.map(buildDiagnosticGrid).join('')}`;
+}
+
+function buildDiagnosticGrid(result) {
+  const l = result.lesson;
+  const cells = result.diagnostic;
+  const pairNums = [...new Set(cells.map((c) => c.pairNumber))].sort((a, b) => a - b);
+  const dates = [...new Set(cells.map((c) => c.date))];
+  const byKey = new Map(cells.map((c) => [`${c.date}|${c.pairNumber}`, c]));
+
+  const head = pairNums.map((p) => `<th>${p}</th>`).join('');
+  const rows = dates.map((date) => {
+    const dayCells = pairNums.map((p) => {
+      const c = byKey.get(`${date}|${p}`);
+      if (!c) return '<td></td>';
+      const { mark, css } = DIAGNOSTIC_MARKS[c.status === 'blocked' ? c.reasons[0].type : c.status];
+      const title = c.reasons.length > 0
+        ? c.reasons.map((r) => r.text).join('; ')
+        : { original: 'Оригінальне заняття', assigned: 'Запропонована пара', free: 'Вільно' }[c.status];
+      return `<td class="diag-${css}" title="${escapeAttr(title)}">${mark}</td>`;
+    }).join('');
+    const { dayName } = cells.find((c) => c.date === date);
+    return `<tr><th>${escapeHtml(dayName.slice(0, 2))} ${formatDateUA(date).slice(0, 5)}</th>${dayCells}</tr>`;
+  }).join('');
+
+  return `
+    <div class="diagnostic">
+      <div class="diagnostic-title">${escapeHtml(`${formatDateUA(l.date)} ${l.pairNumber} пара · ${l.group} · ${l.subject}`)}</div>
+      <table class="diagnostic-grid">
+        <thead><tr><th></th>${head}</tr></thead>
+        <tbody>${rows}</tbody>
+      </table>
+    </div>`;
+}
+
 /* ========== 5. Copy result ========== */
 
 async function copyResult() {
@@ -303,14 +699,7 @@ async function copyResult() {
   }
 }
 
-/* ========== 6. Download report (.doc) ========== */
-
-const UA_MONTHS_GEN = {
-  '01': 'січень', '02': 'лютий', '03': 'березень',
-  '04': 'квітень', '05': 'травень', '06': 'червень',
-  '07': 'липень', '08': 'серпень', '09': 'вересень',
-  '10': 'жовтень', '11': 'листопад', '12': 'грудень',
-};
+/* ========== 6. Download report (.docx / .xlsx / .pdf / .ics) ========== */
 
 function downloadReport() {
   if (!lastResults || lastResults.length === 0) {
@@ -318,47 +707,120 @@ function downloadReport() {
     return;
   }
 
-  const month = getVal('report-month');
-  const year = new Date().getFullYear();
-  const monthName = UA_MONTHS_GEN[month] || month;
-
-  // Group results by subject → group
-  const bySubject = {};
-  for (const r of lastResults) {
-    const subj = r.lesson.subject || 'Невідомо';
-    const grp = r.lesson.group || 'Невідомо';
-    if (!bySubject[subj]) bySubject[subj] = {};
-    if (!bySubject[subj][grp]) bySubject[subj][grp] = [];
-    bySubject[subj][grp].push(r);
-  }
+  const { monthName, year, fileLabel } = reportPeriod();
 
   // Shorten teacher name: "Кузьо Андрій Тарасович" → "Кузьо А.Т."
   const teacherShort = shortenName(lastTeacherName);
 
-  // Build HTML pages — one per subject+group combination
-  let pages = '';
-  let isFirst = true;
-  for (const [subject, groups] of Object.entries(bySubject)) {
-    for (const [groupName, results] of Object.entries(groups)) {
-      pages += buildGroupPage(subject, groupName, results, monthName, year, teacherShort, isFirst);
-      isFirst = false;
-    }
+  // One section (page) per subject+group combination
+  const doc = new DocxWriter();
+  const topics = planTopics();
+  for (const { subject, group, results } of ReportGenerator.groupResults(lastResults)) {
+    buildGroupPage(doc, subject, group, results, monthName, year, teacherShort, topics);
   }
 
-  const html = buildDocHtml(pages);
+  ReportGenerator.downloadBlob(doc.toBlob(), `графік_практичних_${fileLabel}.docx`);
+
+  showStatus('Звіт завантажено!', true);
+}
+
+function downloadXlsxReport() {
+  if (!lastResults || lastResults.length === 0) {
+    showStatus('Немає даних для звіту.', false);
+    return;
+  }
 
-  // Download as .doc
-  const blob = new Blob(['\ufeff' + html], { type: 'application/msword;charset=utf-8' });
-  const url = URL.createObjectURL(blob);
-  const a = document.createElement('a');
-  a.href = url;
-  a.download = `графік_практичних_${monthName}-${year}.doc`;
-  a.click();
-  URL.revokeObjectURL(url);
+  const { fileLabel } = reportPeriod();
+  const blob = ReportGenerator.generateScheduleWorkbook(lastResults, { topics: planTopics() });
+  ReportGenerator.downloadBlob(blob, `графік_практичних_${fileLabel}.xlsx`);
 
   showStatus('Звіт завантажено!', true);
 }
 
+async function downloadPdfReport() {
+  if (!lastResults || lastResults.length === 0) {
+    showStatus('Немає даних для звіту.', false);
+    return;
+  }
+
+  const btn = document.getElementById('btn-download-pdf');
+  btn.disabled = true;
+  try {
+    const { monthName, year, fileLabel } = reportPeriod();
+    const blob = ReportGenerator.generateSchedulePDF(lastResults, {
+      fonts: await loadPdfFonts(),
+      month: monthName,
+      year,
+      teacher: shortenName(lastTeacherName),
+      topics: planTopics(),
+    });
+    ReportGenerator.downloadBlob(blob, `графік_практичних_${fileLabel}.pdf`);
+    showStatus('Звіт завантажено!', true);
+  } catch (err) {
+    showStatus(`Помилка PDF: ${err.message}`, false);
+  } finally {
+    btn.disabled = false;
+  }
+}
+
+// Font files bundled with the extension (fonts/): regular, bold
+const PDF_FONT_FILES = ['DejaVuSerif.ttf', 'DejaVuSerif-Bold.ttf'];
+
+async function loadPdfFonts() {
+  if (!pdfFonts) {
+    const load = async (file) => {
+      const res = await fetch(chrome.runtime.getURL(`fonts/${file}`));
+      if (!res.ok) throw new Error(`шрифт ${file} не знайдено`);
+      return new Uint8Array(await res.arrayBuffer());
+    };
+    const [regular, bold] = await Promise.all(PDF_FONT_FILES.map(load));
+    pdfFonts = { regular, bold };
+  }
+  return pdfFonts;
+}
+
+function downloadSlotsIcs() {
+  if (!lastResults || !lastResults.some((r) => r.slots.some(Boolean))) {
+    showStatus('Немає знайдених пар для календаря.', false);
+    return;
+  }
+
+  const { fileLabel } = reportPeriod();
+  const blob = ReportGenerator.generateSlotsICS(lastResults);
+  ReportGenerator.downloadBlob(blob, `практичні_${fileLabel}.ics`);
+
+  showStatus('Календар завантажено!', true);
+}
+
+function exportMonthIcs() {
+  if (fetchedEntries.length === 0) {
+    showStatus('Спочатку завантажте розклад.', false);
+    return;
+  }
+
+  const { fileLabel } = reportPeriod();
+  const name = lastTeacherName ? `Розклад — ${shortenName(lastTeacherName)}` : 'Розклад';
+  const blob = ReportGenerator.generateEntriesICS(fetchedEntries, name);
+  ReportGenerator.downloadBlob(blob, `розклад_${fileLabel}.ics`);
+
+  showStatus(`У календар експортовано ${fetchedEntries.length} занять.`, true);
+}
+
+/**
+ * {month} / {year} of the report and the file-name part, from the fetched period.
+ */
+function reportPeriod() {
+  const period = fetchedPeriod || selectedPeriod();
+  return { monthName: period.monthLabel, year: period.yearLabel, fileLabel: period.fileLabel };
+}
+
+/**
+ * Topics from the curriculum plans for the found lessons that have none.
+ */
+function planTopics() {
+  return CurriculumPlan.reportTopics(SmartSchoolConfig.getCurriculumPlans(), lastResults);
+}
+
 function shortenName(full) {
   if (!full) return '';
   const parts = full.trim().split(/\s+/);
@@ -377,131 +839,1307 @@ function formatDateUA(dateStr) {
   return `${d}.${m}.${y}`;
 }
 
-function buildGroupPage(subject, groupName, results, monthName, year, teacher, isFirst) {
-  let rows = '';
-  results.forEach((r, idx) => {
-    const topicLabel = r.lesson.topic || `ПР ${idx + 1}`;
-    const origDate = formatDateUA(r.lesson.date);
-    const origPair = r.lesson.pairNumber;
-    const slotDate = r.slot ? formatDateUA(r.slot.date) : '—';
-    const slotPair = r.slot ? r.slot.pairNumber : '—';
-
-    // Subgroup I → original lesson slot, Subgroup II → found free slot
-    rows += `
-      <tr>
-        <td rowspan="2" style="text-align:center; vertical-align:middle;">${escapeHtml(topicLabel)}</td>
-        <td rowspan="2" style="text-align:center; vertical-align:middle;">${escapeHtml(groupName)}</td>
-        <td style="text-align:center;">І</td>
-        <td style="text-align:center;">${origDate}</td>
-        <td style="text-align:center;">${origPair} пара</td>
-      </tr>
-      <tr>
-        <td style="text-align:center;">ІІ</td>
-        <td style="text-align:center;">${slotDate}</td>
-        <td style="text-align:center;">${slotPair} пара</td>
-      </tr>`;
+/**
+ * " (08:00–09:20)" from the bell profile of that date, or '' when unknown.
+ */
+function pairTimeLabel(pairNumber, date) {
+  const pair = SmartSchoolConfig.getPairByNumber(pairNumber, date);
+  return pair ? ` (${pair.start}–${pair.end})` : '';
+}
+
+/**
+ * One paragraph per line of a template text; `last` / `first` options are
+ * merged into the last / first paragraph.
+ */
+function addLines(doc, text, options = {}, last = {}, first = {}) {
+  if (!text) return;
+  const lines = text.split('\n');
+  lines.forEach((line, i) => {
+    doc.paragraph(line, {
+      spaceAfter: 0,
+      ...options,
+      ...(i === 0 ? first : {}),
+      ...(i === lines.length - 1 ? last : {}),
+    });
   });
+}
 
-  const pageBreak = isFirst ? '' : '<div style="page-break-before:always;"></div>';
+/**
+ * Add one report section (new page) for a subject + group to a DocxWriter,
+ * laid out by the active ReportTemplate: approval header, title block,
+ * body text around the subgroup table.
+ */
+function buildGroupPage(doc, subject, groupName, results, monthName, year, teacher, topics) {
+  const rows = ReportGenerator.subgroupTableRows(results, groupName, { topics });
 
-  return `
-    ${pageBreak}
-    <p style="text-align:right; margin-bottom:0;">«Затверджую»</p>
-    <p style="text-align:right; margin-bottom:0;">Заступник директора</p>
-    <p style="text-align:right; margin-bottom:24pt;">з навчальної роботи<br/>_______Сарахман М.І</p>
-
-    <p style="text-align:center; font-size:14pt; font-weight:bold; margin-bottom:0;">Графік</p>
-    <p style="text-align:center; font-size:12pt; margin-bottom:0;">проведення практичних робіт</p>
-    <p style="text-align:center; font-size:12pt; margin-bottom:0;">з освітньої компоненти «${escapeHtml(subject)}»</p>
-    <p style="text-align:center; font-size:12pt; margin-bottom:24pt;">за ${escapeHtml(monthName)} ${year} р.</p>
-
-    <table border="1" cellpadding="4" cellspacing="0"
-           style="border-collapse:collapse; width:100%; font-size:12pt;">
-      <thead>
-        <tr style="font-weight:bold;">
-          <th style="width:25%;">№ Практичної роботи</th>
-          <th style="width:15%;">Група</th>
-          <th style="width:15%;">підгрупа</th>
-          <th style="width:22%;">дата</th>
-          <th style="width:23%;">пара</th>
-        </tr>
-      </thead>
-      <tbody>
-        ${rows}
-      </tbody>
-    </table>
-
-    <p style="margin-top:24pt;">Викладач: &nbsp;&nbsp;&nbsp;&nbsp;&nbsp;&nbsp;&nbsp;&nbsp;&nbsp;&nbsp; ${escapeHtml(teacher)}</p>
-  `;
-}
-
-function buildDocHtml(bodyContent) {
-  return `<html xmlns:o="urn:schemas-microsoft-com:office:office"
-      xmlns:w="urn:schemas-microsoft-com:office:word"
-      xmlns="http://www.w3.org/TR/REC-html40">
-<head>
-<meta charset="utf-8">
-<style>
-  @page { size: A4 portrait; margin: 2cm 1.5cm 2cm 2cm; }
-  body { font-family: 'Times New Roman', serif; font-size: 12pt; }
-  table { border-collapse: collapse; }
-  td, th { border: 1px solid #000; padding: 4pt 6pt; }
-  p { margin: 2pt 0; }
-</style>
-</head>
-<body>
-${bodyContent}
-</body>
-</html>`;
+  const template = SmartSchoolConfig.getReportTemplate().render({
+    subject, month: monthName, year, group: groupName, teacher,
+  });
+  const { columns } = template;
+
+  doc.section();
+  addLines(doc, template.header, { align: 'right' }, { spaceAfter: 24 });
+  addLines(doc, template.title, { align: 'center' }, { spaceAfter: 24 }, { bold: true, size: 14 });
+  addLines(doc, template.before);
+  doc.table({
+    columns: [
+      { header: columns.topic, width: 25 },
+      { header: columns.group, width: 15 },
+      { header: columns.subgroup, width: 15 },
+      { header: columns.date, width: 22 },
+      { header: columns.pair, width: 23 },
+    ],
+    rows,
+  });
+  addLines(doc, template.after);
 }
 
-/* ========== Helpers ========== */
+/* ========== 7. Create found slots on the site ========== */
 
-function uniqueBy(arr, key) {
-  const seen = new Set();
-  return arr.reduce((acc, item) => {
-    const val = item[key];
-    if (val && !seen.has(val)) {
-      seen.add(val);
-      acc.push(val);
-    }
-    return acc;
-  }, []);
+function toggleSiteCopy() {
+  const panel = document.getElementById('site-copy');
+  if (!panel.classList.contains('hidden')) {
+    panel.classList.add('hidden');
+    return;
+  }
+  if (!lastResults.some((r) => r.slots.some(Boolean))) {
+    showStatus('Немає знайдених пар для створення.', false);
+    return;
+  }
+
+  siteCopyPlan = LessonCopier.plan(lastResults);
+  renderSiteCopy();
+  panel.classList.remove('hidden');
 }
 
-function getSelectedValues(id) {
-  const sel = document.getElementById(id);
-  if (!sel) return [];
-  return Array.from(sel.selectedOptions).map((o) => o.value);
+/**
+ * One row per found slot: a checkbox for those that can be created, and
+ * the reason or the last outcome (dry-run, created, failed) next to it.
+ * What the site cannot do (other pairs, subgroups) is listed above.
+ */
+function renderSiteCopy() {
+  document.getElementById('site-copy-limits').innerHTML = LessonCopier.limits(siteCopyPlan)
+    .map((line) => `<p>⚠ ${escapeHtml(line)}</p>`).join('');
+
+  const list = document.getElementById('site-copy-list');
+  list.innerHTML = siteCopyPlan.map((op, i) => {
+    const outcome = siteCopyOutcomes[op.key];
+    const created = outcome?.status === 'created';
+    const enabled = op.ready && !created;
+
+    const status = !op.ready ? op.reason
+      : !outcome ? ''
+      : outcome.status === 'created' ? '✓ створено'
+      : outcome.status === 'failed' ? `✕ ${outcome.error}`
+      : 'буде створено';
+    const text = `${formatDateUA(op.date)} ${op.pairNumber} пара · ${op.group} · `
+      + `${SmartSchoolConfig.subgroupNumeral(op.subgroup)} підгрупа · ${op.subject}`;
+
+    return `
+      <label class="slot-item">
+        <input type="checkbox" data-index="${i}"${enabled ? ' checked' : ' disabled'} />
+        <span class="site-copy-text">${escapeHtml(text)}
+          <span class="site-copy-status ${outcome?.status || ''}">${escapeHtml(status)}</span>
+        </span>
+      </label>`;
+  }).join('');
 }
 
-function sendMessage(action, payload = {}) {
-  return new Promise((resolve) => {
-    chrome.runtime.sendMessage({ action, payload }, (response) => {
-      if (chrome.runtime.lastError) {
-        console.warn('[Smart School Helper] sendMessage error:', chrome.runtime.lastError.message);
-        resolve(undefined);
-        return;
-      }
-      resolve(response);
+/**
+ * Send the checked operations to the content script. A real run asks for
+ * confirmation first; a dry run only reports what would be created.
+ */
+async function copySlotsToSite(dryRun) {
+  const operations = Array.from(document.querySelectorAll('#site-copy-list input:checked'))
+    .map((cb) => siteCopyPlan[Number(cb.dataset.index)]);
+  if (operations.length === 0) {
+    showStatus('Оберіть хоча б одну пару.', false);
+    return;
+  }
+  const limits = LessonCopier.limits(operations).join('\n');
+  if (!dryRun && !confirm(`Створити на сайті ${operations.length} занять? Скасувати це з розширення не можна.\n\n${limits}`)) {
+    return;
+  }
+
+  const buttons = ['btn-site-copy-dry-run', 'btn-site-copy-run'].map((id) => document.getElementById(id));
+  buttons.forEach((btn) => { btn.disabled = true; });
+  try {
+    const result = await sendMessage('COPY_SLOTS_TO_SITE', {
+      operations,
+      dryRun,
+      checkCollisions: document.getElementById('site-copy-collisions').checked,
     });
-  });
+    if (!result || result.error) {
+      showStatus(result?.error || 'Не вдалося створити заняття.', false);
+      return;
+    }
+
+    for (const outcome of result.outcomes) siteCopyOutcomes[outcome.key] = outcome;
+    renderSiteCopy();
+
+    const { created, failed, dryRun: planned } = LessonCopier.summarize(result.outcomes);
+    if (dryRun) showStatus(`Перевірено: буде створено ${planned} занять.`, true);
+    else showStatus(`Створено ${created}, з помилкою ${failed}.`, failed === 0);
+  } catch (err) {
+    showStatus(`Помилка: ${err.message}`, false);
+  } finally {
+    buttons.forEach((btn) => { btn.disabled = false; });
+  }
 }
 
-function showStatus(text, success = true) {
-  const el = document.getElementById('status-msg');
-  if (!el) return;
-  el.textContent = text;
-  el.className = `status ${success ? 'success' : 'error'}`;
-  el.classList.remove('hidden');
-  setTimeout(() => el.classList.add('hidden'), 4000);
+/* ========== 8. Schedule change log ========== */
+
+async function renderChangeLog() {
+  const log = await sendMessage('GET_SCHEDULE_CHANGES');
+  const changes = log?.changes || [];
+  document.getElementById('changes-info').textContent = log?.lastCheck
+    ? `Остання перевірка: ${new Date(log.lastCheck).toLocaleString('uk-UA')}. Записів у журналі: ${changes.length}.`
+    : 'Перевірок ще не було — відкрийте сайт Smart School і натисніть «Перевірити зараз».';
+
+  document.getElementById('changes-list').innerHTML = changes.length === 0
+    ? '<p class="hint">Змін не виявлено.</p>'
+    : changes.map((c) => `
+      <div class="slot-item change-item ${c.type}">
+        <span>${escapeHtml(ScheduleDiff.describe(c))}</span>
+        <span class="slot-pair">${new Date(c.detectedAt).toLocaleDateString('uk-UA')}</span>
+      </div>`).join('');
 }
 
-function getVal(id) { return document.getElementById(id)?.value ?? ''; }
-function setVal(id, val) { const el = document.getElementById(id); if (el && val) el.value = val; }
-function on(id, event, handler) { document.getElementById(id)?.addEventListener(event, handler); }
-function escapeHtml(str) {
-  const div = document.createElement('div');
-  div.textContent = str;
-  return div.innerHTML;
+// Opening the tab counts as having seen the changes (clears the badge)
+async function openChangeLog() {
+  await Promise.all([renderChangeLog(), renderSnapshots()]);
+  await sendMessage('MARK_CHANGES_SEEN');
+}
+
+async function checkChangesNow() {
+  const btn = document.getElementById('btn-check-changes');
+  btn.disabled = true;
+  try {
+    const result = await sendMessage('CHECK_SCHEDULE_CHANGES');
+    if (!result || result.error) {
+      showStatus(result?.error || 'Не вдалося перевірити розклад.', false);
+      return;
+    }
+    await openChangeLog();
+    showStatus(result.changes.length > 0 ? `Нових змін: ${result.changes.length}.` : 'Змін немає.', true);
+  } catch (err) {
+    showStatus(`Помилка: ${err.message}`, false);
+  } finally {
+    btn.disabled = false;
+  }
+}
+
+async function clearChangeLog() {
+  const result = await sendMessage('CLEAR_SCHEDULE_CHANGES');
+  await renderChangeLog();
+  showStatus(result?.success ? 'Журнал змін очищено.' : 'Не вдалося очистити журнал.', Boolean(result?.success));
+}
+
+/* ---------- Comparing two snapshots ---------- */
+
+async function renderSnapshots() {
+  snapshots = (await sendMessage('GET_SCHEDULE_SNAPSHOTS')) || [];
+  const from = document.getElementById('snapshot-from');
+  const to = document.getElementById('snapshot-to');
+  for (const select of [from, to]) {
+    select.innerHTML = '';
+    snapshots.forEach((snap) => select.add(new Option(snapshotLabel(snap), snap.id)));
+  }
+  // Newest as "now", the one before it as "then"
+  if (snapshots.length > 1) from.value = snapshots[1].id;
+}
+
+// "14.04.2026 09:30 · 13.04.2026–26.04.2026 · 24 занять · фонова"
+function snapshotLabel(snap) {
+  const taken = new Date(snap.takenAt).toLocaleString('uk-UA', { dateStyle: 'short', timeStyle: 'short' });
+  const source = snap.source === 'watch' ? 'фонова' : 'вручну';
+  return `${taken} · ${formatDateUA(snap.start)}–${formatDateUA(snap.end)} · ${snap.entries.length} занять · ${source}`;
+}
+
+function compareSnapshots() {
+  const before = chosenSnapshot('snapshot-from');
+  const after = chosenSnapshot('snapshot-to');
+  if (!before || !after) {
+    showStatus('Потрібні два знімки — дочекайтесь фонової перевірки або збережіть знімок вручну.', false);
+    return;
+  }
+  if (before === after) {
+    showStatus('Оберіть два різні знімки.', false);
+    return;
+  }
+
+  const changes = ScheduleDiff.compare(before, after);
+  snapshotDiff = { before, after, changes };
+  const counts = ScheduleDiff.summarize(changes);
+  const summary = Object.entries(counts)
+    .filter(([, n]) => n > 0)
+    .map(([type, n]) => `${ScheduleDiff.TYPE_LABELS[type].toLowerCase()}: ${n}`)
+    .join(', ');
+
+  document.getElementById('snapshot-diff').classList.remove('hidden');
+  document.getElementById('snapshot-diff-summary').textContent = changes.length === 0
+    ? 'Змін немає (порівнюються лише дати, які є в обох знімках).'
+    : `Змін: ${changes.length} — ${summary}.`;
+  document.getElementById('snapshot-diff-list').innerHTML = changes.map((c) => `
+    <div class="slot-item change-item ${c.type}">
+      <span>${escapeHtml(ScheduleDiff.describe(c))}</span>
+    </div>`).join('');
+  document.getElementById('btn-diff-csv').disabled = changes.length === 0;
+}
+
+function chosenSnapshot(selectId) {
+  return snapshots.find((snap) => String(snap.id) === getVal(selectId));
+}
+
+async function saveSnapshot() {
+  if (!fetchedPeriod || fetchedEntries.length === 0) {
+    showStatus('Спочатку завантажте розклад на вкладці «Звіт».', false);
+    return;
+  }
+  const result = await sendMessage('SAVE_SCHEDULE_SNAPSHOT', {
+    ...fetchedPeriod.toJSON(),
+    teacherName: lastTeacherName,
+    entries: fetchedEntries,
+  });
+  if (!result?.success) {
+    showStatus('Не вдалося зберегти знімок.', false);
+    return;
+  }
+  await renderSnapshots();
+  showStatus(`Знімок за ${fetchedPeriod.displayLabel} збережено.`, true);
+}
+
+function downloadChangesCsv() {
+  if (!snapshotDiff) return;
+  const { before, after, changes } = snapshotDiff;
+  const day = (snap) => ScheduleDiff.localDay(snap.takenAt);
+  ReportGenerator.downloadBlob(
+    ReportGenerator.generateChangesCSV(changes),
+    `зміни_розкладу_${day(before)}_${day(after)}.csv`,
+  );
+}
+
+/* ========== 9. Timetable audit ========== */
+
+const AUDIT_LIST_KEYS = { teacher: 'teachers', group: 'groups', room: 'rooms' };
+
+function renderAuditTargets() {
+  const scope = getVal('audit-scope');
+  const sel = document.getElementById('audit-target');
+  const items = auditLists[AUDIT_LIST_KEYS[scope]] || [];
+  sel.innerHTML = '';
+  if (scope === 'teacher') sel.add(new Option('Я (поточний користувач)', ''));
+  else if (items.length === 0) sel.add(new Option('— завантажте списки —', ''));
+  for (const item of items) sel.add(new Option(item.name, item.id));
+}
+
+async function loadAuditLists() {
+  const btn = document.getElementById('btn-audit-load-lists');
+  btn.disabled = true;
+  try {
+    const data = await sendMessage('LOAD_FILTERS');
+    if (!data || data.error || !data.groups?.length) {
+      showStatus(data?.error || 'Відкрийте сайт Smart School, щоб завантажити списки.', false);
+      return;
+    }
+    auditLists = { teachers: data.teachers || [], groups: data.groups, rooms: data.rooms || [] };
+    renderAuditTargets();
+    showStatus(`Завантажено ${auditLists.teachers.length} викладачів, ${auditLists.groups.length} груп і ${auditLists.rooms.length} кабінетів.`, true);
+  } finally {
+    btn.disabled = false;
+  }
+}
+
+async function runAudit() {
+  let period;
+  try {
+    period = new ReportPeriod(getVal('audit-from'), getVal('audit-to'));
+  } catch (err) {
+    showStatus(err.message, false);
+    return;
+  }
+  const scope = getVal('audit-scope');
+  const id = getVal('audit-target');
+  if (scope !== 'teacher' && !id) {
+    showStatus('Оберіть групу або кабінет (спершу завантажте списки з сайту).', false);
+    return;
+  }
+
+  const btn = document.getElementById('btn-run-audit');
+  btn.disabled = true;
+  try {
+    const result = await sendMessage('FETCH_AUDIT_SCHEDULE', {
+      ...period.toJSON(),
+      scope,
+      id,
+      withTopics: document.getElementById('audit-topics').checked,
+    });
+    if (!result || result.error) {
+      showStatus(result?.error || 'Відкрийте сайт Smart School і спробуйте ще раз.', false);
+      return;
+    }
+    const issues = ConflictDetector.audit(result.entries, {
+      pairNumbersFor: (date) => SmartSchoolConfig.getBellSchedule().pairNumbersFor(date),
+    });
+    auditResult = { entries: result.entries, issues, period };
+    renderAudit();
+    showStatus(`Перевірено занять: ${result.entries.length}.`, true);
+  } catch (err) {
+    showStatus(`Помилка: ${err.message}`, false);
+  } finally {
+    btn.disabled = false;
+  }
+}
+
+function renderAudit() {
+  const { entries, issues } = auditResult;
+  const counts = ConflictDetector.summarize(issues);
+  const summary = Object.entries(counts)
+    .filter(([, n]) => n > 0)
+    .map(([type, n]) => `${ConflictDetector.AUDIT_TYPES[type].toLowerCase()}: ${n}`)
+    .join(', ');
+
+  document.getElementById('audit-result').classList.remove('hidden');
+  document.getElementById('audit-summary').textContent = issues.length === 0
+    ? `Проблем не знайдено (занять: ${entries.length}).`
+    : `Проблем: ${issues.length} — ${summary}.`;
+  document.getElementById('audit-list').innerHTML = issues.map((issue) => `
+    <div class="slot-item change-item ${ConflictDetector.CLASH_TYPES[issue.type] ? 'removed' : ''}">
+      <span>${escapeHtml(ConflictDetector.describe(issue))}</span>
+    </div>`).join('');
+  for (const id of ['btn-audit-csv', 'btn-audit-xlsx']) {
+    document.getElementById(id).disabled = issues.length === 0;
+  }
+}
+
+function downloadAudit(format) {
+  if (!auditResult) return;
+  const { entries, issues, period } = auditResult;
+  ReportGenerator.downloadBlob(
+    ReportGenerator.generateAuditReport(issues, entries, format),
+    `перевірка_розкладу_${period.start}_${period.end}.${format}`,
+  );
+}
+
+/* ========== 10. Workload ========== */
+
+// The semester when it is set in Settings, else the current month
+function prefillWorkloadPeriod() {
+  const now = new Date();
+  const period = appConfig.semesterStart && appConfig.semesterEnd
+    ? { start: appConfig.semesterStart, end: appConfig.semesterEnd }
+    : ReportPeriod.month(now.getFullYear(), now.getMonth() + 1);
+  setVal('workload-from', period.start);
+  setVal('workload-to', period.end);
+}
+
+async function calculateWorkload() {
+  let period;
+  try {
+    period = new ReportPeriod(getVal('workload-from'), getVal('workload-to'));
+  } catch (err) {
+    showStatus(err.message, false);
+    return;
+  }
+
+  const btn = document.getElementById('btn-workload');
+  btn.disabled = true;
+  try {
+    const result = await sendMessage('FETCH_MONTH_SCHEDULE', period.toJSON());
+    if (!result || result.error) {
+      showStatus(result?.error || 'Відкрийте сайт Smart School і спробуйте ще раз.', false);
+      return;
+    }
+    const report = WorkloadReport.build(result.entries, { plan: appConfig.plannedHours || [] });
+    workload = { entries: result.entries, report, period };
+    renderWorkload();
+    showStatus(`Навантаження за ${period.displayLabel} розраховано.`, true);
+  } catch (err) {
+    showStatus(`Помилка: ${err.message}`, false);
+  } finally {
+    btn.disabled = false;
+  }
+}
+
+function renderWorkload() {
+  const { report } = workload;
+  const planned = report.pairs.reduce((sum, r) => sum + (r.planned || 0), 0);
+  document.getElementById('workload-result').classList.remove('hidden');
+  document.getElementById('workload-summary').textContent =
+    `Занять: ${report.lessons}, годин: ${report.hours}` + (planned ? ` (план: ${planned}).` : '.');
+
+  const mark = { over: '▲', under: '▼', ok: '✓' };
+  const planCells = (r) => (r.planned === null
+    ? '<td></td><td></td>'
+    : `<td>${r.planned}</td><td class="workload-${r.status}" title="${escapeAttr(WorkloadReport.STATUS_LABELS[r.status])}">
+         ${mark[r.status]} ${r.diff > 0 ? '+' : ''}${r.diff}</td>`);
+  const table = (title, heading, rows, withPlan) => `
+    <h4 class="workload-heading">${title}</h4>
+    <table class="workload-table">
+      <thead><tr><th>${heading}</th><th>Год</th>${withPlan ? '<th>План</th><th>±</th>' : ''}</tr></thead>
+      <tbody>${rows.map(([name, r]) => `
+        <tr><td>${escapeHtml(name)}</td><td>${r.hours}</td>${withPlan ? planCells(r) : ''}</tr>`).join('')}
+      </tbody>
+    </table>`;
+
+  document.getElementById('workload-tables').innerHTML = [
+    table('План і факт', 'Дисципліна — група', report.pairs.map((r) => [`${r.subject} — ${r.group}`, r]), true),
+    table('Групи', 'Група', report.groups.map((r) => [r.group, r]), true),
+    table('Дисципліни', 'Дисципліна', report.subjects.map((r) => [r.subject, r]), true),
+    table('Тижні', 'Тиждень', report.weeks.map((r) => [`${formatDateUA(r.start)}–${formatDateUA(r.end)}`, r])),
+    table('Місяці', 'Місяць', report.months.map((r) =>
+      [ReportPeriod.month(r.month.slice(0, 4), r.month.slice(5, 7)).displayLabel, r])),
+  ].join('');
+}
+
+function downloadWorkload(format) {
+  if (!workload) return;
+  ReportGenerator.downloadBlob(
+    ReportGenerator.generateWorkloadReport(workload.report, format),
+    `навантаження_${workload.period.fileLabel}.${format}`,
+  );
+}
+
+/* ========== 11. Curriculum plan ========== */
+
+const PLAN_MARKS = { done: '✓', scheduled: '🗓', missing: '✕' };
+
+function renderCurriculumPlans(selected = getVal('plan-select')) {
+  const plans = SmartSchoolConfig.getCurriculumPlans();
+  const sel = document.getElementById('plan-select');
+  sel.innerHTML = '';
+  if (plans.length === 0) sel.add(new Option('— імпортуйте план —', ''));
+  plans.forEach((p, i) => sel.add(new Option(`${p.subject} — ${p.group} (${p.works.length} робіт)`, String(i))));
+  if (plans[selected]) sel.value = selected;
+  for (const id of ['btn-plan-progress', 'btn-plan-delete']) {
+    document.getElementById(id).disabled = plans.length === 0;
+  }
+
+  // Until a plan is imported, offer the profile's subject and groups
+  if (!getVal('plan-subject')) setVal('plan-subject', appConfig.defaultSubject);
+  if (!getVal('plan-groups')) setVal('plan-groups', (appConfig.defaultGroups || []).join(', '));
+}
+
+/**
+ * Store the works of a .csv / .xlsx file as the plan of the subject and of
+ * each listed group, replacing their previous plans.
+ */
+async function importPlanFile(event) {
+  const file = event.target.files?.[0];
+  if (!file) return;
+
+  const subject = getVal('plan-subject').trim();
+  const groups = getVal('plan-groups').split(',').map((g) => g.trim()).filter(Boolean);
+  if (!subject || groups.length === 0) {
+    showStatus('Вкажіть дисципліну та хоча б одну групу.', false);
+    event.target.value = '';
+    return;
+  }
+
+  try {
+    const rows = /\.xlsx$/i.test(file.name)
+      ? await XlsxReader.readRows(await file.arrayBuffer())
+      : CurriculumPlan.parseCSV(await file.text());
+    const works = CurriculumPlan.parseRows(rows);
+
+    let plans = SmartSchoolConfig.getCurriculumPlans();
+    for (const group of groups) plans = CurriculumPlan.upsert(plans, { subject, group, works });
+    if (!(await saveConfigPatch({ curriculumPlans: plans }))) {
+      showStatus('Не вдалося зберегти налаштування.', false);
+      return;
+    }
+    SmartSchoolConfig.setCurriculumPlans(plans);
+    renderCurriculumPlans(String(plans.indexOf(CurriculumPlan.find(plans, subject, groups[0]))));
+    document.getElementById('plan-progress').classList.add('hidden');
+    showStatus(`Імпортовано ${works.length} робіт для ${groups.join(', ')}.`, true);
+  } catch (err) {
+    showStatus(`Помилка імпорту: ${err.message}`, false);
+  } finally {
+    event.target.value = '';
+  }
+}
+
+async function deleteCurriculumPlan() {
+  const plans = SmartSchoolConfig.getCurriculumPlans();
+  const plan = plans[getVal('plan-select')];
+  if (!plan) return;
+  if (!confirm(`Видалити план «${plan.subject} — ${plan.group}»?`)) return;
+
+  const rest = plans.filter((p) => p !== plan);
+  if (await saveConfigPatch({ curriculumPlans: rest })) {
+    SmartSchoolConfig.setCurriculumPlans(rest);
+    renderCurriculumPlans('');
+    document.getElementById('plan-progress').classList.add('hidden');
+    showStatus(`План «${plan.subject} — ${plan.group}» видалено.`, true);
+  } else {
+    showStatus('Не вдалося зберегти налаштування.', false);
+  }
+}
+
+/**
+ * Match the selected plan against the semester's lessons of its subject and
+ * group; lesson topics are fetched for the lessons that have none.
+ */
+async function showPlanProgress() {
+  const plan = SmartSchoolConfig.getCurriculumPlans()[getVal('plan-select')];
+  if (!plan) return;
+  if (!appConfig.semesterStart || !appConfig.semesterEnd) {
+    showStatus('Вкажіть межі семестру (Налаштування → Навчальний календар).', false);
+    return;
+  }
+
+  const btn = document.getElementById('btn-plan-progress');
+  btn.disabled = true;
+  try {
+    const period = new ReportPeriod(appConfig.semesterStart, appConfig.semesterEnd);
+    const result = await sendMessage('FETCH_MONTH_SCHEDULE', period.toJSON());
+    if (!result || result.error) {
+      showStatus(result?.error || 'Відкрийте сайт Smart School і спробуйте ще раз.', false);
+      return;
+    }
+
+    const lessons = result.entries.filter((e) => CurriculumPlan.find([plan], e.subject, e.group));
+    const untitled = lessons.filter((e) => !e.topic);
+    if (untitled.length > 0) {
+      const details = await sendMessage('FETCH_LESSON_DETAILS', { entries: untitled });
+      if (details?.success) untitled.forEach((e, i) => { e.topic = details.entries[i]?.topic || ''; });
+    }
+
+    const progress = CurriculumPlan.progress(plan.works, lessons, {
+      today: DateUtils.today(),
+    });
+    renderPlanProgress(plan, progress, lessons);
+    showStatus(`Занять «${plan.subject}» у групі ${plan.group} за семестр: ${lessons.length}.`, true);
+  } catch (err) {
+    showStatus(`Помилка: ${err.message}`, false);
+  } finally {
+    btn.disabled = false;
+  }
+}
+
+function renderPlanProgress(plan, progress, lessons) {
+  const { counts, unmatched } = progress;
+  document.getElementById('plan-progress').classList.remove('hidden');
+  document.getElementById('plan-progress-summary').textContent =
+    `Виконано ${counts.done}, заплановано ${counts.scheduled}, не заплановано ${counts.missing} з ${plan.works.length} робіт.`
+    + (unmatched.length ? ` Занять поза планом: ${unmatched.length}.` : '');
+
+  const statusClass = { done: 'added', scheduled: '', missing: 'removed' };
+  document.getElementById('plan-progress-list').innerHTML = progress.works.map((w) => {
+    const dates = w.lessons.map((i) => formatDateUA(lessons[i].date)).join(', ');
+    return `
+    <div class="slot-item change-item ${statusClass[w.status]}" title="${escapeAttr(CurriculumPlan.STATUS_LABELS[w.status])}">
+      <span>${PLAN_MARKS[w.status]} ${escapeHtml(CurriculumPlan.label(w))} — ${w.taught}/${w.hours} год${dates ? ` (${dates})` : ''}</span>
+    </div>`;
+  }).join('');
+}
+
+/* ========== Settings: teacher profile ========== */
+
+const TEACHER_ID_PATTERN = /^\d+$/;
+const MAX_TEACHER_NAME = 100;
+
+function renderProfileSettings() {
+  document.getElementById('profile-teacher-name').value = appConfig.teacherName || '';
+  document.getElementById('profile-teacher-id').value = appConfig.defaultTeacherId || '';
+
+  // Until the lists are loaded from the site, offer just the saved choices
+  const subjects = appConfig.defaultPredmetId
+    ? [{ id: appConfig.defaultPredmetId, name: appConfig.defaultSubject || appConfig.defaultPredmetId }]
+    : [];
+  const groups = (appConfig.defaultGroups || []).map((name) => ({ id: name, name }));
+  fillProfileLists(subjects, groups, appConfig.defaultPredmetId || '', appConfig.defaultGroups || []);
+}
+
+/**
+ * Subject options carry the PREDMET_ID; group options carry the group name,
+ * as the report filters match groups by name.
+ */
+function fillProfileLists(subjects, groups, selectedSubject, selectedGroups) {
+  const subjectSel = document.getElementById('profile-subject');
+  subjectSel.innerHTML = '';
+  subjectSel.add(new Option('— не обрано —', ''));
+  for (const s of subjects) subjectSel.add(new Option(s.name, s.id, false, s.id === selectedSubject));
+
+  const groupSel = document.getElementById('profile-groups');
+  groupSel.innerHTML = '';
+  for (const g of groups) {
+    const selected = selectedGroups.includes(g.name);
+    groupSel.add(new Option(g.name, g.name, selected, selected));
+  }
+}
+
+async function fillProfileFromSite() {
+  const user = await sendMessage('GET_CURRENT_USER');
+  if (!user || user.error || (!user.name && !user.teacherId)) {
+    showStatus(user?.error || 'Не вдалося визначити користувача — увійдіть на сайт Smart School.', false);
+    return;
+  }
+  if (user.name) document.getElementById('profile-teacher-name').value = user.name;
+  if (user.teacherId) document.getElementById('profile-teacher-id').value = user.teacherId;
+  showStatus('Профіль заповнено з сайту — збережіть, щоб застосувати.', true);
+}
+
+async function loadProfileFilters() {
+  const btn = document.getElementById('btn-profile-load-filters');
+  btn.disabled = true;
+  try {
+    const data = await sendMessage('LOAD_FILTERS');
+    if (!data || data.error || !data.groups?.length) {
+      showStatus(data?.error || 'Відкрийте сайт Smart School, щоб завантажити списки.', false);
+      return;
+    }
+    const subjects = data.subjects || [];
+    fillProfileLists(subjects, data.groups, getVal('profile-subject'), getSelectedValues('profile-groups'));
+    showStatus(`Завантажено ${subjects.length} дисциплін і ${data.groups.length} груп.`, true);
+  } finally {
+    btn.disabled = false;
+  }
+}
+
+async function saveProfileSettings() {
+  const teacherName = getVal('profile-teacher-name').trim().replace(/\s+/g, ' ');
+  const defaultTeacherId = getVal('profile-teacher-id').trim();
+  if (teacherName.length > MAX_TEACHER_NAME) {
+    showStatus(`ПІБ задовге (максимум ${MAX_TEACHER_NAME} символів).`, false);
+    return;
+  }
+  if (defaultTeacherId && !TEACHER_ID_PATTERN.test(defaultTeacherId)) {
+    showStatus('ID викладача має складатися лише з цифр.', false);
+    return;
+  }
+
+  const subjectSel = document.getElementById('profile-subject');
+  const patch = {
+    teacherName,
+    defaultTeacherId,
+    defaultPredmetId: subjectSel.value,
+    defaultSubject: subjectSel.value ? subjectSel.selectedOptions[0].textContent : '',
+    defaultGroups: getSelectedValues('profile-groups'),
+  };
+  if (await saveConfigPatch(patch)) {
+    showStatus('Профіль збережено.', true);
+  } else {
+    showStatus('Не вдалося зберегти налаштування.', false);
+  }
+}
+
+/* ========== Settings: bell schedules ========== */
+
+const BELL_WEEKDAYS = [1, 2, 3, 4, 5, 6];
+
+function renderBellSettings() {
+  const saved = SmartSchoolConfig.getBellSchedule().toJSON();
+  bellDraft = {
+    profiles:  { ...saved.profiles },
+    weekdays:  { ...saved.weekdays },
+    overrides: { ...saved.overrides },
+  };
+
+  renderBellProfileOptions();
+  showBellProfile();
+  renderBellWeekdays();
+
+  document.getElementById('bell-overrides').value = Object.entries(bellDraft.overrides)
+    .sort(([a], [b]) => a.localeCompare(b))
+    .map(([date, name]) => `${date} ${name}`)
+    .join('\n');
+}
+
+function renderBellProfileOptions(selected) {
+  const sel = document.getElementById('bell-profile');
+  const names = new BellSchedule(bellDraft).profileNames();
+  sel.innerHTML = names
+    .map((n) => `<option value="${escapeHtml(n)}">${escapeHtml(n)}</option>`)
+    .join('');
+  sel.value = selected && names.includes(selected) ? selected : names[0];
+  sel.dataset.current = sel.value;
+}
+
+function renderBellWeekdays() {
+  const names = Object.keys(bellDraft.profiles);
+  const container = document.getElementById('bell-weekdays');
+  container.innerHTML = BELL_WEEKDAYS.map((day) => {
+    const options = ['<option value="">за замовчуванням</option>', ...names.map((n) =>
+      `<option value="${escapeHtml(n)}"${bellDraft.weekdays[day] === n ? ' selected' : ''}>${escapeHtml(n)}</option>`
+    )].join('');
+    return `
+      <div class="weekday-cell">
+        <span>${SmartSchoolConfig.DAY_NAMES[day]}</span>
+        <select class="input" data-weekday="${day}">${options}</select>
+      </div>`;
+  }).join('');
+}
+
+/**
+ * Parse the pairs textarea into the profile it was showing.
+ * Returns false (and reports the error) when the text is malformed.
+ */
+function commitBellPairs() {
+  const sel = document.getElementById('bell-profile');
+  const name = sel.dataset.current;
+  if (!name) return true;
+  try {
+    const pairs = BellSchedule.parsePairsText(getVal('bell-pairs'));
+    if (pairs.length === 0) throw new Error(`Профіль «${name}» не містить жодної пари`);
+    bellDraft.profiles[name] = pairs;
+    return true;
+  } catch (err) {
+    showStatus(err.message, false);
+    return false;
+  }
+}
+
+/**
+ * Keep the edited pairs of the previous profile before showing the next one;
+ * stay on the previous profile while its text is invalid.
+ */
+function switchBellProfile() {
+  const sel = document.getElementById('bell-profile');
+  const next = sel.value;
+  sel.value = sel.dataset.current;
+  if (!commitBellPairs()) return;
+  sel.value = next;
+  showBellProfile();
+}
+
+function showBellProfile() {
+  const sel = document.getElementById('bell-profile');
+  sel.dataset.current = sel.value;
+  document.getElementById('bell-pairs').value =
+    BellSchedule.formatPairsText(bellDraft.profiles[sel.value] || []);
+}
+
+function addBellProfile() {
+  const name = getVal('bell-new-profile').trim();
+  if (!name) {
+    showStatus('Вкажіть назву профілю.', false);
+    return;
+  }
+  if (bellDraft.profiles[name]) {
+    showStatus(`Профіль «${name}» вже існує.`, false);
+    return;
+  }
+  if (!commitBellPairs()) return;
+
+  // Start from the default profile's times — usually only a few pairs differ
+  bellDraft.profiles[name] = new BellSchedule(bellDraft).profile(BellSchedule.DEFAULT_PROFILE);
+  document.getElementById('bell-new-profile').value = '';
+  collectBellWeekdays();
+  renderBellProfileOptions(name);
+  showBellProfile();
+  renderBellWeekdays();
+}
+
+function deleteBellProfile() {
+  const name = getVal('bell-profile');
+  if (name === BellSchedule.DEFAULT_PROFILE) {
+    showStatus('Профіль за замовчуванням видалити не можна.', false);
+    return;
+  }
+  delete bellDraft.profiles[name];
+  collectBellWeekdays();
+  for (const [day, profile] of Object.entries(bellDraft.weekdays)) {
+    if (profile === name) delete bellDraft.weekdays[day];
+  }
+  for (const [date, profile] of Object.entries(bellDraft.overrides)) {
+    if (profile === name) delete bellDraft.overrides[date];
+  }
+  document.getElementById('bell-profile').dataset.current = '';
+  renderBellProfileOptions();
+  showBellProfile();
+  renderBellWeekdays();
+}
+
+function collectBellWeekdays() {
+  bellDraft.weekdays = {};
+  document.querySelectorAll('#bell-weekdays select').forEach((sel) => {
+    if (sel.value) bellDraft.weekdays[sel.dataset.weekday] = sel.value;
+  });
+}
+
+function parseBellOverrides(text) {
+  const overrides = {};
+  const lines = text.split(/\r?\n/).map((l) => l.trim()).filter(Boolean);
+  for (const line of lines) {
+    const m = line.match(/^(\d{4}-\d{2}-\d{2})\s+(.+)$/);
+    if (!m) throw new Error(`Невірний рядок винятку: «${line}»`);
+    if (!bellDraft.profiles[m[2]]) throw new Error(`Невідомий профіль «${m[2]}» для ${m[1]}`);
+    overrides[m[1]] = m[2];
+  }
+  return overrides;
+}
+
+async function saveBellSettings() {
+  if (!commitBellPairs()) return;
+  collectBellWeekdays();
+  try {
+    bellDraft.overrides = parseBellOverrides(getVal('bell-overrides'));
+  } catch (err) {
+    showStatus(err.message, false);
+    return;
+  }
+
+  const bellSchedules = new BellSchedule(bellDraft).toJSON();
+  if (await saveConfigPatch({ bellSchedules })) {
+    SmartSchoolConfig.setBellSchedule(bellSchedules);
+    showStatus('Розклад дзвінків збережено.', true);
+  } else {
+    showStatus('Не вдалося зберегти налаштування.', false);
+  }
+}
+
+/* ========== Settings: academic calendar ========== */
+
+function renderCalendarSettings() {
+  const calendar = SmartSchoolConfig.getAcademicCalendar().toJSON();
+  document.getElementById('calendar-semester-start').value = calendar.semesterStart || '';
+  document.getElementById('calendar-semester-end').value = calendar.semesterEnd || '';
+  document.getElementById('calendar-rules').value = AcademicCalendar.toCSV(calendar);
+}
+
+/**
+ * Append the rules from an .ics / .csv file to the textarea (not saved yet).
+ */
+async function importCalendarFile(event) {
+  const file = event.target.files?.[0];
+  if (!file) return;
+
+  try {
+    const text = await file.text();
+    const imported = /\.ics$/i.test(file.name) || text.includes('BEGIN:VCALENDAR')
+      ? AcademicCalendar.parseICS(text)
+      : AcademicCalendar.parseCSV(text);
+
+    if (imported.semesterStart) {
+      setVal('calendar-semester-start', imported.semesterStart);
+      setVal('calendar-semester-end', imported.semesterEnd);
+    }
+
+    const existing = AcademicCalendar.parseCSV(getVal('calendar-rules'));
+    const merged = {
+      holidays:  [...existing.holidays, ...imported.holidays],
+      vacations: [...existing.vacations, ...imported.vacations],
+      transfers: [...existing.transfers, ...imported.transfers],
+    };
+    document.getElementById('calendar-rules').value = AcademicCalendar.toCSV(merged);
+
+    const count = imported.holidays.length + imported.vacations.length + imported.transfers.length;
+    showStatus(`Імпортовано ${count} записів. Перевірте та збережіть.`, true);
+  } catch (err) {
+    showStatus(`Помилка імпорту: ${err.message}`, false);
+  } finally {
+    event.target.value = '';
+  }
+}
+
+async function saveCalendarSettings() {
+  const semesterStart = getVal('calendar-semester-start');
+  const semesterEnd = getVal('calendar-semester-end');
+  if (semesterStart && semesterEnd && semesterEnd < semesterStart) {
+    showStatus('Кінець семестру раніше за початок.', false);
+    return;
+  }
+
+  let rules;
+  try {
+    rules = AcademicCalendar.parseCSV(getVal('calendar-rules'));
+  } catch (err) {
+    showStatus(err.message, false);
+    return;
+  }
+
+  const patch = {
+    semesterStart,
+    semesterEnd,
+    academicCalendar: {
+      holidays:  rules.holidays,
+      vacations: rules.vacations,
+      transfers: rules.transfers,
+    },
+  };
+  if (await saveConfigPatch(patch)) {
+    SmartSchoolConfig.setAcademicCalendar(appConfig);
+    showStatus('Календар збережено.', true);
+  } else {
+    showStatus('Не вдалося зберегти налаштування.', false);
+  }
+}
+
+/* ========== Settings: search window ========== */
+
+const MAX_WINDOW_WEEKS = 12;
+const MAX_WINDOW_DAYS = 90;
+
+function renderWindowSettings() {
+  const w = SlotFinder.normalizeWindow(appConfig.searchWindow);
+  document.getElementById('window-mode').value = w.mode;
+  document.getElementById('window-weeks-ahead').value = w.weeksAhead;
+  document.getElementById('window-days-before').value = w.daysBefore;
+  document.getElementById('window-days-after').value = w.daysAfter;
+  document.getElementById('window-allow-before').checked = w.allowBeforeOriginal;
+  toggleWindowMode();
+}
+
+function toggleWindowMode() {
+  const days = getVal('window-mode') === 'days';
+  document.getElementById('window-weeks').classList.toggle('hidden', days);
+  document.getElementById('window-days').classList.toggle('hidden', !days);
+}
+
+async function saveWindowSettings() {
+  const searchWindow = {
+    mode:       getVal('window-mode'),
+    weeksAhead: parseInt(getVal('window-weeks-ahead'), 10) || 0,
+    daysBefore: parseInt(getVal('window-days-before'), 10) || 0,
+    daysAfter:  parseInt(getVal('window-days-after'), 10) || 0,
+    allowBeforeOriginal: document.getElementById('window-allow-before').checked,
+  };
+
+  if (searchWindow.weeksAhead < 0 || searchWindow.weeksAhead > MAX_WINDOW_WEEKS) {
+    showStatus(`Кількість тижнів має бути від 0 до ${MAX_WINDOW_WEEKS}.`, false);
+    return;
+  }
+  if ([searchWindow.daysBefore, searchWindow.daysAfter].some((n) => n < 0 || n > MAX_WINDOW_DAYS)) {
+    showStatus(`Кількість днів має бути від 0 до ${MAX_WINDOW_DAYS}.`, false);
+    return;
+  }
+  if (searchWindow.mode === 'days' && searchWindow.daysAfter === 0 && !searchWindow.allowBeforeOriginal) {
+    showStatus('Вікно порожнє: збільште «Днів після» або дозвольте пари раніше заняття.', false);
+    return;
+  }
+
+  if (await saveConfigPatch({ searchWindow: SlotFinder.normalizeWindow(searchWindow) })) {
+    showStatus('Вікно пошуку збережено.', true);
+  } else {
+    showStatus('Не вдалося зберегти налаштування.', false);
+  }
+}
+
+/* ========== Settings: teacher constraints ========== */
+
+function renderConstraintSettings() {
+  const saved = SmartSchoolConfig.getTeacherConstraints().toJSON();
+
+  document.getElementById('constraint-weekdays').innerHTML = BELL_WEEKDAYS.map((day) => `
+    <label>
+      <input type="checkbox" value="${day}"${saved.blockedWeekdays.includes(day) ? ' checked' : ''} />
+      ${TeacherConstraints.WEEKDAY_SHORT[day]}
+    </label>`).join('');
+
+  document.getElementById('constraint-blocked-pairs').value = saved.blockedPairs.join(', ');
+  document.getElementById('constraint-preferred-pairs').value = saved.preferredPairs.join(', ');
+  document.getElementById('constraint-blocked-slots').value = TeacherConstraints.formatSlotsText(saved.blockedSlots);
+  document.getElementById('constraint-max-per-day').value = saved.maxPairsPerDay || '';
+  document.getElementById('constraint-max-consecutive').value = saved.maxConsecutive || '';
+}
+
+async function saveConstraintSettings() {
+  let teacherConstraints;
+  try {
+    teacherConstraints = {
+      blockedWeekdays: Array.from(document.querySelectorAll('#constraint-weekdays input:checked'))
+        .map((cb) => Number(cb.value)),
+      blockedPairs:   TeacherConstraints.parsePairList(getVal('constraint-blocked-pairs')),
+      preferredPairs: TeacherConstraints.parsePairList(getVal('constraint-preferred-pairs')),
+      blockedSlots:   TeacherConstraints.parseSlotsText(getVal('constraint-blocked-slots')),
+      maxPairsPerDay: parseInt(getVal('constraint-max-per-day'), 10) || 0,
+      maxConsecutive: parseInt(getVal('constraint-max-consecutive'), 10) || 0,
+    };
+  } catch (err) {
+    showStatus(err.message, false);
+    return;
+  }
+
+  if (teacherConstraints.maxPairsPerDay < 0 || teacherConstraints.maxConsecutive < 0) {
+    showStatus('Ліміти пар не можуть бути відʼємними.', false);
+    return;
+  }
+
+  SmartSchoolConfig.setTeacherConstraints(teacherConstraints);
+  if (await saveConfigPatch({ teacherConstraints: SmartSchoolConfig.getTeacherConstraints().toJSON() })) {
+    showStatus('Обмеження збережено.', true);
+  } else {
+    showStatus('Не вдалося зберегти налаштування.', false);
+  }
+}
+
+/* ========== Settings: report template ========== */
+
+const TEMPLATE_TEXT_FIELDS = ['approver', 'position', 'header', 'title', 'body'];
+
+function renderTemplateSettings(settings = SmartSchoolConfig.getReportTemplate().toJSON()) {
+  for (const field of TEMPLATE_TEXT_FIELDS) {
+    document.getElementById(`template-${field}`).value = settings[field];
+  }
+
+  // Values are set as properties: headings may contain quotes
+  const container = document.getElementById('template-columns');
+  container.innerHTML = ReportTemplate.COLUMN_KEYS
+    .map((key) => `<input class="input" type="text" data-key="${key}" />`)
+    .join('');
+  container.querySelectorAll('input').forEach((input) => {
+    input.value = settings.columns[input.dataset.key];
+    input.placeholder = ReportTemplate.DEFAULTS.columns[input.dataset.key];
+  });
+}
+
+function resetTemplateSettings() {
+  renderTemplateSettings(new ReportTemplate().toJSON());
+  showStatus('Типовий шаблон відновлено — збережіть, щоб застосувати.', true);
+}
+
+async function saveTemplateSettings() {
+  const reportTemplate = { columns: {} };
+  for (const field of TEMPLATE_TEXT_FIELDS) reportTemplate[field] = getVal(`template-${field}`);
+  document.querySelectorAll('#template-columns input').forEach((input) => {
+    reportTemplate.columns[input.dataset.key] = input.value.trim();
+  });
+
+  const unknown = ReportTemplate.unknownPlaceholders(
+    [...TEMPLATE_TEXT_FIELDS.map((f) => reportTemplate[f]), ...Object.values(reportTemplate.columns)].join('\n')
+  );
+  if (unknown.length > 0) {
+    showStatus(`Невідомі підстановки: ${unknown.join(', ')}`, false);
+    return;
+  }
+
+  SmartSchoolConfig.setReportTemplate(reportTemplate);
+  const saved = SmartSchoolConfig.getReportTemplate().toJSON();
+  renderTemplateSettings(saved);
+  if (await saveConfigPatch({ reportTemplate: saved })) {
+    showStatus('Шаблон звіту збережено.', true);
+  } else {
+    showStatus('Не вдалося зберегти налаштування.', false);
+  }
+}
+
+/* ========== Settings: subgroups ========== */
+
+const MAX_SUBGROUPS = 8;
+const MAX_SUBGROUP_LABEL = 40;
+
+function renderSubgroupSettings() {
+  document.getElementById('subgroup-count').value = SmartSchoolConfig.subgroupCountFor(appConfig, '');
+  document.getElementById('subgroup-label').value = appConfig.subgroupLabel || '';
+  document.getElementById('subgroup-groups').value = Object.entries(appConfig.groupSubgroupCounts || {})
+    .map(([group, count]) => `${group} ${count}`)
+    .join('\n');
+}
+
+/**
+ * Parse "назва групи N" lines; the group name may contain spaces.
+ */
+function parseGroupSubgroupCounts(text) {
+  const counts = {};
+  const lines = text.split(/\r?\n/).map((l) => l.trim()).filter(Boolean);
+  for (const line of lines) {
+    const m = line.match(/^(.+?)\s+(\d+)$/);
+    if (!m) throw new Error(`Невірний рядок: «${line}» (очікується «група кількість»)`);
+    const count = parseInt(m[2], 10);
+    if (count < 1 || count > MAX_SUBGROUPS) {
+      throw new Error(`Кількість підгруп для «${m[1]}» має бути від 1 до ${MAX_SUBGROUPS}`);
+    }
+    counts[m[1]] = count;
+  }
+  return counts;
+}
+
+async function saveSubgroupSettings() {
+  const subgroupCount = parseInt(getVal('subgroup-count'), 10);
+  if (!(subgroupCount >= 1 && subgroupCount <= MAX_SUBGROUPS)) {
+    showStatus(`Кількість підгруп має бути від 1 до ${MAX_SUBGROUPS}.`, false);
+    return;
+  }
+
+  const subgroupLabel = getVal('subgroup-label').trim();
+  if (!subgroupLabel || subgroupLabel.length > MAX_SUBGROUP_LABEL) {
+    showStatus(`Підпис підгрупи має містити від 1 до ${MAX_SUBGROUP_LABEL} символів.`, false);
+    return;
+  }
+
+  let groupSubgroupCounts;
+  try {
+    groupSubgroupCounts = parseGroupSubgroupCounts(getVal('subgroup-groups'));
+  } catch (err) {
+    showStatus(err.message, false);
+    return;
+  }
+
+  if (await saveConfigPatch({ subgroupCount, groupSubgroupCounts, subgroupLabel })) {
+    showStatus('Підгрупи збережено.', true);
+  } else {
+    showStatus('Не вдалося зберегти налаштування.', false);
+  }
+}
+
+/* ========== Settings: planned hours ========== */
+
+function renderPlanSettings() {
+  document.getElementById('workload-plan').value = WorkloadReport.formatPlanText(appConfig.plannedHours);
+}
+
+async function savePlanSettings() {
+  let plannedHours;
+  try {
+    plannedHours = WorkloadReport.parsePlanText(getVal('workload-plan'));
+  } catch (err) {
+    showStatus(err.message, false);
+    return;
+  }
+
+  if (await saveConfigPatch({ plannedHours })) {
+    renderPlanSettings();
+    if (workload) {
+      workload.report = WorkloadReport.build(workload.entries, { plan: plannedHours });
+      renderWorkload();
+    }
+    showStatus(`План збережено (${plannedHours.length} рядків).`, true);
+  } else {
+    showStatus('Не вдалося зберегти налаштування.', false);
+  }
+}
+
+/* ========== Settings: change detection ========== */
+
+const DEFAULT_WATCH_INTERVAL = 60;
+const DEFAULT_WATCH_WEEKS = 2;
+const MIN_WATCH_INTERVAL = 15;
+const MAX_WATCH_INTERVAL = 1440;
+const MAX_WATCH_WEEKS = 8;
+
+function renderWatchSettings() {
+  document.getElementById('watch-enabled').checked = appConfig.watchEnabled ?? true;
+  document.getElementById('watch-interval').value = appConfig.watchIntervalMinutes || DEFAULT_WATCH_INTERVAL;
+  document.getElementById('watch-weeks').value = appConfig.watchWeeks || DEFAULT_WATCH_WEEKS;
+}
+
+async function saveWatchSettings() {
+  const watchEnabled = document.getElementById('watch-enabled').checked;
+  const watchIntervalMinutes = Number(getVal('watch-interval'));
+  const watchWeeks = Number(getVal('watch-weeks'));
+
+  if (!Number.isInteger(watchIntervalMinutes)
+      || watchIntervalMinutes < MIN_WATCH_INTERVAL || watchIntervalMinutes > MAX_WATCH_INTERVAL) {
+    showStatus(`Інтервал — від ${MIN_WATCH_INTERVAL} до ${MAX_WATCH_INTERVAL} хвилин.`, false);
+    return;
+  }
+  if (!Number.isInteger(watchWeeks) || watchWeeks < 1 || watchWeeks > MAX_WATCH_WEEKS) {
+    showStatus(`Кількість тижнів — від 1 до ${MAX_WATCH_WEEKS}.`, false);
+    return;
+  }
+
+  if (await saveConfigPatch({ watchEnabled, watchIntervalMinutes, watchWeeks })) {
+    showStatus(watchEnabled ? 'Відстеження змін збережено.' : 'Відстеження змін вимкнено.', true);
+  } else {
+    showStatus('Не вдалося зберегти налаштування.', false);
+  }
+}
+
+/* ========== Settings: stored data ========== */
+
+const DEFAULT_CACHE_TTL_HOURS = 12;
+const MAX_CACHE_TTL_HOURS = 168;
+
+async function renderCacheInfo() {
+  document.getElementById('cache-ttl').value = appConfig.cacheTtlHours || DEFAULT_CACHE_TTL_HOURS;
+  const info = await sendMessage('GET_CACHE_INFO');
+  document.getElementById('cache-info').textContent = info && !info.error
+    ? `Кеш розкладів: ${info.entries} тижнів, ${formatBytes(info.bytes)}.`
+    : 'Кеш розкладів: розмір невідомий.';
+}
+
+async function saveCacheTtl() {
+  const hours = Number(getVal('cache-ttl'));
+  if (!Number.isInteger(hours) || hours < 1 || hours > MAX_CACHE_TTL_HOURS) {
+    showStatus(`Час оновлення кешу — від 1 до ${MAX_CACHE_TTL_HOURS} годин.`, false);
+    return;
+  }
+  if (await saveConfigPatch({ cacheTtlHours: hours })) {
+    showStatus('Час оновлення кешу збережено.', true);
+  } else {
+    showStatus('Не вдалося зберегти налаштування.', false);
+  }
+}
+
+function formatBytes(bytes) {
+  if (bytes < 1024) return `${bytes} Б`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} КБ`;
+  return `${(bytes / 1024 / 1024).toFixed(1)} МБ`;
+}
+
+async function clearScheduleCache() {
+  const result = await sendMessage('CLEAR_CACHE');
+  await renderCacheInfo();
+  showStatus(result?.success ? 'Кеш очищено.' : 'Не вдалося очистити кеш.', Boolean(result?.success));
+}
+
+async function resetAllSettings() {
+  if (!confirm('Скинути всі налаштування до типових? Профіль, розклад дзвінків, календар, обмеження, шаблон звіту та навчальні плани буде втрачено.')) {
+    return;
+  }
+  const result = await sendMessage('RESET_CONFIG');
+  if (!result) {
+    showStatus('Не вдалося скинути налаштування.', false);
+    return;
+  }
+  await loadConfig();
+  renderSettings();
+  renderCurriculumPlans('');
+  showStatus('Налаштування скинуто до типових.', true);
+}
+
+/* ========== Helpers ========== */
+
+function uniqueBy(arr, key) {
+  const seen = new Set();
+  return arr.reduce((acc, item) => {
+    const val = item[key];
+    if (val && !seen.has(val)) {
+      seen.add(val);
+      acc.push(val);
+    }
+    return acc;
+  }, []);
+}
+
+function getSelectedValues(id) {
+  const sel = document.getElementById(id);
+  if (!sel) return [];
+  return Array.from(sel.selectedOptions).map((o) => o.value);
+}
+
+function sendMessage(action, payload = {}) {
+  return new Promise((resolve) => {
+    chrome.runtime.sendMessage({ action, payload }, (response) => {
+      if (chrome.runtime.lastError) {
+        console.warn('[Smart School Helper] sendMessage error:', chrome.runtime.lastError.message);
+        resolve(undefined);
+        return;
+      }
+      resolve(response);
+    });
+  });
+}
+
+function showStatus(text, success = true) {
+  const el = document.getElementById('status-msg');
+  if (!el) return;
+  el.textContent = text;
+  el.className = `status ${success ? 'success' : 'error'}`;
+  el.classList.remove('hidden');
+  setTimeout(() => el.classList.add('hidden'), 4000);
+}
+
+function getVal(id) { return document.getElementById(id)?.value ?? ''; }
+function setVal(id, val) { const el = document.getElementById(id); if (el && val) el.value = val; }
+function on(id, event, handler) { document.getElementById(id)?.addEventListener(event, handler); }
+function escapeHtml(str) {
+  const div = document.createElement('div');
+  div.textContent = str;
+  return div.innerHTML;
+}
+// escapeHtml() leaves quotes as they are — for attribute values
+function escapeAttr(str) {
+  return escapeHtml(str).replace(/"/g, '&quot;');
 }
@@ -0,0 +1,184 @@
+/**
+ * Unit tests for AcademicCalendar.
+ *
+ * Reference dates (ISO Mon=1):
+ *   2026-03-09  Monday (public holiday in fixtures)
+ *   2026-03-13  Friday
+ *   2026-03-14  Saturday (transferred working day in fixtures)
+ *   2026-03-15  Sunday
+ */
+
+const AcademicCalendar = require('../utils/academic-calendar');
+
+/* ---------- Fixtures ---------- */
+
+function calendar(extra = {}) {
+  return new AcademicCalendar({
+    semesterStart: '2026-01-12',
+    semesterEnd:   '2026-06-30',
+    holidays:      [{ date: '2026-03-09', title: 'Свято' }],
+    vacations:     [{ start: '2026-05-04', end: '2026-05-15', title: 'Практика' }],
+    transfers:     [{ date: '2026-03-14', weekday: 1, title: 'Субота за понеділок' }],
+    ...extra,
+  });
+}
+
+/* ========== Teaching days ========== */
+
+describe('teaching days', () => {
+  test('an empty calendar treats every Monday–Friday as a teaching day', () => {
+    const cal = new AcademicCalendar();
+    expect(cal.isTeachingDay('2026-03-13')).toBe(true);
+    expect(cal.isTeachingDay('2026-03-14')).toBe(false);
+    expect(cal.isTeachingDay('2026-03-15')).toBe(false);
+  });
+
+  test('holidays are not teaching days', () => {
+    expect(calendar().nonTeachingReason('2026-03-09')).toEqual({ type: 'holiday', title: 'Свято' });
+  });
+
+  test('vacation ranges are inclusive on both ends', () => {
+    const cal = calendar();
+    expect(cal.isTeachingDay('2026-05-01')).toBe(true);
+    expect(cal.nonTeachingReason('2026-05-04')).toMatchObject({ type: 'vacation' });
+    expect(cal.nonTeachingReason('2026-05-15')).toMatchObject({ type: 'vacation' });
+    expect(cal.isTeachingDay('2026-05-18')).toBe(true);
+  });
+
+  test('dates outside the semester are not teaching days', () => {
+    const cal = calendar();
+    expect(cal.nonTeachingReason('2026-01-09')).toMatchObject({ type: 'outside-semester' });
+    expect(cal.nonTeachingReason('2026-07-01')).toMatchObject({ type: 'outside-semester' });
+  });
+
+  test('a transferred Saturday is a teaching day with the replaced weekday', () => {
+    const cal = calendar();
+    expect(cal.isTeachingDay('2026-03-14')).toBe(true);
+    expect(cal.effectiveWeekday('2026-03-14')).toBe(1);
+    expect(cal.effectiveWeekday('2026-03-13')).toBe(5);
+  });
+
+  test('a holiday wins over a transfer on the same date', () => {
+    const cal = calendar({ holidays: [{ date: '2026-03-14', title: 'Свято' }] });
+    expect(cal.isTeachingDay('2026-03-14')).toBe(false);
+  });
+
+  test('teachingDates lists the working days of a range', () => {
+    expect(calendar().teachingDates('2026-03-09', '2026-03-15')).toEqual([
+      '2026-03-10', '2026-03-11', '2026-03-12', '2026-03-13', '2026-03-14',
+    ]);
+  });
+
+  test('toJSON round-trips through the constructor', () => {
+    const original = calendar();
+    const copy = new AcademicCalendar(JSON.parse(JSON.stringify(original)));
+    expect(copy.teachingDates('2026-03-01', '2026-05-31'))
+      .toEqual(original.teachingDates('2026-03-01', '2026-05-31'));
+  });
+});
+
+/* ========== CSV ========== */
+
+describe('CSV import / export', () => {
+  test('parses every rule type, skipping a header row', () => {
+    const parsed = AcademicCalendar.parseCSV([
+      'type,start,end,weekday,title',
+      'семестр,12.01.2026,30.06.2026',
+      'holiday,2026-03-09,,,Міжнародний жіночий день',
+      'канікули,2025-12-29,2026-01-11,,"Зимові канікули"',
+      'practice,2026-05-04,2026-05-15,,Навчальна практика',
+      'transfer,2026-03-14,,пн,Робоча субота',
+    ].join('\n'));
+
+    expect(parsed.semesterStart).toBe('2026-01-12');
+    expect(parsed.semesterEnd).toBe('2026-06-30');
+    expect(parsed.holidays).toEqual([{ date: '2026-03-09', title: 'Міжнародний жіночий день' }]);
+    expect(parsed.vacations).toEqual([
+      { start: '2025-12-29', end: '2026-01-11', title: 'Зимові канікули' },
+      { start: '2026-05-04', end: '2026-05-15', title: 'Навчальна практика' },
+    ]);
+    expect(parsed.transfers).toEqual([{ date: '2026-03-14', weekday: 1, title: 'Робоча субота' }]);
+  });
+
+  test('keeps commas inside the title', () => {
+    const parsed = AcademicCalendar.parseCSV('holiday,2026-05-01,,,День праці, вихідний');
+    expect(parsed.holidays[0].title).toBe('День праці, вихідний');
+  });
+
+  test('reads quoted titles with semicolons, commas and quotes', () => {
+    const parsed = AcademicCalendar.parseCSV('vacation,2025-12-29,2026-01-11,,"Канікули; зимові, ""новорічні"""');
+    expect(parsed.vacations[0].title).toBe('Канікули; зимові, "новорічні"');
+  });
+
+  test('rejects unknown types after the first line', () => {
+    expect(() => AcademicCalendar.parseCSV('holiday,2026-03-09\nwhatever,2026-03-10'))
+      .toThrow('whatever');
+  });
+
+  test('rejects a transfer without a weekday', () => {
+    expect(() => AcademicCalendar.parseCSV('transfer,2026-03-14')).toThrow();
+  });
+
+  test('rejects ranges that end before they start', () => {
+    expect(() => AcademicCalendar.parseCSV('vacation,2026-05-15,2026-05-04')).toThrow();
+  });
+
+  test('toCSV quotes titles so any title parses back', () => {
+    const rules = {
+      holidays: [{ date: '2026-03-09', title: 'Свято; вихідний, "офіційний"' }],
+      vacations: [{ start: '2025-12-29', end: '2026-01-11', title: 'Канікули; зимові' }],
+      transfers: [],
+    };
+    const csv = AcademicCalendar.toCSV(rules);
+    expect(csv.split('\n')[0]).toBe('vacation,2025-12-29,2026-01-11,,"Канікули; зимові"');
+    const parsed = AcademicCalendar.parseCSV(csv);
+    expect(parsed.holidays).toEqual(rules.holidays);
+    expect(parsed.vacations).toEqual(rules.vacations);
+  });
+
+  test('toCSV output parses back to the same rules', () => {
+    const rules = calendar().toJSON();
+    const parsed = AcademicCalendar.parseCSV(AcademicCalendar.toCSV(rules));
+    expect(parsed.holidays).toEqual(rules.holidays);
+    expect(parsed.vacations).toEqual(rules.vacations);
+    expect(parsed.transfers).toEqual(rules.transfers);
+  });
+});
+
+/* ========== iCalendar ========== */
+
+describe('ICS import', () => {
+  const ICS = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'BEGIN:VEVENT',
+    'DTSTART;VALUE=DATE:20260309',
+    'DTEND;VALUE=DATE:20260310',
+    'SUMMARY:Міжнародний жіночий день',
+    'END:VEVENT',
+    'BEGIN:VEVENT',
+    'DTSTART;VALUE=DATE:20251229',
+    'DTEND;VALUE=DATE:20260112',
+    'SUMMARY:Зимові',
+    '  канікули',
+    'END:VEVENT',
+    'END:VCALENDAR',
+  ].join('\r\n');
+
+  test('single all-day events become holidays', () => {
+    expect(AcademicCalendar.parseICS(ICS).holidays)
+      .toEqual([{ date: '2026-03-09', title: 'Міжнародний жіночий день' }]);
+  });
+
+  test('multi-day events become vacations with an inclusive end', () => {
+    expect(AcademicCalendar.parseICS(ICS).vacations)
+      .toEqual([{ start: '2025-12-29', end: '2026-01-11', title: 'Зимові канікули' }]);
+  });
+
+  test('timed events use the date part only', () => {
+    const parsed = AcademicCalendar.parseICS(
+      'BEGIN:VEVENT\nDTSTART:20260420T090000\nDTEND:20260420T120000\nSUMMARY:Збори\nEND:VEVENT'
+    );
+    expect(parsed.holidays).toEqual([{ date: '2026-04-20', title: 'Збори' }]);
+  });
+});
@@ -0,0 +1,134 @@
+/**
+ * Unit tests for BellSchedule.
+ *
+ * Reference dates (ISO Mon=1):
+ *   2026-04-13  Monday
+ *   2026-04-15  Wednesday
+ *   2026-04-18  Saturday
+ */
+
+const BellSchedule = require('../utils/bell-schedule');
+
+/* ---------- Fixtures ---------- */
+
+const SHORT = [
+  { number: 1, start: '08:00', end: '08:45' },
+  { number: 2, start: '08:55', end: '09:40' },
+];
+
+const EVENING = [
+  ...BellSchedule.DEFAULT_PROFILES.standard,
+  { number: 7, start: '17:10', end: '18:30' },
+  { number: 8, start: '18:40', end: '20:00' },
+];
+
+function settings(extra = {}) {
+  return {
+    profiles: { standard: BellSchedule.DEFAULT_PROFILES.standard, short: SHORT, evening: EVENING },
+    ...extra,
+  };
+}
+
+/* ========== Profile resolution ========== */
+
+describe('profile resolution', () => {
+  test('empty settings fall back to the built-in standard profile', () => {
+    const bells = new BellSchedule();
+    expect(bells.profileNameFor('2026-04-13')).toBe('standard');
+    expect(bells.pairNumbersFor('2026-04-13')).toEqual([1, 2, 3, 4, 5, 6]);
+  });
+
+  test('weekday mapping picks the profile for that day', () => {
+    const bells = new BellSchedule(settings({ weekdays: { 6: 'short' } }));
+    expect(bells.profileNameFor('2026-04-18')).toBe('short');
+    expect(bells.profileNameFor('2026-04-13')).toBe('standard');
+  });
+
+  test('a date override wins over the weekday mapping', () => {
+    const bells = new BellSchedule(settings({
+      weekdays:  { 3: 'evening' },
+      overrides: { '2026-04-15': 'short' },
+    }));
+    expect(bells.profileNameFor('2026-04-15')).toBe('short');
+    expect(bells.profileNameFor('2026-04-22')).toBe('evening');
+  });
+
+  test('an unknown profile name falls back to the default', () => {
+    const bells = new BellSchedule(settings({ overrides: { '2026-04-15': 'gone' } }));
+    expect(bells.profileNameFor('2026-04-15')).toBe('standard');
+  });
+
+  test('missing date resolves to the default profile', () => {
+    expect(new BellSchedule(settings()).profileNameFor('')).toBe('standard');
+  });
+});
+
+/* ========== Pair lookup ========== */
+
+describe('pair lookup', () => {
+  test('pairFor returns the times of the profile in effect on that date', () => {
+    const bells = new BellSchedule(settings({ weekdays: { 1: 'short' } }));
+    expect(bells.pairFor('2026-04-13', 2)).toEqual({ number: 2, start: '08:55', end: '09:40' });
+    expect(bells.pairFor('2026-04-14', 2)).toEqual({ number: 2, start: '09:30', end: '10:50' });
+  });
+
+  test('pairFor returns null for a pair the profile does not have', () => {
+    const bells = new BellSchedule(settings({ weekdays: { 1: 'short' } }));
+    expect(bells.pairFor('2026-04-13', 5)).toBeNull();
+  });
+
+  test('evening profile exposes 7th and 8th pairs', () => {
+    const bells = new BellSchedule(settings({ weekdays: { 2: 'evening' } }));
+    expect(bells.pairNumbersFor('2026-04-14')).toEqual([1, 2, 3, 4, 5, 6, 7, 8]);
+  });
+
+  test('pairs are sorted by number whatever the stored order', () => {
+    const bells = new BellSchedule({ profiles: { standard: [...SHORT].reverse() } });
+    expect(bells.pairNumbersFor('2026-04-13')).toEqual([1, 2]);
+  });
+
+  test('returned pairs are copies and cannot mutate the schedule', () => {
+    const bells = new BellSchedule(settings());
+    bells.pairsFor('2026-04-13')[0].start = '00:00';
+    expect(bells.pairFor('2026-04-13', 1).start).toBe('08:00');
+  });
+
+  test('toJSON round-trips through the constructor', () => {
+    const original = new BellSchedule(settings({ weekdays: { 6: 'short' } }));
+    const copy = new BellSchedule(JSON.parse(JSON.stringify(original)));
+    expect(copy.pairsFor('2026-04-18')).toEqual(original.pairsFor('2026-04-18'));
+  });
+
+  test('profileNames lists the default profile first', () => {
+    const bells = new BellSchedule({ profiles: { short: SHORT, standard: EVENING } });
+    expect(bells.profileNames()).toEqual(['standard', 'short']);
+  });
+});
+
+/* ========== Text format ========== */
+
+describe('text format', () => {
+  test('parsePairsText accepts hyphen and dash separators', () => {
+    expect(BellSchedule.parsePairsText('2 9:30 – 10:50\n1. 08:00-09:20')).toEqual([
+      { number: 1, start: '08:00', end: '09:20' },
+      { number: 2, start: '09:30', end: '10:50' },
+    ]);
+  });
+
+  test('parsePairsText rejects malformed lines', () => {
+    expect(() => BellSchedule.parsePairsText('1 8 годин')).toThrow('1 8 годин');
+  });
+
+  test('parsePairsText rejects a pair that ends before it starts', () => {
+    expect(() => BellSchedule.parsePairsText('1 10:00-09:00')).toThrow();
+  });
+
+  test('parsePairsText rejects duplicate pair numbers', () => {
+    expect(() => BellSchedule.parsePairsText('1 08:00-09:20\n1 09:30-10:50')).toThrow();
+  });
+
+  test('formatPairsText output parses back to the same pairs', () => {
+    const text = BellSchedule.formatPairsText(EVENING);
+    expect(BellSchedule.parsePairsText(text)).toEqual(EVENING);
+  });
+});
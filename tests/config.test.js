@@ -0,0 +1,28 @@
+/**
+ * Unit tests for SmartSchoolConfig helpers.
+ *
+ * config.js reads its defaults from the bell schedule, calendar, constraint
+ * and template classes, which the browser loads before it as globals.
+ */
+
+global.BellSchedule = require('../utils/bell-schedule');
+global.AcademicCalendar = require('../utils/academic-calendar');
+global.TeacherConstraints = require('../utils/teacher-constraints');
+global.ReportTemplate = require('../utils/report-template');
+
+const SmartSchoolConfig = require('../utils/config');
+
+/* ========== subgroupNumeral ========== */
+
+describe('subgroupNumeral', () => {
+  test('subgroups are printed with Latin Roman numerals', () => {
+    const numerals = [1, 2, 3, 4, 5, 6, 7, 8].map(SmartSchoolConfig.subgroupNumeral);
+    expect(numerals).toEqual(['I', 'II', 'III', 'IV', 'V', 'VI', 'VII', 'VIII']);
+    // Latin I (U+0049), not the Cyrillic І (U+0406) earlier reports used
+    expect(numerals.join('')).toMatch(/^[IV]+$/);
+  });
+
+  test('past VIII the number itself is printed', () => {
+    expect(SmartSchoolConfig.subgroupNumeral(9)).toBe('9');
+  });
+});
@@ -0,0 +1,134 @@
+/**
+ * Unit tests for ConflictDetector.
+ */
+
+const ConflictDetector = require('../utils/conflict-detector');
+
+/* ---------- Fixtures ---------- */
+
+function lesson(lessonId, date, pairNumber, { group = '16кб', teacher = 'Іваненко І.І.', room = '204' } = {}) {
+  return { lessonId, date, pairNumber, group, teacher, subject: 'Фізика', room };
+}
+
+const FOUR_PAIRS = () => [1, 2, 3, 4];
+
+/* ========== clashes ========== */
+
+describe('clashes', () => {
+  test('no clashes in a normal schedule', () => {
+    expect(ConflictDetector.clashes([
+      lesson('1', '2026-04-14', 1),
+      lesson('2', '2026-04-14', 2),
+      lesson('3', '2026-04-15', 1),
+    ])).toEqual([]);
+  });
+
+  test('the same teacher twice in a pair', () => {
+    const conflicts = ConflictDetector.clashes([
+      lesson('1', '2026-04-14', 3, { group: '16кб', room: '204' }),
+      lesson('2', '2026-04-14', 3, { group: '17кб', room: '106' }),
+    ]);
+    expect(conflicts).toEqual([
+      { type: 'teacher', name: 'Іваненко І.І.', date: '2026-04-14', pairNumber: 3, lessons: [0, 1] },
+    ]);
+  });
+
+  test('the same group twice in a pair, names compared loosely', () => {
+    const conflicts = ConflictDetector.clashes([
+      lesson('1', '2026-04-14', 3, { group: '16кб (2025)', teacher: 'А', room: '204' }),
+      lesson('2', '2026-04-14', 3, { group: ' 16КБ  (2025)', teacher: 'Б', room: '106' }),
+    ]);
+    expect(conflicts.map((c) => c.type)).toEqual(['group']);
+  });
+
+  test('one room for two groups in a pair; lessons without a room do not clash', () => {
+    const conflicts = ConflictDetector.clashes([
+      lesson('1', '2026-04-14', 3, { group: '16кб', teacher: 'А' }),
+      lesson('2', '2026-04-14', 3, { group: '17кб', teacher: 'Б' }),
+      lesson('3', '2026-04-14', 4, { group: '16кб', teacher: 'А', room: 'Кабінет не заданий' }),
+      lesson('4', '2026-04-14', 4, { group: '17кб', teacher: 'Б', room: 'Кабінет не заданий' }),
+    ]);
+    expect(conflicts).toEqual([
+      { type: 'room', name: '204', date: '2026-04-14', pairNumber: 3, lessons: [0, 1] },
+    ]);
+  });
+
+  test('a lesson listed twice is not a clash', () => {
+    expect(ConflictDetector.clashes([lesson('1', '2026-04-14', 3), lesson('1', '2026-04-14', 3)])).toEqual([]);
+  });
+
+  test('only the requested types are checked', () => {
+    const entries = [lesson('1', '2026-04-14', 3), lesson('2', '2026-04-14', 3)];
+    expect(ConflictDetector.clashes(entries, { types: ['group'] }).map((c) => c.type)).toEqual(['group']);
+  });
+});
+
+/* ========== audit ========== */
+
+describe('audit', () => {
+  test('a clean timetable has no issues', () => {
+    const entries = [
+      { ...lesson('1', '2026-04-14', 1), topic: 'ПР 1' },
+      lesson('2', '2026-04-14', 2),
+    ];
+    expect(ConflictDetector.audit(entries, { pairNumbersFor: FOUR_PAIRS })).toEqual([]);
+  });
+
+  test('missing room, empty topic and a pair the bells do not ring', () => {
+    const issues = ConflictDetector.audit([
+      lesson('1', '2026-04-14', 2, { room: 'Кабінет не заданий' }),
+      { ...lesson('2', '2026-04-14', 3), topic: '  ' },
+      lesson('3', '2026-04-15', 6),
+    ], { pairNumbersFor: FOUR_PAIRS });
+    expect(issues.map((i) => [i.type, i.lessons])).toEqual([
+      ['noRoom', [0]], ['noTopic', [1]], ['offBell', [2]],
+    ]);
+    expect(issues[0].name).toBe('16кб');
+  });
+
+  test('clashes come first within a pair, in AUDIT_TYPES order', () => {
+    const issues = ConflictDetector.audit([
+      lesson('1', '2026-04-14', 3, { room: '' }),
+      lesson('2', '2026-04-14', 3, { group: '17кб', room: '' }),
+    ]);
+    expect(issues.map((i) => i.type)).toEqual(['teacher', 'noRoom', 'noRoom']);
+  });
+
+  test('only the requested checks run; no bells, no offBell', () => {
+    const entries = [lesson('1', '2026-04-14', 9, { room: '' }), lesson('2', '2026-04-14', 9)];
+    expect(ConflictDetector.audit(entries).map((i) => i.type)).toEqual(['teacher', 'group', 'noRoom']);
+    expect(ConflictDetector.audit(entries, { types: ['noRoom'] }).map((i) => i.type)).toEqual(['noRoom']);
+  });
+
+  test('summarize counts every type', () => {
+    const issues = ConflictDetector.audit([lesson('1', '2026-04-14', 1, { room: '' })]);
+    expect(ConflictDetector.summarize(issues)).toEqual({
+      teacher: 0, group: 0, room: 0, noRoom: 1, noTopic: 0, offBell: 0,
+    });
+  });
+});
+
+/* ========== byLesson / describe ========== */
+
+describe('byLesson', () => {
+  test('each clashing entry points at its conflicts', () => {
+    const conflicts = ConflictDetector.clashes([lesson('1', '2026-04-14', 3), lesson('2', '2026-04-14', 3)]);
+    const map = ConflictDetector.byLesson(conflicts);
+    expect(map.get(0).map((c) => c.type)).toEqual(['group', 'room', 'teacher']);
+    expect(map.has(2)).toBe(false);
+  });
+});
+
+describe('describe', () => {
+  test('reads as one line', () => {
+    expect(ConflictDetector.describe({
+      type: 'group', name: '16кб', date: '2026-04-14', pairNumber: 3, lessons: [0, 1],
+    })).toBe('Група 16кб: 2 заняття одночасно — 14.04.2026, 3 пара');
+  });
+
+  test('a single-lesson issue names its group', () => {
+    expect(ConflictDetector.describe({
+      type: 'offBell', name: '16кб', date: '2026-04-15', pairNumber: 6, lessons: [2],
+    })).toBe('Поза розкладом дзвінків: 16кб — 15.04.2026, 6 пара');
+  });
+});
@@ -0,0 +1,144 @@
+/**
+ * Unit tests for CurriculumPlan.
+ */
+
+const CurriculumPlan = require('../utils/curriculum-plan');
+const WorkloadReport = require('../utils/workload-report');
+const SlotFinder = require('../utils/slot-finder');
+
+/* ---------- Fixtures ---------- */
+
+const WORKS = [
+  { number: 1, title: 'Вимірювання опору', hours: 2 },
+  { number: 2, title: 'Закон Ома для ділянки кола', hours: 4 },
+  { number: 3, title: 'Послідовне зʼєднання', hours: 2 },
+];
+
+function lesson(date, topic = '', pairNumber = 1) {
+  return { date, pairNumber, topic, hours: 2, subject: 'Фізика', group: '16кб' };
+}
+
+/* ========== parseRows / parseCSV ========== */
+
+describe('parseRows', () => {
+  test('columns come from the header row, in any order', () => {
+    const rows = [
+      [],
+      ['Години', 'Назва практичної роботи', '№ з/п'],
+      [2, 'Вимірювання опору', 1],
+      ['4', 'Закон Ома', 'ПР 2'],
+      [null, '', null],
+      ['', 'Послідовне зʼєднання', ''],
+    ];
+    expect(CurriculumPlan.parseRows(rows)).toEqual([
+      { number: 1, title: 'Вимірювання опору', hours: 2 },
+      { number: 2, title: 'Закон Ома', hours: 4 },
+      { number: 3, title: 'Послідовне зʼєднання', hours: WorkloadReport.DEFAULT_HOURS },
+    ]);
+  });
+
+  test('without a header the columns are number, title, hours', () => {
+    expect(CurriculumPlan.parseRows([[1, 'Робота з осцилографом', '1,5']]))
+      .toEqual([{ number: 1, title: 'Робота з осцилографом', hours: 1.5 }]);
+  });
+
+  test('bad numbers, hours, repeats and empty tables are rejected', () => {
+    expect(() => CurriculumPlan.parseRows([['x', 'Тема', 2]])).toThrow('Невірний номер роботи в рядку 1');
+    expect(() => CurriculumPlan.parseRows([[1, 'Тема', 'багато']])).toThrow('Невірна кількість годин');
+    expect(() => CurriculumPlan.parseRows([[1, 'А', 2], [1, 'Б', 2]])).toThrow('Номер роботи 1 повторюється');
+    expect(() => CurriculumPlan.parseRows([['№', 'Назва', 'Години']])).toThrow('жодної практичної роботи');
+  });
+});
+
+describe('parseCSV', () => {
+  test('delimiter from the first line, quoted fields, BOM and CRLF', () => {
+    expect(CurriculumPlan.parseCSV('\uFEFF№;Назва;Години\r\n1;"Опір; струм ""R""";2\r\n'))
+      .toEqual([['№', 'Назва', 'Години'], ['1', 'Опір; струм "R"', '2']]);
+    expect(CurriculumPlan.parseCSV('1,"Тема,\nз переносом",2')).toEqual([['1', 'Тема,\nз переносом', '2']]);
+  });
+});
+
+/* ========== matchTopic / assign ========== */
+
+describe('matchTopic', () => {
+  test('by number, then by title', () => {
+    expect(CurriculumPlan.matchTopic(WORKS, 'ПР 2. Закон Ома')).toBe(1);
+    expect(CurriculumPlan.matchTopic(WORKS, 'Практична робота №3')).toBe(2);
+    expect(CurriculumPlan.matchTopic(WORKS, 'пр№1')).toBe(0);
+    expect(CurriculumPlan.matchTopic(WORKS, 'Дослідження: закон Ома для ділянки кола!')).toBe(1);
+    expect(CurriculumPlan.matchTopic(WORKS, 'Послідовне з’єднання провідників')).toBe(2);
+    expect(CurriculumPlan.matchTopic(WORKS, 'Лекція 2')).toBe(-1);
+  });
+});
+
+describe('assign', () => {
+  test('lessons without topics continue the plan by hours, in date order', () => {
+    const lessons = [
+      lesson('2026-02-12'), lesson('2026-02-05'), lesson('2026-02-19'), lesson('2026-02-26'), lesson('2026-03-05'),
+    ];
+    expect(CurriculumPlan.assign(WORKS, lessons)).toEqual([1, 0, 1, 2, -1]);
+  });
+
+  test('a topic moves to its work; unrelated topics stay unassigned', () => {
+    const lessons = [lesson('2026-02-05', 'ПР 2'), lesson('2026-02-06', 'Лекція'), lesson('2026-02-12')];
+    expect(CurriculumPlan.assign(WORKS, lessons)).toEqual([1, -1, 1]);
+  });
+});
+
+/* ========== progress ========== */
+
+describe('progress', () => {
+  test('done, scheduled and missing works', () => {
+    const lessons = [
+      lesson('2026-02-05', 'ПР 1'),
+      lesson('2026-02-12', 'ПР 2'),
+      lesson('2026-03-12'),
+      lesson('2026-02-13', 'Лекція'),
+    ];
+    const result = CurriculumPlan.progress(WORKS, lessons, { today: '2026-03-01' });
+    expect(result.works.map((w) => [w.number, w.status, w.lessons, w.taught])).toEqual([
+      [1, 'done', [0], 2],
+      [2, 'scheduled', [1, 2], 4],
+      [3, 'missing', [], 0],
+    ]);
+    expect(result.counts).toEqual({ done: 1, scheduled: 1, missing: 1 });
+    expect(result.unmatched).toEqual([3]);
+  });
+
+  test('past lessons short of the hours leave a work missing', () => {
+    const result = CurriculumPlan.progress(WORKS, [lesson('2026-02-05', 'ПР 2')], { today: '2026-03-01' });
+    expect(result.works[1]).toMatchObject({ status: 'missing', taught: 2 });
+  });
+});
+
+/* ========== reportTopics ========== */
+
+describe('reportTopics', () => {
+  test('SlotFinder results are numbered by the plan, counting each lesson\'s hours', () => {
+    const lessons = [
+      { ...lesson('2026-02-05'), hours: 4 },
+      lesson('2026-02-12', 'Своя тема'),
+      lesson('2026-02-19'),
+      { ...lesson('2026-02-20'), group: '17кб' },
+    ];
+    const results = new SlotFinder({ lessons }).findSlots();
+    const plans = [{ subject: 'Фізика', group: '16кб', works: [{ ...WORKS[0], hours: 4 }, ...WORKS.slice(1)] }];
+    const topics = CurriculumPlan.reportTopics(plans, results);
+    expect(results.map((r) => topics.get(r))).toEqual([
+      'ПР 1. Вимірювання опору', undefined, 'ПР 2. Закон Ома для ділянки кола', undefined,
+    ]);
+  });
+});
+
+/* ========== Stored plans ========== */
+
+describe('find / upsert', () => {
+  test('one plan per subject + group, names compared loosely', () => {
+    const a = { subject: 'Фізика', group: '16кб', works: WORKS };
+    const b = { subject: ' фізика', group: '16КБ ', works: [] };
+    const plans = CurriculumPlan.upsert(CurriculumPlan.upsert([], a), { subject: 'Хімія', group: '16кб', works: [] });
+    expect(CurriculumPlan.find(plans, 'ФІЗИКА', '16кб')).toBe(a);
+    expect(CurriculumPlan.upsert(plans, b)).toEqual([b, plans[1]]);
+    expect(CurriculumPlan.find(plans, 'Фізика', '17кб')).toBeNull();
+  });
+});
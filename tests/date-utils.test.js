@@ -0,0 +1,55 @@
+/**
+ * Unit tests for DateUtils.
+ *
+ * 2026-04-13 is a Monday; 2026-03-29 is the spring daylight-saving change in Kyiv.
+ */
+
+const DateUtils = require('../utils/date-utils');
+
+/* ========== Parsing and formatting ========== */
+
+describe('parse / format', () => {
+  test('round-trips a date through UTC midnight', () => {
+    const d = DateUtils.parse('2026-04-13');
+    expect(d.toISOString()).toBe('2026-04-13T00:00:00.000Z');
+    expect(DateUtils.format(d)).toBe('2026-04-13');
+  });
+});
+
+/* ========== Arithmetic ========== */
+
+describe('shift / daysBetween', () => {
+  test('shifts across month, year and daylight-saving boundaries', () => {
+    expect(DateUtils.shift('2026-04-30', 1)).toBe('2026-05-01');
+    expect(DateUtils.shift('2026-01-01', -1)).toBe('2025-12-31');
+    expect(DateUtils.shift('2026-03-28', 2)).toBe('2026-03-30');
+  });
+
+  test('counts whole days either way', () => {
+    expect(DateUtils.daysBetween('2026-03-28', '2026-03-30')).toBe(2);
+    expect(DateUtils.daysBetween('2026-04-20', '2026-04-13')).toBe(-7);
+  });
+});
+
+/* ========== Weeks ========== */
+
+describe('weekday / weekStart', () => {
+  test('weekday numbers follow Date#getDay', () => {
+    expect(DateUtils.weekday('2026-04-13')).toBe(1);
+    expect(DateUtils.weekday('2026-04-19')).toBe(0);
+  });
+
+  test('Sunday belongs to the week of the Monday before it', () => {
+    expect(DateUtils.weekStart('2026-04-13')).toBe('2026-04-13');
+    expect(DateUtils.weekStart('2026-04-19')).toBe('2026-04-13');
+    expect(DateUtils.weekStart('2026-04-20')).toBe('2026-04-20');
+  });
+});
+
+describe('today', () => {
+  test('is the local calendar date', () => {
+    const now = new Date();
+    const expected = [now.getFullYear(), String(now.getMonth() + 1).padStart(2, '0'), String(now.getDate()).padStart(2, '0')].join('-');
+    expect(DateUtils.today()).toBe(expected);
+  });
+});
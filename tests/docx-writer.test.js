@@ -0,0 +1,118 @@
+/**
+ * Unit tests for DocxWriter.
+ */
+
+const DocxWriter = require('../utils/docx-writer');
+const readZip = require('./helpers/read-zip');
+
+/* ---------- Fixtures ---------- */
+
+const COLUMNS = [
+  { header: 'Тема', width: 40 },
+  { header: 'Підгрупа', width: 20 },
+  { header: 'Дата' },
+];
+
+function documentXML(doc) {
+  return readZip(doc.toUint8Array())['word/document.xml'];
+}
+
+function count(xml, fragment) {
+  return xml.split(fragment).length - 1;
+}
+
+/* ========== Package ========== */
+
+describe('package', () => {
+  test('contains every required OOXML part', () => {
+    const files = readZip(new DocxWriter().paragraph('Графік').toUint8Array());
+    expect(Object.keys(files).sort()).toEqual([
+      '[Content_Types].xml',
+      '_rels/.rels',
+      'word/_rels/document.xml.rels',
+      'word/document.xml',
+      'word/styles.xml',
+    ]);
+  });
+
+  test('default font and size go to docDefaults', () => {
+    const styles = readZip(new DocxWriter({ font: 'Arial', fontSize: 11 }).toUint8Array())['word/styles.xml'];
+    expect(styles).toContain('w:ascii="Arial"');
+    expect(styles).toContain('<w:sz w:val="22"/>');
+  });
+
+  test('an empty document is still valid and has a body-level sectPr', () => {
+    const xml = documentXML(new DocxWriter());
+    expect(xml).toMatch(/<w:body><w:sectPr>.*<\/w:sectPr><\/w:body>/);
+  });
+});
+
+/* ========== Paragraphs ========== */
+
+describe('paragraph', () => {
+  test('alignment, bold, size and spacing', () => {
+    const xml = documentXML(new DocxWriter()
+      .paragraph('Графік', { align: 'center', bold: true, size: 14, spaceAfter: 24 }));
+    expect(xml).toContain('<w:spacing w:after="480"/><w:jc w:val="center"/>');
+    expect(xml).toContain('<w:b/><w:bCs/><w:sz w:val="28"/>');
+  });
+
+  test('escapes XML and turns newlines into line breaks', () => {
+    const xml = documentXML(new DocxWriter().paragraph('A & <B>\n«C»'));
+    expect(xml).toContain('A &amp; &lt;B&gt;</w:t><w:br/><w:t xml:space="preserve">«C»');
+  });
+});
+
+/* ========== Tables ========== */
+
+describe('table', () => {
+  test('header row repeats and is bold', () => {
+    const xml = documentXML(new DocxWriter().table({ columns: COLUMNS, rows: [] }));
+    expect(xml).toContain('<w:tblHeader/>');
+    expect(count(xml, '<w:b/>')).toBe(3);
+  });
+
+  test('rowSpan cells restart a vertical merge and skip covered columns', () => {
+    const xml = documentXML(new DocxWriter().table({
+      columns: COLUMNS,
+      rows: [
+        [{ text: 'ПР 1', rowSpan: 3 }, 'I', '13.04.2026'],
+        ['II', '15.04.2026'],
+        ['III', '—'],
+      ],
+    }));
+    expect(count(xml, '<w:vMerge w:val="restart"/>')).toBe(1);
+    expect(count(xml, '<w:vMerge/>')).toBe(2);
+    expect(count(xml, '<w:tr>')).toBe(4);
+    expect(xml).toContain('III');
+  });
+
+  test('column widths follow percentages, unsized columns share the rest', () => {
+    const widths = DocxWriter._columnWidths(COLUMNS);
+    const text = DocxWriter.PAGE.width - DocxWriter.PAGE.left - DocxWriter.PAGE.right;
+    expect(widths[0]).toBe(Math.round(text * 0.4));
+    expect(widths[2]).toBe(Math.round(text * 0.4));
+  });
+});
+
+/* ========== Sections ========== */
+
+describe('sections', () => {
+  test('each section but the last ends with its own sectPr', () => {
+    const xml = documentXML(new DocxWriter()
+      .section().paragraph('Перша')
+      .section().paragraph('Друга')
+      .section().paragraph('Третя'));
+    expect(count(xml, '<w:sectPr>')).toBe(3);
+    expect(xml.indexOf('Друга')).toBeLessThan(xml.lastIndexOf('<w:sectPr>'));
+  });
+
+  test('section() on an empty section or at the end adds no blank page', () => {
+    const xml = documentXML(new DocxWriter().section().section().paragraph('Одна').section());
+    expect(count(xml, '<w:sectPr>')).toBe(1);
+  });
+
+  test('pages are A4 portrait', () => {
+    expect(documentXML(new DocxWriter())).toContain('<w:pgSz w:w="11906" w:h="16838"/>');
+  });
+});
@@ -0,0 +1,62 @@
+/**
+ * Test helper: re-pack a STORED zip archive (as written by ZipWriter) with
+ * every entry DEFLATED and sizes deferred to data descriptors — the way
+ * Excel and most zip tools write files.
+ */
+
+const zlib = require('zlib');
+const readZip = require('./read-zip');
+const ZipWriter = require('../../utils/zip-writer');
+
+function deflateZip(bytes) {
+  const chunks = [];
+  const central = [];
+  let offset = 0;
+
+  for (const [name, text] of Object.entries(readZip(bytes))) {
+    const data = Buffer.from(text, 'utf8');
+    const packed = zlib.deflateRawSync(data);
+    const nameBytes = Buffer.from(name, 'utf8');
+    const crc = ZipWriter.crc32(data);
+
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(0x04034b50, 0);
+    local.writeUInt16LE(20, 4);
+    local.writeUInt16LE(0x0808, 6);      // UTF-8 names, sizes in the data descriptor
+    local.writeUInt16LE(8, 8);           // method: deflated
+    local.writeUInt16LE(nameBytes.length, 26);
+    const descriptor = Buffer.alloc(16);
+    descriptor.writeUInt32LE(0x08074b50, 0);
+    descriptor.writeUInt32LE(crc, 4);
+    descriptor.writeUInt32LE(packed.length, 8);
+    descriptor.writeUInt32LE(data.length, 12);
+    chunks.push(local, nameBytes, packed, descriptor);
+
+    const dir = Buffer.alloc(46);
+    dir.writeUInt32LE(0x02014b50, 0);
+    dir.writeUInt16LE(20, 4);
+    dir.writeUInt16LE(20, 6);
+    dir.writeUInt16LE(0x0808, 8);
+    dir.writeUInt16LE(8, 10);
+    dir.writeUInt32LE(crc, 16);
+    dir.writeUInt32LE(packed.length, 20);
+    dir.writeUInt32LE(data.length, 24);
+    dir.writeUInt16LE(nameBytes.length, 28);
+    dir.writeUInt32LE(offset, 42);
+    central.push(dir, nameBytes);
+
+    offset += 30 + nameBytes.length + packed.length + descriptor.length;
+  }
+
+  const centralBytes = Buffer.concat(central);
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(0x06054b50, 0);
+  end.writeUInt16LE(central.length / 2, 8);
+  end.writeUInt16LE(central.length / 2, 10);
+  end.writeUInt32LE(centralBytes.length, 12);
+  end.writeUInt32LE(offset, 16);
+
+  return new Uint8Array(Buffer.concat([...chunks, centralBytes, end]));
+}
+
+module.exports = deflateZip;
@@ -0,0 +1,35 @@
+/**
+ * Test helper: read a STORED zip archive (as written by ZipWriter) back into
+ * { name: text }, checking every header signature and CRC on the way.
+ */
+
+const ZipWriter = require('../../utils/zip-writer');
+
+function readZip(bytes) {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const decoder = new TextDecoder();
+  let end = bytes.length - 22;
+  while (view.getUint32(end, true) !== 0x06054b50) end--;
+
+  const count = view.getUint16(end + 10, true);
+  let p = view.getUint32(end + 16, true);
+  const files = {};
+  for (let i = 0; i < count; i++) {
+    if (view.getUint32(p, true) !== 0x02014b50) throw new Error('Bad central directory header');
+    const size = view.getUint32(p + 24, true);
+    const nameLen = view.getUint16(p + 28, true);
+    const local = view.getUint32(p + 42, true);
+    const name = decoder.decode(bytes.subarray(p + 46, p + 46 + nameLen));
+
+    if (view.getUint32(local, true) !== 0x04034b50) throw new Error(`Bad local header: ${name}`);
+    const start = local + 30 + view.getUint16(local + 26, true) + view.getUint16(local + 28, true);
+    const data = bytes.subarray(start, start + size);
+    if (ZipWriter.crc32(data) !== view.getUint32(p + 16, true)) throw new Error(`CRC mismatch: ${name}`);
+
+    files[name] = decoder.decode(data);
+    p += 46 + nameLen + view.getUint16(p + 30, true) + view.getUint16(p + 32, true);
+  }
+  return files;
+}
+
+module.exports = readZip;
@@ -0,0 +1,97 @@
+/**
+ * Unit tests for IcsWriter.
+ */
+
+const IcsWriter = require('../utils/ics-writer');
+const AcademicCalendar = require('../utils/academic-calendar');
+
+/* ---------- Fixtures ---------- */
+
+const NOW = new Date(Date.UTC(2026, 3, 10, 9, 30, 0));
+
+const EVENT = {
+  uid: '2026-04-15-3-16кб-II@smart-school-helper',
+  date: '2026-04-15',
+  start: '11:10',
+  end: '12:30',
+  summary: 'Фізика — 16кб, II підгрупа',
+  description: 'Дисципліна: Фізика\nТема: ПР 3; закони Ньютона, досліди',
+  location: '204',
+};
+
+function lines(writer) {
+  return writer.toString().replace(/\r\n /g, '').split('\r\n');
+}
+
+/* ========== Calendar ========== */
+
+describe('calendar', () => {
+  test('wraps events in VCALENDAR with a Europe/Kyiv VTIMEZONE', () => {
+    const text = new IcsWriter({ name: 'Практичні', now: NOW }).addEvent(EVENT).toString();
+    expect(text.startsWith('BEGIN:VCALENDAR\r\nVERSION:2.0\r\n')).toBe(true);
+    expect(text.endsWith('END:VCALENDAR\r\n')).toBe(true);
+    expect(text).toContain('BEGIN:VTIMEZONE\r\nTZID:Europe/Kyiv');
+    expect(text).toContain('X-WR-CALNAME:Практичні');
+  });
+
+  test('every line ends with CRLF', () => {
+    const text = new IcsWriter({ now: NOW }).addEvent(EVENT).toString();
+    expect(text.replace(/\r\n/g, '')).not.toMatch(/[\r\n]/);
+  });
+
+  test('size counts events', () => {
+    expect(new IcsWriter().addEvent(EVENT).addEvent(EVENT).size).toBe(2);
+  });
+});
+
+/* ========== Events ========== */
+
+describe('events', () => {
+  test('timed event uses local times with TZID', () => {
+    const out = lines(new IcsWriter({ now: NOW }).addEvent(EVENT));
+    expect(out).toContain('DTSTART;TZID=Europe/Kyiv:20260415T111000');
+    expect(out).toContain('DTEND;TZID=Europe/Kyiv:20260415T123000');
+    expect(out).toContain('DTSTAMP:20260410T093000Z');
+    expect(out).toContain('LOCATION:204');
+  });
+
+  test('escapes text values', () => {
+    const out = lines(new IcsWriter({ now: NOW }).addEvent(EVENT));
+    expect(out).toContain('DESCRIPTION:Дисципліна: Фізика\\nТема: ПР 3\\; закони Ньютона\\, досліди');
+  });
+
+  test('without times the event is all-day', () => {
+    const out = lines(new IcsWriter({ now: NOW }).addEvent({ ...EVENT, start: '', end: '', date: '2026-04-30' }));
+    expect(out).toContain('DTSTART;VALUE=DATE:20260430');
+    expect(out).toContain('DTEND;VALUE=DATE:20260501');
+  });
+
+  test('empty description and location are omitted', () => {
+    const out = lines(new IcsWriter({ now: NOW }).addEvent({ ...EVENT, description: '', location: '' }));
+    expect(out.some((l) => l.startsWith('DESCRIPTION'))).toBe(false);
+    expect(out.some((l) => l.startsWith('LOCATION'))).toBe(false);
+  });
+
+  test('round-trips through AcademicCalendar.parseICS', () => {
+    const parsed = AcademicCalendar.parseICS(new IcsWriter({ now: NOW }).addEvent(EVENT).toString());
+    expect(parsed.holidays).toEqual([{ date: '2026-04-15', title: 'Фізика — 16кб, II підгрупа' }]);
+  });
+});
+
+/* ========== Static helpers ========== */
+
+describe('foldLine', () => {
+  test('short lines are untouched', () => {
+    expect(IcsWriter.foldLine('SUMMARY:Фізика')).toBe('SUMMARY:Фізика');
+  });
+
+  test('long lines fold at 75 octets without splitting characters', () => {
+    const line = `DESCRIPTION:${'Ї'.repeat(100)}`;
+    const folded = IcsWriter.foldLine(line);
+    const encoder = new TextEncoder();
+    for (const physical of folded.split('\r\n')) {
+      expect(encoder.encode(physical).length).toBeLessThanOrEqual(75);
+    }
+    expect(folded.replace(/\r\n /g, '')).toBe(line);
+  });
+});
@@ -0,0 +1,125 @@
+/**
+ * Unit tests for LessonCopier.
+ */
+
+const LessonCopier = require('../utils/lesson-copier');
+const SlotFinder = require('../utils/slot-finder');
+
+/* ---------- Fixtures ---------- */
+
+function lesson(lessonId, date, pairNumber, group = '16кб') {
+  return { lessonId, date, pairNumber, group, subject: 'Фізика', topic: 'ПР 3' };
+}
+
+function slot(date, pairNumber, room = '204') {
+  return { date, dayName: '', pairNumber, room };
+}
+
+/* ========== plan ========== */
+
+describe('plan', () => {
+  test('one ready operation per found slot on the lesson\'s own pair', () => {
+    const ops = LessonCopier.plan([
+      { lesson: lesson('101', '2026-04-13', 3), slots: [slot('2026-04-15', 3)] },
+    ]);
+    expect(ops).toHaveLength(1);
+    expect(ops[0]).toMatchObject({
+      lessonId: '101', fromDate: '2026-04-13', date: '2026-04-15', pairNumber: 3,
+      subgroup: 2, room: '204', topic: 'ПР 3', ready: true, reason: '',
+    });
+  });
+
+  test('subgroups are numbered from II and missing slots are left out', () => {
+    const ops = LessonCopier.plan([
+      { lesson: lesson('101', '2026-04-13', 2), slots: [null, slot('2026-04-16', 2)] },
+    ]);
+    expect(ops.map((o) => o.subgroup)).toEqual([3]);
+  });
+
+  test('a slot on another pair is not ready — copy2date keeps the pair number', () => {
+    const [op] = LessonCopier.plan([
+      { lesson: lesson('101', '2026-04-13', 3), slots: [slot('2026-04-14', 5)] },
+    ]);
+    expect(op.ready).toBe(false);
+    expect(op.reason).toContain('номер пари (3)');
+  });
+
+  test('a lesson without an id cannot be copied', () => {
+    const [op] = LessonCopier.plan([
+      { lesson: lesson('', '2026-04-13', 3), slots: [slot('2026-04-15', 3)] },
+    ]);
+    expect(op.ready).toBe(false);
+    expect(op.key).toBe('2026-04-13-3-16кб|2026-04-15|3');
+  });
+
+  test('the same lesson is copied to a date only once', () => {
+    const ops = LessonCopier.plan([
+      { lesson: lesson('101', '2026-04-13', 3), slots: [slot('2026-04-15', 3)] },
+      { lesson: lesson('101', '2026-04-13', 3), slots: [slot('2026-04-15', 3)] },
+    ]);
+    expect(ops.map((o) => o.ready)).toEqual([true, false]);
+  });
+
+  test('SlotFinder results keep the lesson id, so their slots can be created', () => {
+    const results = new SlotFinder({ lessons: [lesson('101', '2026-04-13', 3)], pairNums: [3] }).findSlots();
+    const [op] = LessonCopier.plan(results);
+    expect(op).toMatchObject({ lessonId: '101', fromDate: '2026-04-13', pairNumber: 3, ready: true });
+  });
+
+  test('empty input gives no operations', () => {
+    expect(LessonCopier.plan([])).toEqual([]);
+    expect(LessonCopier.plan(undefined)).toEqual([]);
+  });
+});
+
+/* ========== limits ========== */
+
+describe('limits', () => {
+  test('other-pair slots and the whole-group copy are spelled out', () => {
+    const lines = LessonCopier.limits(LessonCopier.plan([
+      { lesson: lesson('101', '2026-04-13', 3), slots: [slot('2026-04-15', 3), slot('2026-04-16', 5)] },
+    ]));
+    expect(lines).toHaveLength(2);
+    expect(lines[0]).toContain('підгрупу');
+    expect(lines[1]).toContain('іншому номері');
+    expect(lines[1]).toContain(': 1.');
+  });
+
+  test('nothing to say about an empty plan', () => {
+    expect(LessonCopier.limits([])).toEqual([]);
+  });
+});
+
+/* ========== parseResponse ========== */
+
+describe('parseResponse', () => {
+  test('success reply', () => {
+    expect(LessonCopier.parseResponse('{"success":true}')).toEqual({ ok: true, error: '' });
+  });
+
+  test('site error is passed through', () => {
+    expect(LessonCopier.parseResponse('{"success":false,"error":"Конфлікт з уроком"}'))
+      .toEqual({ ok: false, error: 'Конфлікт з уроком' });
+  });
+
+  test('failure without a message gets a generic one', () => {
+    expect(LessonCopier.parseResponse('{"success":false}').error).toBe('Сайт відхилив копіювання');
+  });
+
+  test('an HTML page (e.g. login) is a failure', () => {
+    const result = LessonCopier.parseResponse('<!DOCTYPE html><html></html>');
+    expect(result.ok).toBe(false);
+    expect(result.error).toContain('не JSON');
+  });
+});
+
+/* ========== summarize ========== */
+
+describe('summarize', () => {
+  test('counts outcomes by status', () => {
+    expect(LessonCopier.summarize([
+      { status: 'created' }, { status: 'created' }, { status: 'failed' },
+      { status: 'skipped' }, { status: 'dry-run' },
+    ])).toEqual({ created: 2, failed: 1, skipped: 1, dryRun: 1 });
+  });
+});
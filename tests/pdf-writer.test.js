@@ -0,0 +1,129 @@
+/**
+ * Unit tests for PdfWriter.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const PdfWriter = require('../utils/pdf-writer');
+
+/* ---------- Fixtures ---------- */
+
+const FONTS = {
+  regular: fs.readFileSync(path.join(__dirname, '../fonts/DejaVuSerif.ttf')),
+  bold: fs.readFileSync(path.join(__dirname, '../fonts/DejaVuSerif-Bold.ttf')),
+};
+
+function pdfText(writer) {
+  return Buffer.from(writer.toUint8Array()).toString('latin1');
+}
+
+function sample() {
+  return new PdfWriter({ fonts: FONTS, title: 'Графік' })
+    .addPage()
+    .text('Графік', 56, 80, { font: 'bold', size: 14 })
+    .text('Фізика', 56, 100)
+    .rect(56, 120, 200, 40)
+    .line(56, 200, 300, 200);
+}
+
+/* ========== Document structure ========== */
+
+describe('document', () => {
+  test('starts with a PDF header and ends with %%EOF', () => {
+    const text = pdfText(sample());
+    expect(text.startsWith('%PDF-1.4\n')).toBe(true);
+    expect(text.trimEnd().endsWith('%%EOF')).toBe(true);
+  });
+
+  test('every xref offset points at its object', () => {
+    const text = pdfText(sample());
+    const xref = Number(text.match(/startxref\n(\d+)/)[1]);
+    expect(text.slice(xref, xref + 4)).toBe('xref');
+
+    const [, count] = text.slice(xref).match(/^xref\n0 (\d+)/);
+    const entries = text.slice(xref).split('\n').slice(3, 2 + Number(count));
+    entries.forEach((entry, i) => {
+      const offset = Number(entry.slice(0, 10));
+      expect(text.slice(offset, offset + `${i + 1} 0 obj`.length)).toBe(`${i + 1} 0 obj`);
+    });
+  });
+
+  test('stream lengths match their data', () => {
+    const text = pdfText(sample());
+    const re = /<< \/Length (\d+)[^>]*>>\nstream\n/g;
+    let m;
+    while ((m = re.exec(text)) !== null) {
+      const start = m.index + m[0].length;
+      expect(text.slice(start + Number(m[1]), start + Number(m[1]) + 10)).toBe('\nendstream');
+    }
+  });
+
+  test('one page object per addPage(), A4 media box', () => {
+    const writer = sample().addPage().text('Друга', 56, 80);
+    const text = pdfText(writer);
+    expect(writer.pageCount).toBe(2);
+    expect(text).toContain('/Count 2');
+    expect(text.match(/\/Type \/Page /g)).toHaveLength(2);
+    expect(text).toContain('/MediaBox [0 0 595.28 841.89]');
+  });
+
+  test('non-ASCII title is written as UTF-16BE', () => {
+    expect(pdfText(sample())).toContain('/Title <FEFF04130440043004440456043A>');
+  });
+
+  test('throws without pages or fonts', () => {
+    expect(() => new PdfWriter({ fonts: FONTS }).toUint8Array()).toThrow('no pages');
+    expect(() => new PdfWriter({ fonts: {} })).toThrow('at least one font');
+  });
+});
+
+/* ========== Fonts ========== */
+
+describe('fonts', () => {
+  test('only fonts that were drawn with are embedded, as subsets', () => {
+    const text = pdfText(new PdfWriter({ fonts: FONTS }).addPage().text('Текст', 56, 80));
+    expect(text.match(/\/FontFile2/g)).toHaveLength(1);
+    expect(text).toContain('/BaseFont /AAAAAA+DejaVuSerif');
+    expect(text).not.toContain('DejaVuSerif-Bold');
+  });
+
+  test('text is encoded as glyph ids with a ToUnicode map', () => {
+    const writer = new PdfWriter({ fonts: FONTS }).addPage().text('Ї', 56, 80);
+    const text = pdfText(writer);
+    const [, hex] = text.match(/<([0-9a-f]{4})> Tj/);
+    expect(text).toContain(`<${hex}> <0407>`);
+    expect(text).toContain('/Encoding /Identity-H');
+  });
+
+  test('y is measured from the top of the page', () => {
+    const text = pdfText(new PdfWriter({ fonts: FONTS }).addPage().text('A', 10, 100));
+    expect(text).toContain(`10 ${Math.round((PdfWriter.PAGE.height - 100) * 100) / 100} Td`);
+  });
+});
+
+/* ========== Text layout ========== */
+
+describe('wrap', () => {
+  const writer = new PdfWriter({ fonts: FONTS });
+
+  test('keeps short text on one line', () => {
+    expect(writer.wrap('ПР 1', 100)).toEqual(['ПР 1']);
+  });
+
+  test('breaks at spaces within the width', () => {
+    const lines = writer.wrap('Практична робота з фізики про закони Ньютона', 100);
+    expect(lines.length).toBeGreaterThan(1);
+    for (const line of lines) expect(writer.textWidth(line)).toBeLessThanOrEqual(100);
+    expect(lines.join(' ')).toBe('Практична робота з фізики про закони Ньютона');
+  });
+
+  test('splits a word that is wider than the line', () => {
+    const lines = writer.wrap('Електроенергетика', 40);
+    expect(lines.length).toBeGreaterThan(1);
+    expect(lines.join('')).toBe('Електроенергетика');
+  });
+
+  test('honours explicit newlines', () => {
+    expect(writer.wrap('а\nб', 100)).toEqual(['а', 'б']);
+  });
+});
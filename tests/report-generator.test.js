@@ -0,0 +1,51 @@
+/**
+ * Unit tests for ReportGenerator.
+ *
+ * ReportGenerator reads date formatting from the SmartSchoolConfig
+ * content-script global; the fixture below formats like it does, so an
+ * empty date would come out as "NaN.NaN.NaN".
+ */
+
+global.ConflictDetector = require('../utils/conflict-detector');
+
+global.SmartSchoolConfig = {
+  formatDateUA: (date) => {
+    const d = new Date(date);
+    return `${String(d.getDate()).padStart(2, '0')}.${String(d.getMonth() + 1).padStart(2, '0')}.${d.getFullYear()}`;
+  },
+  getDayName: () => 'Вівторок',
+};
+
+const ReportGenerator = require('../utils/report-generator');
+
+/* ---------- Fixtures ---------- */
+
+function entry(date, overrides = {}) {
+  return {
+    lessonId: '101', date, pairNumber: 3, group: '16кб', subject: 'Фізика',
+    teacher: 'Іваненко', room: '', ...overrides,
+  };
+}
+
+async function csvLines(blob) {
+  return (await blob.text()).replace(/^﻿/, '').split('\r\n');
+}
+
+/* ========== generateAuditReport ========== */
+
+describe('generateAuditReport', () => {
+  test('dates are printed as DD.MM.YYYY', async () => {
+    const entries = [entry('2026-04-14')];
+    const issues = ConflictDetector.audit(entries, { types: ['noRoom'] });
+    const [, row] = await csvLines(ReportGenerator.generateAuditReport(issues, entries, 'csv'));
+    expect(row.split(',').slice(0, 3)).toEqual(['Кабінет не заданий', '14.04.2026', 'Вівторок']);
+  });
+
+  test('a lesson without a date leaves the date cell empty', async () => {
+    const entries = [entry('')];
+    const issues = ConflictDetector.audit(entries, { types: ['noRoom'] });
+    const [, row] = await csvLines(ReportGenerator.generateAuditReport(issues, entries, 'csv'));
+    expect(row).not.toContain('NaN');
+    expect(row.split(',').slice(0, 3)).toEqual(['Кабінет не заданий', '', '']);
+  });
+});
@@ -0,0 +1,108 @@
+/**
+ * Unit tests for ReportPeriod.
+ *
+ * 2026-04-15 is a Wednesday.
+ */
+
+const ReportPeriod = require('../utils/report-period');
+
+/* ========== Construction ========== */
+
+describe('constructor', () => {
+  test('keeps both ends', () => {
+    expect(new ReportPeriod('2026-02-09', '2026-02-15').toJSON())
+      .toEqual({ start: '2026-02-09', end: '2026-02-15' });
+  });
+
+  test('rejects missing, invalid and reversed dates', () => {
+    expect(() => new ReportPeriod('', '2026-02-15')).toThrow('обидві дати');
+    expect(() => new ReportPeriod('2026-02-30', '2026-03-01')).toThrow('обидві дати');
+    expect(() => new ReportPeriod('2026-02-15', '2026-02-09')).toThrow('раніше за початок');
+  });
+
+  test('rejects periods longer than MAX_MONTHS', () => {
+    expect(() => new ReportPeriod('2025-01-01', '2026-01-01')).toThrow('12 місяців');
+    expect(() => new ReportPeriod('2025-01-01', '2025-12-31')).not.toThrow();
+  });
+});
+
+/* ========== Kinds ========== */
+
+describe('resolve', () => {
+  test('month of any year, including December of last year', () => {
+    const p = ReportPeriod.resolve({ kind: 'month', year: 2025, month: '12' });
+    expect(p.toJSON()).toEqual({ start: '2025-12-01', end: '2025-12-31' });
+  });
+
+  test('February of a leap year', () => {
+    expect(ReportPeriod.month(2028, 2).end).toBe('2028-02-29');
+  });
+
+  test('this week and next week run Monday–Sunday', () => {
+    expect(ReportPeriod.resolve({ kind: 'this-week', today: '2026-04-15' }).toJSON())
+      .toEqual({ start: '2026-04-13', end: '2026-04-19' });
+    expect(ReportPeriod.resolve({ kind: 'next-week', today: '2026-04-19' }).toJSON())
+      .toEqual({ start: '2026-04-20', end: '2026-04-26' });
+  });
+
+  test('semester from the calendar settings', () => {
+    const p = ReportPeriod.resolve({ kind: 'semester', semesterStart: '2026-01-12', semesterEnd: '2026-06-30' });
+    expect(p.toJSON()).toEqual({ start: '2026-01-12', end: '2026-06-30' });
+    expect(() => ReportPeriod.resolve({ kind: 'semester' })).toThrow('Межі семестру не задані');
+  });
+
+  test('custom range', () => {
+    expect(ReportPeriod.resolve({ kind: 'range', from: '2026-03-20', to: '2026-04-10' }).toJSON())
+      .toEqual({ start: '2026-03-20', end: '2026-04-10' });
+  });
+
+  test('invalid month and unknown kind', () => {
+    expect(() => ReportPeriod.resolve({ kind: 'month', year: 2026, month: 13 })).toThrow('рік або місяць');
+    expect(() => ReportPeriod.resolve({ kind: 'decade' })).toThrow('Невідомий період');
+  });
+});
+
+/* ========== Month chunks ========== */
+
+describe('months', () => {
+  test('a range inside one month is a single chunk', () => {
+    expect(new ReportPeriod('2026-02-09', '2026-02-15').months())
+      .toEqual([{ start: '2026-02-09', end: '2026-02-15' }]);
+  });
+
+  test('a range across a year boundary is split at month ends', () => {
+    expect(new ReportPeriod('2025-11-20', '2026-01-10').months()).toEqual([
+      { start: '2025-11-20', end: '2025-11-30' },
+      { start: '2025-12-01', end: '2025-12-31' },
+      { start: '2026-01-01', end: '2026-01-10' },
+    ]);
+  });
+});
+
+/* ========== Labels ========== */
+
+describe('labels', () => {
+  test('a calendar month', () => {
+    const p = ReportPeriod.month(2026, 2);
+    expect(p.isMonth).toBe(true);
+    expect(p.monthLabel).toBe('лютий');
+    expect(p.yearLabel).toBe('2026');
+    expect(p.fileLabel).toBe('лютий-2026');
+    expect(p.displayLabel).toBe('лютий 2026');
+  });
+
+  test('a range across years', () => {
+    const p = new ReportPeriod('2025-12-22', '2026-01-04');
+    expect(p.isMonth).toBe(false);
+    expect(p.monthLabel).toBe('грудень–січень');
+    expect(p.yearLabel).toBe('2025–2026');
+    expect(p.fileLabel).toBe('2025-12-22_2026-01-04');
+    expect(p.displayLabel).toBe('22.12.2025–04.01.2026');
+  });
+
+  test('contains', () => {
+    const p = new ReportPeriod('2026-02-09', '2026-02-15');
+    expect(p.contains('2026-02-09')).toBe(true);
+    expect(p.contains('2026-02-16')).toBe(false);
+  });
+});
@@ -0,0 +1,98 @@
+/**
+ * Unit tests for ReportTemplate.
+ */
+
+const ReportTemplate = require('../utils/report-template');
+
+/* ---------- Fixtures ---------- */
+
+const VALUES = {
+  subject: 'Фізика', month: 'квітень', year: 2026, group: '16кб', teacher: 'Кузьо А.Т.',
+};
+
+/* ========== Defaults ========== */
+
+describe('defaults', () => {
+  test('renders the classic approval header and title', () => {
+    const page = new ReportTemplate({ approver: 'Іваненко І.І.' }).render(VALUES);
+    expect(page.header).toBe('«Затверджую»\nЗаступник директора\nз навчальної роботи\n_______Іваненко І.І.');
+    expect(page.title).toContain('з освітньої компоненти «Фізика»\nза квітень 2026 р.');
+    expect(page.before).toBe('');
+    expect(page.after).toBe('Викладач:          Кузьо А.Т.');
+  });
+
+  test('blank fields fall back to the defaults', () => {
+    const json = new ReportTemplate({ title: '  ', columns: { date: '' } }).toJSON();
+    expect(json.title).toBe(ReportTemplate.DEFAULTS.title);
+    expect(json.columns.date).toBe('дата');
+  });
+
+  test('toJSON round-trips through the constructor', () => {
+    const settings = {
+      approver: 'Петренко П.П.',
+      position: 'Директор',
+      header: 'ЗАТВЕРДЖУЮ\n{position} {approver}',
+      title: 'Графік {group}',
+      body: 'Перед\n{rows}\nПісля',
+      columns: { topic: 'Тема', group: 'Гр.', subgroup: 'Підгр.', date: 'Дата', pair: 'Пара' },
+    };
+    expect(new ReportTemplate(new ReportTemplate(settings).toJSON()).toJSON()).toEqual(settings);
+  });
+});
+
+/* ========== Placeholders ========== */
+
+describe('fill', () => {
+  test('replaces known placeholders, keeps unknown ones', () => {
+    expect(ReportTemplate.fill('{group}: {teachr}', VALUES)).toBe('16кб: {teachr}');
+  });
+
+  test('missing values become empty strings', () => {
+    expect(ReportTemplate.fill('[{subject}]', {})).toBe('[]');
+  });
+
+  test('never fills {rows}', () => {
+    expect(ReportTemplate.fill('{rows}', { rows: 'x' })).toBe('{rows}');
+  });
+
+  test('approver and position are available in every text', () => {
+    const page = new ReportTemplate({
+      approver: 'Петренко П.П.', position: 'Директор', title: '{position}: {approver}',
+    }).render(VALUES);
+    expect(page.title).toBe('Директор: Петренко П.П.');
+  });
+});
+
+describe('splitRows', () => {
+  test('splits around the {rows} line and trims blank edges', () => {
+    expect(ReportTemplate.splitRows('Вступ\n\n{rows}\n\nПідпис')).toEqual({ before: 'Вступ', after: 'Підпис' });
+  });
+
+  test('without {rows} the whole text goes below the table', () => {
+    expect(ReportTemplate.splitRows('Підпис')).toEqual({ before: '', after: 'Підпис' });
+  });
+});
+
+describe('unknownPlaceholders', () => {
+  test('lists each typo once', () => {
+    expect(ReportTemplate.unknownPlaceholders('{teachr} {month} {teachr} {x}')).toEqual(['{teachr}', '{x}']);
+  });
+
+  test('empty for valid templates', () => {
+    expect(ReportTemplate.unknownPlaceholders(ReportTemplate.DEFAULTS.header + ReportTemplate.DEFAULTS.body)).toEqual([]);
+  });
+});
+
+/* ========== Month names ========== */
+
+describe('monthName', () => {
+  test('accepts numbers and zero-padded strings', () => {
+    expect(ReportTemplate.monthName(1)).toBe('січень');
+    expect(ReportTemplate.monthName('04')).toBe('квітень');
+  });
+
+  test('empty when out of range', () => {
+    expect(ReportTemplate.monthName('')).toBe('');
+    expect(ReportTemplate.monthName(13)).toBe('');
+  });
+});
@@ -0,0 +1,152 @@
+/**
+ * Unit tests for ScheduleCache.
+ *
+ * 2026-04-13 is a Monday.
+ */
+
+const ScheduleCache = require('../utils/schedule-cache');
+
+/* ---------- Fixtures ---------- */
+
+function mapStore() {
+  const map = new Map();
+  return {
+    map,
+    async get(key) { return map.get(key); },
+    async put(record) { map.set(record.key, record); },
+    async delete(key) { map.delete(key); },
+    async all() { return [...map.values()]; },
+    async clear() { map.clear(); },
+  };
+}
+
+function entry(date, pairNumber = 1) {
+  return { lessonId: `${date}-${pairNumber}`, date, pairNumber, group: '16кб' };
+}
+
+const FILTER = ScheduleCache.filterKey({ teacherId: '42' });
+const HOUR = 60 * 60 * 1000;
+
+/* ========== Static helpers ========== */
+
+describe('static helpers', () => {
+  test('filterKey ignores dates and missing fields', () => {
+    expect(ScheduleCache.filterKey({ teacherId: '42', dateFrom: '2026-04-01' })).toBe('t=42|g=|s=|r=');
+    expect(ScheduleCache.filterKey({ klassId: '7', kabinetId: '204' })).toBe('t=|g=7|s=|r=204');
+  });
+
+  test('weeks covers a range with Mondays, across a month end', () => {
+    expect(ScheduleCache.weeks('2026-04-15', '2026-05-04'))
+      .toEqual(['2026-04-13', '2026-04-20', '2026-04-27', '2026-05-04']);
+    expect(ScheduleCache.weekStart('2026-04-19')).toBe('2026-04-13');
+  });
+
+  test('missingRanges joins consecutive weeks', () => {
+    expect(ScheduleCache.missingRanges(['2026-04-27', '2026-04-13', '2026-04-20', '2026-05-11'])).toEqual([
+      { start: '2026-04-13', end: '2026-05-03' },
+      { start: '2026-05-11', end: '2026-05-17' },
+    ]);
+  });
+
+  test('groupByWeek keeps empty weeks and drops entries outside them', () => {
+    const byWeek = ScheduleCache.groupByWeek(
+      [entry('2026-04-14'), entry('2026-04-19'), entry('2026-05-01')],
+      ['2026-04-13', '2026-04-20'],
+    );
+    expect(byWeek['2026-04-13']).toHaveLength(2);
+    expect(byWeek['2026-04-20']).toEqual([]);
+    expect(Object.keys(byWeek)).toHaveLength(2);
+  });
+});
+
+/* ========== getWeeks / putWeeks ========== */
+
+describe('getWeeks / putWeeks', () => {
+  test('stored weeks are hits, the rest are missing', async () => {
+    const cache = new ScheduleCache({ store: mapStore() });
+    await cache.putWeeks(FILTER, { '2026-04-13': [entry('2026-04-14')], '2026-04-20': [] });
+
+    const { hits, missing } = await cache.getWeeks(FILTER, ['2026-04-13', '2026-04-20', '2026-04-27']);
+    expect(hits['2026-04-13']).toEqual([entry('2026-04-14')]);
+    expect(hits['2026-04-20']).toEqual([]);
+    expect(missing).toEqual(['2026-04-27']);
+  });
+
+  test('filters are cached separately', async () => {
+    const cache = new ScheduleCache({ store: mapStore() });
+    await cache.putWeeks(FILTER, { '2026-04-13': [entry('2026-04-14')] });
+    const other = ScheduleCache.filterKey({ klassId: '7' });
+    expect((await cache.getWeeks(other, ['2026-04-13'])).missing).toEqual(['2026-04-13']);
+  });
+
+  test('weeks older than the TTL are missing', async () => {
+    let now = 0;
+    const cache = new ScheduleCache({ store: mapStore(), ttlMs: HOUR, now: () => now });
+    await cache.putWeeks(FILTER, { '2026-04-13': [] });
+    now = HOUR - 1;
+    expect((await cache.getWeeks(FILTER, ['2026-04-13'])).missing).toEqual([]);
+    now = HOUR;
+    expect((await cache.getWeeks(FILTER, ['2026-04-13'])).missing).toEqual(['2026-04-13']);
+  });
+});
+
+describe('dropWeeks', () => {
+  test('drops the weeks of every filter, or of one filter', async () => {
+    const cache = new ScheduleCache({ store: mapStore() });
+    const group = ScheduleCache.filterKey({ klassId: '7' });
+    await cache.putWeeks(FILTER, { '2026-04-13': [], '2026-04-20': [] });
+    await cache.putWeeks(group, { '2026-04-13': [], '2026-04-20': [] });
+
+    expect(await cache.dropWeeks(['2026-04-20'], group)).toBe(1);
+    expect((await cache.getWeeks(FILTER, ['2026-04-20'])).missing).toEqual([]);
+
+    expect(await cache.dropWeeks(['2026-04-13'])).toBe(2);
+    expect((await cache.getWeeks(FILTER, ['2026-04-13', '2026-04-20'])).missing).toEqual(['2026-04-13']);
+    expect((await cache.getWeeks(group, ['2026-04-13'])).missing).toEqual(['2026-04-13']);
+  });
+});
+
+/* ========== Eviction ========== */
+
+describe('evict', () => {
+  test('expired records are dropped on the next write', async () => {
+    let now = 0;
+    const store = mapStore();
+    const cache = new ScheduleCache({ store, ttlMs: HOUR, now: () => now });
+    await cache.putWeeks(FILTER, { '2026-04-13': [] });
+    now = 2 * HOUR;
+    await cache.putWeeks(FILTER, { '2026-04-20': [] });
+    expect([...store.map.values()].map((r) => r.week)).toEqual(['2026-04-20']);
+  });
+
+  test('least recently used weeks go first over the record limit', async () => {
+    let now = 0;
+    const store = mapStore();
+    const cache = new ScheduleCache({ store, maxRecords: 2, now: () => now });
+    await cache.putWeeks(FILTER, { '2026-04-13': [] });
+    now = 1;
+    await cache.putWeeks(FILTER, { '2026-04-20': [] });
+    now = 2;
+    await cache.getWeeks(FILTER, ['2026-04-13']);
+    now = 3;
+    await cache.putWeeks(FILTER, { '2026-04-27': [] });
+    expect([...store.map.values()].map((r) => r.week).sort()).toEqual(['2026-04-13', '2026-04-27']);
+  });
+
+  test('the byte limit counts serialized entries', async () => {
+    const store = mapStore();
+    const big = [entry('2026-04-14'), entry('2026-04-15')];
+    const cache = new ScheduleCache({ store, maxBytes: JSON.stringify(big).length });
+    await cache.putWeeks(FILTER, { '2026-04-13': big });
+    expect(await cache.stats()).toEqual({ records: 1, bytes: JSON.stringify(big).length });
+    await cache.putWeeks(FILTER, { '2026-04-20': [entry('2026-04-21')] });
+    expect((await cache.stats()).records).toBe(1);
+  });
+
+  test('clear empties the store', async () => {
+    const cache = new ScheduleCache({ store: mapStore() });
+    await cache.putWeeks(FILTER, { '2026-04-13': [] });
+    await cache.clear();
+    expect(await cache.stats()).toEqual({ records: 0, bytes: 0 });
+  });
+});
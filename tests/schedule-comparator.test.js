@@ -0,0 +1,58 @@
+/**
+ * Unit tests for ScheduleComparator.
+ *
+ * ScheduleComparator reads dates and pair times from the SmartSchoolConfig
+ * content-script global; the fixture below stands in for it with a single
+ * day of four pairs. 2026-04-15 is a Wednesday.
+ */
+
+const TeacherConstraints = require('../utils/teacher-constraints');
+
+/* ---------- Fixtures ---------- */
+
+const DAY = '2026-04-15';
+
+global.SmartSchoolConfig = {
+  log: () => {},
+  dateRange: () => [DAY],
+  getPairTimes: () => [1, 2, 3, 4].map((number) => ({ number, start: '', end: '' })),
+  formatDateUA: (date) => date,
+  getDayName: () => 'Середа',
+  getTeacherConstraints: () => new TeacherConstraints(),
+};
+
+const ScheduleComparator = require('../utils/schedule-comparator');
+
+function schedule(...pairs) {
+  return { entries: pairs.map((pairNumber) => ({ date: DAY, pairNumber })) };
+}
+
+const freePairs = (slots) => slots.map((s) => s.pairNumber);
+
+/* ========== findFreeSlots ========== */
+
+describe('findFreeSlots', () => {
+  test('pairs busy for either group or the teacher are not free', () => {
+    const slots = ScheduleComparator.findFreeSlots(schedule(1), schedule(2), DAY, DAY, {
+      teacherSchedule: schedule(3),
+    });
+    expect(freePairs(slots)).toEqual([4]);
+  });
+
+  test('teacher limits count the teacher\'s own lessons, not the group\'s', () => {
+    const constraints = new TeacherConstraints({ maxPairsPerDay: 2 });
+    // The group has one pair; the teacher already teaches two, one of them in another group
+    const busyTeacher = { teacherSchedule: schedule(1, 2), constraints };
+    expect(freePairs(ScheduleComparator.findFreeSlots(schedule(1), schedule(), DAY, DAY, busyTeacher))).toEqual([]);
+    expect(ScheduleComparator.findRejectedSlots(schedule(1), schedule(), DAY, DAY, busyTeacher))
+      .toMatchObject([{ pairNumber: 3, rule: 'max-pairs-per-day' }, { pairNumber: 4, rule: 'max-pairs-per-day' }]);
+  });
+
+  test('a group busy with other teachers does not use up the teacher\'s limit', () => {
+    const constraints = new TeacherConstraints({ maxPairsPerDay: 2, maxConsecutive: 1 });
+    const slots = ScheduleComparator.findFreeSlots(schedule(1, 2, 3), schedule(), DAY, DAY, {
+      teacherSchedule: schedule(), constraints,
+    });
+    expect(freePairs(slots)).toEqual([4]);
+  });
+});
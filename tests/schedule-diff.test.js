@@ -0,0 +1,158 @@
+/**
+ * Unit tests for ScheduleDiff.
+ */
+
+const ScheduleDiff = require('../utils/schedule-diff');
+
+/* ---------- Fixtures ---------- */
+
+function lesson(lessonId, date, pairNumber, room = '204') {
+  return { lessonId, date, pairNumber, room, group: '16кб', subject: 'Фізика', teacher: 'Іваненко' };
+}
+
+function snapshot(entries, start = '2026-04-13', end = '2026-04-26') {
+  return { start, end, teacherId: '42', takenAt: 0, entries };
+}
+
+/* ========== compare ========== */
+
+describe('compare', () => {
+  test('identical snapshots have no changes', () => {
+    const entries = [lesson('1', '2026-04-14', 2)];
+    expect(ScheduleDiff.compare(snapshot(entries), snapshot(entries))).toEqual([]);
+  });
+
+  test('added, removed, moved and re-roomed lessons', () => {
+    const before = snapshot([
+      lesson('1', '2026-04-14', 2),
+      lesson('2', '2026-04-15', 3),
+      lesson('3', '2026-04-16', 1),
+    ]);
+    const after = snapshot([
+      lesson('1', '2026-04-14', 4),
+      lesson('3', '2026-04-16', 1, '106'),
+      lesson('4', '2026-04-17', 2),
+    ]);
+    const changes = ScheduleDiff.compare(before, after);
+    expect(changes.map((c) => [c.type, c.lessonId])).toEqual([
+      ['moved', '1'], ['removed', '2'], ['room', '3'], ['added', '4'],
+    ]);
+    expect(changes[0].before.pairNumber).toBe(2);
+    expect(changes[0].after.pairNumber).toBe(4);
+    expect(changes[1].after).toBeNull();
+    expect(changes[3].before).toBeNull();
+  });
+
+  test('only dates covered by both snapshots count', () => {
+    const before = snapshot([lesson('1', '2026-04-08', 1)], '2026-04-06', '2026-04-19');
+    const after = snapshot([lesson('2', '2026-04-22', 1)], '2026-04-13', '2026-04-26');
+    expect(ScheduleDiff.compare(before, after)).toEqual([]);
+  });
+
+  test('a lesson moved out of the shared dates is still a move', () => {
+    const before = snapshot([lesson('1', '2026-04-14', 2)], '2026-04-13', '2026-04-19');
+    const after = snapshot([lesson('1', '2026-04-23', 2)], '2026-04-13', '2026-04-26');
+    expect(ScheduleDiff.compare(before, after).map((c) => c.type)).toEqual(['moved']);
+  });
+
+  test('entries without lessonId are matched by date, pair and group', () => {
+    const before = snapshot([lesson('', '2026-04-14', 2), lesson('', '2026-04-15', 1)]);
+    const after = snapshot([lesson('', '2026-04-14', 2, '106')]);
+    expect(ScheduleDiff.compare(before, after).map((c) => c.type)).toEqual(['room', 'removed']);
+  });
+
+  test('a lesson re-created under a new lessonId is matched by its slot', () => {
+    const before = snapshot([lesson('1', '2026-04-14', 2)]);
+    const after = snapshot([{ ...lesson('7', '2026-04-14', 2), teacher: 'Петренко' }]);
+    const changes = ScheduleDiff.compare(before, after);
+    expect(changes.map((c) => [c.type, c.lessonId])).toEqual([['teacher', '7']]);
+    expect(changes[0].before.lessonId).toBe('1');
+  });
+
+  test('entries sharing a slot are all kept', () => {
+    const before = snapshot([
+      { ...lesson('', '2026-04-14', 2), subject: 'Хімія' },
+      { ...lesson('', '2026-04-14', 2), subject: 'Фізика' },
+    ]);
+    const after = snapshot([{ ...lesson('', '2026-04-14', 2), subject: 'Фізика' }]);
+    const changes = ScheduleDiff.compare(before, after);
+    expect(changes.map((c) => [c.type, c.before.subject])).toEqual([['removed', 'Хімія']]);
+  });
+
+  test('a new teacher on the same pair', () => {
+    const [change] = ScheduleDiff.compare(
+      snapshot([lesson('1', '2026-04-14', 2)]),
+      snapshot([{ ...lesson('1', '2026-04-14', 2, '106'), teacher: 'Петренко' }]),
+    );
+    expect(change.type).toBe('teacher');
+    expect(ScheduleDiff.describe(change))
+      .toBe('Змінено викладача: 16кб, Фізика — 14.04.2026, 2 пара: Іваненко → Петренко, 106');
+  });
+
+  test('a missing teacher (older snapshot) is not a change', () => {
+    const { teacher, ...withoutTeacher } = lesson('1', '2026-04-14', 2);
+    expect(ScheduleDiff.compare(snapshot([withoutTeacher]), snapshot([lesson('1', '2026-04-14', 2)]))).toEqual([]);
+  });
+
+  test('snapshots without shared dates give nothing', () => {
+    const before = snapshot([lesson('1', '2026-03-02', 1)], '2026-03-02', '2026-03-08');
+    expect(ScheduleDiff.compare(before, snapshot([]))).toEqual([]);
+  });
+});
+
+/* ========== describe / summarize ========== */
+
+describe('describe', () => {
+  test('a move with a new room', () => {
+    const [change] = ScheduleDiff.compare(
+      snapshot([lesson('1', '2026-04-14', 3)]),
+      snapshot([lesson('1', '2026-04-15', 5, '106')]),
+    );
+    expect(ScheduleDiff.describe(change))
+      .toBe('Перенесено: 16кб, Фізика — 14.04.2026, 3 пара → 15.04.2026, 5 пара, 106');
+  });
+
+  test('a room change and a removal', () => {
+    const changes = ScheduleDiff.compare(
+      snapshot([lesson('1', '2026-04-14', 3), lesson('2', '2026-04-16', 1, '')]),
+      snapshot([lesson('1', '2026-04-14', 3, '106')]),
+    );
+    expect(changes.map(ScheduleDiff.describe)).toEqual([
+      'Змінено кабінет: 16кб, Фізика — 14.04.2026, 3 пара: 204 → 106',
+      'Скасовано: 16кб, Фізика — 16.04.2026, 1 пара, кабінет не заданий',
+    ]);
+  });
+});
+
+describe('summarize', () => {
+  test('counts by type', () => {
+    expect(ScheduleDiff.summarize([{ type: 'added' }, { type: 'room' }, { type: 'added' }]))
+      .toEqual({ added: 2, removed: 0, moved: 0, teacher: 0, room: 1 });
+  });
+});
+
+/* ========== Snapshot history ========== */
+
+describe('keepSnapshot', () => {
+  const at = (day, hour) => new Date(2026, 3, day, hour).getTime();
+  const snap = (source, takenAt, teacherId = '42') => ({ id: takenAt, source, teacherId, takenAt });
+
+  test('a background snapshot replaces the same day\'s one, newest first', () => {
+    let history = ScheduleDiff.keepSnapshot([], snap('watch', at(13, 9)));
+    history = ScheduleDiff.keepSnapshot(history, snap('watch', at(14, 9)));
+    history = ScheduleDiff.keepSnapshot(history, snap('watch', at(14, 15)));
+    expect(history.map((s) => s.takenAt)).toEqual([at(14, 15), at(13, 9)]);
+  });
+
+  test('manual snapshots and other teachers are kept', () => {
+    let history = ScheduleDiff.keepSnapshot([], snap('manual', at(14, 8)));
+    history = ScheduleDiff.keepSnapshot(history, snap('watch', at(14, 9), '7'));
+    history = ScheduleDiff.keepSnapshot(history, snap('watch', at(14, 10)));
+    expect(history).toHaveLength(3);
+  });
+
+  test('the history is capped', () => {
+    const history = [1, 2, 3].reduce((h, day) => ScheduleDiff.keepSnapshot(h, snap('watch', at(day, 9)), 2), []);
+    expect(history.map((s) => s.takenAt)).toEqual([at(3, 9), at(2, 9)]);
+  });
+});
@@ -0,0 +1,30 @@
+/**
+ * Unit tests for ScheduleParser's text helpers.
+ *
+ * The lesson number cell reads, as textContent:
+ *   "1й урок09.02.2026Кількість годин: 2"
+ */
+
+const ScheduleParser = require('../utils/schedule-parser');
+
+/* ========== parseLessonHours ========== */
+
+describe('parseLessonHours', () => {
+  test('whole hours', () => {
+    expect(ScheduleParser.parseLessonHours('1й урок09.02.2026Кількість годин: 2')).toBe(2);
+  });
+
+  test('decimal hours with a comma or a dot', () => {
+    expect(ScheduleParser.parseLessonHours('3й урок11.02.2026Кількість годин: 1,5')).toBe(1.5);
+    expect(ScheduleParser.parseLessonHours('3й урок11.02.2026Кількість годин: 0.5')).toBe(0.5);
+  });
+
+  test('no hours line gives null', () => {
+    expect(ScheduleParser.parseLessonHours('1й урок09.02.2026')).toBeNull();
+    expect(ScheduleParser.parseLessonHours('')).toBeNull();
+  });
+
+  test('the pair number is read from the same cell', () => {
+    expect(ScheduleParser.parseLessonNumber('4й урок09.02.2026Кількість годин: 2')).toBe(4);
+  });
+});
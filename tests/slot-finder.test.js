@@ -12,6 +12,10 @@
  */
 
 const SlotFinder = require('../utils/slot-finder');
+const BellSchedule = require('../utils/bell-schedule');
+const AcademicCalendar = require('../utils/academic-calendar');
+const TeacherConstraints = require('../utils/teacher-constraints');
+const DateUtils = require('../utils/date-utils');
 
 /* ---------- Fixtures ---------- */
 
@@ -25,6 +29,11 @@ function entry(date, pairNumber) {
   return { date, pairNumber };
 }
 
+// Mon–Fri of the week starting on `monday`
+function weekdays(monday) {
+  return [0, 1, 2, 3, 4].map((i) => DateUtils.shift(monday, i));
+}
+
 function allPairsOnDates(dates) {
   return dates.flatMap((d) => PAIR_NUMS.map((p) => entry(d, p)));
 }
@@ -93,17 +102,22 @@ describe('basic slot finding', () => {
     const [result] = finder.findSlots();
 
     expect(result.lesson).toEqual({
+      lessonId:   '',
       date:       '2026-04-13',
       dayName:    'Понеділок',
       pairNumber: 1,
       group:      'G1',
       subject:    'Algo',
+      teacher:    '',
       topic:      'Topic X',
+      hours:      null,
+      room:       '',
     });
     expect(result.slot).toEqual({
       date:       '2026-04-13',
       dayName:    'Понеділок',
       pairNumber: 2,
+      room:       '',
     });
     // No timeStart / timeEnd — caller resolves times via config
     expect(result.slot).not.toHaveProperty('timeStart');
@@ -137,7 +151,7 @@ describe('day/week overflow', () => {
   test('Friday last pair → wraps to next Monday pair 1', () => {
     const finder = new SlotFinder({ lessons: [lesson('2026-04-17', 6)] });
     const { slot } = finder.findSlots()[0];
-    expect(slot).toEqual({ date: '2026-04-20', dayName: 'Понеділок', pairNumber: 1 });
+    expect(slot).toEqual({ date: '2026-04-20', dayName: 'Понеділок', pairNumber: 1, room: '' });
   });
 
   test('Friday pair 5 with pair 6 blocked → wraps to next Monday', () => {
@@ -222,6 +236,218 @@ describe('conflict blocking', () => {
   });
 });
 
+/* ========== Bell schedules ========== */
+
+describe('bell schedules', () => {
+  const SHORT_DAY = [
+    { number: 1, start: '08:00', end: '08:45' },
+    { number: 2, start: '08:55', end: '09:40' },
+    { number: 3, start: '09:50', end: '10:35' },
+  ];
+
+  test('DEFAULT_PAIR_NUMS mirrors the standard bell profile', () => {
+    expect([...SlotFinder.DEFAULT_PAIR_NUMS]).toEqual(new BellSchedule().pairNumbersFor(''));
+  });
+
+  test('only pairs that exist on a shortened day are offered', () => {
+    const bellSchedule = new BellSchedule({
+      profiles:  { standard: BellSchedule.DEFAULT_PROFILES.standard, short: SHORT_DAY },
+      overrides: { '2026-04-13': 'short' },
+    });
+    const finder = new SlotFinder({ lessons: [lesson('2026-04-13', 3)], bellSchedule });
+    // Monday has no pair 4 under the short profile → Tuesday pair 1
+    expect(finder.findSlots()[0].slot).toMatchObject({ date: '2026-04-14', pairNumber: 1 });
+  });
+
+  test('evening pairs 7 and 8 become candidates when the profile has them', () => {
+    const bellSchedule = new BellSchedule({
+      profiles: {
+        standard: [
+          ...BellSchedule.DEFAULT_PROFILES.standard,
+          { number: 7, start: '17:10', end: '18:30' },
+        ],
+      },
+    });
+    const finder = new SlotFinder({ lessons: [lesson('2026-04-13', 6)], bellSchedule });
+    expect(finder.findSlots()[0].slot).toMatchObject({ date: '2026-04-13', pairNumber: 7 });
+  });
+
+  test('explicit pairNums take precedence over the bell schedule', () => {
+    const bellSchedule = new BellSchedule({ profiles: { standard: SHORT_DAY } });
+    const finder = new SlotFinder({ lessons: [lesson('2026-04-13', 1)], bellSchedule, pairNums: [5] });
+    expect(finder.findSlots()[0].slot).toMatchObject({ date: '2026-04-13', pairNumber: 5 });
+  });
+});
+
+/* ========== Academic calendar ========== */
+
+describe('academic calendar', () => {
+  test('skips holidays when looking for the next day', () => {
+    const calendar = new AcademicCalendar({ holidays: [{ date: '2026-04-14', title: 'Свято' }] });
+    const finder = new SlotFinder({ lessons: [lesson('2026-04-13', 6)], calendar });
+    expect(finder.findSlots()[0].slot).toMatchObject({ date: '2026-04-15', pairNumber: 1 });
+  });
+
+  test('returns null when the rest of the window is a vacation', () => {
+    const calendar = new AcademicCalendar({
+      vacations: [{ start: '2026-04-14', end: '2026-04-26', title: 'Практика' }],
+    });
+    const finder = new SlotFinder({
+      lessons:        [lesson('2026-04-13', 1)],
+      teacherEntries: allPairsOnDates(['2026-04-13']),
+      calendar,
+    });
+    expect(finder.findSlots()[0].slot).toBeNull();
+  });
+
+  test('a transferred working Saturday becomes a candidate', () => {
+    const calendar = new AcademicCalendar({
+      transfers: [{ date: '2026-04-18', weekday: 1, title: 'Субота за понеділок' }],
+    });
+    const finder = new SlotFinder({ lessons: [lesson('2026-04-17', 6)], calendar });
+    expect(finder.findSlots()[0].slot).toEqual({
+      date: '2026-04-18', dayName: 'Субота', pairNumber: 1, room: '',
+    });
+  });
+
+  test('without a calendar Saturdays are never offered', () => {
+    const finder = new SlotFinder({ lessons: [lesson('2026-04-17', 6)] });
+    expect(finder.findSlots()[0].slot).toMatchObject({ date: '2026-04-20' });
+  });
+});
+
+/* ========== Room occupancy ========== */
+
+describe('room occupancy', () => {
+  const LAB = '106. Лабораторія';
+
+  function roomLesson(date, pairNumber, room = LAB, group = 'GroupA') {
+    return { ...lesson(date, pairNumber, group), room };
+  }
+
+  test('skips pairs where the required room is taken by another group', () => {
+    const finder = new SlotFinder({
+      lessons:       [roomLesson('2026-04-13', 1)],
+      roomSchedules: { [LAB]: { entries: [entry('2026-04-13', 2), entry('2026-04-13', 3)] } },
+    });
+    expect(finder.findSlots()[0].slot).toMatchObject({ date: '2026-04-13', pairNumber: 4 });
+  });
+
+  test('records the room on both the lesson and the slot', () => {
+    const [result] = new SlotFinder({ lessons: [roomLesson('2026-04-13', 1)] }).findSlots();
+    expect(result.lesson.room).toBe(LAB);
+    expect(result.slot).toEqual({ date: '2026-04-13', dayName: 'Понеділок', pairNumber: 2, room: LAB });
+  });
+
+  test('occupancy of a different room does not block the search', () => {
+    const finder = new SlotFinder({
+      lessons:       [roomLesson('2026-04-13', 1)],
+      roomSchedules: { '107. Лабораторія': { entries: [entry('2026-04-13', 2)] } },
+    });
+    expect(finder.findSlots()[0].slot).toMatchObject({ pairNumber: 2 });
+  });
+
+  test('"Кабінет не заданий" means no room requirement', () => {
+    const [result] = new SlotFinder({
+      lessons:       [roomLesson('2026-04-13', 1, SlotFinder.NO_ROOM)],
+      roomSchedules: { [SlotFinder.NO_ROOM]: { entries: [entry('2026-04-13', 2)] } },
+    }).findSlots();
+    expect(result.slot).toMatchObject({ pairNumber: 2, room: '' });
+  });
+
+  test('returns null when the room is busy across the whole search window', () => {
+    const blockDates = [
+      '2026-04-13','2026-04-14','2026-04-15','2026-04-16','2026-04-17',
+      '2026-04-20','2026-04-21','2026-04-22','2026-04-23','2026-04-24',
+    ];
+    const finder = new SlotFinder({
+      lessons:       [roomLesson('2026-04-13', 1)],
+      roomSchedules: { [LAB]: { entries: allPairsOnDates(blockDates) } },
+    });
+    expect(finder.findSlots()[0].slot).toBeNull();
+  });
+
+  test('two lessons needing the same lab never share a pair', () => {
+    const finder = new SlotFinder({
+      lessons: [
+        roomLesson('2026-04-13', 1, LAB, 'GroupA'),
+        roomLesson('2026-04-13', 1, LAB, 'GroupB'),
+      ],
+    });
+    const [r1, r2] = finder.findSlots();
+    expect(r1.slot.pairNumber).toBe(2);
+    expect(r2.slot.pairNumber).toBe(3);
+  });
+});
+
+/* ========== More than two subgroups ========== */
+
+describe('subgroups', () => {
+  test('default split into two subgroups yields one slot per lesson', () => {
+    const [result] = new SlotFinder({ lessons: [lesson('2026-04-13', 1)] }).findSlots();
+    expect(result.slots).toHaveLength(1);
+    expect(result.slots[0]).toBe(result.slot);
+  });
+
+  test('three subgroups get two distinct, non-overlapping slots', () => {
+    const [result] = new SlotFinder({
+      lessons:       [lesson('2026-04-13', 1)],
+      subgroupCount: 3,
+    }).findSlots();
+    expect(result.slots.map((s) => s.pairNumber)).toEqual([2, 3]);
+    expect(result.slot).toMatchObject({ pairNumber: 2 });
+  });
+
+  test('per-group count overrides the default', () => {
+    const results = new SlotFinder({
+      lessons: [lesson('2026-04-13', 1, 'Lang'), lesson('2026-04-14', 1, 'Other')],
+      groupSubgroupCounts: { Lang: 4 },
+    }).findSlots();
+    expect(results[0].slots).toHaveLength(3);
+    expect(results[1].slots).toHaveLength(1);
+  });
+
+  test('extra subgroups respect teacher and group conflicts', () => {
+    const [result] = new SlotFinder({
+      lessons:        [lesson('2026-04-13', 1, 'GroupA')],
+      teacherEntries: [entry('2026-04-13', 2)],
+      groupSchedules: { GroupA: { entries: [entry('2026-04-13', 4)] } },
+      subgroupCount:  3,
+    }).findSlots();
+    expect(result.slots.map((s) => s.pairNumber)).toEqual([3, 5]);
+  });
+
+  test('subgroups that do not fit are null, earlier ones are kept', () => {
+    const [result] = new SlotFinder({
+      lessons:        [lesson('2026-04-17', 5)],
+      teacherEntries: allPairsOnDates([
+        '2026-04-20','2026-04-21','2026-04-22','2026-04-23','2026-04-24',
+      ]),
+      subgroupCount:  3,
+    }).findSlots();
+    // Only Friday pair 6 is free in the whole window
+    expect(result.slots[0]).toMatchObject({ date: '2026-04-17', pairNumber: 6 });
+    expect(result.slots[1]).toBeNull();
+  });
+
+  test('a single subgroup needs no extra slot', () => {
+    const [result] = new SlotFinder({
+      lessons:       [lesson('2026-04-13', 1)],
+      subgroupCount: 1,
+    }).findSlots();
+    expect(result.slots).toEqual([]);
+    expect(result.slot).toBeNull();
+  });
+
+  test('slots of one lesson are reserved before the next lesson is searched', () => {
+    const results = new SlotFinder({
+      lessons:       [lesson('2026-04-13', 1, 'G1'), lesson('2026-04-13', 1, 'G2')],
+      subgroupCount: 3,
+    }).findSlots();
+    expect(results[1].slots.map((s) => s.pairNumber)).toEqual([4, 5]);
+  });
+});
+
 /* ========== Virtual schedule (anti-double-booking) ========== */
 
 describe('virtual schedule prevents double-booking', () => {
@@ -288,6 +514,328 @@ describe('virtual schedule prevents double-booking', () => {
   });
 });
 
+/* ========== Teacher constraints ========== */
+
+describe('teacher constraints', () => {
+  test('skips blocked pairs and tags them as rejected', () => {
+    const results = new SlotFinder({
+      lessons: [lesson('2026-04-13', 1)],
+      constraints: new TeacherConstraints({ blockedPairs: [2, 3] }),
+    }).findSlots();
+    expect(results[0].slot).toMatchObject({ date: '2026-04-13', pairNumber: 4 });
+    expect(results[0].rejected.slice(0, 2)).toEqual([
+      expect.objectContaining({ date: '2026-04-13', pairNumber: 2, rule: 'blocked-pair' }),
+      expect.objectContaining({ date: '2026-04-13', pairNumber: 3, rule: 'blocked-pair' }),
+    ]);
+  });
+
+  test('skips a blocked weekday entirely', () => {
+    const results = new SlotFinder({
+      lessons: [lesson('2026-04-14', 6)],
+      constraints: new TeacherConstraints({ blockedWeekdays: [3] }),
+    }).findSlots();
+    expect(results[0].slot).toMatchObject({ date: '2026-04-16', pairNumber: 1 });
+  });
+
+  test('max pairs per day counts fetched and reserved pairs', () => {
+    const results = new SlotFinder({
+      lessons: [lesson('2026-04-13', 1, 'GroupA'), lesson('2026-04-13', 2, 'GroupB')],
+      teacherEntries: [entry('2026-04-13', 1), entry('2026-04-13', 2)],
+      constraints: new TeacherConstraints({ maxPairsPerDay: 3 }),
+    }).findSlots();
+    expect(results[0].slot).toMatchObject({ date: '2026-04-13', pairNumber: 3 });
+    expect(results[1].slot).toMatchObject({ date: '2026-04-14', pairNumber: 1 });
+    expect(results[1].rejected[0]).toMatchObject({ date: '2026-04-13', rule: 'max-pairs-per-day' });
+  });
+
+  test('max consecutive pairs leaves a gap', () => {
+    const results = new SlotFinder({
+      lessons: [lesson('2026-04-13', 2)],
+      teacherEntries: [entry('2026-04-13', 1), entry('2026-04-13', 2)],
+      constraints: new TeacherConstraints({ maxConsecutive: 2 }),
+    }).findSlots();
+    expect(results[0].slot).toMatchObject({ date: '2026-04-13', pairNumber: 4 });
+  });
+
+  test('preferred pairs win within a day but not over an earlier day', () => {
+    const constraints = new TeacherConstraints({ preferredPairs: [4] });
+    const sameDay = new SlotFinder({ lessons: [lesson('2026-04-13', 1)], constraints }).findSlots();
+    expect(sameDay[0].slot).toMatchObject({ date: '2026-04-13', pairNumber: 4 });
+
+    const busyPair4 = new SlotFinder({
+      lessons: [lesson('2026-04-13', 5)],
+      teacherEntries: [entry('2026-04-14', 4)],
+      constraints,
+    }).findSlots();
+    expect(busyPair4[0].slot).toMatchObject({ date: '2026-04-13', pairNumber: 6 });
+  });
+
+  test('rejected is empty without constraints', () => {
+    expect(new SlotFinder({ lessons: [lesson('2026-04-13', 1)] }).findSlots()[0].rejected).toEqual([]);
+  });
+});
+
+/* ========== Diagnostics ========== */
+
+describe('diagnostic', () => {
+  function cell(result, date, pairNumber) {
+    return result.diagnostic.find((c) => c.date === date && c.pairNumber === pairNumber);
+  }
+
+  test('covers every date/pair of the search window', () => {
+    const [result] = new SlotFinder({ lessons: [lesson('2026-04-15', 3)] }).findSlots();
+    expect(result.diagnostic).toHaveLength(10 * PAIR_NUMS.length);
+    expect(result.diagnostic[0]).toMatchObject({ date: '2026-04-13', dayName: 'Понеділок', pairNumber: 1 });
+  });
+
+  test('marks the original lesson, the assigned slot, free and earlier cells', () => {
+    const [result] = new SlotFinder({ lessons: [lesson('2026-04-15', 3)] }).findSlots();
+    expect(cell(result, '2026-04-15', 3).status).toBe('original');
+    expect(cell(result, '2026-04-15', 4).status).toBe('assigned');
+    expect(cell(result, '2026-04-15', 5).status).toBe('free');
+    expect(cell(result, '2026-04-14', 6).reasons).toEqual([expect.objectContaining({ type: 'before' })]);
+    expect(cell(result, '2026-04-15', 2).reasons).toEqual([expect.objectContaining({ type: 'before' })]);
+  });
+
+  test('names every party that is busy', () => {
+    const [result] = new SlotFinder({
+      lessons: [{ ...lesson('2026-04-13', 1), room: '101' }],
+      teacherEntries: [entry('2026-04-13', 2)],
+      groupSchedules: { GroupA: { entries: [entry('2026-04-13', 2), entry('2026-04-13', 3)] } },
+      roomSchedules: { 101: { entries: [entry('2026-04-13', 3)] } },
+    }).findSlots();
+    expect(cell(result, '2026-04-13', 2).reasons.map((r) => r.type)).toEqual(['teacher', 'group']);
+    expect(cell(result, '2026-04-13', 3).reasons.map((r) => r.type)).toEqual(['group', 'room']);
+  });
+
+  test('shows which lesson of this run reserved a slot', () => {
+    const results = new SlotFinder({
+      lessons: [lesson('2026-04-13', 1, 'GroupA', 'Math'), lesson('2026-04-13', 1, 'GroupB', 'Physics')],
+    }).findSlots();
+    const reserved = cell(results[1], '2026-04-13', 2);
+    expect(reserved.status).toBe('blocked');
+    expect(reserved.reasons[0]).toMatchObject({ type: 'reserved' });
+    expect(reserved.reasons[0].text).toContain('GroupA (Math)');
+  });
+
+  test('explains non-teaching days with the calendar title', () => {
+    const calendar = new AcademicCalendar({ holidays: [{ date: '2026-04-14', title: 'Свято' }] });
+    const [result] = new SlotFinder({ lessons: [lesson('2026-04-13', 6)], calendar }).findSlots();
+    expect(cell(result, '2026-04-14', 1).reasons).toEqual([{ type: 'calendar', text: 'Свято' }]);
+    expect(result.diagnostic.some((c) => c.date === '2026-04-18')).toBe(false);
+  });
+
+  test('tags constraint rules', () => {
+    const [result] = new SlotFinder({
+      lessons: [lesson('2026-04-13', 1)],
+      constraints: new TeacherConstraints({ blockedPairs: [2] }),
+    }).findSlots();
+    expect(cell(result, '2026-04-13', 2).reasons).toEqual([
+      expect.objectContaining({ type: 'constraint', rule: 'blocked-pair' }),
+    ]);
+  });
+
+  test('explains a lesson left without a slot', () => {
+    const [result] = new SlotFinder({
+      lessons: [lesson('2026-04-17', 6)],
+      teacherEntries: allPairsOnDates(weekdays('2026-04-20')),
+    }).findSlots();
+    expect(result.slot).toBeNull();
+    const candidates = result.diagnostic.filter((c) => c.date > '2026-04-17');
+    expect(candidates.every((c) => c.status === 'blocked' && c.reasons[0].type === 'teacher')).toBe(true);
+  });
+});
+
+/* ========== Ranked alternatives and user choices ========== */
+
+describe('alternatives', () => {
+  test('ranks free slots closest first, the assigned one leading', () => {
+    const [result] = new SlotFinder({ lessons: [lesson('2026-04-13', 4)] }).findSlots();
+    expect(result.alternatives.map((s) => `${s.date} ${s.pairNumber}`)).toEqual([
+      '2026-04-13 5', '2026-04-13 6', '2026-04-14 1', '2026-04-14 2', '2026-04-14 3',
+    ]);
+    expect(result.alternatives[0]).toEqual(result.slot);
+  });
+
+  test('alternativeCount limits the list', () => {
+    const [result] = new SlotFinder({ lessons: [lesson('2026-04-13', 1)], alternativeCount: 2 }).findSlots();
+    expect(result.alternatives).toHaveLength(2);
+  });
+
+  test('excludes slots held by other lessons of the run', () => {
+    const results = new SlotFinder({
+      lessons: [lesson('2026-04-13', 1, 'GroupA'), lesson('2026-04-13', 1, 'GroupB')],
+    }).findSlots();
+    expect(results[1].alternatives.map((s) => s.pairNumber)).not.toContain(2);
+  });
+
+  test('a choice pins the slot and the other lessons are searched around it', () => {
+    const lessons = [lesson('2026-04-13', 1, 'GroupA'), lesson('2026-04-13', 1, 'GroupB')];
+    const first = new SlotFinder({ lessons }).findSlots();
+    expect(first.map((r) => r.slot.pairNumber)).toEqual([2, 3]);
+
+    const results = new SlotFinder({
+      lessons,
+      choices: { 1: [{ date: '2026-04-13', pairNumber: 2 }] },
+    }).findSlots();
+    expect(results[1].slot).toMatchObject({ date: '2026-04-13', pairNumber: 2 });
+    expect(results[0].slot).toMatchObject({ date: '2026-04-13', pairNumber: 3 });
+  });
+
+  test('choices are honoured in optimal mode', () => {
+    const results = new SlotFinder({
+      lessons: [lesson('2026-04-13', 1, 'GroupA'), lesson('2026-04-13', 1, 'GroupB')],
+      choices: { 0: [{ date: '2026-04-14', pairNumber: 3 }] },
+      mode: 'optimal',
+    }).findSlots();
+    expect(results[0].slot).toMatchObject({ date: '2026-04-14', pairNumber: 3 });
+    expect(results[1].slot).toMatchObject({ date: '2026-04-13', pairNumber: 2 });
+  });
+
+  test('a choice that is not free is ignored', () => {
+    const [result] = new SlotFinder({
+      lessons: [lesson('2026-04-13', 1)],
+      teacherEntries: [entry('2026-04-13', 2)],
+      choices: { 0: [{ date: '2026-04-13', pairNumber: 2 }] },
+    }).findSlots();
+    expect(result.slot).toMatchObject({ date: '2026-04-13', pairNumber: 3 });
+  });
+});
+
+/* ========== Search window ========== */
+
+describe('search window', () => {
+  test('windowRange defaults to the lesson week plus the next one', () => {
+    expect(SlotFinder.windowRange('2026-04-15')).toEqual({ start: '2026-04-13', end: '2026-04-26' });
+  });
+
+  test('windowRange in weeks mode spans weeksAhead extra weeks', () => {
+    expect(SlotFinder.windowRange('2026-04-15', { weeksAhead: 0 })).toEqual({ start: '2026-04-13', end: '2026-04-19' });
+    expect(SlotFinder.windowRange('2026-04-15', { weeksAhead: 3 }).end).toBe('2026-05-10');
+  });
+
+  test('windowRange in days mode counts from the lesson date', () => {
+    expect(SlotFinder.windowRange('2026-04-15', { mode: 'days', daysBefore: 2, daysAfter: 20 }))
+      .toEqual({ start: '2026-04-13', end: '2026-05-05' });
+  });
+
+  test('same-week-only never spills into the next week', () => {
+    const [result] = new SlotFinder({
+      lessons: [lesson('2026-04-17', 6)],
+      searchWindow: { weeksAhead: 0 },
+    }).findSlots();
+    expect(result.slot).toBeNull();
+  });
+
+  test('weeksAhead reaches past a two-week practice block', () => {
+    const blocked = [
+      ...weekdays('2026-04-20'),
+      ...weekdays('2026-04-27'),
+    ];
+    const [result] = new SlotFinder({
+      lessons: [lesson('2026-04-17', 6)],
+      groupSchedules: { GroupA: { entries: allPairsOnDates(blocked) } },
+      searchWindow: { weeksAhead: 3 },
+    }).findSlots();
+    expect(result.slot).toMatchObject({ date: '2026-05-04', pairNumber: 1 });
+  });
+
+  test('days mode limits candidates to daysAfter', () => {
+    const [result] = new SlotFinder({
+      lessons: [lesson('2026-04-13', 6)],
+      teacherEntries: allPairsOnDates(['2026-04-14']),
+      searchWindow: { mode: 'days', daysAfter: 1 },
+    }).findSlots();
+    expect(result.slot).toBeNull();
+  });
+
+  test('earlier slots are offered only with allowBeforeOriginal, closest first', () => {
+    const options = {
+      lessons: [lesson('2026-04-15', 6)],
+      searchWindow: { mode: 'days', daysBefore: 1, daysAfter: 1, allowBeforeOriginal: true },
+    };
+    expect(new SlotFinder(options).findSlots()[0].slot).toMatchObject({ date: '2026-04-15', pairNumber: 5 });
+
+    const [result] = new SlotFinder({ ...options, searchWindow: { ...options.searchWindow, allowBeforeOriginal: false } })
+      .findSlots();
+    expect(result.slot).toMatchObject({ date: '2026-04-16', pairNumber: 1 });
+  });
+});
+
+/* ========== Optimal mode ========== */
+
+describe('optimal mode', () => {
+  // Teacher is free only on Fri 2026-04-17; lesson A is Thursday's last pair
+  const BUSY_DAYS = [
+    '2026-04-13','2026-04-14','2026-04-15','2026-04-16',
+    '2026-04-20','2026-04-21','2026-04-22','2026-04-23','2026-04-24',
+  ];
+
+  function contested(mode) {
+    // A can use Fri pair 2 or 3; B (right after Friday's pair 1) only pair 2
+    return new SlotFinder({
+      lessons: [
+        lesson('2026-04-16', 6, 'GroupA'),
+        lesson('2026-04-17', 1, 'GroupB'),
+      ],
+      teacherEntries: [...allPairsOnDates(BUSY_DAYS), entry('2026-04-17', 1)],
+      groupSchedules: {
+        GroupA: { entries: [4, 5, 6].map((p) => entry('2026-04-17', p)) },
+        GroupB: { entries: [3, 4, 5, 6].map((p) => entry('2026-04-17', p)) },
+      },
+      mode,
+    }).findSlots();
+  }
+
+  test('greedy is the default and serves lessons in input order', () => {
+    const results = contested(undefined);
+    expect(results[0].slot).toMatchObject({ date: '2026-04-17', pairNumber: 2 });
+    expect(results[1].slot).toBeNull();
+  });
+
+  test('places more lessons than greedy when an earlier lesson can move', () => {
+    const results = contested('optimal');
+    expect(results[0].slot).toMatchObject({ date: '2026-04-17', pairNumber: 3 });
+    expect(results[1].slot).toMatchObject({ date: '2026-04-17', pairNumber: 2 });
+  });
+
+  test('among equally complete assignments prefers the closest slots', () => {
+    const options = {
+      lessons: [
+        lesson('2026-04-16', 6, 'GroupA'),
+        lesson('2026-04-16', 5, 'GroupB'),
+      ],
+      teacherEntries: allPairsOnDates(BUSY_DAYS),
+      groupSchedules: {
+        GroupA: { entries: [3, 4, 5, 6].map((p) => entry('2026-04-17', p)) },
+        GroupB: { entries: [2, 4, 5, 6].map((p) => entry('2026-04-17', p)) },
+      },
+    };
+
+    const greedy = new SlotFinder(options).findSlots();
+    expect(greedy.map((r) => r.slot.pairNumber)).toEqual([1, 3]);
+
+    const optimal = new SlotFinder({ ...options, mode: 'optimal' }).findSlots();
+    expect(optimal.map((r) => r.slot.pairNumber)).toEqual([2, 1]);
+  });
+
+  test('matches greedy when greedy already places everything closest', () => {
+    const lessons = [lesson('2026-04-13', 1, 'GroupA'), lesson('2026-04-13', 1, 'GroupB')];
+    const greedy = new SlotFinder({ lessons }).findSlots();
+    const optimal = new SlotFinder({ lessons, mode: 'optimal' }).findSlots();
+    expect(optimal).toEqual(greedy);
+  });
+
+  test('never double-books subgroups of one lesson', () => {
+    const results = new SlotFinder({
+      lessons: [lesson('2026-04-13', 1)],
+      subgroupCount: 3,
+      mode: 'optimal',
+    }).findSlots();
+    expect(results[0].slots.map((s) => s.pairNumber)).toEqual([2, 3]);
+  });
+});
+
 /* ========== Ukrainian day names ========== */
 
 describe('day name localisation', () => {
@@ -336,40 +884,23 @@ describe('batch processing', () => {
 /* ========== Static helpers ========== */
 
 describe('static helpers', () => {
-  test('_parseDate returns a local-midnight Date, not UTC midnight', () => {
-    const d = SlotFinder._parseDate('2026-04-13');
-    // Local midnight: hours should be 0 (local), not potentially 23 from UTC shift
-    expect(d.getHours()).toBe(0);
-    expect(d.getMinutes()).toBe(0);
+  test('_dayName names the weekday of a date', () => {
+    expect(SlotFinder._dayName('2026-04-13')).toBe('Понеділок');
+    expect(SlotFinder._dayName('2026-04-17')).toBe('Пʼятниця');
+    expect(SlotFinder._dayName('2026-04-19')).toBe('');
   });
 
-  test('_weekDates first entry is always a Monday', () => {
-    // Test from every day of the same week
+  test('the weeks window starts on Monday whichever day of the week is passed', () => {
     const daysOfWeek = [
-      '2026-04-13','2026-04-14','2026-04-15','2026-04-16','2026-04-17',
+      '2026-04-13','2026-04-14','2026-04-15','2026-04-16','2026-04-17','2026-04-18','2026-04-19',
     ];
     for (const date of daysOfWeek) {
-      const [monday] = SlotFinder._weekDates(date);
-      expect(SlotFinder._dayName(monday)).toBe('Понеділок');
+      const { start } = SlotFinder.windowRange(date, { weeksAhead: 0 });
+      expect(start).toBe('2026-04-13');
+      expect(SlotFinder._dayName(start)).toBe('Понеділок');
     }
   });
 
-  test('_weekDates returns exactly Mon–Fri', () => {
-    expect(SlotFinder._weekDates('2026-04-15')).toEqual([
-      '2026-04-13','2026-04-14','2026-04-15','2026-04-16','2026-04-17',
-    ]);
-  });
-
-  test('_nextWeekDates returns the following Mon–Fri', () => {
-    expect(SlotFinder._nextWeekDates('2026-04-17')).toEqual([
-      '2026-04-20','2026-04-21','2026-04-22','2026-04-23','2026-04-24',
-    ]);
-  });
-
-  test('_weekDates is stable regardless of which day of the week is passed', () => {
-    expect(SlotFinder._weekDates('2026-04-13')).toEqual(SlotFinder._weekDates('2026-04-17'));
-  });
-
   test('_buildOccupiedMap groups pair numbers by date', () => {
     const map = SlotFinder._buildOccupiedMap([
       entry('2026-04-13', 1),
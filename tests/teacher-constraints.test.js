@@ -0,0 +1,132 @@
+/**
+ * Unit tests for TeacherConstraints.
+ *
+ * Reference dates (ISO Mon=1):
+ *   2026-04-13  Monday
+ *   2026-04-15  Wednesday
+ *   2026-04-18  Saturday
+ */
+
+const TeacherConstraints = require('../utils/teacher-constraints');
+
+/* ========== Hard rules ========== */
+
+describe('check', () => {
+  test('empty constraints allow every pair', () => {
+    const rules = new TeacherConstraints();
+    expect(rules.isEmpty()).toBe(true);
+    expect(rules.check('2026-04-15', 6, [1, 2, 3, 4, 5])).toBeNull();
+  });
+
+  test('blocked weekday rejects every pair of that day', () => {
+    const rules = new TeacherConstraints({ blockedWeekdays: [3] });
+    expect(rules.check('2026-04-15', 1)).toMatchObject({ rule: 'blocked-weekday' });
+    expect(rules.check('2026-04-13', 1)).toBeNull();
+  });
+
+  test('blocked pair rejects it on every day', () => {
+    const rules = new TeacherConstraints({ blockedPairs: [6] });
+    expect(rules.check('2026-04-13', 6)).toMatchObject({ rule: 'blocked-pair' });
+    expect(rules.check('2026-04-13', 5)).toBeNull();
+  });
+
+  test('blocked slot rejects one pair on one weekday only', () => {
+    const rules = new TeacherConstraints({ blockedSlots: [{ weekday: 1, pairNumber: 4 }] });
+    expect(rules.check('2026-04-13', 4)).toMatchObject({ rule: 'blocked-slot' });
+    expect(rules.check('2026-04-15', 4)).toBeNull();
+  });
+
+  test('max pairs per day counts the pairs already taught', () => {
+    const rules = new TeacherConstraints({ maxPairsPerDay: 3 });
+    expect(rules.check('2026-04-13', 5, [1, 2])).toBeNull();
+    expect(rules.check('2026-04-13', 5, [1, 2, 3])).toMatchObject({ rule: 'max-pairs-per-day' });
+  });
+
+  test('max consecutive looks at adjacent pairs on both sides', () => {
+    const rules = new TeacherConstraints({ maxConsecutive: 3 });
+    expect(rules.check('2026-04-13', 3, new Set([1, 2]))).toBeNull();
+    expect(rules.check('2026-04-13', 3, new Set([1, 2, 4]))).toMatchObject({ rule: 'max-consecutive' });
+    expect(rules.check('2026-04-13', 5, new Set([1, 2, 3]))).toBeNull();
+  });
+
+  test('a pair already in busyPairs is not counted twice', () => {
+    const rules = new TeacherConstraints({ maxPairsPerDay: 2 });
+    expect(rules.check('2026-04-13', 2, [1, 2])).toBeNull();
+  });
+
+  test('rejection carries a Ukrainian reason', () => {
+    const rules = new TeacherConstraints({ blockedPairs: [6] });
+    expect(rules.check('2026-04-13', 6).reason).toBe(TeacherConstraints.RULES['blocked-pair']);
+  });
+
+  test('weekdayOf lets a working Saturday follow another weekday', () => {
+    const rules = new TeacherConstraints({ blockedWeekdays: [3] }, {
+      weekdayOf: (d) => (d === '2026-04-18' ? 3 : new Date(d).getDay()),
+    });
+    expect(rules.check('2026-04-18', 1)).toMatchObject({ rule: 'blocked-weekday' });
+  });
+});
+
+/* ========== Preferred pairs ========== */
+
+describe('preferred pairs', () => {
+  test('without preferences every pair is preferred and costs nothing', () => {
+    const rules = new TeacherConstraints();
+    expect(rules.isPreferred(6)).toBe(true);
+    expect(rules.cost(6)).toBe(0);
+  });
+
+  test('pairs outside the list cost NON_PREFERRED_COST', () => {
+    const rules = new TeacherConstraints({ preferredPairs: [2, 3] });
+    expect(rules.cost(2)).toBe(0);
+    expect(rules.cost(4)).toBe(TeacherConstraints.NON_PREFERRED_COST);
+  });
+});
+
+/* ========== Persistence ========== */
+
+describe('toJSON', () => {
+  test('round-trips through the constructor', () => {
+    const settings = {
+      blockedWeekdays: [3], blockedPairs: [6], blockedSlots: [{ weekday: 5, pairNumber: 4 }],
+      maxPairsPerDay: 4, maxConsecutive: 3, preferredPairs: [2, 3],
+    };
+    expect(new TeacherConstraints(new TeacherConstraints(settings).toJSON()).toJSON()).toEqual(settings);
+  });
+
+  test('normalises numbers from form input', () => {
+    const json = new TeacherConstraints({ blockedPairs: ['6', '5', '6'], maxPairsPerDay: '4' }).toJSON();
+    expect(json.blockedPairs).toEqual([5, 6]);
+    expect(json.maxPairsPerDay).toBe(4);
+  });
+});
+
+/* ========== Text parsing ========== */
+
+describe('text parsing', () => {
+  test('parsePairList accepts commas and spaces', () => {
+    expect(TeacherConstraints.parsePairList('5, 6 7')).toEqual([5, 6, 7]);
+    expect(TeacherConstraints.parsePairList('')).toEqual([]);
+  });
+
+  test('parsePairList throws on non-numbers', () => {
+    expect(() => TeacherConstraints.parsePairList('5, шоста')).toThrow('шоста');
+  });
+
+  test('parseSlotsText reads short day names and numbers', () => {
+    expect(TeacherConstraints.parseSlotsText('Пт 4, 5\n3 1')).toEqual([
+      { weekday: 5, pairNumber: 4 },
+      { weekday: 5, pairNumber: 5 },
+      { weekday: 3, pairNumber: 1 },
+    ]);
+  });
+
+  test('parseSlotsText throws on an unknown day', () => {
+    expect(() => TeacherConstraints.parseSlotsText('Нд 1')).toThrow('Нд 1');
+  });
+
+  test('formatSlotsText round-trips', () => {
+    const slots = [{ weekday: 5, pairNumber: 4 }, { weekday: 5, pairNumber: 5 }];
+    expect(TeacherConstraints.parseSlotsText(TeacherConstraints.formatSlotsText(slots))).toEqual(slots);
+  });
+});
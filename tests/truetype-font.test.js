@@ -0,0 +1,89 @@
+/**
+ * Unit tests for TrueTypeFont (against the bundled DejaVu Serif).
+ */
+
+const fs = require('fs');
+const path = require('path');
+const TrueTypeFont = require('../utils/truetype-font');
+
+/* ---------- Fixtures ---------- */
+
+const FONT_BYTES = fs.readFileSync(path.join(__dirname, '../fonts/DejaVuSerif.ttf'));
+const font = new TrueTypeFont(FONT_BYTES);
+
+const gid = (ch) => font.glyphId(ch.codePointAt(0));
+
+/* ========== Metrics ========== */
+
+describe('metrics', () => {
+  test('reads the header tables', () => {
+    expect(font.unitsPerEm).toBe(2048);
+    expect(font.ascent).toBeGreaterThan(0);
+    expect(font.descent).toBeLessThan(0);
+    expect(font.numGlyphs).toBeGreaterThan(1000);
+    expect(font.postScriptName).toBe('DejaVuSerif');
+  });
+
+  test('maps Latin, Cyrillic and Ukrainian letters to glyphs', () => {
+    for (const ch of 'AzЖжЇїІіЄєҐґʼ«»—') expect(gid(ch)).toBeGreaterThan(0);
+  });
+
+  test('unknown code points map to .notdef', () => {
+    expect(font.glyphId(0x10fff0)).toBe(0);
+  });
+
+  test('textWidth scales advance widths by size', () => {
+    const w12 = font.textWidth('Графік', 12);
+    expect(w12).toBeGreaterThan(20);
+    expect(font.textWidth('Графік', 24)).toBeCloseTo(w12 * 2, 5);
+    expect(font.textWidth('', 12)).toBe(0);
+  });
+
+  test('rejects files that are not TrueType fonts', () => {
+    expect(() => new TrueTypeFont(new Uint8Array(64))).toThrow('Шрифт не містить таблиці');
+  });
+});
+
+/* ========== Subset ========== */
+
+describe('subset', () => {
+  const kept = [gid('Г'), gid('р')];
+  const sub = new TrueTypeFont(font.subset(kept));
+
+  test('is a valid, much smaller font with the same glyph ids', () => {
+    expect(sub.numGlyphs).toBe(font.numGlyphs);
+    expect(sub.advanceWidth(kept[0])).toBe(font.advanceWidth(kept[0]));
+  });
+
+  test('keeps outlines of requested glyphs and empties the rest', () => {
+    const subBytes = font.subset(kept);
+    expect(subBytes.length).toBeLessThan(FONT_BYTES.length / 5);
+    expect(sub._glyphRange(kept[0]).end).toBeGreaterThan(sub._glyphRange(kept[0]).start);
+    const dropped = sub._glyphRange(gid('Ж'));
+    expect(dropped.end - dropped.start).toBe(0);
+  });
+
+  test('keeps the components of composite glyphs', () => {
+    const composite = gid('Ї');
+    const components = font._withComponents(new Set([composite]));
+    expect(components.size).toBeGreaterThan(1);
+
+    const withComposite = new TrueTypeFont(font.subset([composite]));
+    for (const component of components) {
+      const { start, end } = withComposite._glyphRange(component);
+      expect(end).toBeGreaterThan(start);
+    }
+  });
+
+  test('table checksums are valid', () => {
+    const bytes = font.subset(kept);
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    const count = view.getUint16(4);
+    for (let i = 0; i < count; i++) {
+      const record = 12 + i * 16;
+      const offset = view.getUint32(record + 8);
+      const length = Math.ceil(view.getUint32(record + 12) / 4) * 4;
+      expect(TrueTypeFont._checksum(bytes.subarray(offset, offset + length))).toBe(view.getUint32(record + 4));
+    }
+  });
+});
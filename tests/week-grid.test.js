@@ -0,0 +1,70 @@
+/**
+ * Unit tests for WeekGrid.
+ *
+ * 2026-04-13 is a Monday.
+ */
+
+const WeekGrid = require('../utils/week-grid');
+
+/* ---------- Fixtures ---------- */
+
+function lesson(date, pairNumber, group = '16кб') {
+  return { date, pairNumber, group, subject: 'Фізика', room: '204' };
+}
+
+const FOUR_PAIRS = () => [1, 2, 3, 4];
+
+/* ========== Layout ========== */
+
+describe('build', () => {
+  test('one week per Monday of the period, Mon–Fri columns', () => {
+    const weeks = WeekGrid.build([], { start: '2026-04-15', end: '2026-04-21', pairNumbersFor: FOUR_PAIRS });
+    expect(weeks.map((w) => [w.start, w.end])).toEqual([
+      ['2026-04-13', '2026-04-19'],
+      ['2026-04-20', '2026-04-26'],
+    ]);
+    expect(weeks[0].days.map((d) => d.weekday)).toEqual([1, 2, 3, 4, 5]);
+    expect(weeks[0].pairs).toEqual([1, 2, 3, 4]);
+  });
+
+  test('lessons fill their cells by index; other teaching cells are free', () => {
+    const entries = [lesson('2026-04-14', 2), lesson('2026-04-14', 2, '17кб'), lesson('2026-04-16', 1)];
+    const [week] = WeekGrid.build(entries, { start: '2026-04-13', end: '2026-04-19', pairNumbersFor: FOUR_PAIRS });
+    const cell = (pair, day) => week.rows[pair - 1].cells[day];
+
+    expect(cell(2, 1)).toEqual({ date: '2026-04-14', pairNumber: 2, lessons: [0, 1], state: 'busy' });
+    expect(cell(1, 3).lessons).toEqual([2]);
+    expect(cell(1, 0).state).toBe('free');
+  });
+
+  test('days outside the period or off the calendar are not free', () => {
+    const isTeachingDay = (date) => date !== '2026-04-14';
+    const [week] = WeekGrid.build([], {
+      start: '2026-04-14', end: '2026-04-19', pairNumbersFor: FOUR_PAIRS, isTeachingDay,
+    });
+    expect(week.days[0].inPeriod).toBe(false);
+    expect(week.rows[0].cells.map((c) => c.state)).toEqual(['off', 'off', 'free', 'free', 'free']);
+  });
+
+  test('a pair not rung that day is off', () => {
+    const pairNumbersFor = (date) => (date === '2026-04-17' ? [1, 2] : [1, 2, 3]);
+    const [week] = WeekGrid.build([], { start: '2026-04-13', end: '2026-04-19', pairNumbersFor });
+    expect(week.rows[2].cells.map((c) => c.state)).toEqual(['free', 'free', 'free', 'free', 'off']);
+  });
+
+  test('a Saturday lesson adds a Saturday column and its pair a row', () => {
+    const [week] = WeekGrid.build([lesson('2026-04-18', 7)], {
+      start: '2026-04-13', end: '2026-04-19', pairNumbersFor: FOUR_PAIRS,
+    });
+    expect(week.days.map((d) => WeekGrid.DAY_SHORT[d.weekday])).toEqual(['Пн', 'Вт', 'Ср', 'Чт', 'Пт', 'Сб']);
+    expect(week.pairs).toEqual([1, 2, 3, 4, 7]);
+    expect(week.rows[4].cells[5].state).toBe('busy');
+  });
+
+  test('entries outside the period are left out', () => {
+    const [week] = WeekGrid.build([lesson('2026-04-20', 1)], {
+      start: '2026-04-13', end: '2026-04-19', pairNumbersFor: FOUR_PAIRS,
+    });
+    expect(week.rows[0].cells.every((c) => c.lessons.length === 0)).toBe(true);
+  });
+});
@@ -0,0 +1,95 @@
+/**
+ * Unit tests for WorkloadReport.
+ *
+ * 2026-04-13 is a Monday.
+ */
+
+const WorkloadReport = require('../utils/workload-report');
+
+/* ---------- Fixtures ---------- */
+
+function lesson(date, { subject = 'Фізика', group = '16кб', hours = 2 } = {}) {
+  return { date, pairNumber: 1, subject, group, hours };
+}
+
+/* ========== build ========== */
+
+describe('build', () => {
+  test('hours per subject + group, group and subject', () => {
+    const report = WorkloadReport.build([
+      lesson('2026-04-14'),
+      lesson('2026-04-15', { group: '17кб' }),
+      lesson('2026-04-16', { subject: 'Хімія', hours: 1 }),
+    ]);
+    expect(report.lessons).toBe(3);
+    expect(report.hours).toBe(5);
+    expect(report.pairs.map((p) => [p.subject, p.group, p.hours])).toEqual([
+      ['Фізика', '16кб', 2], ['Фізика', '17кб', 2], ['Хімія', '16кб', 1],
+    ]);
+    expect(report.groups.map((g) => [g.group, g.lessons, g.hours])).toEqual([['16кб', 2, 3], ['17кб', 1, 2]]);
+    expect(report.subjects.map((s) => [s.subject, s.hours])).toEqual([['Фізика', 4], ['Хімія', 1]]);
+    expect(report.pairs[0]).toMatchObject({ planned: null, diff: null, status: '' });
+  });
+
+  test('weeks run Monday to Sunday, months by calendar month', () => {
+    const report = WorkloadReport.build([
+      lesson('2026-04-30'), lesson('2026-04-13'), lesson('2026-05-01'), lesson('2026-04-19'),
+    ]);
+    expect(report.weeks).toEqual([
+      { start: '2026-04-13', end: '2026-04-19', lessons: 2, hours: 4 },
+      { start: '2026-04-27', end: '2026-05-03', lessons: 2, hours: 4 },
+    ]);
+    expect(report.months).toEqual([
+      { month: '2026-04', lessons: 3, hours: 6 },
+      { month: '2026-05', lessons: 1, hours: 2 },
+    ]);
+  });
+
+  test('lessons without hours count as one pair', () => {
+    const report = WorkloadReport.build([lesson('2026-04-14', { hours: null }), lesson('2026-04-15', { hours: 0 })]);
+    expect(report.hours).toBe(2 * WorkloadReport.DEFAULT_HOURS);
+  });
+
+  test('planned hours: over, under, on plan and planned but not taught', () => {
+    const plan = [
+      { subject: 'Хімія', group: '16кб', hours: 10 },
+      { subject: 'фізика ', group: '16КБ', hours: 2 },
+      { subject: 'Фізика', group: '17кб', hours: 1 },
+    ];
+    const report = WorkloadReport.build([
+      lesson('2026-04-14'),
+      lesson('2026-04-15', { group: '17кб' }),
+    ], { plan });
+
+    expect(report.pairs.map((p) => [p.subject, p.hours, p.planned, p.diff, p.status])).toEqual([
+      ['Хімія', 0, 10, -10, 'under'],
+      ['Фізика', 2, 2, 0, 'ok'],
+      ['Фізика', 2, 1, 1, 'over'],
+    ]);
+    expect(report.groups.map((g) => [g.group, g.hours, g.planned])).toEqual([['16кб', 2, 12], ['17кб', 2, 1]]);
+    expect(report.subjects.map((s) => [s.subject, s.hours, s.planned])).toEqual([['Хімія', 0, 10], ['Фізика', 4, 3]]);
+  });
+});
+
+/* ========== Plan text ========== */
+
+describe('parsePlanText', () => {
+  test('one subject, group and hours per line', () => {
+    expect(WorkloadReport.parsePlanText('Основи інф. безпеки; 16кб (2025); 64\n\n Хімія ;17кб; 1,5 '))
+      .toEqual([
+        { subject: 'Основи інф. безпеки', group: '16кб (2025)', hours: 64 },
+        { subject: 'Хімія', group: '17кб', hours: 1.5 },
+      ]);
+  });
+
+  test('malformed lines and repeats are rejected', () => {
+    expect(() => WorkloadReport.parsePlanText('Фізика; 64')).toThrow('Фізика; 64');
+    expect(() => WorkloadReport.parsePlanText('Фізика; 16кб; -2')).toThrow('Невірний рядок плану');
+    expect(() => WorkloadReport.parsePlanText('Фізика; 16кб; 4\nфізика; 16КБ; 6')).toThrow('двічі');
+  });
+
+  test('round-trips through formatPlanText', () => {
+    const plan = [{ subject: 'Фізика', group: '16кб', hours: 64 }];
+    expect(WorkloadReport.parsePlanText(WorkloadReport.formatPlanText(plan))).toEqual(plan);
+  });
+});
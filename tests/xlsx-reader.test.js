@@ -0,0 +1,74 @@
+/**
+ * Unit tests for XlsxReader.
+ */
+
+const XlsxReader = require('../utils/xlsx-reader');
+const XlsxWriter = require('../utils/xlsx-writer');
+const deflateZip = require('./helpers/deflate-zip');
+
+/* ---------- Fixtures ---------- */
+
+const COLUMNS = [
+  { header: '№', type: 'number' },
+  { header: 'Назва роботи' },
+  { header: 'Години', type: 'number' },
+];
+
+function workbook() {
+  return new XlsxWriter()
+    .addSheet('План', { columns: COLUMNS, rows: [[1, 'Закон Ома <ділянка кола>', 2], [2, '', 4]] })
+    .addSheet('Інше', { columns: COLUMNS, rows: [[9, 'не цей аркуш', 1]] })
+    .toUint8Array();
+}
+
+/* ========== readRows ========== */
+
+describe('readRows', () => {
+  test('rows of the first sheet written by XlsxWriter', async () => {
+    expect(await XlsxReader.readRows(workbook())).toEqual([
+      ['№', 'Назва роботи', 'Години'],
+      [1, 'Закон Ома <ділянка кола>', 2],
+      [2, null, 4],
+    ]);
+  });
+
+  test('a deflated workbook, as saved by Excel', async () => {
+    const rows = await XlsxReader.readRows(deflateZip(workbook()));
+    expect(rows[1]).toEqual([1, 'Закон Ома <ділянка кола>', 2]);
+  });
+});
+
+/* ========== parseSheet ========== */
+
+describe('parseSheet', () => {
+  test('shared, rich, inline and formula strings, booleans and gaps', () => {
+    const shared = XlsxReader.parseSharedStrings(
+      '<sst><si><t>Тема</t></si><si><r><t>ПР </t></r><r><t xml:space="preserve">1</t></r>'
+      + '<rPh><t>x</t></rPh></si></sst>',
+    );
+    expect(shared).toEqual(['Тема', 'ПР 1']);
+
+    const rows = XlsxReader.parseSheet(
+      '<sheetData>'
+      + '<row r="1"><c r="A1" t="s"><v>0</v></c><c r="C1" t="inlineStr"><is><t>A &amp; B</t></is></c></row>'
+      + '<row r="3"><c r="B3" t="s"><v>1</v></c><c r="C3" t="str"><f>A1</f><v>x</v></c>'
+      + '<c r="D3" t="b"><v>1</v></c><c r="E3"/></row>'
+      + '<row r="4"/>'
+      + '</sheetData>',
+      shared,
+    );
+    expect(rows).toEqual([
+      ['Тема', null, 'A & B'],
+      [],
+      [null, 'ПР 1', 'x', true, null],
+    ]);
+  });
+});
+
+describe('columnIndex', () => {
+  test('letters of a cell reference, zero-based', () => {
+    expect(XlsxReader.columnIndex('A1')).toBe(0);
+    expect(XlsxReader.columnIndex('Z9')).toBe(25);
+    expect(XlsxReader.columnIndex('AB12')).toBe(27);
+  });
+});
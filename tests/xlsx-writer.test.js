@@ -0,0 +1,113 @@
+/**
+ * Unit tests for XlsxWriter.
+ */
+
+const XlsxWriter = require('../utils/xlsx-writer');
+const readZip = require('./helpers/read-zip');
+
+/* ---------- Fixtures ---------- */
+
+const COLUMNS = [
+  { header: 'Тема', width: 30 },
+  { header: 'Дата', type: 'date', width: 12 },
+  { header: 'Пара', type: 'number', width: 6 },
+];
+
+function workbook(rows = [['ПР 1 <вступ>', '2026-04-15', 3]]) {
+  return readZip(new XlsxWriter().addSheet('16кб Фізика', { columns: COLUMNS, rows }).toUint8Array());
+}
+
+/* ========== Package ========== */
+
+describe('package', () => {
+  test('contains every required OOXML part', () => {
+    expect(Object.keys(workbook()).sort()).toEqual([
+      '[Content_Types].xml',
+      '_rels/.rels',
+      'xl/_rels/workbook.xml.rels',
+      'xl/styles.xml',
+      'xl/workbook.xml',
+      'xl/worksheets/sheet1.xml',
+    ]);
+  });
+
+  test('one worksheet part and relationship per sheet', () => {
+    const files = readZip(new XlsxWriter()
+      .addSheet('A', { columns: COLUMNS })
+      .addSheet('B', { columns: COLUMNS })
+      .toUint8Array());
+    expect(files['xl/worksheets/sheet2.xml']).toBeDefined();
+    expect(files['[Content_Types].xml']).toContain('/xl/worksheets/sheet2.xml');
+    expect(files['xl/_rels/workbook.xml.rels']).toContain('Target="worksheets/sheet2.xml"');
+    expect(files['xl/workbook.xml']).toContain('<sheet name="B" sheetId="2" r:id="rId2"/>');
+  });
+
+  test('refuses an empty workbook', () => {
+    expect(() => new XlsxWriter().toUint8Array()).toThrow();
+  });
+});
+
+/* ========== Worksheet ========== */
+
+describe('worksheet', () => {
+  const sheet = () => workbook()['xl/worksheets/sheet1.xml'];
+
+  test('freezes the header row', () => {
+    expect(sheet()).toContain('<pane ySplit="1" topLeftCell="A2" activePane="bottomLeft" state="frozen"/>');
+  });
+
+  test('sets column widths', () => {
+    expect(sheet()).toContain('<col min="1" max="1" width="30" customWidth="1"/>');
+    expect(sheet()).toContain('<col min="3" max="3" width="6" customWidth="1"/>');
+  });
+
+  test('styles the header row', () => {
+    expect(sheet()).toContain(`<c r="A1" s="${XlsxWriter.STYLE.header}" t="inlineStr"><is><t xml:space="preserve">Тема</t></is></c>`);
+  });
+
+  test('writes typed cells', () => {
+    expect(sheet()).toContain(`<c r="B2" s="${XlsxWriter.STYLE.date}"><v>46127</v></c>`);
+    expect(sheet()).toContain(`<c r="C2" s="${XlsxWriter.STYLE.number}"><v>3</v></c>`);
+    expect(sheet()).toContain('ПР 1 &lt;вступ&gt;');
+  });
+
+  test('falls back to text for values that do not parse', () => {
+    const xml = workbook([['x', '15.04.2026', '—']])['xl/worksheets/sheet1.xml'];
+    expect(xml).toContain('<t xml:space="preserve">15.04.2026</t>');
+    expect(xml).toContain('<t xml:space="preserve">—</t>');
+  });
+
+  test('skips empty cells', () => {
+    const xml = workbook([['x', null, '']])['xl/worksheets/sheet1.xml'];
+    expect(xml).not.toContain('r="B2"');
+    expect(xml).not.toContain('r="C2"');
+  });
+
+  test('declares the date number format', () => {
+    expect(workbook()['xl/styles.xml']).toContain('formatCode="dd\\.mm\\.yyyy"');
+  });
+});
+
+/* ========== Helpers ========== */
+
+describe('helpers', () => {
+  test('columnLetter', () => {
+    expect([0, 25, 26, 27, 701, 702].map(XlsxWriter.columnLetter)).toEqual(['A', 'Z', 'AA', 'AB', 'ZZ', 'AAA']);
+  });
+
+  test('dateSerial uses the 1900 date system', () => {
+    expect(XlsxWriter.dateSerial('1900-03-01')).toBe(61);
+    expect(XlsxWriter.dateSerial('2026-04-15')).toBe(46127);
+    expect(XlsxWriter.dateSerial('15.04.2026')).toBeNull();
+  });
+
+  test('sheetName strips forbidden characters and truncates', () => {
+    expect(XlsxWriter.sheetName('ОК 12: Фізика [лаб]')).toBe('ОК 12 Фізика лаб');
+    expect(XlsxWriter.sheetName('x'.repeat(40))).toHaveLength(31);
+  });
+
+  test('sheetName makes duplicates unique, case-insensitively', () => {
+    expect(XlsxWriter.sheetName('Фізика', ['фізика'])).toBe('Фізика (2)');
+    expect(XlsxWriter.sheetName('Фізика', ['Фізика', 'Фізика (2)'])).toBe('Фізика (3)');
+  });
+});
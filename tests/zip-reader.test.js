@@ -0,0 +1,43 @@
+/**
+ * Unit tests for ZipReader.
+ */
+
+const ZipReader = require('../utils/zip-reader');
+const ZipWriter = require('../utils/zip-writer');
+const deflateZip = require('./helpers/deflate-zip');
+
+/* ---------- Fixtures ---------- */
+
+function archive() {
+  return new ZipWriter()
+    .addFile('a.txt', 'Привіт')
+    .addFile('dir/b.xml', '<x>'.repeat(100))
+    .toUint8Array();
+}
+
+const decode = (bytes) => new TextDecoder().decode(bytes);
+
+/* ========== read ========== */
+
+describe('read', () => {
+  test('stored entries written by ZipWriter', async () => {
+    const files = await ZipReader.read(archive());
+    expect(Object.keys(files)).toEqual(['a.txt', 'dir/b.xml']);
+    expect(decode(files['a.txt'])).toBe('Привіт');
+  });
+
+  test('deflated entries with sizes in data descriptors', async () => {
+    const files = await ZipReader.read(deflateZip(archive()).buffer);
+    expect(decode(files['dir/b.xml'])).toBe('<x>'.repeat(100));
+  });
+
+  test('a file that is not a zip is rejected', async () => {
+    await expect(ZipReader.read(new TextEncoder().encode('Номер;Назва;Години'))).rejects.toThrow('не є ZIP-архівом');
+  });
+
+  test('a damaged entry fails its checksum', async () => {
+    const bytes = archive();
+    bytes[30 + 'a.txt'.length] ^= 0xFF; // first byte of a.txt's data
+    await expect(ZipReader.read(bytes)).rejects.toThrow('контрольна сума a.txt');
+  });
+});
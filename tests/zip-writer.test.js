@@ -0,0 +1,57 @@
+/**
+ * Unit tests for ZipWriter.
+ */
+
+const ZipWriter = require('../utils/zip-writer');
+const readZip = require('./helpers/read-zip');
+
+/* ========== CRC-32 ========== */
+
+describe('crc32', () => {
+  test('matches the reference value', () => {
+    expect(ZipWriter.crc32(new TextEncoder().encode('123456789'))).toBe(0xcbf43926);
+  });
+
+  test('is zero for empty input', () => {
+    expect(ZipWriter.crc32(new Uint8Array(0))).toBe(0);
+  });
+});
+
+/* ========== Archive layout ========== */
+
+describe('archive', () => {
+  test('round-trips text and binary entries', () => {
+    const zip = new ZipWriter()
+      .addFile('a.txt', 'hello')
+      .addFile('dir/Графік.xml', '<x>Пʼятниця</x>')
+      .addFile('bin', new Uint8Array([104, 105]));
+    expect(readZip(zip.toUint8Array())).toEqual({
+      'a.txt': 'hello',
+      'dir/Графік.xml': '<x>Пʼятниця</x>',
+      bin: 'hi',
+    });
+  });
+
+  test('starts with a local file header and flags UTF-8 names', () => {
+    const bytes = new ZipWriter().addFile('a', 'b').toUint8Array();
+    const view = new DataView(bytes.buffer);
+    expect(view.getUint32(0, true)).toBe(0x04034b50);
+    expect(view.getUint16(6, true) & ZipWriter.UTF8_FLAG).toBeTruthy();
+  });
+
+  test('an empty archive is just the end record', () => {
+    expect(new ZipWriter().toUint8Array()).toHaveLength(22);
+  });
+
+  test('rejects duplicate names', () => {
+    const zip = new ZipWriter().addFile('a', '1');
+    expect(() => zip.addFile('a', '2')).toThrow('Duplicate');
+  });
+
+  test('stores the modification date in DOS format', () => {
+    const bytes = new ZipWriter().addFile('a', 'b', { date: new Date(2026, 3, 15, 10, 30, 20) }).toUint8Array();
+    const view = new DataView(bytes.buffer);
+    expect(view.getUint16(12, true)).toBe(((2026 - 1980) << 9) | (4 << 5) | 15);
+    expect(view.getUint16(10, true)).toBe((10 << 11) | (30 << 5) | 10);
+  });
+});
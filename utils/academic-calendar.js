@@ -0,0 +1,310 @@
+/**
+ * AcademicCalendar — which dates are teaching days.
+ *
+ * Zero dependencies on DOM, fetch, or chrome.* APIs.
+ * Hydrate with plain data (semester bounds from config.semesterStart /
+ * config.semesterEnd, rules from config.academicCalendar).
+ *
+ * A date is a teaching day when it lies inside the semester, is not a
+ * holiday, not inside a vacation / practice range, and is either Mon–Fri
+ * or a transferred working day (e.g. a Saturday that works as a Monday).
+ */
+class AcademicCalendar {
+  /**
+   * @param {object} [settings]
+   * @param {string} [settings.semesterStart] — YYYY-MM-DD, open-ended when empty
+   * @param {string} [settings.semesterEnd]   — YYYY-MM-DD, open-ended when empty
+   * @param {Array}  [settings.holidays]      — [{date, title}]
+   * @param {Array}  [settings.vacations]     — [{start, end, title}] inclusive ranges
+   * @param {Array}  [settings.transfers]     — [{date, weekday, title}] weekday 1–5 it works as
+   */
+  constructor({
+    semesterStart = '', semesterEnd = '', holidays = [], vacations = [], transfers = [],
+  } = {}) {
+    this._semesterStart = semesterStart || '';
+    this._semesterEnd   = semesterEnd || '';
+    this._holidays  = holidays.map((h) => ({ date: h.date, title: h.title || '' }));
+    this._vacations = vacations.map((v) => ({ start: v.start, end: v.end || v.start, title: v.title || '' }));
+    this._transfers = transfers.map((t) => ({
+      date: t.date, weekday: Number(t.weekday), title: t.title || '',
+    }));
+
+    this._holidayByDate  = new Map(this._holidays.map((h) => [h.date, h]));
+    this._transferByDate = new Map(this._transfers.map((t) => [t.date, t]));
+  }
+
+  /** True when lessons can be held on this date. */
+  isTeachingDay(dateStr) {
+    return this.nonTeachingReason(dateStr) === null;
+  }
+
+  /**
+   * Why a date is not a teaching day, or null when it is.
+   *
+   * @returns {{type: 'outside-semester'|'holiday'|'vacation'|'weekend', title: string}|null}
+   */
+  nonTeachingReason(dateStr) {
+    if (this._semesterStart && dateStr < this._semesterStart) {
+      return { type: 'outside-semester', title: 'До початку семестру' };
+    }
+    if (this._semesterEnd && dateStr > this._semesterEnd) {
+      return { type: 'outside-semester', title: 'Після завершення семестру' };
+    }
+
+    const holiday = this._holidayByDate.get(dateStr);
+    if (holiday) return { type: 'holiday', title: holiday.title };
+
+    const vacation = this._vacations.find((v) => v.start <= dateStr && dateStr <= v.end);
+    if (vacation) return { type: 'vacation', title: vacation.title };
+
+    if (this._transferByDate.has(dateStr)) return null;
+
+    const day = AcademicCalendar._dateUtils().weekday(dateStr);
+    if (day === 0 || day === 6) return { type: 'weekend', title: '' };
+
+    return null;
+  }
+
+  /**
+   * Weekday (Date#getDay) whose timetable applies on a date:
+   * the transferred weekday for a working Saturday, otherwise the real one.
+   */
+  effectiveWeekday(dateStr) {
+    const transfer = this._transferByDate.get(dateStr);
+    return transfer ? transfer.weekday : AcademicCalendar._dateUtils().weekday(dateStr);
+  }
+
+  /** Teaching days (YYYY-MM-DD) between start and end, inclusive. */
+  teachingDates(startDate, endDate) {
+    const dates = [];
+    for (let d = startDate; d <= endDate; d = AcademicCalendar._dateUtils().shift(d, 1)) {
+      if (this.isTeachingDay(d)) dates.push(d);
+    }
+    return dates;
+  }
+
+  /** Plain object suitable for chrome.storage (round-trips via the constructor). */
+  toJSON() {
+    return {
+      semesterStart: this._semesterStart,
+      semesterEnd:   this._semesterEnd,
+      holidays:      this._holidays,
+      vacations:     this._vacations,
+      transfers:     this._transfers,
+    };
+  }
+
+  /* ---------- Import / export (pure, no side-effects) ---------- */
+
+  /**
+   * Serialize the rules (not the semester bounds) as CSV lines:
+   *   type,start,end,weekday,"title"
+   * Titles are always quoted, so commas, semicolons and quotes in them
+   * survive parseCSV().
+   */
+  static toCSV({ holidays = [], vacations = [], transfers = [] } = {}) {
+    const lines = [
+      ...holidays.map((h) => ['holiday', h.date, '', '', h.title]),
+      ...vacations.map((v) => ['vacation', v.start, v.end, '', v.title]),
+      ...transfers.map((t) => ['transfer', t.date, '', t.weekday, t.title]),
+    ];
+    return lines
+      .sort((a, b) => a[1].localeCompare(b[1]))
+      .map((cols) => [...cols.slice(0, 4), AcademicCalendar._quoteCSV(cols[4] || '')].join(','))
+      .join('\n');
+  }
+
+  /**
+   * Parse CSV lines (comma separated, header optional):
+   *   type,start,end,weekday,title
+   *
+   *   holiday,2026-03-09,,,Міжнародний жіночий день
+   *   vacation,2025-12-29,2026-01-11,,Зимові канікули
+   *   practice,2026-05-04,2026-05-15,,Навчальна практика
+   *   transfer,2026-03-14,,1,Робоча субота за понеділок
+   *   semester,2026-01-12,2026-06-30
+   *
+   * A quoted field may contain commas and doubled quotes (""); an unquoted
+   * title keeps the commas after the fourth one. Types may also be given in
+   * Ukrainian (свято, канікули, практика, перенесення, семестр); dates as
+   * YYYY-MM-DD or DD.MM.YYYY.
+   * Throws on malformed lines so the caller can show the message as-is.
+   *
+   * @returns {{semesterStart?, semesterEnd?, holidays, vacations, transfers}}
+   */
+  static parseCSV(text) {
+    const result = { holidays: [], vacations: [], transfers: [] };
+    const lines = String(text || '').split(/\r?\n/).map((l) => l.trim()).filter(Boolean);
+
+    lines.forEach((line, index) => {
+      const cols = AcademicCalendar._splitCSVLine(line);
+      const [rawType, rawStart, rawEnd, rawWeekday] = cols.slice(0, 4).map((c = '') => c.trim());
+      const title = cols.slice(4).join(',').trim();
+      const type = AcademicCalendar.CSV_TYPES[(rawType || '').toLowerCase()];
+
+      if (!type) {
+        if (index === 0) return; // header row
+        throw new Error(`Невідомий тип запису календаря: «${line}»`);
+      }
+
+      const start = AcademicCalendar._normalizeDate(rawStart);
+      const end = rawEnd ? AcademicCalendar._normalizeDate(rawEnd) : start;
+      if (!start || !end) throw new Error(`Невірна дата в рядку: «${line}»`);
+      if (end < start) throw new Error(`Кінець раніше початку в рядку: «${line}»`);
+
+      switch (type) {
+        case 'semester':
+          result.semesterStart = start;
+          result.semesterEnd = end;
+          break;
+        case 'holiday':
+          // A multi-day "holiday" is stored as a vacation range
+          if (end === start) result.holidays.push({ date: start, title });
+          else result.vacations.push({ start, end, title });
+          break;
+        case 'vacation':
+          result.vacations.push({ start, end, title });
+          break;
+        case 'transfer': {
+          const weekday = AcademicCalendar._parseWeekday(rawWeekday);
+          if (!weekday) throw new Error(`Вкажіть день тижня для перенесення: «${line}»`);
+          result.transfers.push({ date: start, weekday, title });
+          break;
+        }
+      }
+    });
+
+    return result;
+  }
+
+  /**
+   * Parse an iCalendar file: every VEVENT becomes a holiday (single day)
+   * or a vacation range (several days). DTEND of all-day events is exclusive.
+   *
+   * @returns {{holidays, vacations, transfers}}
+   */
+  static parseICS(text) {
+    const result = { holidays: [], vacations: [], transfers: [] };
+    // Unfold continuation lines (RFC 5545 §3.1)
+    const lines = String(text || '').replace(/\r?\n[ \t]/g, '').split(/\r?\n/);
+
+    let event = null;
+    for (const line of lines) {
+      if (line === 'BEGIN:VEVENT') {
+        event = {};
+        continue;
+      }
+      if (line === 'END:VEVENT') {
+        if (event && event.start) {
+          const title = event.summary || '';
+          let end = event.start;
+          if (event.end && event.end > event.start) {
+            end = event.allDay ? AcademicCalendar._dateUtils().shift(event.end, -1) : event.end;
+          }
+          if (end === event.start) result.holidays.push({ date: event.start, title });
+          else result.vacations.push({ start: event.start, end, title });
+        }
+        event = null;
+        continue;
+      }
+      if (!event) continue;
+
+      const colon = line.indexOf(':');
+      if (colon < 0) continue;
+      const [name, ...params] = line.slice(0, colon).split(';');
+      const value = line.slice(colon + 1);
+
+      if (name === 'DTSTART' || name === 'DTEND') {
+        const m = value.match(/^(\d{4})(\d{2})(\d{2})/);
+        if (!m) continue;
+        const date = `${m[1]}-${m[2]}-${m[3]}`;
+        if (name === 'DTSTART') {
+          event.start = date;
+          event.allDay = params.includes('VALUE=DATE') || !value.includes('T');
+        } else {
+          event.end = date;
+        }
+      } else if (name === 'SUMMARY') {
+        event.summary = value.replace(/\\([,;\\])/g, '$1').replace(/\\n/gi, ' ').trim();
+      }
+    }
+
+    return result;
+  }
+
+  /* ---------- Static helpers ---------- */
+
+  static _quoteCSV(value) {
+    return `"${String(value).replace(/"/g, '""')}"`;
+  }
+
+  // Fields of one CSV line; quotes are removed, "" inside quotes is a quote
+  static _splitCSVLine(line) {
+    const fields = [];
+    let field = '';
+    let quoted = false;
+    for (let i = 0; i < line.length; i++) {
+      const ch = line[i];
+      if (quoted) {
+        if (ch === '"' && line[i + 1] === '"') { field += '"'; i++; }
+        else if (ch === '"') quoted = false;
+        else field += ch;
+      } else if (ch === '"' && !field.trim()) {
+        quoted = true;
+        field = '';
+      } else if (ch === ',') {
+        fields.push(field);
+        field = '';
+      } else {
+        field += ch;
+      }
+    }
+    fields.push(field);
+    return fields;
+  }
+
+  static _normalizeDate(text) {
+    if (!text) return '';
+    const iso = text.match(/^(\d{4})-(\d{2})-(\d{2})$/);
+    if (iso) return text;
+    const dmy = text.match(/^(\d{2})\.(\d{2})\.(\d{4})$/);
+    if (dmy) return `${dmy[3]}-${dmy[2]}-${dmy[1]}`;
+    return '';
+  }
+
+  static _parseWeekday(text) {
+    const value = String(text || '').trim().toLowerCase();
+    if (/^[1-6]$/.test(value)) return Number(value);
+    return AcademicCalendar.WEEKDAY_ALIASES[value] || 0;
+  }
+
+  static _dateUtils() {
+    if (typeof DateUtils !== 'undefined') return DateUtils;
+    return require('./date-utils');
+  }
+}
+
+AcademicCalendar.CSV_TYPES = Object.freeze({
+  holiday:      'holiday',
+  'свято':      'holiday',
+  vacation:     'vacation',
+  'канікули':   'vacation',
+  practice:     'vacation',
+  'практика':   'vacation',
+  transfer:     'transfer',
+  'перенесення': 'transfer',
+  semester:     'semester',
+  'семестр':    'semester',
+});
+
+AcademicCalendar.WEEKDAY_ALIASES = Object.freeze({
+  'пн': 1, 'понеділок': 1,
+  'вт': 2, 'вівторок': 2,
+  'ср': 3, 'середа': 3,
+  'чт': 4, 'четвер': 4,
+  'пт': 5, 'пʼятниця': 5, "п'ятниця": 5,
+  'сб': 6, 'субота': 6,
+});
+
+// Universal export: works as a browser content-script global AND as a Node.js module
+if (typeof module !== 'undefined') module.exports = AcademicCalendar;
@@ -0,0 +1,145 @@
+/**
+ * BellSchedule — named pair (lesson) time profiles resolved per date.
+ *
+ * Zero dependencies on DOM, fetch, or chrome.* APIs.
+ * Hydrate with the plain object stored under config.bellSchedules; a date
+ * resolves to a profile via its date override first, then its weekday,
+ * then the default profile.
+ */
+class BellSchedule {
+  /**
+   * @param {object} [settings]
+   * @param {object} [settings.profiles]  — { profileName: [{number, start, end}] }
+   * @param {object} [settings.weekdays]  — { 0–6 (Date#getDay): profileName }
+   * @param {object} [settings.overrides] — { 'YYYY-MM-DD': profileName }
+   * @param {object} [options]
+   * @param {function} [options.weekdayOf] — dateStr → weekday whose bells apply,
+   *                                         e.g. AcademicCalendar#effectiveWeekday
+   *                                         so a working Saturday rings like a Monday
+   */
+  constructor({ profiles, weekdays = {}, overrides = {} } = {}, { weekdayOf } = {}) {
+    this._profiles = {};
+    const source = profiles && Object.keys(profiles).length > 0
+      ? profiles
+      : BellSchedule.DEFAULT_PROFILES;
+    for (const [name, pairs] of Object.entries(source)) {
+      this._profiles[name] = [...pairs].sort((a, b) => a.number - b.number);
+    }
+
+    this._weekdays  = { ...weekdays };
+    this._overrides = { ...overrides };
+    this._weekdayOf = weekdayOf || ((dateStr) => BellSchedule._dateUtils().weekday(dateStr));
+  }
+
+  /** Names of all defined profiles, default profile first. */
+  profileNames() {
+    const names = Object.keys(this._profiles);
+    const def = this._defaultName();
+    return [def, ...names.filter((n) => n !== def)];
+  }
+
+  /** Pairs of a profile by name (empty when unknown). */
+  profile(name) {
+    return (this._profiles[name] || []).map((p) => ({ ...p }));
+  }
+
+  /**
+   * Profile name in effect on a date. Unknown names fall back to the default
+   * profile so a stale override never leaves a day without bells.
+   */
+  profileNameFor(dateStr) {
+    if (!dateStr) return this._defaultName();
+
+    const override = this._overrides[dateStr];
+    if (override && this._profiles[override]) return override;
+
+    const byDay = this._weekdays[this._weekdayOf(dateStr)];
+    if (byDay && this._profiles[byDay]) return byDay;
+
+    return this._defaultName();
+  }
+
+  /** [{number, start, end}] in effect on a date, sorted by pair number. */
+  pairsFor(dateStr) {
+    return this.profile(this.profileNameFor(dateStr));
+  }
+
+  /** Pair numbers in effect on a date, ascending. */
+  pairNumbersFor(dateStr) {
+    return this.pairsFor(dateStr).map((p) => p.number);
+  }
+
+  /** {number, start, end} for a pair on a date, or null. */
+  pairFor(dateStr, number) {
+    return this.pairsFor(dateStr).find((p) => p.number === number) || null;
+  }
+
+  /** Plain object suitable for chrome.storage (round-trips via the constructor). */
+  toJSON() {
+    return {
+      profiles:  this._profiles,
+      weekdays:  this._weekdays,
+      overrides: this._overrides,
+    };
+  }
+
+  _defaultName() {
+    return this._profiles[BellSchedule.DEFAULT_PROFILE]
+      ? BellSchedule.DEFAULT_PROFILE
+      : Object.keys(this._profiles)[0];
+  }
+
+  /* ---------- Static helpers (pure, no side-effects) ---------- */
+
+  /**
+   * Parse the settings textarea format, one pair per line:
+   *   "1 08:00-09:20"  or  "1. 08:00 – 09:20"
+   * Throws on malformed lines so the caller can show the message as-is.
+   */
+  static parsePairsText(text) {
+    const pairs = [];
+    const lines = String(text || '').split(/\r?\n/).map((l) => l.trim()).filter(Boolean);
+
+    for (const line of lines) {
+      const m = line.match(/^(\d+)\.?\s+(\d{1,2}):(\d{2})\s*[-–—]\s*(\d{1,2}):(\d{2})$/);
+      if (!m) throw new Error(`Невірний рядок розкладу дзвінків: «${line}»`);
+
+      const start = `${m[2].padStart(2, '0')}:${m[3]}`;
+      const end   = `${m[4].padStart(2, '0')}:${m[5]}`;
+      if (start >= end) throw new Error(`Пара ${m[1]}: початок має бути раніше кінця`);
+
+      pairs.push({ number: parseInt(m[1], 10), start, end });
+    }
+
+    const numbers = pairs.map((p) => p.number);
+    if (new Set(numbers).size !== numbers.length) {
+      throw new Error('Номери пар у профілі не повинні повторюватись');
+    }
+    return pairs.sort((a, b) => a.number - b.number);
+  }
+
+  static formatPairsText(pairs) {
+    return pairs.map((p) => `${p.number} ${p.start}-${p.end}`).join('\n');
+  }
+
+  static _dateUtils() {
+    if (typeof DateUtils !== 'undefined') return DateUtils;
+    return require('./date-utils');
+  }
+}
+
+BellSchedule.DEFAULT_PROFILE = 'standard';
+
+BellSchedule.DEFAULT_PROFILES = Object.freeze({
+  standard: Object.freeze([
+    { number: 1, start: '08:00', end: '09:20' },
+    { number: 2, start: '09:30', end: '10:50' },
+    { number: 3, start: '11:10', end: '12:30' },
+    { number: 4, start: '12:40', end: '14:00' },
+    { number: 5, start: '14:10', end: '15:30' },
+    { number: 6, start: '15:40', end: '17:00' },
+  ]),
+});
+
+// Universal export: works as a browser content-script global AND as a Node.js module
+if (typeof module !== 'undefined') module.exports = BellSchedule;
@@ -3,6 +3,15 @@
  *
  * Shared constants, pair (lesson) time slots, and helper functions
  * used across content scripts and utilities.
+ *
+ * Depends on (loaded before this file):
+ *   - BellSchedule       (utils/bell-schedule.js)       — pair times
+ *   - AcademicCalendar   (utils/academic-calendar.js)   — teaching days
+ *   - TeacherConstraints (utils/teacher-constraints.js) — the teacher's limits
+ *   - ReportTemplate     (utils/report-template.js)     — report texts
+ *
+ * Each starts from its built-in defaults; the set…() functions switch it
+ * to the stored config.
  */
 
 const SmartSchoolConfig = (() => {
@@ -16,6 +25,7 @@ const SmartSchoolConfig = (() => {
    */
   const LESSON_INDEX_PATH = '/index.php';
   const ROUTE = 'lesson/index';
+  const COPY_TO_DATE_ROUTE = 'lesson/copy2date';
 
   /**
    * LessonSearch GET parameter keys (as used by the site).
@@ -27,23 +37,45 @@ const SmartSchoolConfig = (() => {
     KLASS_ID:    'LessonSearch[KLASS_ID][]',   // array — group/class
     PREDMET_ID:  'LessonSearch[PREDMET_ID]',    // subject/discipline
     TEACHER_ID:  'LessonSearch[TEACHER_ID]',    // teacher
+    KABINET_ID:  'LessonSearch[KABINET_ID]',    // room
     DATE_RANGE:  'LessonSearch[date_range]',
     START_DATE:  'LessonSearch[start_date]',
     END_DATE:    'LessonSearch[end_date]',
   };
 
   /**
-   * Standard pair (lesson) time slots.
-   * Adjust these to match the actual schedule on the site.
+   * Standard pair (lesson) time slots — the built-in default bell profile.
+   * Date-specific times are resolved through getPairTimes(date).
+   */
+  const PAIR_TIMES = BellSchedule.DEFAULT_PROFILES[BellSchedule.DEFAULT_PROFILE];
+
+  /**
+   * Active academic calendar; replaced by setAcademicCalendar() once config is loaded.
+   * The default one treats every Monday–Friday as a teaching day.
+   */
+  let academicCalendar = new AcademicCalendar();
+
+  /**
+   * Active bell schedule; replaced by setBellSchedule() once config is loaded.
+   */
+  let bellSchedule = createBellSchedule({});
+
+  /**
+   * Active teacher constraints; replaced by setTeacherConstraints() once config is loaded.
+   * The default one allows every pair.
    */
-  const PAIR_TIMES = [
-    { number: 1, start: '08:00', end: '09:20' },
-    { number: 2, start: '09:30', end: '10:50' },
-    { number: 3, start: '11:10', end: '12:30' },
-    { number: 4, start: '12:40', end: '14:00' },
-    { number: 5, start: '14:10', end: '15:30' },
-    { number: 6, start: '15:40', end: '17:00' },
-  ];
+  let teacherConstraints = createTeacherConstraints({});
+
+  /**
+   * Active report template; replaced by setReportTemplate() once config is loaded.
+   */
+  let reportTemplate = new ReportTemplate();
+
+  /**
+   * Imported curriculum plans ([{ subject, group, works }], see CurriculumPlan);
+   * replaced by setCurriculumPlans() once config is loaded.
+   */
+  let curriculumPlans = [];
 
   /**
    * Day name mapping (Ukrainian).
@@ -54,8 +86,14 @@ const SmartSchoolConfig = (() => {
     3: 'Середа',
     4: 'Четвер',
     5: 'Пʼятниця',
+    6: 'Субота',
   };
 
+  /**
+   * Subgroup numerals as printed in the approval document (Latin Roman numerals).
+   */
+  const SUBGROUP_NUMERALS = ['I', 'II', 'III', 'IV', 'V', 'VI', 'VII', 'VIII'];
+
   /* ---------- Helpers ---------- */
 
   /**
@@ -89,7 +127,8 @@ const SmartSchoolConfig = (() => {
 
   /**
    * Generate an array of dates (YYYY-MM-DD) between start and end (inclusive).
-   * Optionally filter by weekdays only (skip Saturday/Sunday).
+   * Optionally keep teaching days only — Monday–Friday plus transferred
+   * working days, minus holidays, vacations and dates outside the semester.
    */
   function dateRange(startDate, endDate, weekdaysOnly = true) {
     const dates = [];
@@ -97,9 +136,9 @@ const SmartSchoolConfig = (() => {
     const end = new Date(endDate);
 
     while (current <= end) {
-      const day = current.getDay();
-      if (!weekdaysOnly || (day !== 0 && day !== 6)) {
-        dates.push(formatDate(current));
+      const date = formatDate(current);
+      if (!weekdaysOnly || academicCalendar.isTeachingDay(date)) {
+        dates.push(date);
       }
       current.setDate(current.getDate() + 1);
     }
@@ -107,10 +146,123 @@ const SmartSchoolConfig = (() => {
   }
 
   /**
-   * Get pair info by number.
+   * Replace the active bell schedule.
+   *
+   * @param {object|BellSchedule} settings — stored config.bellSchedules or an instance
+   */
+  function setBellSchedule(settings) {
+    bellSchedule = createBellSchedule(
+      settings instanceof BellSchedule ? settings.toJSON() : settings || {}
+    );
+  }
+
+  // Transferred working days ring like the weekday they replace
+  function createBellSchedule(settings) {
+    return new BellSchedule(settings, {
+      weekdayOf: (date) => academicCalendar.effectiveWeekday(date),
+    });
+  }
+
+  /**
+   * Replace the active academic calendar.
+   *
+   * @param {object} config — stored config: semesterStart, semesterEnd, academicCalendar
    */
-  function getPairByNumber(num) {
-    return PAIR_TIMES.find((p) => p.number === num) || null;
+  function setAcademicCalendar(config = {}) {
+    academicCalendar = new AcademicCalendar({
+      ...(config.academicCalendar || {}),
+      semesterStart: config.semesterStart || '',
+      semesterEnd: config.semesterEnd || '',
+    });
+  }
+
+  /**
+   * Replace the active teacher constraints.
+   *
+   * @param {object} settings — stored config.teacherConstraints
+   */
+  function setTeacherConstraints(settings) {
+    teacherConstraints = createTeacherConstraints(settings || {});
+  }
+
+  // A working Saturday follows the rules of the weekday it replaces
+  function createTeacherConstraints(settings) {
+    return new TeacherConstraints(settings, {
+      weekdayOf: (date) => academicCalendar.effectiveWeekday(date),
+    });
+  }
+
+  function getTeacherConstraints() {
+    return teacherConstraints;
+  }
+
+  /**
+   * Replace the active report template.
+   *
+   * @param {object} settings — stored config.reportTemplate
+   */
+  function setReportTemplate(settings) {
+    reportTemplate = new ReportTemplate(settings || {});
+  }
+
+  function getReportTemplate() {
+    return reportTemplate;
+  }
+
+  /**
+   * Replace the curriculum plans whose numbering the reports use.
+   *
+   * @param {Array} plans — stored config.curriculumPlans
+   */
+  function setCurriculumPlans(plans) {
+    curriculumPlans = Array.isArray(plans) ? plans : [];
+  }
+
+  function getCurriculumPlans() {
+    return curriculumPlans;
+  }
+
+  function getAcademicCalendar() {
+    return academicCalendar;
+  }
+
+  function getBellSchedule() {
+    return bellSchedule;
+  }
+
+  /**
+   * Pair time slots in effect on a date (default profile when no date given).
+   */
+  function getPairTimes(date) {
+    return bellSchedule.pairsFor(toDateKey(date));
+  }
+
+  /**
+   * Get pair info by number, using the bell profile of the given date.
+   */
+  function getPairByNumber(num, date) {
+    return bellSchedule.pairFor(toDateKey(date), num);
+  }
+
+  // YYYY-MM-DD strings pass through untouched (new Date() would parse them as UTC)
+  function toDateKey(date) {
+    if (!date) return '';
+    return typeof date === 'string' ? date : formatDate(date);
+  }
+
+  /**
+   * Numeral for a 1-based subgroup index: 1 → "I", 3 → "III".
+   */
+  function subgroupNumeral(index) {
+    return SUBGROUP_NUMERALS[index - 1] || String(index);
+  }
+
+  /**
+   * Number of subgroups a group is split into, from the stored config.
+   */
+  function subgroupCountFor(config, groupName) {
+    const perGroup = (config.groupSubgroupCounts || {})[groupName];
+    return Math.max(1, Number(perGroup || config.subgroupCount || 2));
   }
 
   /**
@@ -142,6 +294,7 @@ const SmartSchoolConfig = (() => {
    * @param {string} [params.klassId]    — group/class ID
    * @param {string} [params.teacherId]  — teacher ID
    * @param {string} [params.predmetId]  — subject/discipline ID
+   * @param {string} [params.kabinetId]  — room ID
    * @param {number} [params.lessonNum]  — pair number (1–8)
    * @param {string} [params.startDate]  — YYYY-MM-DD
    * @param {string} [params.endDate]    — YYYY-MM-DD
@@ -163,6 +316,9 @@ const SmartSchoolConfig = (() => {
     if (params.predmetId) {
       url.searchParams.set(SEARCH_PARAMS.PREDMET_ID, params.predmetId);
     }
+    if (params.kabinetId) {
+      url.searchParams.set(SEARCH_PARAMS.KABINET_ID, params.kabinetId);
+    }
     if (params.lessonNum) {
       url.searchParams.set(SEARCH_PARAMS.LESSON_NUM, params.lessonNum);
     }
@@ -176,6 +332,27 @@ const SmartSchoolConfig = (() => {
     return url.toString();
   }
 
+  /**
+   * Build the URL of the site's "copy lessons to a date" route (GET, JSON
+   * reply { success, error }) — the same request its own copy dialog sends.
+   * The site passes its "Перевіряти на можливі конфлікти" checkbox as
+   * `ignoreCollision`, so `true` keeps the conflict check on.
+   *
+   * @param {object} params
+   * @param {string[]} params.lessonIds — lessons to copy
+   * @param {string} params.date        — target date, YYYY-MM-DD
+   * @param {boolean} [params.checkCollisions=true]
+   * @returns {string} fully qualified URL
+   */
+  function buildCopyToDateURL({ lessonIds, date, checkCollisions = true }) {
+    const url = new URL(LESSON_INDEX_PATH, SITE_ORIGIN);
+    url.searchParams.set(SEARCH_PARAMS.ROUTE, COPY_TO_DATE_ROUTE);
+    for (const id of lessonIds) url.searchParams.append('lesson[]', id);
+    url.searchParams.set('date', date);
+    url.searchParams.set('ignoreCollision', String(checkCollisions));
+    return url.toString();
+  }
+
   /* ---------- Public API ---------- */
 
   return {
@@ -186,14 +363,31 @@ const SmartSchoolConfig = (() => {
     PAIR_TIMES,
     DAY_NAMES,
     buildLessonSearchURL,
+    buildCopyToDateURL,
     formatDate,
     formatDateUA,
     getDayName,
     dateRange,
+    setBellSchedule,
+    getBellSchedule,
+    setAcademicCalendar,
+    getAcademicCalendar,
+    setTeacherConstraints,
+    getTeacherConstraints,
+    setReportTemplate,
+    getReportTemplate,
+    setCurriculumPlans,
+    getCurriculumPlans,
+    getPairTimes,
     getPairByNumber,
+    subgroupNumeral,
+    subgroupCountFor,
     sleep,
     log,
     warn,
     error,
   };
 })();
+
+// Universal export: works as a browser content-script global AND as a Node.js module
+if (typeof module !== 'undefined') module.exports = SmartSchoolConfig;
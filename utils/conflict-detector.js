@@ -0,0 +1,169 @@
+/**
+ * ConflictDetector — lessons that cannot both happen (the same teacher, group
+ * or room booked twice in one pair) and the audit of a timetable: those
+ * clashes plus lessons without a room, without a topic or on a pair the bell
+ * schedule does not ring.
+ *
+ * Zero dependencies on DOM, fetch, or chrome.* APIs. Works on parsed
+ * schedule entries (ScheduleParser); conflicts refer to them by index.
+ */
+class ConflictDetector {
+  /**
+   * Pairs where a teacher, a group or a room has more than one lesson.
+   * Lessons without a room ("Кабінет не заданий") never clash on the room.
+   *
+   * @param {Array} entries — schedule entries
+   * @param {object} [options]
+   * @param {string[]} [options.types] — entry fields to check, see ConflictDetector.CLASH_TYPES
+   * @returns {Array} [{ type, name, date, pairNumber, lessons: [index] }] sorted by date and pair
+   */
+  static clashes(entries, { types = Object.keys(ConflictDetector.CLASH_TYPES) } = {}) {
+    const conflicts = [];
+    for (const type of types) {
+      const bySlot = new Map();
+      entries.forEach((entry, index) => {
+        const name = type === 'room' && !ConflictDetector._hasRoom(entry)
+          ? '' : ConflictDetector._normalize(entry[type]);
+        if (!entry.date || !entry.pairNumber || !name) return;
+        const key = `${entry.date}|${entry.pairNumber}|${name}`;
+        if (!bySlot.has(key)) bySlot.set(key, { entry, lessons: [], ids: new Set() });
+        const slot = bySlot.get(key);
+        // The same lesson listed twice (e.g. on two result pages) is not a clash
+        const id = entry.lessonId || `#${index}`;
+        if (slot.ids.has(id)) return;
+        slot.ids.add(id);
+        slot.lessons.push(index);
+      });
+
+      for (const { entry, lessons } of bySlot.values()) {
+        if (lessons.length < 2) continue;
+        conflicts.push({
+          type,
+          name: String(entry[type]).trim(),
+          date: entry.date,
+          pairNumber: entry.pairNumber,
+          lessons,
+        });
+      }
+    }
+    return conflicts.sort((a, b) =>
+      a.date.localeCompare(b.date) || a.pairNumber - b.pairNumber || a.type.localeCompare(b.type));
+  }
+
+  /**
+   * Everything wrong with a timetable: clashes (see clashes()) and lessons
+   * with no room, an empty topic or a pair outside the bell schedule.
+   *
+   * Only entries whose `topic` is a string are checked for a topic — topics
+   * come from a separate lesson-detail request, and a lesson that was not
+   * (or could not be) fetched is unknown, not missing.
+   *
+   * @param {Array} entries — schedule entries
+   * @param {object} [options]
+   * @param {function} [options.pairNumbersFor] — date → pair numbers rung that
+   *   day (BellSchedule#pairNumbersFor); without it 'offBell' is not checked
+   * @param {string[]} [options.types] — checks to run, see ConflictDetector.AUDIT_TYPES
+   * @returns {Array} [{ type, name, date, pairNumber, lessons: [index] }] sorted by
+   *   date, pair and the order of AUDIT_TYPES; `name` is the group of a single-lesson issue
+   */
+  static audit(entries, { pairNumbersFor, types = Object.keys(ConflictDetector.AUDIT_TYPES) } = {}) {
+    const wanted = new Set(types);
+    const issues = ConflictDetector.clashes(entries, {
+      types: Object.keys(ConflictDetector.CLASH_TYPES).filter((type) => wanted.has(type)),
+    });
+
+    const checks = {
+      noRoom: (entry) => !ConflictDetector._hasRoom(entry),
+      noTopic: (entry) => typeof entry.topic === 'string' && !entry.topic.trim(),
+      offBell: (entry) => Boolean(pairNumbersFor) && Boolean(entry.date)
+        && !pairNumbersFor(entry.date).includes(entry.pairNumber),
+    };
+    const seen = new Set();
+    entries.forEach((entry, index) => {
+      const id = entry.lessonId || `#${index}`;
+      if (seen.has(id)) return;
+      seen.add(id);
+      for (const [type, failed] of Object.entries(checks)) {
+        if (!wanted.has(type) || !failed(entry)) continue;
+        issues.push({
+          type,
+          name: String(entry.group || '').trim(),
+          date: entry.date || '',
+          pairNumber: entry.pairNumber,
+          lessons: [index],
+        });
+      }
+    });
+
+    const order = Object.keys(ConflictDetector.AUDIT_TYPES);
+    return issues.sort((a, b) => a.date.localeCompare(b.date)
+      || (a.pairNumber || 0) - (b.pairNumber || 0)
+      || order.indexOf(a.type) - order.indexOf(b.type));
+  }
+
+  /** Issue count per audit type: { teacher, group, room, noRoom, noTopic, offBell }. */
+  static summarize(issues) {
+    const counts = Object.fromEntries(Object.keys(ConflictDetector.AUDIT_TYPES).map((type) => [type, 0]));
+    for (const issue of issues) counts[issue.type]++;
+    return counts;
+  }
+
+  /** Conflicts per entry index: Map(index → [conflict]). */
+  static byLesson(conflicts) {
+    const map = new Map();
+    for (const conflict of conflicts) {
+      for (const index of conflict.lessons) {
+        if (!map.has(index)) map.set(index, []);
+        map.get(index).push(conflict);
+      }
+    }
+    return map;
+  }
+
+  /**
+   * One line per conflict or audit issue:
+   * "Група 16кб: 2 заняття одночасно — 14.04.2026, 3 пара",
+   * "Кабінет не заданий: 16кб — 14.04.2026, 3 пара".
+   */
+  static describe(conflict) {
+    const date = conflict.date.split('-').reverse().join('.');
+    const when = `${date}, ${conflict.pairNumber} пара`;
+    const label = ConflictDetector.CLASH_TYPES[conflict.type];
+    if (!label) return `${ConflictDetector.AUDIT_TYPES[conflict.type]}: ${conflict.name} — ${when}`;
+    return `${label} ${conflict.name}: ${conflict.lessons.length} заняття одночасно — ${when}`;
+  }
+
+  /* ---------- Static helpers (pure, no side-effects) ---------- */
+
+  static _hasRoom(entry) {
+    const room = String(entry.room || '').trim();
+    return room !== '' && room !== ConflictDetector.NO_ROOM;
+  }
+
+  static _normalize(value) {
+    return String(value || '').trim().replace(/\s+/g, ' ').toLowerCase();
+  }
+}
+
+// Entry fields that must not repeat within a pair, with their labels
+ConflictDetector.CLASH_TYPES = {
+  teacher: 'Викладач',
+  group: 'Група',
+  room: 'Кабінет',
+};
+
+// Audit checks in report order, with their labels
+ConflictDetector.AUDIT_TYPES = {
+  teacher: 'Накладка викладача',
+  group: 'Накладка групи',
+  room: 'Накладка кабінету',
+  noRoom: 'Кабінет не заданий',
+  noTopic: 'Тема не задана',
+  offBell: 'Поза розкладом дзвінків',
+};
+
+// The site's room cell when a lesson has no room
+ConflictDetector.NO_ROOM = 'Кабінет не заданий';
+
+// Universal export: works as a browser content-script global AND as a Node.js module
+if (typeof module !== 'undefined') module.exports = ConflictDetector;
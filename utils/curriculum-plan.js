@@ -0,0 +1,278 @@
+/**
+ * CurriculumPlan — the planned practical works of a subject + group
+ * (number, title, hours), imported from a CSV or XLSX table and matched
+ * against the semester's lessons.
+ *
+ * Zero dependencies on DOM, fetch, or chrome.* APIs. Rows of an XLSX file
+ * come from XlsxReader; lesson topics from the lesson detail (the content
+ * script's parseLessonTopic(), entry.topic). Lesson hours are counted by
+ * WorkloadReport.hoursOf(), so workload-report.js is loaded before this file.
+ */
+class CurriculumPlan {
+  /**
+   * Works of a plan from table rows. A header row (№ / Назва / Години) picks
+   * the columns; without one the first three columns are number, title and
+   * hours. Rows without a title are skipped, a blank number continues from
+   * the previous work and blank hours mean one pair.
+   *
+   * @param {Array<Array>} rows — from parseCSV() or XlsxReader.readRows()
+   * @returns {Array} [{ number, title, hours }]
+   */
+  static parseRows(rows) {
+    const cell = (value) => (value === null || value === undefined ? '' : String(value).trim());
+    const headerAt = rows.findIndex((row) => row.some((v) => cell(v)));
+    const columns = headerAt >= 0 ? CurriculumPlan._headerColumns(rows[headerAt].map(cell)) : null;
+    const { number: numberCol, title: titleCol, hours: hoursCol } = columns || { number: 0, title: 1, hours: 2 };
+
+    const works = [];
+    const seen = new Set();
+    rows.slice(columns ? headerAt + 1 : 0).forEach((row, i) => {
+      const line = (columns ? headerAt + 2 : 1) + i;
+      const title = cell(row[titleCol]);
+      if (!title) return;
+
+      const numberText = cell(row[numberCol]);
+      const numberMatch = numberText.match(/\d+/);
+      if (numberText && !numberMatch) {
+        throw new Error(`Невірний номер роботи в рядку ${line}: «${numberText}»`);
+      }
+      const number = numberMatch ? Number(numberMatch[0]) : (works.length ? works[works.length - 1].number + 1 : 1);
+      if (seen.has(number)) throw new Error(`Номер роботи ${number} повторюється (рядок ${line})`);
+      seen.add(number);
+
+      const hoursText = cell(row[hoursCol]).replace(',', '.');
+      const hours = hoursText ? Number(hoursText) : CurriculumPlan._workloadReport().DEFAULT_HOURS;
+      if (!(hours > 0)) throw new Error(`Невірна кількість годин у рядку ${line}: «${cell(row[hoursCol])}»`);
+
+      works.push({ number, title, hours });
+    });
+
+    if (works.length === 0) throw new Error('У таблиці не знайдено жодної практичної роботи');
+    return works;
+  }
+
+  /**
+   * Which work each lesson belongs to. Lessons are walked by date and pair:
+   * a topic naming a work ("ПР 3", "Практична робота №3" or the work's
+   * title) moves to that work, a lesson without a topic continues the
+   * current work until its hours are taken, then the next one. A topic
+   * naming no work leaves the lesson unassigned.
+   *
+   * @param {Array} works   — [{ number, title, hours }]
+   * @param {Array} lessons — entries with date, pairNumber, topic, hours
+   * @returns {number[]} work index per lesson, -1 when unassigned
+   */
+  static assign(works, lessons) {
+    const assigned = lessons.map(() => -1);
+    const order = lessons
+      .map((lesson, index) => ({ lesson, index }))
+      .sort((a, b) => String(a.lesson.date).localeCompare(String(b.lesson.date))
+        || (a.lesson.pairNumber || 0) - (b.lesson.pairNumber || 0));
+
+    let current = 0;
+    let taken = 0;
+    for (const { lesson, index } of order) {
+      const hours = CurriculumPlan._workloadReport().hoursOf(lesson);
+      if (String(lesson.topic || '').trim()) {
+        const work = CurriculumPlan.matchTopic(works, lesson.topic);
+        if (work < 0) continue;
+        if (work !== current) taken = 0;
+        current = work;
+      } else {
+        if (taken >= (works[current]?.hours ?? 0)) {
+          current++;
+          taken = 0;
+        }
+        if (current >= works.length) continue;
+      }
+      assigned[index] = current;
+      taken += hours;
+    }
+    return assigned;
+  }
+
+  /**
+   * Progress through the plan:
+   *   done      — every lesson of the work is before `today` and covers its hours
+   *   scheduled — the work has a lesson today or later
+   *   missing   — no lessons, or past lessons short of its hours
+   *
+   * @param {Array}  works
+   * @param {Array}  lessons — the semester's lessons of the subject + group
+   * @param {object} [options]
+   * @param {string} [options.today] — 'YYYY-MM-DD' (default: today)
+   * @returns {object} { works: [{ ...work, lessons, taught, status }], counts, unmatched }
+   *   lessons/unmatched are indexes into `lessons`; taught is the hours of
+   *   the work's lessons; counts is { done, scheduled, missing }
+   */
+  static progress(works, lessons, { today = CurriculumPlan._dateUtils().today() } = {}) {
+    const assigned = CurriculumPlan.assign(works, lessons);
+    const counts = { done: 0, scheduled: 0, missing: 0 };
+
+    const rows = works.map((work, w) => {
+      const own = assigned.flatMap((a, i) => (a === w ? [i] : []));
+      const taught = own.reduce((sum, i) => sum + CurriculumPlan._workloadReport().hoursOf(lessons[i]), 0);
+      let status = 'missing';
+      if (own.some((i) => lessons[i].date >= today)) status = 'scheduled';
+      else if (own.length > 0 && taught >= work.hours) status = 'done';
+      counts[status]++;
+      return { ...work, lessons: own, taught, status };
+    });
+
+    return { works: rows, counts, unmatched: assigned.flatMap((a, i) => (a < 0 ? [i] : [])) };
+  }
+
+  /**
+   * Plan topics for the subgroup report: each SlotFinder result whose lesson
+   * has no topic gets its practical from the plan of its subject + group.
+   *
+   * @param {Array} plans   — stored config.curriculumPlans
+   * @param {Array} results — SlotFinder.findSlots() results
+   * @returns {Map} result → "ПР 3. Закон Ома"; results without a plan work are left out
+   */
+  static reportTopics(plans, results) {
+    const topics = new Map();
+    const byPlan = new Map();
+    for (const r of results) {
+      const plan = CurriculumPlan.find(plans, r.lesson.subject, r.lesson.group);
+      if (!plan) continue;
+      if (!byPlan.has(plan)) byPlan.set(plan, []);
+      byPlan.get(plan).push(r);
+    }
+    for (const [plan, items] of byPlan) {
+      CurriculumPlan.assign(plan.works, items.map((r) => r.lesson)).forEach((work, i) => {
+        if (work >= 0 && !items[i].lesson.topic) topics.set(items[i], CurriculumPlan.label(plan.works[work]));
+      });
+    }
+    return topics;
+  }
+
+  /* ---------- Static helpers (pure, no side-effects) ---------- */
+
+  /**
+   * Index of the work a lesson topic names, -1 if none: by number first
+   * ("ПР 3", "Практична робота № 3"), then by the work's title.
+   */
+  static matchTopic(works, topic) {
+    const text = CurriculumPlan._normalize(topic);
+    const numbered = text.match(CurriculumPlan.NUMBER_PATTERN);
+    if (numbered) {
+      const index = works.findIndex((w) => w.number === Number(numbered[1]));
+      if (index >= 0) return index;
+    }
+    return works.findIndex((w) => {
+      const title = CurriculumPlan._normalize(w.title);
+      return title.length >= CurriculumPlan.MIN_TITLE_LENGTH && text.includes(title);
+    });
+  }
+
+  /** Report label of a lesson: "ПР 3. Закон Ома". */
+  static label(work) {
+    return `ПР ${work.number}. ${work.title}`;
+  }
+
+  /** The stored plan of a subject + group (names compared loosely), or null. */
+  static find(plans, subject, group) {
+    const norm = CurriculumPlan._normalizeName;
+    return (plans || []).find((p) => norm(p.subject) === norm(subject) && norm(p.group) === norm(group)) || null;
+  }
+
+  /** Plans with `plan` added, replacing the one of the same subject + group. */
+  static upsert(plans, plan) {
+    const existing = CurriculumPlan.find(plans, plan.subject, plan.group);
+    return existing ? plans.map((p) => (p === existing ? plan : p)) : [...(plans || []), plan];
+  }
+
+  /**
+   * Rows of a CSV file. The delimiter is the first of ; , or tab found in
+   * the first line; quoted fields may contain delimiters, quotes ("") and
+   * line breaks.
+   */
+  static parseCSV(text) {
+    const source = String(text || '').replace(/^\uFEFF/, '');
+    const firstLine = source.split(/\r?\n/, 1)[0];
+    const delimiter = [';', ',', '\t'].find((d) => firstLine.includes(d)) || ';';
+
+    const rows = [];
+    let row = [];
+    let field = '';
+    let quoted = false;
+    for (let i = 0; i < source.length; i++) {
+      const ch = source[i];
+      if (quoted) {
+        if (ch === '"' && source[i + 1] === '"') { field += '"'; i++; }
+        else if (ch === '"') quoted = false;
+        else field += ch;
+      } else if (ch === '"') {
+        quoted = true;
+      } else if (ch === delimiter) {
+        row.push(field);
+        field = '';
+      } else if (ch === '\n' || ch === '\r') {
+        if (ch === '\r' && source[i + 1] === '\n') i++;
+        row.push(field);
+        rows.push(row);
+        row = [];
+        field = '';
+      } else {
+        field += ch;
+      }
+    }
+    if (field || row.length) rows.push([...row, field]);
+    return rows;
+  }
+
+  // Columns named by a header row, or null when the row holds data
+  static _headerColumns(row) {
+    if (row.some((v) => /^\d+([.,]\d+)?$/.test(v))) return null;
+    const find = (pattern) => row.findIndex((v) => pattern.test(v));
+    const columns = {
+      number: find(/^(№|#|n$|номер)/i),
+      title: find(/назва|тема|робот|зміст/i),
+      hours: find(/год/i),
+    };
+    if (columns.title < 0) return null;
+    if (columns.number < 0) columns.number = columns.title === 0 ? -1 : 0;
+    if (columns.hours < 0) columns.hours = -1;
+    return columns;
+  }
+
+  // Topic text for matching: lower case, apostrophes unified, punctuation to spaces
+  static _normalize(value) {
+    return String(value || '')
+      .toLowerCase()
+      .replace(/[’ʼ`]/g, "'")
+      .replace(/[^\p{L}\p{N}'№]+/gu, ' ')
+      .trim();
+  }
+
+  static _normalizeName(value) {
+    return String(value || '').trim().replace(/\s+/g, ' ').toLowerCase();
+  }
+
+  static _dateUtils() {
+    if (typeof DateUtils !== 'undefined') return DateUtils;
+    return require('./date-utils');
+  }
+
+  static _workloadReport() {
+    if (typeof WorkloadReport !== 'undefined') return WorkloadReport;
+    return require('./workload-report');
+  }
+}
+
+// "ПР 3", "пр№3", "практична робота № 3", "практичне заняття 3" in a normalized topic
+CurriculumPlan.NUMBER_PATTERN = /(?:^|\s)(?:пр|практичн\S*\s+(?:робот|занятт)\S*)\s*№?\s*(\d+)/;
+
+// Shorter titles ("Вступ") are too likely to appear inside unrelated topics
+CurriculumPlan.MIN_TITLE_LENGTH = 6;
+
+// Progress labels
+CurriculumPlan.STATUS_LABELS = {
+  done: 'Виконано',
+  scheduled: 'Заплановано',
+  missing: 'Не заплановано',
+};
+
+// Universal export: works as a browser content-script global AND as a Node.js module
+if (typeof module !== 'undefined') module.exports = CurriculumPlan;
@@ -0,0 +1,51 @@
+/**
+ * DateUtils — calendar dates as 'YYYY-MM-DD' strings, shared by the
+ * schedule utilities.
+ *
+ * Zero dependencies on DOM, fetch, or chrome.* APIs. Dates are handled as
+ * UTC midnight, so weekdays and day arithmetic never move with the time
+ * zone or a daylight-saving change. Loaded before every file that uses it.
+ */
+class DateUtils {
+  /** 'YYYY-MM-DD' → Date at UTC midnight. */
+  static parse(dateStr) {
+    const [y, m, d] = dateStr.split('-').map(Number);
+    return new Date(Date.UTC(y, m - 1, d));
+  }
+
+  /** Date → 'YYYY-MM-DD' of its UTC calendar day. */
+  static format(date) {
+    return `${date.getUTCFullYear()}-${String(date.getUTCMonth() + 1).padStart(2, '0')}-${String(date.getUTCDate()).padStart(2, '0')}`;
+  }
+
+  /** The date `days` days later (earlier when negative). */
+  static shift(dateStr, days) {
+    const d = DateUtils.parse(dateStr);
+    d.setUTCDate(d.getUTCDate() + days);
+    return DateUtils.format(d);
+  }
+
+  /** Weekday as in Date#getDay: 0 = Sunday … 6 = Saturday. */
+  static weekday(dateStr) {
+    return DateUtils.parse(dateStr).getUTCDay();
+  }
+
+  /** Monday of a date's week. */
+  static weekStart(dateStr) {
+    return DateUtils.shift(dateStr, -((DateUtils.weekday(dateStr) + 6) % 7));
+  }
+
+  /** Whole days from one date to another (negative when `to` is earlier). */
+  static daysBetween(from, to) {
+    return Math.round((DateUtils.parse(to) - DateUtils.parse(from)) / 86400000);
+  }
+
+  /** Today's local calendar date. */
+  static today() {
+    const d = new Date();
+    return DateUtils.format(new Date(Date.UTC(d.getFullYear(), d.getMonth(), d.getDate())));
+  }
+}
+
+// Universal export: works as a browser content-script global AND as a Node.js module
+if (typeof module !== 'undefined') module.exports = DateUtils;
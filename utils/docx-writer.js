@@ -0,0 +1,276 @@
+/**
+ * DocxWriter — builds a genuine Office Open XML document (.docx).
+ *
+ * Zero dependencies on DOM, fetch, or chrome.* APIs; needs ZipWriter
+ * (utils/zip-writer.js) loaded before this file, or resolvable via require().
+ *
+ * Only what the reports need: paragraphs, bordered tables with vertically
+ * merged cells and A4 portrait sections, each section starting on a new page.
+ */
+class DocxWriter {
+  /**
+   * @param {object} [options]
+   * @param {string} [options.font]     — default font family
+   * @param {number} [options.fontSize] — default font size, pt
+   */
+  constructor({ font = DocxWriter.DEFAULT_FONT, fontSize = DocxWriter.DEFAULT_FONT_SIZE } = {}) {
+    this._font = font;
+    this._fontSize = fontSize;
+    this._sections = [[]];
+  }
+
+  /**
+   * Add a paragraph to the current section. "\n" in the text becomes a line break.
+   *
+   * @param {string} text
+   * @param {object} [options]
+   * @param {'left'|'center'|'right'|'both'} [options.align]
+   * @param {boolean} [options.bold]
+   * @param {number}  [options.size]        — font size, pt
+   * @param {number}  [options.spaceBefore] — pt
+   * @param {number}  [options.spaceAfter]  — pt
+   */
+  paragraph(text, options = {}) {
+    this._current().push(DocxWriter._paragraphXML(text, options));
+    return this;
+  }
+
+  /**
+   * Add a bordered, full-width table to the current section.
+   * The header row repeats on every page.
+   *
+   * @param {object} table
+   * @param {Array}  table.columns — [{header, width}] width in % of the text width
+   * @param {Array}  table.rows    — arrays of cells in column order; a cell is a
+   *                                 string or {text, rowSpan}. Columns covered by a
+   *                                 rowSpan from above are skipped in later rows.
+   */
+  table({ columns, rows = [] }) {
+    this._current().push(DocxWriter._tableXML(columns, rows));
+    return this;
+  }
+
+  /** Start a new section (and page); no-op while the current one is empty. */
+  section() {
+    if (this._current().length > 0) this._sections.push([]);
+    return this;
+  }
+
+  /** The document as zip bytes. */
+  toUint8Array() {
+    const Zip = DocxWriter._zipWriter();
+    const zip = new Zip();
+    zip.addFile('[Content_Types].xml', DocxWriter._contentTypes());
+    zip.addFile('_rels/.rels', DocxWriter._rootRels());
+    zip.addFile('word/document.xml', this._document());
+    zip.addFile('word/_rels/document.xml.rels', DocxWriter._documentRels());
+    zip.addFile('word/styles.xml', this._styles());
+    return zip.toUint8Array();
+  }
+
+  /** The document as a Blob (browser contexts). */
+  toBlob() {
+    return new Blob([this.toUint8Array()], { type: DocxWriter.MIME_TYPE });
+  }
+
+  _current() {
+    return this._sections[this._sections.length - 1];
+  }
+
+  /* ---------- Package parts ---------- */
+
+  /**
+   * Every section but the last carries its sectPr in its final paragraph;
+   * the last one uses the body-level sectPr.
+   */
+  _document() {
+    const sections = this._sections.filter((s, i) => s.length > 0 || i === 0);
+    const body = sections.map((blocks, i) => {
+      const isLast = i === sections.length - 1;
+      const content = blocks.join('');
+      return isLast
+        ? content
+        : `${content}<w:p><w:pPr>${DocxWriter._sectPr()}</w:pPr></w:p>`;
+    }).join('');
+
+    return DocxWriter.XML_HEADER
+      + `<w:document xmlns:w="${DocxWriter.NS_MAIN}" xmlns:r="${DocxWriter.NS_REL}">`
+      + `<w:body>${body}${DocxWriter._sectPr()}</w:body>`
+      + '</w:document>';
+  }
+
+  _styles() {
+    const font = DocxWriter.escapeXML(this._font);
+    return DocxWriter.XML_HEADER
+      + `<w:styles xmlns:w="${DocxWriter.NS_MAIN}">`
+      + '<w:docDefaults>'
+      + `<w:rPrDefault><w:rPr><w:rFonts w:ascii="${font}" w:hAnsi="${font}" w:cs="${font}" w:eastAsia="${font}"/>`
+      + `<w:sz w:val="${this._fontSize * 2}"/><w:szCs w:val="${this._fontSize * 2}"/><w:lang w:val="uk-UA"/></w:rPr></w:rPrDefault>`
+      + '<w:pPrDefault><w:pPr><w:spacing w:before="0" w:after="40" w:line="240" w:lineRule="auto"/></w:pPr></w:pPrDefault>'
+      + '</w:docDefaults>'
+      + '<w:style w:type="paragraph" w:default="1" w:styleId="Normal"><w:name w:val="Normal"/><w:qFormat/></w:style>'
+      + '<w:style w:type="table" w:default="1" w:styleId="TableNormal"><w:name w:val="Normal Table"/>'
+      + '<w:tblPr><w:tblInd w:w="0" w:type="dxa"/><w:tblCellMar>'
+      + '<w:top w:w="0" w:type="dxa"/><w:left w:w="108" w:type="dxa"/>'
+      + '<w:bottom w:w="0" w:type="dxa"/><w:right w:w="108" w:type="dxa"/>'
+      + '</w:tblCellMar></w:tblPr></w:style>'
+      + '</w:styles>';
+  }
+
+  static _contentTypes() {
+    return DocxWriter.XML_HEADER
+      + '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">'
+      + '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>'
+      + '<Default Extension="xml" ContentType="application/xml"/>'
+      + '<Override PartName="/word/document.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.document.main+xml"/>'
+      + '<Override PartName="/word/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.styles+xml"/>'
+      + '</Types>';
+  }
+
+  static _rootRels() {
+    return DocxWriter.XML_HEADER
+      + '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">'
+      + '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="word/document.xml"/>'
+      + '</Relationships>';
+  }
+
+  static _documentRels() {
+    return DocxWriter.XML_HEADER
+      + '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">'
+      + '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/styles" Target="styles.xml"/>'
+      + '</Relationships>';
+  }
+
+  // A4 portrait, margins 2 cm / 1.5 cm right (as the old .doc @page rule)
+  static _sectPr() {
+    const { width, height, top, right, bottom, left } = DocxWriter.PAGE;
+    return '<w:sectPr>'
+      + `<w:pgSz w:w="${width}" w:h="${height}"/>`
+      + `<w:pgMar w:top="${top}" w:right="${right}" w:bottom="${bottom}" w:left="${left}" w:header="709" w:footer="709" w:gutter="0"/>`
+      + '</w:sectPr>';
+  }
+
+  /* ---------- Content ---------- */
+
+  static _paragraphXML(text, { align, bold, size, spaceBefore, spaceAfter } = {}) {
+    const pPr = [];
+    if (spaceBefore !== undefined || spaceAfter !== undefined) {
+      const attrs = [];
+      if (spaceBefore !== undefined) attrs.push(`w:before="${Math.round(spaceBefore * 20)}"`);
+      if (spaceAfter !== undefined) attrs.push(`w:after="${Math.round(spaceAfter * 20)}"`);
+      pPr.push(`<w:spacing ${attrs.join(' ')}/>`);
+    }
+    if (align) pPr.push(`<w:jc w:val="${align}"/>`);
+
+    const rPr = [];
+    if (bold) rPr.push('<w:b/><w:bCs/>');
+    if (size) rPr.push(`<w:sz w:val="${size * 2}"/><w:szCs w:val="${size * 2}"/>`);
+
+    return '<w:p>'
+      + (pPr.length ? `<w:pPr>${pPr.join('')}</w:pPr>` : '')
+      + DocxWriter._runs(text, rPr.join(''))
+      + '</w:p>';
+  }
+
+  // One run per line, joined by <w:br/>; empty text gives an empty paragraph
+  static _runs(text, rPr) {
+    const props = rPr ? `<w:rPr>${rPr}</w:rPr>` : '';
+    const lines = String(text === null || text === undefined ? '' : text).split('\n');
+    if (lines.length === 1 && lines[0] === '') return '';
+    return `<w:r>${props}`
+      + lines.map((line) => `<w:t xml:space="preserve">${DocxWriter.escapeXML(line)}</w:t>`).join('<w:br/>')
+      + '</w:r>';
+  }
+
+  static _tableXML(columns, rows) {
+    const widths = DocxWriter._columnWidths(columns);
+    const border = (side) => `<w:${side} w:val="single" w:sz="4" w:space="0" w:color="000000"/>`;
+    const borders = ['top', 'left', 'bottom', 'right', 'insideH', 'insideV'].map(border).join('');
+
+    const header = '<w:tr><w:trPr><w:tblHeader/></w:trPr>'
+      + columns.map((c, i) => DocxWriter._cellXML(widths[i], c.header, { bold: true })).join('')
+      + '</w:tr>';
+
+    // Remaining rows still covered by a vertical merge, per column
+    const covered = columns.map(() => 0);
+    const body = rows.map((row) => {
+      const cells = [];
+      let next = 0;
+      columns.forEach((_, col) => {
+        if (covered[col] > 0) {
+          covered[col]--;
+          cells.push(DocxWriter._cellXML(widths[col], '', { merge: 'continue' }));
+          return;
+        }
+        const cell = row[next++];
+        const { text, rowSpan = 1 } = cell !== null && typeof cell === 'object' ? cell : { text: cell };
+        if (rowSpan > 1) covered[col] = rowSpan - 1;
+        cells.push(DocxWriter._cellXML(widths[col], text, { merge: rowSpan > 1 ? 'restart' : null }));
+      });
+      return `<w:tr><w:trPr><w:cantSplit/></w:trPr>${cells.join('')}</w:tr>`;
+    }).join('');
+
+    return '<w:tbl>'
+      + `<w:tblPr><w:tblW w:w="${widths.reduce((a, b) => a + b, 0)}" w:type="dxa"/>`
+      + `<w:tblBorders>${borders}</w:tblBorders><w:tblLayout w:type="fixed"/></w:tblPr>`
+      + `<w:tblGrid>${widths.map((w) => `<w:gridCol w:w="${w}"/>`).join('')}</w:tblGrid>`
+      + header + body
+      + '</w:tbl>';
+  }
+
+  static _cellXML(width, text, { bold = false, merge = null } = {}) {
+    const vMerge = merge === 'restart' ? '<w:vMerge w:val="restart"/>' : merge === 'continue' ? '<w:vMerge/>' : '';
+    return '<w:tc>'
+      + `<w:tcPr><w:tcW w:w="${width}" w:type="dxa"/>${vMerge}<w:vAlign w:val="center"/></w:tcPr>`
+      + DocxWriter._paragraphXML(text, { align: 'center', bold, spaceAfter: 0 })
+      + '</w:tc>';
+  }
+
+  /* ---------- Static helpers (pure, no side-effects) ---------- */
+
+  /**
+   * Column widths in twips from percentages of the text width; columns
+   * without a width share what is left.
+   */
+  static _columnWidths(columns) {
+    const { width, right, left } = DocxWriter.PAGE;
+    const textWidth = width - right - left;
+    const given = columns.reduce((sum, c) => sum + (c.width || 0), 0);
+    const unsized = columns.filter((c) => !c.width).length;
+    const share = unsized ? Math.max(0, 100 - given) / unsized : 0;
+    return columns.map((c) => Math.round(textWidth * (c.width || share) / 100));
+  }
+
+  static escapeXML(str) {
+    return String(str)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      // Control characters are not allowed in XML 1.0
+      .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, '');
+  }
+
+  static _zipWriter() {
+    if (typeof ZipWriter !== 'undefined') return ZipWriter;
+    return require('./zip-writer');
+  }
+}
+
+DocxWriter.MIME_TYPE = 'application/vnd.openxmlformats-officedocument.wordprocessingml.document';
+
+DocxWriter.XML_HEADER = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n';
+
+DocxWriter.NS_MAIN = 'http://schemas.openxmlformats.org/wordprocessingml/2006/main';
+DocxWriter.NS_REL  = 'http://schemas.openxmlformats.org/officeDocument/2006/relationships';
+
+DocxWriter.DEFAULT_FONT = 'Times New Roman';
+DocxWriter.DEFAULT_FONT_SIZE = 12;
+
+// A4 portrait in twips (1 cm = 567)
+DocxWriter.PAGE = Object.freeze({
+  width: 11906, height: 16838, top: 1134, right: 850, bottom: 1134, left: 1134,
+});
+
+// Universal export: works as a browser content-script global AND as a Node.js module
+if (typeof module !== 'undefined') module.exports = DocxWriter;
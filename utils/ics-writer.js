@@ -0,0 +1,171 @@
+/**
+ * IcsWriter — builds an iCalendar (.ics, RFC 5545) file of timed events.
+ *
+ * Zero dependencies on DOM, fetch, or chrome.* APIs (Blob only in toBlob()).
+ * Event times are local wall-clock times in IcsWriter.TIMEZONE; the matching
+ * VTIMEZONE is embedded so phone and desktop calendars place them correctly.
+ */
+class IcsWriter {
+  /**
+   * @param {object} [options]
+   * @param {string} [options.name] — calendar name shown by clients (X-WR-CALNAME)
+   * @param {Date}   [options.now]  — DTSTAMP of every event (default: now)
+   */
+  constructor({ name = '', now = new Date() } = {}) {
+    this._name = name;
+    this._stamp = IcsWriter.formatUTC(now);
+    this._events = [];
+  }
+
+  /**
+   * Add an event. Without start/end times it becomes an all-day event.
+   *
+   * @param {object} event
+   * @param {string} event.uid         — stable id, so re-imports update instead of duplicating
+   * @param {string} event.date        — YYYY-MM-DD
+   * @param {string} [event.start]     — HH:MM
+   * @param {string} [event.end]       — HH:MM
+   * @param {string} event.summary
+   * @param {string} [event.description] — may span lines
+   * @param {string} [event.location]
+   */
+  addEvent({ uid, date, start, end, summary, description = '', location = '' }) {
+    this._events.push({ uid, date, start, end, summary, description, location });
+    return this;
+  }
+
+  /** Number of events added so far. */
+  get size() {
+    return this._events.length;
+  }
+
+  /** The calendar as text with CRLF line endings and folded long lines. */
+  toString() {
+    const lines = [
+      'BEGIN:VCALENDAR',
+      'VERSION:2.0',
+      `PRODID:${IcsWriter.PRODID}`,
+      'CALSCALE:GREGORIAN',
+      'METHOD:PUBLISH',
+    ];
+    if (this._name) lines.push(`X-WR-CALNAME:${IcsWriter.escapeText(this._name)}`);
+    lines.push(`X-WR-TIMEZONE:${IcsWriter.TIMEZONE}`, ...IcsWriter.VTIMEZONE);
+
+    for (const e of this._events) lines.push(...this._eventLines(e));
+
+    lines.push('END:VCALENDAR');
+    return lines.map(IcsWriter.foldLine).join('\r\n') + '\r\n';
+  }
+
+  /** The calendar as a Blob (browser contexts). */
+  toBlob() {
+    return new Blob([this.toString()], { type: IcsWriter.MIME_TYPE });
+  }
+
+  _eventLines(e) {
+    const day = e.date.replace(/-/g, '');
+    const timed = e.start && e.end;
+    const lines = [
+      'BEGIN:VEVENT',
+      `UID:${IcsWriter.escapeText(e.uid)}`,
+      `DTSTAMP:${this._stamp}`,
+    ];
+    if (timed) {
+      lines.push(
+        `DTSTART;TZID=${IcsWriter.TIMEZONE}:${day}T${IcsWriter._time(e.start)}`,
+        `DTEND;TZID=${IcsWriter.TIMEZONE}:${day}T${IcsWriter._time(e.end)}`,
+      );
+    } else {
+      lines.push(
+        `DTSTART;VALUE=DATE:${day}`,
+        `DTEND;VALUE=DATE:${IcsWriter._dateUtils().shift(e.date, 1).replace(/-/g, '')}`,
+      );
+    }
+    lines.push(`SUMMARY:${IcsWriter.escapeText(e.summary)}`);
+    if (e.description) lines.push(`DESCRIPTION:${IcsWriter.escapeText(e.description)}`);
+    if (e.location) lines.push(`LOCATION:${IcsWriter.escapeText(e.location)}`);
+    lines.push('END:VEVENT');
+    return lines;
+  }
+
+  /* ---------- Static helpers (pure, no side-effects) ---------- */
+
+  /** Escape a TEXT value (RFC 5545 §3.3.11). */
+  static escapeText(value) {
+    return String(value === null || value === undefined ? '' : value)
+      .replace(/\\/g, '\\\\')
+      .replace(/;/g, '\\;')
+      .replace(/,/g, '\\,')
+      .replace(/\r?\n/g, '\\n');
+  }
+
+  /**
+   * Fold a content line to at most 75 octets per physical line (RFC 5545 §3.1),
+   * never splitting a multi-byte UTF-8 character.
+   */
+  static foldLine(line) {
+    const encoder = new TextEncoder();
+    const parts = [];
+    let current = '';
+    let size = 0;
+    for (const ch of line) {
+      const bytes = encoder.encode(ch).length;
+      const limit = parts.length === 0 ? 75 : 74; // continuation lines start with a space
+      if (size + bytes > limit) {
+        parts.push(current);
+        current = '';
+        size = 0;
+      }
+      current += ch;
+      size += bytes;
+    }
+    parts.push(current);
+    return parts.join('\r\n ');
+  }
+
+  /** "20260415T091500Z" for a Date. */
+  static formatUTC(date) {
+    return date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+  }
+
+  // "08:00" → "080000"
+  static _time(hhmm) {
+    const [h, m] = hhmm.split(':');
+    return `${h.padStart(2, '0')}${m}00`;
+  }
+
+  static _dateUtils() {
+    if (typeof DateUtils !== 'undefined') return DateUtils;
+    return require('./date-utils');
+  }
+}
+
+IcsWriter.MIME_TYPE = 'text/calendar;charset=utf-8';
+
+IcsWriter.PRODID = '-//Smart School Helper//UK';
+
+IcsWriter.TIMEZONE = 'Europe/Kyiv';
+
+// EET / EEST: last Sunday of March 03:00 → 04:00, last Sunday of October 04:00 → 03:00
+IcsWriter.VTIMEZONE = Object.freeze([
+  'BEGIN:VTIMEZONE',
+  `TZID:${IcsWriter.TIMEZONE}`,
+  'BEGIN:STANDARD',
+  'DTSTART:19701025T040000',
+  'TZOFFSETFROM:+0300',
+  'TZOFFSETTO:+0200',
+  'TZNAME:EET',
+  'RRULE:FREQ=YEARLY;BYMONTH=10;BYDAY=-1SU',
+  'END:STANDARD',
+  'BEGIN:DAYLIGHT',
+  'DTSTART:19700329T030000',
+  'TZOFFSETFROM:+0200',
+  'TZOFFSETTO:+0300',
+  'TZNAME:EEST',
+  'RRULE:FREQ=YEARLY;BYMONTH=3;BYDAY=-1SU',
+  'END:DAYLIGHT',
+  'END:VTIMEZONE',
+]);
+
+// Universal export: works as a browser content-script global AND as a Node.js module
+if (typeof module !== 'undefined') module.exports = IcsWriter;
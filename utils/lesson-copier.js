@@ -0,0 +1,119 @@
+/**
+ * LessonCopier — turns SlotFinder results into lessons to create on the site.
+ *
+ * Zero dependencies on DOM, fetch, or chrome.* APIs.
+ * The content script sends the planned operations through the site's own
+ * "copy to date" route (lesson/copy2date) and reads the replies with
+ * parseResponse().
+ *
+ * copy2date copies a lesson to another date and keeps its pair number and
+ * its whole-group audience, so only slots on the original lesson's pair can
+ * be written back, and the copy's subgroup is set on the site by hand. The
+ * other routes copy whole weeks (lesson/copy2dateweek) or save a schedule
+ * template from a date range (schedule/create-from-lessons); neither sets
+ * the pair or the subgroup of a single lesson. limits() words this for the
+ * preview, before the user confirms.
+ */
+class LessonCopier {
+  /**
+   * One operation per found subgroup slot, in result order.
+   *
+   * @param {Array} results — SlotFinder results [{lesson, slots}]
+   * @returns {Array} [{ key, lessonId, group, subject, topic, subgroup,
+   *                     fromDate, fromPairNumber, date, pairNumber, room,
+   *                     ready, reason }]
+   *                   `ready` operations can be sent; the rest carry a reason
+   */
+  static plan(results) {
+    const operations = [];
+    const seen = new Set();
+
+    for (const { lesson, slots } of results || []) {
+      (slots || []).forEach((slot, i) => {
+        if (!slot) return;
+        const key = `${lesson.lessonId || `${lesson.date}-${lesson.pairNumber}-${lesson.group}`}|${slot.date}|${slot.pairNumber}`;
+        const copyKey = `${lesson.lessonId}|${slot.date}`;
+
+        let reason = '';
+        if (!lesson.lessonId) {
+          reason = 'Заняття без ID на сайті — скопіювати нема чого';
+        } else if (slot.pairNumber !== lesson.pairNumber) {
+          reason = `Копія зберігає номер пари (${lesson.pairNumber}); ${slot.pairNumber} пару створіть вручну`;
+        } else if (seen.has(copyKey)) {
+          reason = 'Це заняття вже копіюється на цю дату';
+        }
+        if (!reason) seen.add(copyKey);
+
+        operations.push({
+          key,
+          lessonId: lesson.lessonId || '',
+          group: lesson.group,
+          subject: lesson.subject,
+          topic: lesson.topic || '',
+          subgroup: i + 2,
+          fromDate: lesson.date,
+          fromPairNumber: lesson.pairNumber,
+          date: slot.date,
+          pairNumber: slot.pairNumber,
+          room: slot.room || '',
+          ready: !reason,
+          reason,
+        });
+      });
+    }
+    return operations;
+  }
+
+  /**
+   * What "create on site" cannot do for the planned operations, one line
+   * each, shown above the list before anything is sent.
+   *
+   * @param {Array} operations — plan() output
+   * @returns {string[]} empty when nothing can be created
+   */
+  static limits(operations) {
+    const ops = operations || [];
+    const lines = [];
+    if (ops.some((o) => o.ready)) {
+      lines.push('Сайт створює копію заняття всієї групи: підгрупу у створеному занятті виставте на сайті вручну.');
+    }
+    const otherPair = ops.filter((o) => o.pairNumber !== o.fromPairNumber).length;
+    if (otherPair > 0) {
+      lines.push(`Пар на іншому номері, ніж оригінальне заняття: ${otherPair}. Копія зберігає номер пари, тому їх сайт не створить — додайте їх вручну.`);
+    }
+    return lines;
+  }
+
+  /**
+   * Read a copy2date reply — JSON { success, error }.
+   * Anything else (a login page, a server error page) counts as a failure.
+   *
+   * @param {string} text — response body
+   * @returns {{ ok: boolean, error: string }}
+   */
+  static parseResponse(text) {
+    let data;
+    try {
+      data = JSON.parse(text);
+    } catch {
+      return { ok: false, error: 'Сайт повернув не JSON — можливо, сесія завершилась' };
+    }
+    if (data && data.success) return { ok: true, error: '' };
+    return { ok: false, error: String(data?.error || 'Сайт відхилив копіювання') };
+  }
+
+  /** Counts per outcome status: { created, failed, skipped, dryRun }. */
+  static summarize(outcomes) {
+    const counts = { created: 0, failed: 0, skipped: 0, dryRun: 0 };
+    for (const o of outcomes || []) {
+      if (o.status === 'created') counts.created++;
+      else if (o.status === 'failed') counts.failed++;
+      else if (o.status === 'dry-run') counts.dryRun++;
+      else counts.skipped++;
+    }
+    return counts;
+  }
+}
+
+// Universal export: works as a browser content-script global AND as a Node.js module
+if (typeof module !== 'undefined') module.exports = LessonCopier;
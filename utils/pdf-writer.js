@@ -0,0 +1,327 @@
+/**
+ * PdfWriter — builds a PDF document of text and lines with embedded
+ * TrueType fonts, so Cyrillic renders the same on every machine.
+ *
+ * Zero dependencies on DOM, fetch, or chrome.* APIs (Blob only in toBlob());
+ * needs TrueTypeFont (utils/truetype-font.js) loaded before this file, or
+ * resolvable via require(). The caller supplies the font files.
+ *
+ * Coordinates are in points from the TOP-left corner of an A4 page; text y
+ * is the baseline. Fonts are embedded as glyph subsets (CIDFontType2,
+ * Identity-H) with a ToUnicode map, so text stays selectable and searchable.
+ */
+class PdfWriter {
+  /**
+   * @param {object} options
+   * @param {object} options.fonts   — { key: .ttf bytes }, e.g. { regular, bold }
+   * @param {string} [options.title] — document title (Info dictionary)
+   */
+  constructor({ fonts, title = '' }) {
+    const Font = PdfWriter._trueTypeFont();
+    this._fonts = {};
+    Object.entries(fonts || {}).forEach(([key, data], index) => {
+      this._fonts[key] = { font: new Font(data), index, used: new Map() };
+    });
+    if (Object.keys(this._fonts).length === 0) throw new Error('PdfWriter needs at least one font');
+
+    this._title = title;
+    this._pages = [];
+  }
+
+  /** Start a new A4 page; later drawing goes there. */
+  addPage() {
+    this._pages.push([]);
+    return this;
+  }
+
+  /** Number of pages so far. */
+  get pageCount() {
+    return this._pages.length;
+  }
+
+  /**
+   * Draw one line of text.
+   *
+   * @param {string} text
+   * @param {number} x — left edge
+   * @param {number} y — baseline, from the top
+   * @param {object} [options]
+   * @param {string} [options.font] — key from the constructor (default: first font)
+   * @param {number} [options.size] — pt
+   */
+  text(text, x, y, { font, size = 12 } = {}) {
+    const entry = this._font(font);
+    let hex = '';
+    for (const ch of String(text)) {
+      const code = ch.codePointAt(0);
+      const gid = entry.font.glyphId(code);
+      if (!entry.used.has(gid)) entry.used.set(gid, code);
+      hex += gid.toString(16).padStart(4, '0');
+    }
+    this._current().push(
+      `BT /F${entry.index + 1} ${PdfWriter._num(size)} Tf ${PdfWriter._num(x)} ${PdfWriter._num(PdfWriter.PAGE.height - y)} Td <${hex}> Tj ET`
+    );
+    return this;
+  }
+
+  /** Stroke a straight line. */
+  line(x1, y1, x2, y2, width = PdfWriter.LINE_WIDTH) {
+    const h = PdfWriter.PAGE.height;
+    this._current().push(
+      `${PdfWriter._num(width)} w ${PdfWriter._num(x1)} ${PdfWriter._num(h - y1)} m ${PdfWriter._num(x2)} ${PdfWriter._num(h - y2)} l S`
+    );
+    return this;
+  }
+
+  /** Stroke a rectangle given by its top-left corner. */
+  rect(x, y, width, height, lineWidth = PdfWriter.LINE_WIDTH) {
+    this._current().push(
+      `${PdfWriter._num(lineWidth)} w ${PdfWriter._num(x)} ${PdfWriter._num(PdfWriter.PAGE.height - y - height)} ${PdfWriter._num(width)} ${PdfWriter._num(height)} re S`
+    );
+    return this;
+  }
+
+  /** Width of a string in points. */
+  textWidth(text, { font, size = 12 } = {}) {
+    return this._font(font).font.textWidth(text, size);
+  }
+
+  /**
+   * Break text into lines no wider than maxWidth: at spaces first, inside
+   * a word only when the word alone does not fit. "\n" always breaks.
+   */
+  wrap(text, maxWidth, options = {}) {
+    const lines = [];
+    for (const paragraph of String(text === null || text === undefined ? '' : text).split('\n')) {
+      let line = '';
+      for (const word of paragraph.split(' ')) {
+        const candidate = line ? `${line} ${word}` : word;
+        if (this.textWidth(candidate, options) <= maxWidth) {
+          line = candidate;
+          continue;
+        }
+        if (line) lines.push(line);
+        line = '';
+        for (const ch of word) {
+          if (line && this.textWidth(line + ch, options) > maxWidth) {
+            lines.push(line);
+            line = '';
+          }
+          line += ch;
+        }
+      }
+      lines.push(line);
+    }
+    return lines;
+  }
+
+  /** The document as bytes. */
+  toUint8Array() {
+    if (this._pages.length === 0) throw new Error('PDF has no pages');
+
+    const objects = [];   // index + 1 = object number; entries are Uint8Array or string
+    const reserve = () => objects.push(null);
+    const set = (num, body) => { objects[num - 1] = body; };
+
+    const catalog = reserve();
+    const pages = reserve();
+    const info = reserve();
+
+    // Fonts that were actually drawn with
+    const fontRefs = {};
+    for (const entry of Object.values(this._fonts)) {
+      if (entry.used.size === 0) continue;
+      fontRefs[entry.index] = this._fontObjects(entry, reserve, set);
+    }
+    const resources = Object.entries(fontRefs)
+      .map(([index, ref]) => `/F${Number(index) + 1} ${ref} 0 R`).join(' ');
+
+    const pageRefs = this._pages.map((ops) => {
+      const content = reserve();
+      set(content, PdfWriter._stream(ops.join('\n')));
+      const page = reserve();
+      set(page, `<< /Type /Page /Parent ${pages} 0 R /MediaBox [0 0 ${PdfWriter.PAGE.width} ${PdfWriter.PAGE.height}] `
+        + `/Resources << /Font << ${resources} >> >> /Contents ${content} 0 R >>`);
+      return page;
+    });
+
+    set(catalog, `<< /Type /Catalog /Pages ${pages} 0 R >>`);
+    set(pages, `<< /Type /Pages /Kids [${pageRefs.map((r) => `${r} 0 R`).join(' ')}] /Count ${pageRefs.length} >>`);
+    set(info, `<< /Producer (${PdfWriter.PRODUCER}) /Title ${PdfWriter._textString(this._title)} >>`);
+
+    return PdfWriter._serialize(objects, catalog, info);
+  }
+
+  /** The document as a Blob (browser contexts). */
+  toBlob() {
+    return new Blob([this.toUint8Array()], { type: PdfWriter.MIME_TYPE });
+  }
+
+  _current() {
+    if (this._pages.length === 0) this.addPage();
+    return this._pages[this._pages.length - 1];
+  }
+
+  _font(key) {
+    const entry = key ? this._fonts[key] : Object.values(this._fonts)[0];
+    if (!entry) throw new Error(`Unknown PDF font: ${key}`);
+    return entry;
+  }
+
+  /**
+   * Type0 font → CIDFontType2 → FontDescriptor → FontFile2 (subset),
+   * plus a ToUnicode CMap. Returns the Type0 object number.
+   */
+  _fontObjects({ font, index, used }, reserve, set) {
+    const scale = 1000 / font.unitsPerEm;
+    const name = `${PdfWriter._subsetTag(index)}+${font.postScriptName}`;
+    const gids = [...used.keys()].sort((a, b) => a - b);
+
+    const file = reserve();
+    const subset = font.subset(gids);
+    set(file, PdfWriter._stream(subset, `/Length1 ${subset.length}`));
+
+    const descriptor = reserve();
+    set(descriptor, `<< /Type /FontDescriptor /FontName /${name} /Flags ${PdfWriter.FONT_FLAGS} `
+      + `/FontBBox [${font.bbox.map((v) => Math.round(v * scale)).join(' ')}] /ItalicAngle 0 `
+      + `/Ascent ${Math.round(font.ascent * scale)} /Descent ${Math.round(font.descent * scale)} `
+      + `/CapHeight ${Math.round(font.capHeight * scale)} /StemV 80 /FontFile2 ${file} 0 R >>`);
+
+    const widths = gids.map((gid) => `${gid} [${Math.round(font.advanceWidth(gid) * scale)}]`).join(' ');
+    const cid = reserve();
+    set(cid, `<< /Type /Font /Subtype /CIDFontType2 /BaseFont /${name} `
+      + '/CIDSystemInfo << /Registry (Adobe) /Ordering (Identity) /Supplement 0 >> '
+      + `/FontDescriptor ${descriptor} 0 R /W [${widths}] /CIDToGIDMap /Identity >>`);
+
+    const toUnicode = reserve();
+    set(toUnicode, PdfWriter._stream(PdfWriter._toUnicodeCMap(used)));
+
+    const type0 = reserve();
+    set(type0, `<< /Type /Font /Subtype /Type0 /BaseFont /${name} /Encoding /Identity-H `
+      + `/DescendantFonts [${cid} 0 R] /ToUnicode ${toUnicode} 0 R >>`);
+    return type0;
+  }
+
+  /* ---------- Static helpers (pure, no side-effects) ---------- */
+
+  /** Header, numbered objects, xref table and trailer. */
+  static _serialize(objects, catalog, info) {
+    const encoder = new TextEncoder();
+    const chunks = [];
+    const offsets = [];
+    let length = 0;
+    const push = (part) => {
+      const bytes = typeof part === 'string' ? encoder.encode(part) : part;
+      chunks.push(bytes);
+      length += bytes.length;
+    };
+
+    push('%PDF-1.4\n');
+    push(new Uint8Array([0x25, 0xe2, 0xe3, 0xcf, 0xd3, 0x0a]));   // binary marker comment
+    objects.forEach((body, i) => {
+      offsets.push(length);
+      push(`${i + 1} 0 obj\n`);
+      if (typeof body === 'string') push(body);
+      else body.forEach(push);
+      push('\nendobj\n');
+    });
+
+    const xref = length;
+    push(`xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`);
+    push(offsets.map((o) => `${String(o).padStart(10, '0')} 00000 n \n`).join(''));
+    push(`trailer\n<< /Size ${objects.length + 1} /Root ${catalog} 0 R /Info ${info} 0 R >>\nstartxref\n${xref}\n%%EOF\n`);
+
+    const out = new Uint8Array(length);
+    let offset = 0;
+    for (const c of chunks) {
+      out.set(c, offset);
+      offset += c.length;
+    }
+    return out;
+  }
+
+  // A stream object as [dictionary + "stream", data, "endstream"] parts
+  static _stream(data, extra = '') {
+    const bytes = typeof data === 'string' ? new TextEncoder().encode(data) : data;
+    return [`<< /Length ${bytes.length}${extra ? ` ${extra}` : ''} >>\nstream\n`, bytes, '\nendstream'];
+  }
+
+  static _toUnicodeCMap(used) {
+    const entries = [...used.entries()].sort((a, b) => a[0] - b[0]);
+    const blocks = [];
+    for (let i = 0; i < entries.length; i += 100) {
+      const chunk = entries.slice(i, i + 100);
+      blocks.push(`${chunk.length} beginbfchar\n`
+        + chunk.map(([gid, code]) => `<${gid.toString(16).padStart(4, '0')}> <${PdfWriter._utf16Hex(String.fromCodePoint(code))}>`).join('\n')
+        + '\nendbfchar');
+    }
+    return [
+      '/CIDInit /ProcSet findresource begin',
+      '12 dict begin',
+      'begincmap',
+      '/CIDSystemInfo << /Registry (Adobe) /Ordering (UCS) /Supplement 0 >> def',
+      '/CMapName /Adobe-Identity-UCS def',
+      '/CMapType 2 def',
+      '1 begincodespacerange',
+      '<0000> <FFFF>',
+      'endcodespacerange',
+      ...blocks,
+      'endcmap',
+      'CMapName currentdict /CMap defineresource pop',
+      'end',
+      'end',
+    ].join('\n');
+  }
+
+  /** PDF text string: plain ASCII in parentheses, anything else as UTF-16BE hex. */
+  static _textString(text) {
+    const str = String(text || '');
+    if (/^[\x20-\x7e]*$/.test(str)) return `(${str.replace(/([\\()])/g, '\\$1')})`;
+    return `<FEFF${PdfWriter._utf16Hex(str)}>`;
+  }
+
+  static _utf16Hex(str) {
+    let hex = '';
+    for (let i = 0; i < str.length; i++) hex += str.charCodeAt(i).toString(16).padStart(4, '0');
+    return hex.toUpperCase();
+  }
+
+  // "AAAAAA", "AAAAAB", … — the six-letter prefix marking a font subset
+  static _subsetTag(index) {
+    let tag = '';
+    let n = index;
+    for (let i = 0; i < 6; i++) {
+      tag = String.fromCharCode(65 + (n % 26)) + tag;
+      n = Math.floor(n / 26);
+    }
+    return tag;
+  }
+
+  // Compact number: at most two decimals, no trailing zeros
+  static _num(value) {
+    return String(Math.round(value * 100) / 100);
+  }
+
+  static _trueTypeFont() {
+    if (typeof TrueTypeFont !== 'undefined') return TrueTypeFont;
+    return require('./truetype-font');
+  }
+}
+
+PdfWriter.MIME_TYPE = 'application/pdf';
+
+PdfWriter.PRODUCER = 'Smart School Helper';
+
+// A4 portrait in points
+PdfWriter.PAGE = Object.freeze({ width: 595.28, height: 841.89 });
+
+// 2 cm top / bottom / left, 1.5 cm right — as the .docx report
+PdfWriter.MARGIN = Object.freeze({ top: 56.69, right: 42.52, bottom: 56.69, left: 56.69 });
+
+PdfWriter.LINE_WIDTH = 0.5;
+
+// FontDescriptor flags: Serif (2) + Nonsymbolic (32)
+PdfWriter.FONT_FLAGS = 34;
+
+// Universal export: works as a browser content-script global AND as a Node.js module
+if (typeof module !== 'undefined') module.exports = PdfWriter;
@@ -2,11 +2,94 @@
  * Smart School Helper — Report Generator
  *
  * Generates a formatted report of scheduled practical lessons for subgroups.
- * Supports: plain text (clipboard), CSV, and XLSX (via simple XML-based approach).
+ * Supports: plain text (clipboard), CSV, XLSX, iCalendar and PDF.
+ *
+ * Depends on (loaded before this file):
+ *   - XlsxWriter, IcsWriter — .xlsx and .ics files
+ *   - SmartSchoolConfig     — titles and headings of the active ReportTemplate
+ *   - popup only: PdfWriter (fonts from fonts/), ScheduleDiff, ConflictDetector
+ *     and WorkloadReport — PDF, change, audit and workload reports
  */
 
 const ReportGenerator = (() => {
 
+  /**
+   * Columns of the free-slot report; `type` drives XLSX cell types.
+   */
+  const SLOT_COLUMNS = [
+    { header: '№',          type: 'number', width: 5 },
+    { header: 'Дата',       type: 'date',   width: 12 },
+    { header: 'День',                       width: 12 },
+    { header: 'Пара',       type: 'number', width: 6 },
+    { header: 'Час',                        width: 13 },
+    { header: 'Дисципліна',                 width: 30 },
+    { header: 'Група',                      width: 14 },
+    { header: 'Підгрупа',                   width: 12 },
+    { header: 'Викладач',                   width: 26 },
+  ];
+
+  /**
+   * Columns of the subgroup schedule workbook (one sheet per subject + group).
+   * Columns with a `key` take their heading from the report template.
+   */
+  const SCHEDULE_COLUMNS = [
+    { key: 'topic',    header: 'Практична робота',           width: 36 },
+    { key: 'group',    header: 'Група',                      width: 14 },
+    { key: 'subgroup', header: 'Підгрупа',                   width: 10 },
+    { key: 'date',     header: 'Дата',       type: 'date',   width: 12 },
+    {                  header: 'День',                       width: 12 },
+    { key: 'pair',     header: 'Пара',       type: 'number', width: 6 },
+    {                  header: 'Час',                        width: 13 },
+    {                  header: 'Кабінет',                    width: 16 },
+  ];
+
+  /**
+   * Columns of the schedule change report (ScheduleDiff changes): the lesson
+   * before and after the change, blank where it did not exist.
+   */
+  const CHANGE_COLUMNS = [
+    'Зміна', 'ID заняття', 'Група', 'Дисципліна',
+    'Було: дата', 'Було: пара', 'Було: викладач', 'Було: кабінет',
+    'Стало: дата', 'Стало: пара', 'Стало: викладач', 'Стало: кабінет',
+  ];
+
+  /**
+   * Columns of the timetable audit (ConflictDetector.audit()): one row per
+   * lesson of each issue, so a clash lists every lesson involved.
+   */
+  const AUDIT_COLUMNS = [
+    { header: 'Проблема',                   width: 24 },
+    { header: 'Дата',       type: 'date',   width: 12 },
+    { header: 'День',                       width: 12 },
+    { header: 'Пара',       type: 'number', width: 6 },
+    { header: 'Група',                      width: 14 },
+    { header: 'Дисципліна',                 width: 30 },
+    { header: 'Викладач',                   width: 26 },
+    { header: 'Кабінет',                    width: 20 },
+    { header: 'ID заняття',                 width: 10 },
+    { header: 'Опис',                       width: 50 },
+  ];
+
+  /**
+   * Count and plan columns shared by the workload sheets (WorkloadReport.build()).
+   */
+  const WORKLOAD_COUNT_COLUMNS = [
+    { header: 'Занять',     type: 'number', width: 8 },
+    { header: 'Годин',      type: 'number', width: 8 },
+  ];
+  const WORKLOAD_PLAN_COLUMNS = [
+    { header: 'План, год',  type: 'number', width: 10 },
+    { header: 'Різниця',    type: 'number', width: 10 },
+    { header: 'Стан',                       width: 14 },
+  ];
+
+  /* PDF layout, pt */
+  const PDF_FONT_SIZE = 12;
+  const PDF_LEADING = 1.2;
+  const PDF_BLOCK_GAP = 24;
+  const PDF_CELL_PADDING = 4;
+  const PDF_COLUMN_WIDTHS = [25, 15, 15, 22, 23];   // % of the text width, as the .docx
+
   /**
    * Generate a report from selected free slots.
    *
@@ -22,22 +105,28 @@ const ReportGenerator = (() => {
   function generate(params) {
     const { slots, discipline, teacherName, groupName, subgroupLabel, format } = params;
 
-    // Build table data
-    const headers = ['№', 'Дата', 'День', 'Пара', 'Час', 'Дисципліна', 'Група', 'Підгрупа', 'Викладач'];
-    const rows = slots.map((slot, index) => [
+    // Build table data — typed values; text formats get display strings
+    const headers = SLOT_COLUMNS.map((c) => c.header);
+    const values = slots.map((slot, index) => [
       index + 1,
-      slot.dateUA || SmartSchoolConfig.formatDateUA(slot.date),
+      slot.date,
       slot.dayName,
       slot.pairNumber,
-      `${slot.timeStart}–${slot.timeEnd}`,
+      formatPairTime(slot),
       discipline || '',
       groupName || '',
       subgroupLabel || '2 підгрупа',
       teacherName || '',
     ]);
+    const rows = values.map((row) => row.map((value, i) => displayValue(value, SLOT_COLUMNS[i])));
 
     // Generate preview text
-    const preview = generatePlainText(headers, rows);
+    const preview = generatePlainText(headers, rows, SmartSchoolConfig.getReportTemplate().render({
+      subject: discipline || '',
+      group: groupName || '',
+      teacher: teacherName || '',
+      ...reportPeriod(slots),
+    }));
 
     switch (format) {
       case 'csv':
@@ -49,7 +138,7 @@ const ReportGenerator = (() => {
       case 'xlsx':
         return {
           preview,
-          blob: generateXLSXBlob(headers, rows, discipline),
+          blob: generateXLSXBlob(SLOT_COLUMNS, values, discipline),
           filename: `Графік_практичних_${discipline || 'звіт'}.xlsx`,
         };
       case 'clipboard':
@@ -58,6 +147,331 @@ const ReportGenerator = (() => {
     }
   }
 
+  /**
+   * Workbook of SlotFinder results, one sheet per subject + group — the same
+   * grouping as the .doc report. Subgroup I keeps the original lesson,
+   * subgroups II…N get the found slots.
+   *
+   * @param {Array} results — SlotFinder.findSlots() results
+   * @param {object} [options]
+   * @param {Map}    [options.topics] — result → topic from the curriculum plan
+   *                                    (CurriculumPlan.reportTopics())
+   * @returns {Blob}
+   */
+  function generateScheduleWorkbook(results, { topics } = {}) {
+    const xlsx = new XlsxWriter();
+    const headings = SmartSchoolConfig.getReportTemplate().render().columns;
+    const columns = SCHEDULE_COLUMNS.map(({ key, ...column }) =>
+      (key ? { ...column, header: headings[key] } : column));
+
+    for (const { subject, group, results: items } of groupResults(results)) {
+      const rows = [];
+      items.forEach((r, idx) => {
+        const topic = topicOf(r, idx, topics);
+        rows.push(scheduleRow(topic, group, 1, r.lesson, r.lesson.room));
+        r.slots.forEach((slot, i) => {
+          rows.push(slot
+            ? scheduleRow(topic, group, i + 2, slot, slot.room)
+            : [topic, group, SmartSchoolConfig.subgroupNumeral(i + 2), null, 'не знайдено', null, '', '']);
+        });
+      });
+      xlsx.addSheet(`${group} ${subject}`, { columns, rows });
+    }
+
+    if (results.length === 0) xlsx.addSheet('Графік', { columns, rows: [] });
+    return xlsx.toBlob();
+  }
+
+  function scheduleRow(topic, group, subgroup, slot, room) {
+    return [
+      topic,
+      group,
+      SmartSchoolConfig.subgroupNumeral(subgroup),
+      slot.date,
+      slot.dayName || SmartSchoolConfig.getDayName(slot.date),
+      slot.pairNumber,
+      formatPairTime(slot),
+      room || '',
+    ];
+  }
+
+  /**
+   * Group SlotFinder results by subject, then group, keeping first-seen order.
+   *
+   * @returns {Array<{subject, group, results}>}
+   */
+  function groupResults(results) {
+    const groups = [];
+    const byKey = new Map();
+    for (const r of results) {
+      const subject = r.lesson.subject || 'Невідомо';
+      const group = r.lesson.group || 'Невідомо';
+      const key = `${subject}\u0000${group}`;
+      if (!byKey.has(key)) {
+        byKey.set(key, { subject, group, results: [] });
+        groups.push(byKey.get(key));
+      }
+      byKey.get(key).results.push(r);
+    }
+    // Subjects stay together even when their groups were interleaved
+    const order = [...new Set(groups.map((g) => g.subject))];
+    return groups.sort((a, b) => order.indexOf(a.subject) - order.indexOf(b.subject));
+  }
+
+  /**
+   * Rows of the subgroup table for one group: Subgroup I keeps the original
+   * lesson, Subgroups II…N get the found slots. Topic and group cells span
+   * all subgroup rows of a lesson ({text, rowSpan}); covered cells are omitted.
+   *
+   * @param {Array}  results   — SlotFinder results of one subject + group
+   * @param {string} groupName
+   * @param {object} [options]
+   * @param {Map}    [options.topics] — see generateScheduleWorkbook()
+   * @returns {Array<Array>}
+   */
+  function subgroupTableRows(results, groupName, { topics } = {}) {
+    const rows = [];
+    results.forEach((r, idx) => {
+      const rowSpan = r.slots.length + 1;
+      rows.push([
+        { text: topicOf(r, idx, topics), rowSpan },
+        { text: groupName, rowSpan },
+        SmartSchoolConfig.subgroupNumeral(1),
+        SmartSchoolConfig.formatDateUA(r.lesson.date),
+        pairLabel(r.lesson),
+      ]);
+      r.slots.forEach((slot, i) => {
+        rows.push([
+          SmartSchoolConfig.subgroupNumeral(i + 2),
+          slot ? SmartSchoolConfig.formatDateUA(slot.date) : '—',
+          slot ? pairLabel(slot) : '—',
+        ]);
+      });
+    });
+    return rows;
+  }
+
+  // Topic cell: the lesson's topic, its practical in the plan, else "ПР N" by position
+  function topicOf(result, idx, topics) {
+    return result.lesson.topic || topics?.get(result) || `ПР ${idx + 1}`;
+  }
+
+  // "3 пара (11:10–12:30)"
+  function pairLabel(slot) {
+    const time = formatPairTime(slot);
+    return `${slot.pairNumber} пара${time ? ` (${time})` : ''}`;
+  }
+
+  /**
+   * PDF of SlotFinder results: A4, one page (or more, for long tables) per
+   * subject + group, laid out by the active ReportTemplate like the .docx.
+   *
+   * @param {Array}  results — SlotFinder.findSlots() results
+   * @param {object} options
+   * @param {object} options.fonts   — { regular, bold } .ttf bytes with Cyrillic glyphs
+   * @param {string} options.month   — month name for {month}
+   * @param {number} options.year
+   * @param {string} options.teacher — for {teacher}
+   * @param {Map}    [options.topics] — see generateScheduleWorkbook()
+   * @returns {Blob}
+   */
+  function generateSchedulePDF(results, { fonts, month, year, teacher, topics }) {
+    const pdf = new PdfWriter({ fonts, title: 'Графік проведення практичних робіт' });
+    const { top, bottom, left, right } = PdfWriter.MARGIN;
+    const width = PdfWriter.PAGE.width - left - right;
+    const pageBottom = PdfWriter.PAGE.height - bottom;
+    let y = top;
+
+    const newPage = () => {
+      pdf.addPage();
+      y = top;
+    };
+
+    // One template text: a paragraph per line, wrapped to the text width
+    const block = (text, { align = 'left', after = 0, first = {} } = {}) => {
+      if (!text) return;
+      text.split('\n').forEach((line, i) => {
+        const style = { font: 'regular', size: PDF_FONT_SIZE, ...(i === 0 ? first : {}) };
+        for (const part of pdf.wrap(line, width, style)) {
+          const leading = style.size * PDF_LEADING;
+          if (y + leading > pageBottom) newPage();
+          const w = pdf.textWidth(part, style);
+          const x = align === 'right' ? left + width - w : align === 'center' ? left + (width - w) / 2 : left;
+          pdf.text(part, x, y + style.size, style);
+          y += leading;
+        }
+      });
+      y += after;
+    };
+
+    for (const { subject, group, results: items } of groupResults(results)) {
+      const page = SmartSchoolConfig.getReportTemplate().render({ subject, month, year, group, teacher });
+      newPage();
+      block(page.header, { align: 'right', after: PDF_BLOCK_GAP });
+      block(page.title, { align: 'center', after: PDF_BLOCK_GAP, first: { font: 'bold', size: 14 } });
+      block(page.before, { after: PDF_FONT_SIZE });
+      y = drawPdfTable(pdf, y, page.columns, subgroupTableRows(items, group, { topics }), newPage);
+      block(page.after);
+    }
+
+    return pdf.toBlob();
+  }
+
+  /**
+   * Bordered subgroup table; a lesson (its merged rows) never splits across
+   * pages and the header row repeats on each page. Returns the y below it.
+   */
+  function drawPdfTable(pdf, startY, headings, rows, newPage) {
+    const { top, bottom, left, right } = PdfWriter.MARGIN;
+    const width = PdfWriter.PAGE.width - left - right;
+    const widths = PDF_COLUMN_WIDTHS.map((pct) => width * pct / 100);
+    const xs = widths.map((_, i) => left + widths.slice(0, i).reduce((a, b) => a + b, 0));
+    const regular = { font: 'regular', size: PDF_FONT_SIZE };
+    const bold = { font: 'bold', size: PDF_FONT_SIZE };
+    const leading = PDF_FONT_SIZE * PDF_LEADING;
+    const pad = PDF_CELL_PADDING;
+
+    const linesOf = (text, col, style) => pdf.wrap(text, widths[col] - 2 * pad, style);
+    const heightOf = (lineCount) => lineCount * leading + 2 * pad;
+
+    const drawCell = (col, cellY, height, lines, style) => {
+      pdf.rect(xs[col], cellY, widths[col], height);
+      const textTop = cellY + (height - lines.length * leading) / 2;
+      lines.forEach((line, i) => {
+        const x = xs[col] + (widths[col] - pdf.textWidth(line, style)) / 2;
+        pdf.text(line, x, textTop + i * leading + (leading + PDF_FONT_SIZE) / 2 - PDF_FONT_SIZE * 0.2, style);
+      });
+    };
+
+    const header = ReportTemplate.COLUMN_KEYS.map((key, col) => linesOf(headings[key], col, bold));
+    const headerHeight = heightOf(Math.max(...header.map((l) => l.length)));
+    let y = startY;
+    const drawHeader = () => {
+      header.forEach((lines, col) => drawCell(col, y, headerHeight, lines, bold));
+      y += headerHeight;
+    };
+    drawHeader();
+
+    // Group rows into lessons: a row starting with a rowSpan cell opens one
+    const lessons = [];
+    for (const row of rows) {
+      if (row[0] !== null && typeof row[0] === 'object') lessons.push([row]);
+      else lessons[lessons.length - 1].push(row);
+    }
+
+    for (const lessonRows of lessons) {
+      const [topic, group, ...firstCells] = lessonRows[0];
+      const own = [firstCells, ...lessonRows.slice(1)].map((cells) =>
+        cells.map((text, i) => linesOf(text, i + 2, regular)));
+      const heights = own.map((cells) => heightOf(Math.max(...cells.map((l) => l.length))));
+      const merged = [linesOf(topic.text, 0, regular), linesOf(group.text, 1, regular)];
+
+      // Merged cells taller than their rows stretch the last row
+      const need = heightOf(Math.max(...merged.map((l) => l.length)));
+      const total = heights.reduce((a, b) => a + b, 0);
+      if (need > total) heights[heights.length - 1] += need - total;
+      const blockHeight = Math.max(need, total);
+
+      if (y + blockHeight > PdfWriter.PAGE.height - bottom && y > top + headerHeight) {
+        newPage();
+        y = top;
+        drawHeader();
+      }
+
+      merged.forEach((lines, col) => drawCell(col, y, blockHeight, lines, regular));
+      own.forEach((cells, r) => {
+        cells.forEach((lines, i) => drawCell(i + 2, y, heights[r], lines, regular));
+        y += heights[r];
+      });
+    }
+
+    return y + PDF_BLOCK_GAP;
+  }
+
+  /**
+   * iCalendar file with one event per found slot (subgroups II…N) —
+   * the original lessons are already in the teacher's timetable.
+   *
+   * @param {Array} results — SlotFinder.findSlots() results
+   * @returns {Blob}
+   */
+  function generateSlotsICS(results) {
+    const ics = new IcsWriter({ name: 'Практичні роботи' });
+    for (const r of results) {
+      r.slots.forEach((slot, i) => {
+        if (!slot) return;
+        const lesson = { ...r.lesson, date: slot.date, pairNumber: slot.pairNumber, room: slot.room || '' };
+        ics.addEvent(calendarEvent(lesson, SmartSchoolConfig.subgroupNumeral(i + 2)));
+      });
+    }
+    return ics.toBlob();
+  }
+
+  /**
+   * iCalendar file of schedule entries, e.g. the teacher's whole fetched month.
+   *
+   * @param {Array}  entries — ScheduleParser entries
+   * @param {string} [name]  — calendar name
+   * @returns {Blob}
+   */
+  function generateEntriesICS(entries, name = 'Розклад') {
+    const ics = new IcsWriter({ name });
+    for (const entry of entries) ics.addEvent(calendarEvent(entry));
+    return ics.toBlob();
+  }
+
+  /**
+   * IcsWriter event for a lesson; times from the entry itself or the bell
+   * profile of that date, all-day when neither knows the pair.
+   */
+  function calendarEvent(lesson, subgroup = '') {
+    const pair = lesson.timeStart && lesson.timeEnd
+      ? { start: lesson.timeStart, end: lesson.timeEnd }
+      : SmartSchoolConfig.getPairByNumber(lesson.pairNumber, lesson.date);
+    const subject = lesson.subject || '';
+    const group = lesson.group || '';
+
+    const description = [
+      `Дисципліна: ${subject}`,
+      `Група: ${group}`,
+      subgroup ? `Підгрупа: ${subgroup}` : '',
+      lesson.topic ? `Тема: ${lesson.topic}` : '',
+      lesson.room ? `Кабінет: ${lesson.room}` : '',
+      `Пара: ${lesson.pairNumber}`,
+    ].filter(Boolean).join('\n');
+
+    // Stable UIDs: re-importing an updated file replaces events instead of duplicating them
+    const uid = lesson.lessonId && !subgroup
+      ? `lesson-${lesson.lessonId}`
+      : [lesson.date, lesson.pairNumber, group, subgroup].join('-').replace(/[^\p{L}\p{N}.-]+/gu, '_');
+
+    return {
+      uid: `${uid}@smart-school-helper`,
+      date: lesson.date,
+      start: pair ? pair.start : '',
+      end: pair ? pair.end : '',
+      summary: subgroup ? `${subject} — ${group}, ${subgroup} підгрупа` : `${subject} — ${group}`,
+      description,
+      location: lesson.room || '',
+    };
+  }
+
+  // {month} / {year} placeholders from the first slot's date
+  function reportPeriod(slots) {
+    const [year, month] = String((slots[0] || {}).date || '').split('-');
+    return { month: ReportTemplate.monthName(month), year: year || '' };
+  }
+
+  /**
+   * "HH:MM–HH:MM" for a slot. SlotFinder slots carry no times, so fall back
+   * to the bell profile in effect on the slot's date.
+   */
+  function formatPairTime(slot) {
+    if (slot.timeStart && slot.timeEnd) return `${slot.timeStart}–${slot.timeEnd}`;
+    const pair = SmartSchoolConfig.getPairByNumber(slot.pairNumber, slot.date);
+    return pair ? `${pair.start}–${pair.end}` : '';
+  }
+
   /**
    * Copy the report text to clipboard.
    */
@@ -96,9 +510,10 @@ const ReportGenerator = (() => {
   /* ---------- Format Generators ---------- */
 
   /**
-   * Plain text table (for preview and clipboard).
+   * Plain text table (for preview and clipboard), framed by the template:
+   * header and title above, body text around the table.
    */
-  function generatePlainText(headers, rows) {
+  function generatePlainText(headers, rows, template) {
     // Calculate column widths
     const allRows = [headers, ...rows.map((r) => r.map(String))];
     const widths = headers.map((_, i) =>
@@ -110,17 +525,129 @@ const ReportGenerator = (() => {
       row.map((cell, i) => ` ${String(cell).padEnd(widths[i])} `).join('│');
 
     const lines = [];
-    lines.push(`ГРАФІК ПРАКТИЧНИХ РОБІТ`);
+    lines.push(template.header);
     lines.push('');
+    lines.push(template.title);
+    lines.push('');
+    if (template.before) lines.push(template.before, '');
     lines.push(formatRow(headers));
     lines.push(separator);
     rows.forEach((row) => lines.push(formatRow(row.map(String))));
     lines.push('');
     lines.push(`Усього занять: ${rows.length}`);
+    if (template.after) lines.push('', template.after);
 
     return lines.join('\n');
   }
 
+  /**
+   * CSV of the changes between two schedule snapshots (ScheduleDiff.compare()).
+   *
+   * @param {Array} changes
+   * @returns {Blob}
+   */
+  function generateChangesCSV(changes) {
+    const side = (lesson) => (lesson
+      ? [lesson.date ? SmartSchoolConfig.formatDateUA(lesson.date) : '', lesson.pairNumber, lesson.teacher, lesson.room]
+      : ['', '', '', '']);
+    const rows = changes.map((c) => {
+      const lesson = c.after || c.before;
+      return [
+        ScheduleDiff.TYPE_LABELS[c.type], c.lessonId, lesson.group, lesson.subject,
+        ...side(c.before), ...side(c.after),
+      ];
+    });
+    return generateCSVBlob(CHANGE_COLUMNS, rows);
+  }
+
+  /**
+   * Timetable audit report as CSV or a single-sheet XLSX.
+   *
+   * @param {Array}  issues  — ConflictDetector.audit() issues
+   * @param {Array}  entries — the audited entries the issues point into
+   * @param {string} format  — 'csv' | 'xlsx'
+   * @returns {Blob}
+   */
+  function generateAuditReport(issues, entries, format) {
+    const values = issues.flatMap((issue) => issue.lessons.map((index) => {
+      const lesson = entries[index];
+      return [
+        ConflictDetector.AUDIT_TYPES[issue.type],
+        lesson.date,
+        lesson.dayName || (lesson.date ? SmartSchoolConfig.getDayName(lesson.date) : ''),
+        lesson.pairNumber,
+        lesson.group,
+        lesson.subject,
+        lesson.teacher,
+        lesson.room,
+        lesson.lessonId,
+        ConflictDetector.describe(issue),
+      ];
+    }));
+
+    if (format === 'xlsx') return generateXLSXBlob(AUDIT_COLUMNS, values, 'Перевірка розкладу');
+    const rows = values.map((row) => row.map((value, i) => displayValue(value, AUDIT_COLUMNS[i])));
+    return generateCSVBlob(AUDIT_COLUMNS.map((c) => c.header), rows);
+  }
+
+  /**
+   * Workload report: an XLSX sheet per breakdown (plan and fact per subject +
+   * group, groups, subjects, weeks, months) or one CSV listing them all with
+   * a "Розріз" column.
+   *
+   * @param {object} report — WorkloadReport.build() result
+   * @param {string} format — 'csv' | 'xlsx'
+   * @returns {Blob}
+   */
+  function generateWorkloadReport(report, format) {
+    const counts = (r) => [r.lessons, r.hours];
+    const plan = (r) => [r.planned, r.diff, WorkloadReport.STATUS_LABELS[r.status] || ''];
+    const monthLabel = (month) => ReportPeriod.month(month.slice(0, 4), month.slice(5, 7)).displayLabel;
+    const weekLabel = (w) => `${SmartSchoolConfig.formatDateUA(w.start)}–${SmartSchoolConfig.formatDateUA(w.end)}`;
+
+    if (format === 'xlsx') {
+      const name = (header, width) => ({ header, width });
+      const planned = [...WORKLOAD_COUNT_COLUMNS, ...WORKLOAD_PLAN_COLUMNS];
+      return new XlsxWriter()
+        .addSheet('План і факт', {
+          columns: [name('Дисципліна', 30), name('Група', 14), ...planned],
+          rows: report.pairs.map((r) => [r.subject, r.group, ...counts(r), ...plan(r)]),
+        })
+        .addSheet('Групи', {
+          columns: [name('Група', 14), ...planned],
+          rows: report.groups.map((r) => [r.group, ...counts(r), ...plan(r)]),
+        })
+        .addSheet('Дисципліни', {
+          columns: [name('Дисципліна', 30), ...planned],
+          rows: report.subjects.map((r) => [r.subject, ...counts(r), ...plan(r)]),
+        })
+        .addSheet('Тижні', {
+          columns: [
+            { header: 'З', type: 'date', width: 12 },
+            { header: 'По', type: 'date', width: 12 },
+            ...WORKLOAD_COUNT_COLUMNS,
+          ],
+          rows: report.weeks.map((r) => [r.start, r.end, ...counts(r)]),
+        })
+        .addSheet('Місяці', {
+          columns: [name('Місяць', 18), ...WORKLOAD_COUNT_COLUMNS],
+          rows: report.months.map((r) => [monthLabel(r.month), ...counts(r)]),
+        })
+        .toBlob();
+    }
+
+    const noPlan = ['', '', ''];
+    const rows = [
+      ...report.pairs.map((r) => ['Дисципліна і група', `${r.subject} — ${r.group}`, ...counts(r), ...plan(r)]),
+      ...report.groups.map((r) => ['Група', r.group, ...counts(r), ...plan(r)]),
+      ...report.subjects.map((r) => ['Дисципліна', r.subject, ...counts(r), ...plan(r)]),
+      ...report.weeks.map((r) => ['Тиждень', weekLabel(r), ...counts(r), ...noPlan]),
+      ...report.months.map((r) => ['Місяць', monthLabel(r.month), ...counts(r), ...noPlan]),
+    ].map((row) => row.map((value) => (value === null ? '' : value)));
+    const headers = ['Розріз', 'Назва', ...[...WORKLOAD_COUNT_COLUMNS, ...WORKLOAD_PLAN_COLUMNS].map((c) => c.header)];
+    return generateCSVBlob(headers, rows);
+  }
+
   /**
    * CSV blob with BOM for proper Ukrainian encoding in Excel.
    */
@@ -144,57 +671,37 @@ const ReportGenerator = (() => {
   }
 
   /**
-   * Generate a simple XLSX-compatible file using SpreadsheetML XML.
-   * This avoids the need for external libraries.
-   */
-  function generateXLSXBlob(headers, rows, title) {
-    const xmlRows = [headers, ...rows.map((r) => r.map(String))];
-
-    const cellsXML = xmlRows.map((row, rowIdx) => {
-      const isHeader = rowIdx === 0;
-      const cells = row.map((cell) => {
-        const type = typeof cell === 'number' ? 'Number' : 'String';
-        const style = isHeader ? ' ss:StyleID="header"' : '';
-        return `<Cell${style}><Data ss:Type="${type}">${escapeXML(String(cell))}</Data></Cell>`;
-      }).join('');
-      return `<Row>${cells}</Row>`;
-    }).join('\n');
-
-    const xml = `<?xml version="1.0" encoding="UTF-8"?>
-<?mso-application progid="Excel.Sheet"?>
-<Workbook xmlns="urn:schemas-microsoft-com:office:spreadsheet"
- xmlns:ss="urn:schemas-microsoft-com:office:spreadsheet">
- <Styles>
-  <Style ss:ID="header">
-   <Font ss:Bold="1" ss:Size="11"/>
-   <Interior ss:Color="#D9E2F3" ss:Pattern="Solid"/>
-  </Style>
- </Styles>
- <Worksheet ss:Name="${escapeXML(title || 'Графік')}">
-  <Table>
-   ${cellsXML}
-  </Table>
- </Worksheet>
-</Workbook>`;
-
-    return new Blob([xml], {
-      type: 'application/vnd.ms-excel',
-    });
+   * Single-sheet OOXML workbook with typed cells and a frozen header.
+   */
+  function generateXLSXBlob(columns, rows, title) {
+    return new XlsxWriter()
+      .addSheet(title || 'Графік', { columns, rows })
+      .toBlob();
   }
 
-  function escapeXML(str) {
-    return str
-      .replace(/&/g, '&amp;')
-      .replace(/</g, '&lt;')
-      .replace(/>/g, '&gt;')
-      .replace(/"/g, '&quot;');
+  // Text shown in plain-text / CSV output for a typed value; no date stays empty
+  function displayValue(value, column) {
+    if (column.type === 'date') return value ? SmartSchoolConfig.formatDateUA(value) : '';
+    return value;
   }
 
   /* ---------- Public API ---------- */
 
   return {
     generate,
+    generateScheduleWorkbook,
+    generateSchedulePDF,
+    subgroupTableRows,
+    generateSlotsICS,
+    generateEntriesICS,
+    generateChangesCSV,
+    generateAuditReport,
+    generateWorkloadReport,
+    groupResults,
     copyToClipboard,
     downloadBlob,
   };
 })();
+
+// Universal export: works as a browser content-script global AND as a Node.js module
+if (typeof module !== 'undefined') module.exports = ReportGenerator;
@@ -0,0 +1,162 @@
+/**
+ * ReportPeriod — the date range a report is built for: a calendar month,
+ * a week, the semester or any custom range.
+ *
+ * Zero dependencies on DOM, fetch, or chrome.* APIs; month names come from
+ * ReportTemplate. Dates are 'YYYY-MM-DD' strings, both ends inclusive.
+ */
+class ReportPeriod {
+  /**
+   * @param {string} start — YYYY-MM-DD
+   * @param {string} end   — YYYY-MM-DD, not before start
+   */
+  constructor(start, end) {
+    if (!ReportPeriod.isDate(start) || !ReportPeriod.isDate(end)) {
+      throw new Error('Вкажіть обидві дати періоду');
+    }
+    if (end < start) throw new Error('Кінець періоду раніше за початок');
+    if (ReportPeriod._monthIndex(end) - ReportPeriod._monthIndex(start) >= ReportPeriod.MAX_MONTHS) {
+      throw new Error(`Період не може бути довшим за ${ReportPeriod.MAX_MONTHS} місяців`);
+    }
+    this.start = start;
+    this.end = end;
+  }
+
+  /**
+   * Build a period from the popup's choice.
+   *
+   * @param {object} choice
+   * @param {string} choice.kind — 'month' | 'this-week' | 'next-week' | 'semester' | 'range'
+   * @param {number|string} [choice.year]  — for 'month'
+   * @param {number|string} [choice.month] — for 'month', 1–12 or "01"–"12"
+   * @param {string} [choice.from] — for 'range'
+   * @param {string} [choice.to]   — for 'range'
+   * @param {string} [choice.semesterStart] — for 'semester' (config.semesterStart)
+   * @param {string} [choice.semesterEnd]   — for 'semester' (config.semesterEnd)
+   * @param {string} [choice.today] — YYYY-MM-DD, for the weeks; injectable for testing
+   * @returns {ReportPeriod}
+   */
+  static resolve(choice) {
+    const today = choice.today || ReportPeriod._dateUtils().today();
+    switch (choice.kind) {
+      case 'month':     return ReportPeriod.month(choice.year, choice.month);
+      case 'this-week': return ReportPeriod.week(today, 0);
+      case 'next-week': return ReportPeriod.week(today, 1);
+      case 'semester':
+        if (!choice.semesterStart || !choice.semesterEnd) {
+          throw new Error('Межі семестру не задані — вкажіть їх у налаштуваннях (Навчальний календар)');
+        }
+        return new ReportPeriod(choice.semesterStart, choice.semesterEnd);
+      case 'range':     return new ReportPeriod(choice.from, choice.to);
+      default:          throw new Error(`Невідомий період: ${choice.kind}`);
+    }
+  }
+
+  /** A whole calendar month. */
+  static month(year, month) {
+    const y = Number(year);
+    const m = Number(month);
+    if (!Number.isInteger(y) || y < 1000 || y > 9999 || !(m >= 1 && m <= 12)) {
+      throw new Error('Невірний рік або місяць');
+    }
+    const lastDay = new Date(Date.UTC(y, m, 0)).getUTCDate();
+    const prefix = `${y}-${String(m).padStart(2, '0')}`;
+    return new ReportPeriod(`${prefix}-01`, `${prefix}-${String(lastDay).padStart(2, '0')}`);
+  }
+
+  /** Monday–Sunday week of a date, shifted by `offset` weeks. */
+  static week(date, offset = 0) {
+    const dates = ReportPeriod._dateUtils();
+    const monday = dates.shift(dates.weekStart(date), offset * 7);
+    return new ReportPeriod(monday, dates.shift(monday, 6));
+  }
+
+  /** True when the period is exactly one calendar month. */
+  get isMonth() {
+    const [y, m] = this.start.split('-');
+    const month = ReportPeriod.month(y, m);
+    return month.start === this.start && month.end === this.end;
+  }
+
+  /**
+   * Calendar-month chunks of the period, clipped to its ends — the site is
+   * queried one month at a time.
+   *
+   * @returns {Array<{start: string, end: string}>}
+   */
+  months() {
+    const chunks = [];
+    let start = this.start;
+    while (start <= this.end) {
+      const [y, m] = start.split('-');
+      const monthEnd = ReportPeriod.month(y, m).end;
+      const end = monthEnd < this.end ? monthEnd : this.end;
+      chunks.push({ start, end });
+      start = ReportPeriod._dateUtils().shift(end, 1);
+    }
+    return chunks;
+  }
+
+  contains(date) {
+    return date >= this.start && date <= this.end;
+  }
+
+  /** {month} placeholder: "лютий" or "лютий–березень". */
+  get monthLabel() {
+    const Template = ReportPeriod._reportTemplate();
+    const first = Template.monthName(this.start.slice(5, 7));
+    const last = Template.monthName(this.end.slice(5, 7));
+    return this.start.slice(0, 7) === this.end.slice(0, 7) ? first : `${first}–${last}`;
+  }
+
+  /** {year} placeholder: "2026" or "2025–2026". */
+  get yearLabel() {
+    const first = this.start.slice(0, 4);
+    const last = this.end.slice(0, 4);
+    return first === last ? first : `${first}–${last}`;
+  }
+
+  /** File name part: "лютий-2026" for a month, else "2026-02-09_2026-02-15". */
+  get fileLabel() {
+    return this.isMonth ? `${this.monthLabel}-${this.yearLabel}` : `${this.start}_${this.end}`;
+  }
+
+  /** Human-readable range for status messages: "09.02.2026–15.02.2026". */
+  get displayLabel() {
+    const ua = (d) => d.split('-').reverse().join('.');
+    return this.isMonth ? `${this.monthLabel} ${this.yearLabel}` : `${ua(this.start)}–${ua(this.end)}`;
+  }
+
+  /** Plain object for messages (round-trips via the constructor). */
+  toJSON() {
+    return { start: this.start, end: this.end };
+  }
+
+  /* ---------- Static helpers (pure, no side-effects) ---------- */
+
+  static isDate(value) {
+    if (typeof value !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(value)) return false;
+    const dates = ReportPeriod._dateUtils();
+    return dates.format(dates.parse(value)) === value;
+  }
+
+  static _monthIndex(dateStr) {
+    return Number(dateStr.slice(0, 4)) * 12 + Number(dateStr.slice(5, 7)) - 1;
+  }
+
+  static _dateUtils() {
+    if (typeof DateUtils !== 'undefined') return DateUtils;
+    return require('./date-utils');
+  }
+
+  static _reportTemplate() {
+    if (typeof ReportTemplate !== 'undefined') return ReportTemplate;
+    return require('./report-template');
+  }
+}
+
+// Longest period fetched in one go
+ReportPeriod.MAX_MONTHS = 12;
+
+// Universal export: works as a browser content-script global AND as a Node.js module
+if (typeof module !== 'undefined') module.exports = ReportPeriod;
@@ -0,0 +1,143 @@
+/**
+ * ReportTemplate — editable texts of the practical-work schedule report.
+ *
+ * Zero dependencies on DOM, fetch, or chrome.* APIs.
+ * Hydrate with the plain object stored under config.reportTemplate; missing
+ * fields fall back to ReportTemplate.DEFAULTS.
+ *
+ * Texts may contain placeholders in braces: {approver}, {position},
+ * {subject}, {month}, {year}, {group}, {teacher} and {rows} — the line
+ * holding {rows} is where the table goes.
+ */
+class ReportTemplate {
+  /**
+   * @param {object} [settings]
+   * @param {string} [settings.approver] — who approves, e.g. "Сарахман М.І."
+   * @param {string} [settings.position] — approver's position, may span lines
+   * @param {string} [settings.header]   — right-aligned approval block
+   * @param {string} [settings.title]    — centred title, first line in bold
+   * @param {string} [settings.body]     — text around the table ({rows})
+   * @param {object} [settings.columns]  — table headings by ReportTemplate.COLUMN_KEYS
+   */
+  constructor({ approver, position, header, title, body, columns } = {}) {
+    const d = ReportTemplate.DEFAULTS;
+    this._approver = ReportTemplate._text(approver, d.approver);
+    this._position = ReportTemplate._text(position, d.position);
+    this._header   = ReportTemplate._text(header, d.header);
+    this._title    = ReportTemplate._text(title, d.title);
+    this._body     = ReportTemplate._text(body, d.body);
+    this._columns  = {};
+    for (const key of ReportTemplate.COLUMN_KEYS) {
+      this._columns[key] = ReportTemplate._text((columns || {})[key], d.columns[key]);
+    }
+  }
+
+  /**
+   * Filled-in texts of one report page.
+   *
+   * @param {object} values — {subject, month, year, group, teacher}
+   * @returns {{header: string, title: string, before: string, after: string, columns: object}}
+   *          before / after — body text above and below the table
+   */
+  render(values = {}) {
+    const all = { ...values, approver: this._approver, position: this._position };
+    const fill = (text) => ReportTemplate.fill(text, all);
+    const { before, after } = ReportTemplate.splitRows(this._body);
+
+    return {
+      header: fill(this._header),
+      title:  fill(this._title),
+      before: fill(before),
+      after:  fill(after),
+      columns: { ...this._columns },
+    };
+  }
+
+  /** Plain object suitable for chrome.storage (round-trips via the constructor). */
+  toJSON() {
+    return {
+      approver: this._approver,
+      position: this._position,
+      header:   this._header,
+      title:    this._title,
+      body:     this._body,
+      columns:  { ...this._columns },
+    };
+  }
+
+  /* ---------- Static helpers (pure, no side-effects) ---------- */
+
+  /**
+   * Replace known {placeholders}; unknown ones are left as typed.
+   * {rows} is never filled here — see splitRows().
+   */
+  static fill(text, values = {}) {
+    return String(text || '').replace(/\{(\w+)\}/g, (match, name) => {
+      if (name === 'rows' || !ReportTemplate.PLACEHOLDERS.includes(name)) return match;
+      const value = values[name];
+      return value === undefined || value === null ? '' : String(value);
+    });
+  }
+
+  /**
+   * Split a body template at the {rows} line. Without {rows} the whole
+   * text goes below the table.
+   */
+  static splitRows(text) {
+    const lines = String(text || '').split(/\r?\n/);
+    const index = lines.findIndex((l) => l.includes('{rows}'));
+    if (index < 0) return { before: '', after: lines.join('\n') };
+    return {
+      before: lines.slice(0, index).join('\n').replace(/\n+$/, ''),
+      after:  lines.slice(index + 1).join('\n').replace(/^\n+/, ''),
+    };
+  }
+
+  /**
+   * Placeholders in a text that the report does not know, e.g. ["{teachr}"].
+   * Lets the settings form reject typos instead of printing them.
+   */
+  static unknownPlaceholders(text) {
+    const found = String(text || '').match(/\{\w+\}/g) || [];
+    return [...new Set(found)].filter((p) => !ReportTemplate.PLACEHOLDERS.includes(p.slice(1, -1)));
+  }
+
+  /** "січень" for 1 (or "01"), '' when out of range. */
+  static monthName(month) {
+    return ReportTemplate.MONTH_NAMES[Number(month) - 1] || '';
+  }
+
+  static _text(value, fallback) {
+    return typeof value === 'string' && value.trim() !== '' ? value : fallback;
+  }
+}
+
+ReportTemplate.PLACEHOLDERS = Object.freeze([
+  'approver', 'position', 'subject', 'month', 'year', 'group', 'teacher', 'rows',
+]);
+
+// Columns of the subgroup table, in order
+ReportTemplate.COLUMN_KEYS = Object.freeze(['topic', 'group', 'subgroup', 'date', 'pair']);
+
+ReportTemplate.DEFAULTS = Object.freeze({
+  approver: '',
+  position: 'Заступник директора\nз навчальної роботи',
+  header:   '«Затверджую»\n{position}\n_______{approver}',
+  title:    'Графік\nпроведення практичних робіт\nз освітньої компоненти «{subject}»\nза {month} {year} р.',
+  body:     '{rows}\n\nВикладач:          {teacher}',
+  columns:  Object.freeze({
+    topic:    '№ Практичної роботи',
+    group:    'Група',
+    subgroup: 'підгрупа',
+    date:     'дата',
+    pair:     'пара',
+  }),
+});
+
+ReportTemplate.MONTH_NAMES = Object.freeze([
+  'січень', 'лютий', 'березень', 'квітень', 'травень', 'червень',
+  'липень', 'серпень', 'вересень', 'жовтень', 'листопад', 'грудень',
+]);
+
+// Universal export: works as a browser content-script global AND as a Node.js module
+if (typeof module !== 'undefined') module.exports = ReportTemplate;
@@ -0,0 +1,248 @@
+/**
+ * ScheduleCache — parsed schedule entries cached per filter and per week.
+ *
+ * A filter is the LessonSearch query without dates (teacher, group, subject,
+ * room); each Monday–Sunday week of it is one record, so a new search only
+ * fetches the weeks that are missing or older than the TTL. Records past the
+ * size limits are evicted least-recently-used first.
+ *
+ * Zero dependencies on DOM, fetch, or chrome.* APIs. Storage is pluggable:
+ * the service worker uses ScheduleCache.IndexedDBStore, tests a Map.
+ * A store is any object with async get(key), put(record), delete(key), all(), clear().
+ */
+class ScheduleCache {
+  /**
+   * @param {object} params
+   * @param {object} params.store       — record store (see above)
+   * @param {number} [params.ttlMs]     — age after which a week is refetched
+   * @param {number} [params.maxBytes]  — total size of cached entries (JSON length)
+   * @param {number} [params.maxRecords]— number of cached weeks
+   * @param {function} [params.now]     — () => ms timestamp; injectable for testing
+   */
+  constructor({
+    store, ttlMs = ScheduleCache.DEFAULT_TTL_MS, maxBytes = ScheduleCache.MAX_BYTES,
+    maxRecords = ScheduleCache.MAX_RECORDS, now = () => Date.now(),
+  }) {
+    this._store = store;
+    this._ttlMs = ttlMs;
+    this._maxBytes = maxBytes;
+    this._maxRecords = maxRecords;
+    this._now = now;
+  }
+
+  /**
+   * Fresh cached weeks of a filter.
+   *
+   * @param {string} filter — ScheduleCache.filterKey(...)
+   * @param {string[]} weeks — Monday dates, see ScheduleCache.weeks()
+   * @returns {Promise<{hits: object, missing: string[]}>} hits: { monday: entries }
+   */
+  async getWeeks(filter, weeks) {
+    const hits = {};
+    const missing = [];
+    const now = this._now();
+    for (const week of weeks) {
+      const record = await this._store.get(ScheduleCache._recordKey(filter, week));
+      if (record && now - record.fetchedAt < this._ttlMs) {
+        hits[week] = record.entries;
+        await this._store.put({ ...record, usedAt: now });
+      } else {
+        missing.push(week);
+      }
+    }
+    return { hits, missing };
+  }
+
+  /**
+   * Store fetched weeks (weeks without lessons as empty arrays, so they are
+   * not refetched), then evict over the limits.
+   *
+   * @param {string} filter
+   * @param {object} byWeek — { monday: entries }
+   */
+  async putWeeks(filter, byWeek) {
+    const now = this._now();
+    for (const [week, entries] of Object.entries(byWeek)) {
+      await this._store.put({
+        key: ScheduleCache._recordKey(filter, week),
+        filter,
+        week,
+        entries,
+        fetchedAt: now,
+        usedAt: now,
+        size: JSON.stringify(entries).length,
+      });
+    }
+    await this.evict();
+  }
+
+  /**
+   * Forget cached weeks, e.g. after lessons were created in them on the
+   * site: of one filter, or of every filter when none is given.
+   *
+   * @param {string[]} weeks — Monday dates
+   * @param {string} [filter] — ScheduleCache.filterKey(...)
+   * @returns {Promise<number>} records dropped
+   */
+  async dropWeeks(weeks, filter = null) {
+    const wanted = new Set(weeks);
+    let dropped = 0;
+    for (const record of await this._store.all()) {
+      if (!wanted.has(record.week) || (filter !== null && record.filter !== filter)) continue;
+      await this._store.delete(record.key);
+      dropped++;
+    }
+    return dropped;
+  }
+
+  /** Drop expired records, then least-recently-used ones over the limits. */
+  async evict() {
+    const now = this._now();
+    const records = await this._store.all();
+    const live = [];
+    for (const record of records) {
+      if (now - record.fetchedAt >= this._ttlMs) await this._store.delete(record.key);
+      else live.push(record);
+    }
+
+    live.sort((a, b) => a.usedAt - b.usedAt);
+    let bytes = live.reduce((n, r) => n + r.size, 0);
+    let count = live.length;
+    for (const record of live) {
+      if (bytes <= this._maxBytes && count <= this._maxRecords) break;
+      await this._store.delete(record.key);
+      bytes -= record.size;
+      count--;
+    }
+  }
+
+  /** { records, bytes } of everything cached. */
+  async stats() {
+    const records = await this._store.all();
+    return { records: records.length, bytes: records.reduce((n, r) => n + r.size, 0) };
+  }
+
+  clear() {
+    return this._store.clear();
+  }
+
+  /* ---------- Static helpers (pure, no side-effects) ---------- */
+
+  /**
+   * Cache key of a LessonSearch filter, independent of its dates.
+   *
+   * @param {object} filter — { teacherId, klassId, predmetId, kabinetId }
+   */
+  static filterKey({ teacherId, klassId, predmetId, kabinetId } = {}) {
+    return `t=${teacherId || ''}|g=${klassId || ''}|s=${predmetId || ''}|r=${kabinetId || ''}`;
+  }
+
+  /** Mondays of the weeks that cover start…end (YYYY-MM-DD, inclusive). */
+  static weeks(start, end) {
+    const weeks = [];
+    for (let monday = ScheduleCache.weekStart(start); monday <= end; monday = ScheduleCache._dateUtils().shift(monday, 7)) {
+      weeks.push(monday);
+    }
+    return weeks;
+  }
+
+  /** Monday of a date's week. */
+  static weekStart(dateStr) {
+    return ScheduleCache._dateUtils().weekStart(dateStr);
+  }
+
+  /** Sunday of a week given by its Monday. */
+  static weekEnd(monday) {
+    return ScheduleCache._dateUtils().shift(monday, 6);
+  }
+
+  /**
+   * Consecutive missing weeks joined into date ranges, so each run is
+   * fetched with one query: [{ start: monday, end: sunday }].
+   */
+  static missingRanges(weeks) {
+    const ranges = [];
+    for (const monday of [...weeks].sort()) {
+      const last = ranges[ranges.length - 1];
+      if (last && ScheduleCache._dateUtils().shift(last.end, 1) === monday) {
+        last.end = ScheduleCache.weekEnd(monday);
+      } else {
+        ranges.push({ start: monday, end: ScheduleCache.weekEnd(monday) });
+      }
+    }
+    return ranges;
+  }
+
+  /**
+   * Entries grouped by the Monday of their week; every week in `weeks` gets
+   * a list, empty when it had no lessons.
+   */
+  static groupByWeek(entries, weeks) {
+    const byWeek = {};
+    for (const week of weeks) byWeek[week] = [];
+    for (const entry of entries) {
+      if (!entry.date) continue;
+      const week = ScheduleCache.weekStart(entry.date);
+      if (byWeek[week]) byWeek[week].push(entry);
+    }
+    return byWeek;
+  }
+
+  static _recordKey(filter, week) {
+    return `${filter}#${week}`;
+  }
+
+  static _dateUtils() {
+    if (typeof DateUtils !== 'undefined') return DateUtils;
+    return require('./date-utils');
+  }
+}
+
+/**
+ * IndexedDB record store (one object store keyed by `key`). Used from the
+ * service worker, so the data lives in the extension's origin, not the site's.
+ */
+ScheduleCache.IndexedDBStore = class {
+  constructor(dbName = 'smart-school-helper', storeName = 'schedule-weeks') {
+    this._dbName = dbName;
+    this._storeName = storeName;
+    this._db = null;
+  }
+
+  get(key)      { return this._request('readonly', (s) => s.get(key)); }
+  put(record)   { return this._request('readwrite', (s) => s.put(record)); }
+  delete(key)   { return this._request('readwrite', (s) => s.delete(key)); }
+  all()         { return this._request('readonly', (s) => s.getAll()); }
+  clear()       { return this._request('readwrite', (s) => s.clear()); }
+
+  async _request(mode, fn) {
+    const db = await this._open();
+    return new Promise((resolve, reject) => {
+      const req = fn(db.transaction(this._storeName, mode).objectStore(this._storeName));
+      req.onsuccess = () => resolve(req.result);
+      req.onerror = () => reject(req.error);
+    });
+  }
+
+  _open() {
+    if (!this._db) {
+      this._db = new Promise((resolve, reject) => {
+        const req = indexedDB.open(this._dbName, 1);
+        req.onupgradeneeded = () => req.result.createObjectStore(this._storeName, { keyPath: 'key' });
+        req.onsuccess = () => resolve(req.result);
+        req.onerror = () => reject(req.error);
+      });
+    }
+    return this._db;
+  }
+};
+
+// A week is refetched after this long (config.cacheTtlHours overrides)
+ScheduleCache.DEFAULT_TTL_MS = 12 * 60 * 60 * 1000;
+
+// Size limits; least-recently-used weeks are evicted beyond them
+ScheduleCache.MAX_BYTES = 5 * 1024 * 1024;
+ScheduleCache.MAX_RECORDS = 2000;
+
+// Universal export: works as a browser content-script global AND as a Node.js module
+if (typeof module !== 'undefined') module.exports = ScheduleCache;
@@ -2,53 +2,43 @@
  * Smart School Helper — Schedule Comparator
  *
  * Compares two parsed schedules (teacher's group vs. target group)
- * to find free time slots available for both.
+ * to find free time slots available for both. The teacher's own schedule,
+ * when given, blocks the teacher's busy pairs and is what the teacher's
+ * constraints (pairs per day, consecutive pairs) are checked against.
  */
 
 const ScheduleComparator = (() => {
 
   /**
-   * Find free slots where BOTH groups have no lessons scheduled.
+   * Find free slots where BOTH groups have no lessons scheduled
+   * and the teacher's constraints allow an extra pair.
    *
    * @param {object} mySchedule     — parsed schedule (from ScheduleParser)
    * @param {object} targetSchedule — parsed schedule of the target group
    * @param {string} dateFrom       — start date (YYYY-MM-DD)
    * @param {string} dateTo         — end date (YYYY-MM-DD)
+   * @param {object} [options]
+   * @param {object} [options.teacherSchedule] — parsed schedule of all the teacher's lessons
+   * @param {TeacherConstraints} [options.constraints] — defaults to the active config constraints
    * @returns {Array<object>} array of free slot objects
    */
-  function findFreeSlots(mySchedule, targetSchedule, dateFrom, dateTo) {
+  function findFreeSlots(mySchedule, targetSchedule, dateFrom, dateTo, options) {
     SmartSchoolConfig.log('Comparing schedules…');
 
-    // Build occupied maps: { 'YYYY-MM-DD': Set<pairNumber> }
-    const myOccupied = buildOccupiedMap(mySchedule.entries);
-    const targetOccupied = buildOccupiedMap(targetSchedule.entries);
-
-    // Generate all weekday dates in the range
-    const allDates = SmartSchoolConfig.dateRange(dateFrom, dateTo, true);
-
-    const freeSlots = [];
-
-    for (const date of allDates) {
-      const myBusy = myOccupied[date] || new Set();
-      const targetBusy = targetOccupied[date] || new Set();
+    const { free } = scanSlots(mySchedule, targetSchedule, dateFrom, dateTo, options);
 
-      for (const pair of SmartSchoolConfig.PAIR_TIMES) {
-        // Both groups must be free for this pair
-        if (!myBusy.has(pair.number) && !targetBusy.has(pair.number)) {
-          freeSlots.push({
-            date,
-            dateUA: SmartSchoolConfig.formatDateUA(date),
-            dayName: SmartSchoolConfig.getDayName(date),
-            pairNumber: pair.number,
-            timeStart: pair.start,
-            timeEnd: pair.end,
-          });
-        }
-      }
-    }
+    SmartSchoolConfig.log(`Found ${free.length} free slots.`);
+    return free;
+  }
 
-    SmartSchoolConfig.log(`Found ${freeSlots.length} free slots.`);
-    return freeSlots;
+  /**
+   * Slots free for both groups that a teacher constraint excluded,
+   * each tagged with `rule` (TeacherConstraints.RULES key) and `reason`.
+   *
+   * Same parameters as findFreeSlots().
+   */
+  function findRejectedSlots(mySchedule, targetSchedule, dateFrom, dateTo, options) {
+    return scanSlots(mySchedule, targetSchedule, dateFrom, dateTo, options).rejected;
   }
 
   /**
@@ -72,7 +62,8 @@ const ScheduleComparator = (() => {
         key = slot.date.substring(0, 7); // YYYY-MM
       }
 
-      if (!grouped[key]) {
+      // First preferred pair of the period wins over an earlier non-preferred one
+      if (!grouped[key] || (slot.preferred && !grouped[key].preferred)) {
         grouped[key] = slot;
       }
     }
@@ -95,6 +86,56 @@ const ScheduleComparator = (() => {
 
   /* ---------- Internal Helpers ---------- */
 
+  /**
+   * Walk every teaching day/pair in the range and split the pairs free for
+   * both groups and the teacher into allowed and constraint-rejected ones.
+   */
+  function scanSlots(mySchedule, targetSchedule, dateFrom, dateTo, { teacherSchedule, constraints } = {}) {
+    const rules = constraints || SmartSchoolConfig.getTeacherConstraints();
+
+    // Build occupied maps: { 'YYYY-MM-DD': Set<pairNumber> }
+    const myOccupied = buildOccupiedMap(mySchedule.entries);
+    const targetOccupied = buildOccupiedMap(targetSchedule.entries);
+    const teacherOccupied = buildOccupiedMap(teacherSchedule?.entries || []);
+
+    // Generate all weekday dates in the range
+    const allDates = SmartSchoolConfig.dateRange(dateFrom, dateTo, true);
+
+    const free = [];
+    const rejected = [];
+
+    for (const date of allDates) {
+      const myBusy = myOccupied[date] || new Set();
+      const targetBusy = targetOccupied[date] || new Set();
+      const teacherBusy = teacherOccupied[date] || new Set();
+
+      // Bell profile of this particular date (shortened days, Saturdays, …)
+      for (const pair of SmartSchoolConfig.getPairTimes(date)) {
+        // Both groups and the teacher must be free for this pair
+        if (myBusy.has(pair.number) || targetBusy.has(pair.number) || teacherBusy.has(pair.number)) continue;
+
+        const slot = {
+          date,
+          dateUA: SmartSchoolConfig.formatDateUA(date),
+          dayName: SmartSchoolConfig.getDayName(date),
+          pairNumber: pair.number,
+          timeStart: pair.start,
+          timeEnd: pair.end,
+        };
+
+        // Limits count the teacher's own lessons, whichever group they are with
+        const rejection = rules.check(date, pair.number, teacherBusy);
+        if (rejection) {
+          rejected.push({ ...slot, ...rejection });
+        } else {
+          free.push({ ...slot, preferred: rules.isPreferred(pair.number) });
+        }
+      }
+    }
+
+    return { free, rejected };
+  }
+
   /**
    * Build a map: date -> Set of occupied pair numbers.
    */
@@ -126,7 +167,11 @@ const ScheduleComparator = (() => {
 
   return {
     findFreeSlots,
+    findRejectedSlots,
     suggestSlots,
     getSummary,
   };
 })();
+
+// Universal export: works as a browser content-script global AND as a Node.js module
+if (typeof module !== 'undefined') module.exports = ScheduleComparator;
@@ -0,0 +1,216 @@
+/**
+ * ScheduleDiff — what changed between two snapshots of a teacher's schedule.
+ *
+ * Zero dependencies on DOM, fetch, or chrome.* APIs. The service worker
+ * compares each background refetch with the last snapshot; the popup
+ * compares any two stored ones. Lessons are matched by lessonId; the ones
+ * left over on both sides are then paired by date + pair + group, so a
+ * lesson the site re-created under a new id is a change, not a removal
+ * plus an addition.
+ *
+ * A snapshot: { id, source, start, end, teacherId, takenAt, entries } where
+ *             source is 'watch' (background check) or 'manual' (fetched period).
+ * A change:   { type, lessonId, before, after } where type is
+ *             'added' | 'removed' | 'moved' | 'teacher' | 'room' and
+ *             before/after are ScheduleDiff.lessonOf() of the entry (null when absent).
+ */
+class ScheduleDiff {
+  /**
+   * Changes between two snapshots, limited to the dates both of them cover:
+   * a lesson that merely entered the window as it moved forward is not "added",
+   * and one that left it is not "removed".
+   *
+   * @param {object} previous — stored snapshot
+   * @param {object} current  — fresh snapshot
+   * @returns {Array} changes sorted by date
+   */
+  static compare(previous, current) {
+    const from = previous.start > current.start ? previous.start : current.start;
+    const to = previous.end < current.end ? previous.end : current.end;
+    if (from > to) return [];
+    const inBoth = (date) => date >= from && date <= to;
+
+    const byId = ScheduleDiff._pair(previous.entries || [], current.entries || [],
+      (entry) => (entry.lessonId ? String(entry.lessonId) : null));
+    const bySlot = ScheduleDiff._pair(byId.restBefore, byId.restAfter,
+      (entry) => `${entry.date}|${entry.pairNumber}|${entry.group}`);
+    const changes = [];
+
+    for (const [was, now] of [...byId.pairs, ...bySlot.pairs]) {
+      const type = ScheduleDiff._changeType(was, now);
+      if (type && (inBoth(was.date) || inBoth(now.date))) changes.push(ScheduleDiff._change(type, was, now));
+    }
+    for (const now of bySlot.restAfter) {
+      if (inBoth(now.date)) changes.push(ScheduleDiff._change('added', null, now));
+    }
+    for (const was of bySlot.restBefore) {
+      if (inBoth(was.date)) changes.push(ScheduleDiff._change('removed', was, null));
+    }
+
+    return changes.sort((a, b) => ScheduleDiff._sortKey(a).localeCompare(ScheduleDiff._sortKey(b)));
+  }
+
+  /** Counts per change type: { added, removed, moved, teacher, room }. */
+  static summarize(changes) {
+    const counts = { added: 0, removed: 0, moved: 0, teacher: 0, room: 0 };
+    for (const c of changes || []) counts[c.type]++;
+    return counts;
+  }
+
+  /**
+   * One line for the change log or a notification:
+   * "Перенесено: 16кб, Фізика — 14.04.2026, 3 пара → 15.04.2026, 5 пара".
+   */
+  static describe(change) {
+    const lesson = change.after || change.before;
+    const what = [lesson.group, lesson.subject].filter(Boolean).join(', ');
+    const label = ScheduleDiff.TYPE_LABELS[change.type];
+
+    const { before, after } = change;
+    let detail;
+    switch (change.type) {
+      case 'moved':
+        detail = `${ScheduleDiff._when(before)} → ${ScheduleDiff._when(after)}`;
+        break;
+      case 'teacher':
+        detail = `${ScheduleDiff._when(after)}: ${before.teacher || '—'} → ${after.teacher || '—'}`;
+        break;
+      case 'room':
+        detail = `${ScheduleDiff._when(after)}: ${before.room || '—'} → ${after.room || '—'}`;
+        break;
+      default:
+        detail = `${ScheduleDiff._when(lesson)}, ${ScheduleDiff._room(lesson)}`;
+    }
+
+    // A move or a new teacher may come with other changes
+    if (change.type === 'moved' && ScheduleDiff._differs('teacher', before, after)) {
+      detail += `, ${after.teacher}`;
+    }
+    if ((change.type === 'moved' || change.type === 'teacher') && ScheduleDiff._differs('room', before, after)) {
+      detail += `, ${ScheduleDiff._room(after)}`;
+    }
+    return `${label}: ${what} — ${detail}`;
+  }
+
+  /**
+   * Snapshot history with a new snapshot added, newest first. A background
+   * snapshot replaces the one taken earlier the same day for the same
+   * teacher, so the history keeps one state per day; manual ones are kept.
+   *
+   * @param {Array} snapshots — stored history, newest first
+   * @param {object} snapshot
+   * @param {number} [limit]
+   * @returns {Array}
+   */
+  static keepSnapshot(snapshots, snapshot, limit = ScheduleDiff.SNAPSHOT_LIMIT) {
+    const day = ScheduleDiff.localDay(snapshot.takenAt);
+    const rest = (snapshots || []).filter((s) => !(
+      snapshot.source === 'watch' && s.source === 'watch'
+      && s.teacherId === snapshot.teacherId && ScheduleDiff.localDay(s.takenAt) === day
+    ));
+    return [snapshot, ...rest].slice(0, limit);
+  }
+
+  /** YYYY-MM-DD of a timestamp in local time. */
+  static localDay(ms) {
+    const d = new Date(ms);
+    return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}-${String(d.getDate()).padStart(2, '0')}`;
+  }
+
+  /** Fields of a schedule entry kept in snapshots and changes. */
+  static lessonOf(entry) {
+    return {
+      lessonId: entry.lessonId,
+      date: entry.date,
+      pairNumber: entry.pairNumber,
+      group: entry.group || '',
+      subject: entry.subject || '',
+      teacher: entry.teacher || '',
+      room: entry.room || '',
+    };
+  }
+
+  /* ---------- Static helpers (pure, no side-effects) ---------- */
+
+  /**
+   * Entries of both sides with the same key, paired in order (one of the
+   * same subject first); entries with a null key or without a partner are
+   * returned as the rest. Every entry is kept, even when several share a key.
+   */
+  static _pair(before, after, keyOf) {
+    const waiting = new Map();
+    const restBefore = [];
+    for (const was of before) {
+      const key = keyOf(was);
+      if (key === null) { restBefore.push(was); continue; }
+      if (!waiting.has(key)) waiting.set(key, []);
+      waiting.get(key).push(was);
+    }
+
+    const pairs = [];
+    const restAfter = [];
+    for (const now of after) {
+      const key = keyOf(now);
+      const candidates = key === null ? [] : waiting.get(key) || [];
+      if (candidates.length === 0) {
+        restAfter.push(now);
+        continue;
+      }
+      const sameSubject = candidates.findIndex((was) => was.subject === now.subject);
+      pairs.push([candidates.splice(Math.max(sameSubject, 0), 1)[0], now]);
+    }
+    for (const left of waiting.values()) restBefore.push(...left);
+    return { pairs, restBefore, restAfter };
+  }
+
+  // The main change of a matched lesson, or null when nothing changed
+  static _changeType(was, now) {
+    if (ScheduleDiff._differs('date', was, now) || ScheduleDiff._differs('pairNumber', was, now)) return 'moved';
+    if (ScheduleDiff._differs('teacher', was, now)) return 'teacher';
+    if (ScheduleDiff._differs('room', was, now)) return 'room';
+    return null;
+  }
+
+  // Snapshots saved before teachers were recorded have no teacher to compare
+  static _differs(field, a, b) {
+    if (field === 'teacher' && (!a.teacher || !b.teacher)) return false;
+    return (a[field] ?? '') !== (b[field] ?? '');
+  }
+
+  static _change(type, before, after) {
+    return {
+      type,
+      lessonId: (after || before).lessonId || '',
+      before: before && ScheduleDiff.lessonOf(before),
+      after: after && ScheduleDiff.lessonOf(after),
+    };
+  }
+
+  static _sortKey(change) {
+    const lesson = change.after || change.before;
+    return `${lesson.date}|${String(lesson.pairNumber).padStart(2, '0')}|${change.lessonId}`;
+  }
+
+  static _when(lesson) {
+    return `${lesson.date.split('-').reverse().join('.')}, ${lesson.pairNumber} пара`;
+  }
+
+  static _room(lesson) {
+    return lesson.room || 'кабінет не заданий';
+  }
+}
+
+// Change log headings
+ScheduleDiff.TYPE_LABELS = {
+  added: 'Додано',
+  removed: 'Скасовано',
+  moved: 'Перенесено',
+  teacher: 'Змінено викладача',
+  room: 'Змінено кабінет',
+};
+
+// Stored snapshots (background ones: one per day)
+ScheduleDiff.SNAPSHOT_LIMIT = 30;
+
+// Universal export: works as a browser content-script global AND as a Node.js module
+if (typeof module !== 'undefined') module.exports = ScheduleDiff;
@@ -19,6 +19,7 @@
  *   Body rows: <tbody><tr data-key="48423">
  *     <td data-col-seq="0"> "понеділок 09 лютого 2026"
  *     <td data-col-seq="1"> <strong>1й урок</strong><br><sub>09.02.2026</sub>...
+ *                           <sub><strong>Кількість годин: 2</strong></sub>
  *     <td data-col-seq="2"> "16кб (2025)"
  *     <td data-col-seq="3"> "Інформатика"
  *     <td data-col-seq="4"> "Кузьо Андрій Тарасович"
@@ -36,7 +37,7 @@
  *   groupId: string,
  *   groupName: string,
  *   entries: [
- *     { date, dayName, pairNumber, timeStart, timeEnd, subject,
+ *     { date, dayName, pairNumber, hours, timeStart, timeEnd, subject,
  *       teacher, room, group, lessonId }
  *   ]
  * }
@@ -123,6 +124,7 @@ const ScheduleParser = (() => {
       // Cell contains: <strong>1й урок</strong><br><sub>09.02.2026</sub>...
       const lessonNumText = cellLessonNum?.textContent?.trim() || '';
       const pairNumber = parseLessonNumber(lessonNumText);
+      const hours = parseLessonHours(lessonNumText);
 
       // Also extract date from the <sub> inside lesson num cell as backup
       const subEl = cellLessonNum?.querySelector('sub');
@@ -130,7 +132,7 @@ const ScheduleParser = (() => {
       const backupDate = parseDateFromText(subDateText);
       const finalDate = dateISO || backupDate || '';
 
-      const pairInfo = SmartSchoolConfig.getPairByNumber(pairNumber);
+      const pairInfo = SmartSchoolConfig.getPairByNumber(pairNumber, finalDate);
 
       const groupText = cellGroup?.textContent?.trim() || '';
       const subjectText = cellSubject?.textContent?.trim() || '';
@@ -141,6 +143,7 @@ const ScheduleParser = (() => {
         date: finalDate,
         dayName: finalDate ? SmartSchoolConfig.getDayName(finalDate) : '',
         pairNumber,
+        hours,
         timeStart: pairInfo?.start || '',
         timeEnd: pairInfo?.end || '',
         subject: subjectText,
@@ -181,7 +184,7 @@ const ScheduleParser = (() => {
 
       const dateISO = parseDateFromText(cells[0]?.textContent?.trim() || '');
       const pairNumber = parseLessonNumber(cells[1]?.textContent?.trim() || '');
-      const pairInfo = SmartSchoolConfig.getPairByNumber(pairNumber);
+      const pairInfo = SmartSchoolConfig.getPairByNumber(pairNumber, dateISO);
 
       schedule.entries.push({
         date: dateISO || '',
@@ -252,6 +255,15 @@ const ScheduleParser = (() => {
     return 0;
   }
 
+  /**
+   * Academic hours from the lesson number cell: "…Кількість годин: 2" → 2.
+   * Returns null when the line is missing.
+   */
+  function parseLessonHours(text) {
+    const match = text.match(/Кількість\s+годин:\s*(\d+(?:[.,]\d+)?)/i);
+    return match ? parseFloat(match[1].replace(',', '.')) : null;
+  }
+
   /* ========== Filter Extraction ========== */
 
   /**
@@ -276,6 +288,13 @@ const ScheduleParser = (() => {
     return parseSelectById(root || document, 'lessonsearch-predmet_id');
   }
 
+  /**
+   * Extract rooms from #lessonsearch-kabinet_id select.
+   */
+  function parseRoomList(root) {
+    return parseSelectById(root || document, 'lessonsearch-kabinet_id');
+  }
+
   /**
    * Extract lesson numbers from #lessonsearch-lesson_num select.
    */
@@ -342,10 +361,15 @@ const ScheduleParser = (() => {
     parseGroupList,
     parseTeacherList,
     parseSubjectList,
+    parseRoomList,
     parseLessonNumList,
     parseSelectById,
     parseDateFromText,
     parseLessonNumber,
+    parseLessonHours,
     parseTotalRecords,
   };
 })();
+
+// Universal export: works as a browser content-script global AND as a Node.js module
+if (typeof module !== 'undefined') module.exports = ScheduleParser;
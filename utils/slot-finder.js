@@ -4,20 +4,56 @@
  * Zero dependencies on DOM, fetch, or chrome.* APIs.
  * Hydrate via constructor with plain data; call findSlots() for docx-ready results.
  *
- * Slot results carry only { date, dayName, pairNumber }.
+ * Slot results carry only { date, dayName, pairNumber, room }.
  * Time lookup (start/end) is the caller's responsibility via the config layer.
  */
 class SlotFinder {
   /**
    * @param {object} params
-   * @param {Array}  params.lessons          — [{date, pairNumber, group, subject, topic?}]
+   * @param {Array}  params.lessons          — [{date, pairNumber, group, subject, topic?, room?}]
    * @param {Array}  [params.teacherEntries] — [{date, pairNumber, ...}] full teacher schedule
    * @param {object} [params.groupSchedules] — { groupName: { entries: [{date, pairNumber}] } }
+   * @param {object} [params.roomSchedules]  — { roomName: { entries: [{date, pairNumber}] } }
+   *                                           a lesson with a room only gets slots where it is free
+   * @param {object} [params.bellSchedule]   — BellSchedule (or any { pairNumbersFor(date) }),
+   *                                           gives the pairs that exist on each date
+   * @param {object} [params.calendar]       — AcademicCalendar (or any { isTeachingDay(date) });
+   *                                           when given, only its teaching days are searched,
+   *                                           including transferred working Saturdays
+   * @param {number} [params.subgroupCount]  — subgroups a lesson is split into (default 2);
+   *                                           subgroup I keeps the original slot
+   * @param {object} [params.groupSubgroupCounts] — { groupName: count } per-group override
+   * @param {object} [params.constraints]    — TeacherConstraints (or any { check(date, pair, busy),
+   *                                           cost(pair) }): hard limits reject slots,
+   *                                           preferred pairs make slots cheaper
+   * @param {object} [params.choices]        — { lessonIndex: [{date, pairNumber}] } slots picked
+   *                                           by the user per subgroup; booked first, the
+   *                                           other lessons are searched around them
+   * @param {number} [params.alternativeCount] — ranked alternatives returned per lesson
+   * @param {object} [params.searchWindow]   — which dates around a lesson are searched,
+   *                                           see SlotFinder.DEFAULT_WINDOW / windowRange()
+   * @param {string} [params.mode]           — 'greedy' (default, first-fit in lesson order) or
+   *                                           'optimal' (places as many slots as possible, then
+   *                                           keeps them closest to the original lessons)
    * @param {Array}  [params.pairNums]       — pair numbers in any order, e.g. [1,2,3,4,5,6]
-   *                                           injectable for testing
+   *                                           fixed for every date; injectable for testing
    */
-  constructor({ lessons = [], teacherEntries = [], groupSchedules = {}, pairNums } = {}) {
+  constructor({
+    lessons = [], teacherEntries = [], groupSchedules = {}, roomSchedules = {},
+    bellSchedule = null, calendar = null, subgroupCount = 2, groupSubgroupCounts = {},
+    constraints = null, choices = {}, alternativeCount = SlotFinder.DEFAULT_ALTERNATIVES,
+    searchWindow = null, mode = 'greedy', pairNums,
+  } = {}) {
     this._lessons = lessons;
+    this._window = SlotFinder.normalizeWindow(searchWindow);
+    this._choices = choices;
+    this._alternativeCount = alternativeCount;
+    this._mode = mode;
+    this._constraints = constraints;
+    this._subgroupCount = subgroupCount;
+    this._groupSubgroupCounts = groupSubgroupCounts;
+    this._bellSchedule = pairNums ? null : bellSchedule;
+    this._calendar = calendar;
     // Sort ascending so we always pick the earliest available pair
     this._pairNums = [...(pairNums || SlotFinder.DEFAULT_PAIR_NUMS)].sort((a, b) => a - b);
 
@@ -27,134 +63,533 @@ class SlotFinder {
     for (const [name, schedule] of Object.entries(groupSchedules)) {
       this._groupOccupied[name] = SlotFinder._buildOccupiedMap(schedule.entries || []);
     }
+
+    this._roomOccupied = {};
+    for (const [name, schedule] of Object.entries(roomSchedules)) {
+      this._roomOccupied[name] = SlotFinder._buildOccupiedMap(schedule.entries || []);
+    }
   }
 
   /**
-   * Find the next available slot for each lesson.
+   * Find the next available slots for each lesson — one per extra subgroup.
    *
-   * Searches the lesson's own week first, then the following week.
-   * Callers should ensure fetched schedule data covers at least lesson-week + 1.
+   * Searches the dates of the lesson's search window — by default its own
+   * week, then the following week (see windowRange()). Callers should fetch
+   * schedule data covering SlotFinder.windowRange() of every lesson.
+   * Without a calendar the candidate days are Mon–Fri; with one, every teaching
+   * day of the window (holidays and vacations drop out, working Saturdays join).
    *
    * A virtual schedule tracks slots reserved during this run so the same
-   * teacher / group combination is never double-booked across iterations.
+   * teacher / group / room combination is never double-booked across iterations.
+   * In 'greedy' mode lessons are served in input order; 'optimal' mode may
+   * move an earlier lesson to a later pair so that more lessons fit.
+   *
+   * When a lesson has a room (anything but SlotFinder.NO_ROOM), the slot must
+   * keep that room: a pair where the room is taken by another lesson is skipped.
+   *
+   * A lesson split into N subgroups gets N-1 slots (subgroups II…N), each
+   * reserved before the next is searched so they never overlap. `slots` holds
+   * them in subgroup order (null where nothing was free); `slot` is slots[0].
+   *
+   * With teacher constraints, `rejected` lists the lesson's candidates that
+   * were free but excluded by a rule — {date, dayName, pairNumber, rule, reason}
+   * — judged against everything else booked in this run.
    *
-   * @returns {Array<{lesson: object, slot: {date, dayName, pairNumber}|null}>}
+   * `diagnostic` explains the whole search window cell by cell (see _diagnose)
+   * so a lesson left without a slot can be negotiated by hand.
+   *
+   * `alternatives` ranks the slots the lesson could take instead (closest
+   * first, its own slots included) given every other lesson's slots. Passing
+   * one back through `choices` pins it; the rest are then searched again.
+   * A choice that is no longer free is ignored.
+   *
+   * @returns {Array<{lesson: object, slot: {date, dayName, pairNumber, room}|null, slots: Array,
+   *                  alternatives: Array, rejected: Array, diagnostic: Array}>}
    */
   findSlots() {
-    const virtualTeacher = {};   // { 'YYYY-MM-DD': Set<pairNumber> }
-    const virtualGroup   = {};   // { groupName: { 'YYYY-MM-DD': Set<pairNumber> } }
-    const results        = [];
-
-    for (const lesson of this._lessons) {
-      if (!virtualGroup[lesson.group]) virtualGroup[lesson.group] = {};
-
-      const searchDates = [
-        ...SlotFinder._weekDates(lesson.date),
-        ...SlotFinder._nextWeekDates(lesson.date),
-      ];
-
-      const groupOccupied = this._groupOccupied[lesson.group] || {};
-
-      let found = null;
-      outer:
-      for (const d of searchDates) {
-        if (d < lesson.date) continue;
-
-        const teacherBusy  = this._teacherOccupied[d]       || new Set();
-        const groupDayBusy = groupOccupied[d]                || new Set();
-        const vTeacherBusy = virtualTeacher[d]               || new Set();
-        const vGroupBusy   = virtualGroup[lesson.group][d]   || new Set();
-
-        for (const pairNum of this._pairNums) {
-          if (d === lesson.date && pairNum <= lesson.pairNumber) continue;
-
-          if (
-            !teacherBusy.has(pairNum)  &&
-            !groupDayBusy.has(pairNum) &&
-            !vTeacherBusy.has(pairNum) &&
-            !vGroupBusy.has(pairNum)
-          ) {
-            found = { date: d, dayName: SlotFinder._dayName(d), pairNumber: pairNum };
-            break outer;
-          }
-        }
-      }
-
-      if (found) {
-        if (!virtualTeacher[found.date]) virtualTeacher[found.date] = new Set();
-        virtualTeacher[found.date].add(found.pairNumber);
+    const units = this._units();
+    const pinned = this._pinned(units);
+    const assignment = this._mode === 'optimal'
+      ? this._assignOptimal(units, pinned)
+      : this._assignGreedy(units, pinned);
 
-        if (!virtualGroup[lesson.group][found.date]) {
-          virtualGroup[lesson.group][found.date] = new Set();
-        }
-        virtualGroup[lesson.group][found.date].add(found.pairNumber);
-      }
+    return this._lessons.map((lesson, lessonIndex) => {
+      const room = SlotFinder._requiredRoom(lesson);
+      // Earliest slot goes to subgroup II, unfilled subgroups come last
+      const slots = units
+        .map((unit, i) => (unit.lessonIndex === lessonIndex ? assignment[i] : undefined))
+        .filter((slot) => slot !== undefined)
+        .sort(SlotFinder._compareSlots);
+      const diagnostic = this._diagnose(units, assignment, lessonIndex);
 
-      results.push({
+      return {
         lesson: {
+          lessonId:   lesson.lessonId || '',
           date:       lesson.date,
           dayName:    lesson.date ? SlotFinder._dayName(lesson.date) : '',
           pairNumber: lesson.pairNumber,
           group:      lesson.group,
           subject:    lesson.subject,
+          teacher:    lesson.teacher || '',
           topic:      lesson.topic || '',
+          hours:      lesson.hours ?? null,
+          room,
         },
-        slot: found,
-      });
+        slot: slots[0] || null,
+        slots,
+        alternatives: this._alternatives(lesson, diagnostic, slots),
+        rejected: diagnostic
+          .filter((c) => c.reasons.length > 0 && c.reasons.every((r) => r.type === 'constraint'))
+          .map(({ date, dayName, pairNumber, room: slotRoom, reasons: [r] }) => ({
+            date, dayName, pairNumber, room: slotRoom, rule: r.rule, reason: r.text,
+          })),
+        diagnostic,
+      };
+    });
+  }
+
+  /**
+   * One unit per slot to place: N-1 per lesson, in lesson order.
+   */
+  _units() {
+    const units = [];
+    this._lessons.forEach((lesson, lessonIndex) => {
+      const room = SlotFinder._requiredRoom(lesson);
+      // Stable sort: without preferred pairs this keeps chronological order
+      const candidates = this._candidates(lesson)
+        .map((c) => ({ ...c, cost: this._cost(lesson, c) }))
+        .sort((a, b) => a.cost - b.cost);
+      for (let i = 1; i < this._subgroupCountFor(lesson.group); i++) {
+        units.push({ lessonIndex, group: lesson.group, room, candidates });
+      }
+    });
+    return units;
+  }
+
+  /**
+   * Slots fixed by the user's choices, per unit (null where not pinned).
+   * The k-th choice of a lesson pins its k-th unit.
+   */
+  _pinned(units) {
+    const virtual = SlotFinder._emptyVirtual();
+    const taken = {};   // lessonIndex → choices used so far
+    return units.map((unit) => {
+      const k = taken[unit.lessonIndex] || 0;
+      taken[unit.lessonIndex] = k + 1;
+      const choice = (this._choices[unit.lessonIndex] || [])[k];
+      if (!choice) return null;
+
+      const c = unit.candidates.find((x) => x.date === choice.date && x.pairNumber === Number(choice.pairNumber));
+      if (!c || !this._isFree(unit.group, unit.room, c.date, c.pairNumber, virtual)) return null;
+      const slot = SlotFinder._slot(c, unit.room);
+      SlotFinder._reserve(virtual, unit.group, unit.room, slot);
+      return slot;
+    });
+  }
+
+  /**
+   * Free slots a lesson could move to, closest first: the top
+   * alternativeCount plus any slot it already holds.
+   */
+  _alternatives(lesson, diagnostic, slots) {
+    const held = new Set(slots.filter(Boolean).map((s) => `${s.date}|${s.pairNumber}`));
+    const ranked = diagnostic
+      .filter((c) => c.status === 'free' || c.status === 'assigned')
+      .map(({ date, dayName, pairNumber, room }) => ({
+        date, dayName, pairNumber, room, cost: this._cost(lesson, { date, pairNumber }),
+      }))
+      .sort((a, b) => a.cost - b.cost);
+
+    return ranked
+      .filter((c, i) => i < this._alternativeCount || held.has(`${c.date}|${c.pairNumber}`))
+      .map(({ cost, ...slot }) => slot);
+  }
+
+  /**
+   * First-fit: each unit in input order takes its earliest free candidate.
+   * Fast, but an early lesson can take the only slot a later one could use.
+   */
+  _assignGreedy(units, pinned = []) {
+    const virtual = SlotFinder._pinnedVirtual(units, pinned);
+    return units.map((unit, i) => {
+      if (pinned[i]) return pinned[i];
+      const free = unit.candidates.find((c) => this._isFree(unit.group, unit.room, c.date, c.pairNumber, virtual));
+      if (!free) return null;
+      const slot = SlotFinder._slot(free, unit.room);
+      SlotFinder._reserve(virtual, unit.group, unit.room, slot);
+      return slot;
+    });
+  }
+
+  /**
+   * Branch-and-bound over all units: maximise the number of placed slots,
+   * then minimise their total distance from the original lessons.
+   *
+   * Seeded with the greedy assignment, so the result is never worse than
+   * greedy; stops exploring after SlotFinder.OPTIMAL_NODE_LIMIT nodes and
+   * returns the best assignment found so far.
+   */
+  _assignOptimal(units, pinned = []) {
+    const costOf = (slot, i) => (slot ? this._cost(this._lessons[units[i].lessonIndex], slot) : 0);
+    const greedy = this._assignGreedy(units, pinned);
+    let best = {
+      placed: greedy.filter(Boolean).length,
+      cost:   greedy.reduce((sum, slot, i) => sum + costOf(slot, i), 0),
+      assignment: greedy,
+    };
+    const lowerBound = units.reduce((sum, u, i) => sum + (pinned[i] ? costOf(pinned[i], i) : SlotFinder._minCost(u)), 0);
+    if (best.placed === units.length && best.cost === lowerBound) {
+      return greedy; // greedy already hit the lower bound
     }
 
-    return results;
+    // Units that could ever be placed, and their cheapest cost with only the pins booked
+    const virtual = SlotFinder._pinnedVirtual(units, pinned);
+    const reachable = units.map((u, i) => (pinned[i]
+      ? []
+      : u.candidates.filter((c) => this._isFree(u.group, u.room, c.date, c.pairNumber, virtual))));
+    const suffixPlaceable = new Array(units.length + 1).fill(0);
+    const suffixMinCost = new Array(units.length + 1).fill(0);
+    for (let i = units.length - 1; i >= 0; i--) {
+      const placeable = Boolean(pinned[i]) || reachable[i].length > 0;
+      const minCost = pinned[i] ? costOf(pinned[i], i) : (placeable ? reachable[i][0].cost : 0);
+      suffixPlaceable[i] = suffixPlaceable[i + 1] + (placeable ? 1 : 0);
+      suffixMinCost[i] = suffixMinCost[i + 1] + minCost;
+    }
+
+    const current = units.map((_, i) => pinned[i] || null);
+    let nodes = 0;
+
+    const search = (i, placed, cost) => {
+      if (++nodes > SlotFinder.OPTIMAL_NODE_LIMIT) return;
+
+      const maxPlaced = placed + suffixPlaceable[i];
+      if (maxPlaced < best.placed) return;
+      if (maxPlaced === best.placed && cost + suffixMinCost[i] >= best.cost) return;
+
+      if (i === units.length) {
+        best = { placed, cost, assignment: [...current] };
+        return;
+      }
+
+      if (pinned[i]) {
+        search(i + 1, placed + 1, cost + costOf(pinned[i], i));
+        return;
+      }
+
+      const unit = units[i];
+      for (const c of reachable[i]) {
+        if (!this._isFree(unit.group, unit.room, c.date, c.pairNumber, virtual)) continue;
+        const slot = SlotFinder._slot(c, unit.room);
+        SlotFinder._reserve(virtual, unit.group, unit.room, slot);
+        current[i] = slot;
+        search(i + 1, placed + 1, cost + c.cost);
+        SlotFinder._release(virtual, unit.group, unit.room, slot);
+        current[i] = null;
+        if (nodes > SlotFinder.OPTIMAL_NODE_LIMIT) return;
+      }
+
+      // Leave this unit unplaced — only useful if it frees a slot for later units
+      search(i + 1, placed, cost);
+    };
+
+    search(0, 0, 0);
+    return best.assignment;
   }
 
-  /* ---------- Static helpers (pure, no side-effects) ---------- */
+  /**
+   * Candidate {date, pairNumber} pairs for a lesson, chronologically:
+   * strictly after the original lesson unless the window allows earlier slots.
+   */
+  _candidates(lesson) {
+    const candidates = [];
+    for (const d of this._searchDates(lesson.date)) {
+      for (const pairNumber of this._pairNumsFor(d)) {
+        if (this._isTooEarly(lesson, d, pairNumber)) continue;
+        if (d === lesson.date && pairNumber === lesson.pairNumber) continue;
+        candidates.push({ date: d, pairNumber });
+      }
+    }
+    return candidates;
+  }
 
-  static _buildOccupiedMap(entries) {
-    const map = {};
-    for (const entry of entries) {
-      if (!entry.date) continue;
-      if (!map[entry.date]) map[entry.date] = new Set();
-      map[entry.date].add(entry.pairNumber);
+  // True for slots not after the original lesson, unless the window allows them
+  _isTooEarly(lesson, date, pairNumber) {
+    if (this._window.allowBeforeOriginal) return false;
+    return date < lesson.date || (date === lesson.date && pairNumber <= lesson.pairNumber);
+  }
+
+  /**
+   * Search cost of a candidate: distance from the original lesson plus the
+   * constraints' penalty for a non-preferred pair.
+   */
+  _cost(lesson, slot) {
+    const penalty = this._constraints ? this._constraints.cost(slot.pairNumber) : 0;
+    return SlotFinder._distance(lesson, slot) + penalty;
+  }
+
+  /**
+   * Every date/pair of a lesson's search window with what blocks it, judged
+   * against the fetched schedules plus every other lesson's assigned slots.
+   *
+   * Cell status: 'original' (the lesson itself), 'assigned' (a slot given to
+   * this lesson), 'free', or 'blocked' with one or more `reasons`:
+   * {type: 'before'|'calendar'|'teacher'|'group'|'room'|'reserved'|'constraint', text, rule?}
+   */
+  _diagnose(units, assignment, lessonIndex) {
+    const lesson = this._lessons[lessonIndex];
+    if (!lesson.date) return [];
+
+    const group = lesson.group;
+    const room = SlotFinder._requiredRoom(lesson);
+    const virtual = SlotFinder._emptyVirtual();
+    const owners = {};   // 'date|pair' → lesson that reserved it in this run
+    const own = new Set();
+    units.forEach((unit, i) => {
+      const slot = assignment[i];
+      if (!slot) return;
+      if (unit.lessonIndex === lessonIndex) {
+        own.add(`${slot.date}|${slot.pairNumber}`);
+        return;
+      }
+      SlotFinder._reserve(virtual, unit.group, unit.room, slot);
+      owners[`${slot.date}|${slot.pairNumber}`] = this._lessons[unit.lessonIndex];
+    });
+
+    const cells = [];
+    for (const date of this._diagnosticDates(lesson.date)) {
+      const offDay = this._calendar && this._calendar.nonTeachingReason
+        ? this._calendar.nonTeachingReason(date)
+        : null;
+
+      for (const pairNumber of this._pairNumsFor(date)) {
+        const key = `${date}|${pairNumber}`;
+        const cell = { ...SlotFinder._slot({ date, pairNumber }, room), status: 'blocked', reasons: [] };
+        cells.push(cell);
+
+        if (date === lesson.date && pairNumber === lesson.pairNumber) {
+          cell.status = 'original';
+          continue;
+        }
+        if (own.has(key)) {
+          cell.status = 'assigned';
+          continue;
+        }
+        if (offDay) {
+          cell.reasons.push({ type: 'calendar', text: offDay.title || SlotFinder.BLOCKERS.calendar });
+          continue;
+        }
+        if (this._isTooEarly(lesson, date, pairNumber)) {
+          cell.reasons.push({ type: 'before', text: SlotFinder.BLOCKERS.before });
+          continue;
+        }
+
+        const has = (map) => Boolean(map && map[date] && map[date].has(pairNumber));
+        if (has(this._teacherOccupied)) cell.reasons.push({ type: 'teacher', text: SlotFinder.BLOCKERS.teacher });
+        if (has(this._groupOccupied[group])) cell.reasons.push({ type: 'group', text: SlotFinder.BLOCKERS.group });
+        if (room && has(this._roomOccupied[room])) cell.reasons.push({ type: 'room', text: SlotFinder.BLOCKERS.room });
+        if (owners[key]) {
+          const other = owners[key];
+          cell.reasons.push({ type: 'reserved', text: `${SlotFinder.BLOCKERS.reserved}: ${other.group} (${other.subject})` });
+        }
+        if (cell.reasons.length === 0 && this._constraints) {
+          const rejection = this._constraints.check(date, pairNumber, this._teacherBusy(date, virtual));
+          if (rejection) cell.reasons.push({ type: 'constraint', rule: rejection.rule, text: rejection.reason });
+        }
+        if (cell.reasons.length === 0) cell.status = 'free';
+      }
     }
-    return map;
+    return cells;
+  }
+
+  /**
+   * Dates shown in a diagnostic: the search window plus its non-teaching
+   * weekdays (holidays, vacations), so the grid shows why they were skipped.
+   */
+  _diagnosticDates(dateStr) {
+    if (!this._calendar) return this._searchDates(dateStr);
+    return this._windowDates(dateStr)
+      .filter((d) => this._calendar.isTeachingDay(d) || SlotFinder._dateUtils().weekday(d) % 6 !== 0);
   }
 
-  // Parse YYYY-MM-DD as local midnight to avoid UTC-shift on getDay()
-  static _parseDate(dateStr) {
-    const [y, m, d] = dateStr.split('-').map(Number);
-    return new Date(y, m - 1, d);
+  _subgroupCountFor(group) {
+    return Math.max(1, this._groupSubgroupCounts[group] || this._subgroupCount);
+  }
+
+  /**
+   * Candidate dates for a lesson: Mon–Fri of its window, or the calendar's
+   * teaching days when a calendar is given.
+   */
+  _searchDates(dateStr) {
+    const dates = this._windowDates(dateStr);
+    if (!this._calendar) {
+      return dates.filter((d) => SlotFinder._dateUtils().weekday(d) % 6 !== 0);
+    }
+    return dates.filter((d) => this._calendar.isTeachingDay(d));
   }
 
-  static _formatDate(d) {
-    return [
-      d.getFullYear(),
-      String(d.getMonth() + 1).padStart(2, '0'),
-      String(d.getDate()).padStart(2, '0'),
-    ].join('-');
+  // Every calendar date of the lesson's window
+  _windowDates(dateStr) {
+    const { start, end } = SlotFinder.windowRange(dateStr, this._window);
+    const dates = [];
+    for (let d = start; d <= end; d = SlotFinder._dateUtils().shift(d, 1)) dates.push(d);
+    return dates;
   }
 
-  static _dayName(dateStr) {
-    return SlotFinder.DAY_NAMES[SlotFinder._parseDate(dateStr).getDay()] || '';
+  /**
+   * Pair numbers that exist on a date, ascending.
+   */
+  _pairNumsFor(date) {
+    if (!this._bellSchedule) return this._pairNums;
+    return [...this._bellSchedule.pairNumbersFor(date)].sort((a, b) => a - b);
   }
 
-  // Mon–Fri starting from an already-computed monday Date
-  static _datesFromMonday(monday) {
-    return Array.from({ length: 5 }, (_, i) => {
-      const c = new Date(monday);
-      c.setDate(monday.getDate() + i);
-      return SlotFinder._formatDate(c);
+  /**
+   * True when teacher, group and (if required) room are all free at date/pair,
+   * counting both the fetched schedules and this run's virtual reservations,
+   * and no teacher constraint forbids the pair.
+   */
+  _isFree(group, room, date, pairNum, virtual) {
+    if (this._occupied(group, room, date, pairNum, virtual)) return false;
+    return !this._constraints
+      || !this._constraints.check(date, pairNum, this._teacherBusy(date, virtual));
+  }
+
+  // Pairs the teacher already teaches on a date, fetched or reserved in this run
+  _teacherBusy(date, virtual) {
+    return new Set([...(this._teacherOccupied[date] || []), ...(virtual.teacher[date] || [])]);
+  }
+
+  _occupied(group, room, date, pairNum, virtual) {
+    const busy = [
+      this._teacherOccupied[date],
+      (this._groupOccupied[group] || {})[date],
+      virtual.teacher[date],
+      (virtual.group[group] || {})[date],
+    ];
+    if (room) {
+      busy.push((this._roomOccupied[room] || {})[date], (virtual.room[room] || {})[date]);
+    }
+    return busy.some((set) => set && set.has(pairNum));
+  }
+
+  /* ---------- Static helpers (pure, no side-effects) ---------- */
+
+  // Room the slot must keep; '' when the lesson has none assigned
+  static _requiredRoom(lesson) {
+    const room = (lesson.room || '').trim();
+    return room === SlotFinder.NO_ROOM ? '' : room;
+  }
+
+  static _emptyVirtual() {
+    return {
+      teacher: {},   // { 'YYYY-MM-DD': Set<pairNumber> }
+      group:   {},   // { groupName: { 'YYYY-MM-DD': Set<pairNumber> } }
+      room:    {},   // { roomName:  { 'YYYY-MM-DD': Set<pairNumber> } }
+    };
+  }
+
+  // Virtual schedule with the pinned slots already booked
+  static _pinnedVirtual(units, pinned) {
+    const virtual = SlotFinder._emptyVirtual();
+    pinned.forEach((slot, i) => {
+      if (slot) SlotFinder._reserve(virtual, units[i].group, units[i].room, slot);
     });
+    return virtual;
   }
 
-  static _weekDates(dateStr) {
-    const d = SlotFinder._parseDate(dateStr);
-    d.setDate(d.getDate() - ((d.getDay() + 6) % 7));
-    return SlotFinder._datesFromMonday(d);
+  static _slot({ date, pairNumber }, room) {
+    return { date, dayName: SlotFinder._dayName(date), pairNumber, room };
   }
 
-  static _nextWeekDates(dateStr) {
-    const d = SlotFinder._parseDate(dateStr);
-    d.setDate(d.getDate() - ((d.getDay() + 6) % 7) + 7);
-    return SlotFinder._datesFromMonday(d);
+  static _reserve(virtual, group, room, slot) {
+    const add = (map) => {
+      if (!map[slot.date]) map[slot.date] = new Set();
+      map[slot.date].add(slot.pairNumber);
+    };
+    add(virtual.teacher);
+    add(virtual.group[group] || (virtual.group[group] = {}));
+    if (room) add(virtual.room[room] || (virtual.room[room] = {}));
+  }
+
+  static _release(virtual, group, room, slot) {
+    virtual.teacher[slot.date].delete(slot.pairNumber);
+    virtual.group[group][slot.date].delete(slot.pairNumber);
+    if (room) virtual.room[room][slot.date].delete(slot.pairNumber);
+  }
+
+  /**
+   * How far a slot is from its original lesson, in "pair steps" either way:
+   * whole days weigh more than any pair difference within a day.
+   */
+  static _distance(lesson, { date, pairNumber }) {
+    const days = SlotFinder._dateUtils().daysBetween(lesson.date, date);
+    return Math.abs(days * SlotFinder.DAY_COST + (pairNumber - lesson.pairNumber));
+  }
+
+  /**
+   * Full window settings with defaults filled in.
+   */
+  static normalizeWindow(searchWindow) {
+    const w = { ...SlotFinder.DEFAULT_WINDOW, ...(searchWindow || {}) };
+    return {
+      mode:       w.mode === 'days' ? 'days' : 'weeks',
+      weeksAhead: Math.max(0, parseInt(w.weeksAhead, 10) || 0),
+      daysBefore: Math.max(0, parseInt(w.daysBefore, 10) || 0),
+      daysAfter:  Math.max(0, parseInt(w.daysAfter, 10) || 0),
+      allowBeforeOriginal: Boolean(w.allowBeforeOriginal),
+    };
+  }
+
+  /**
+   * First and last date (YYYY-MM-DD, inclusive) searched for a lesson.
+   *
+   *   weeks — Monday of the lesson's week through Sunday `weeksAhead` weeks
+   *           later (0 = the lesson's own week only)
+   *   days  — `daysBefore` days before through `daysAfter` days after the lesson
+   *
+   * Slots before the original lesson are only offered with allowBeforeOriginal.
+   * content.js fetches schedules over the union of these ranges.
+   */
+  static windowRange(dateStr, searchWindow) {
+    const w = SlotFinder.normalizeWindow(searchWindow);
+    const dates = SlotFinder._dateUtils();
+    if (w.mode === 'days') {
+      return {
+        start: dates.shift(dateStr, -w.daysBefore),
+        end:   dates.shift(dateStr, w.daysAfter),
+      };
+    }
+    const monday = dates.weekStart(dateStr);
+    return { start: monday, end: dates.shift(monday, 7 * (w.weeksAhead + 1) - 1) };
+  }
+
+  static _minCost(unit) {
+    return unit.candidates.length > 0 ? unit.candidates[0].cost : 0;
+  }
+
+  // Chronological order, nulls last
+  static _compareSlots(a, b) {
+    if (!a || !b) return (a ? 0 : 1) - (b ? 0 : 1);
+    return a.date.localeCompare(b.date) || a.pairNumber - b.pairNumber;
+  }
+
+  static _buildOccupiedMap(entries) {
+    const map = {};
+    for (const entry of entries) {
+      if (!entry.date) continue;
+      if (!map[entry.date]) map[entry.date] = new Set();
+      map[entry.date].add(entry.pairNumber);
+    }
+    return map;
+  }
+
+  static _dateUtils() {
+    if (typeof DateUtils !== 'undefined') return DateUtils;
+    return require('./date-utils');
+  }
+
+  static _dayName(dateStr) {
+    return SlotFinder.DAY_NAMES[SlotFinder._dateUtils().weekday(dateStr)] || '';
   }
 }
 
@@ -164,9 +599,42 @@ SlotFinder.DAY_NAMES = Object.freeze({
   3: 'Середа',
   4: 'Четвер',
   5: 'Пʼятниця',
+  6: 'Субота',
 });
 
+// Fallback when no bell schedule is injected — mirrors BellSchedule's standard profile
 SlotFinder.DEFAULT_PAIR_NUMS = Object.freeze([1, 2, 3, 4, 5, 6]);
 
+// Lesson's own week plus the next one, never before the original lesson
+SlotFinder.DEFAULT_WINDOW = Object.freeze({
+  mode: 'weeks',            // 'weeks' | 'days'
+  weeksAhead: 1,            // weeks mode: 0 = same week only
+  daysBefore: 0,            // days mode
+  daysAfter: 7,             // days mode
+  allowBeforeOriginal: false,
+});
+
+// Ranked alternatives returned per lesson unless alternativeCount says otherwise
+SlotFinder.DEFAULT_ALTERNATIVES = 5;
+
+// Distance weight of one calendar day — larger than any bell profile's pair count
+SlotFinder.DAY_COST = 10;
+
+// Search budget of the 'optimal' mode before it settles for the best found so far
+SlotFinder.OPTIMAL_NODE_LIMIT = 200000;
+
+// Texts of diagnostic reasons (see _diagnose)
+SlotFinder.BLOCKERS = Object.freeze({
+  before:   'Раніше за оригінальне заняття',
+  calendar: 'Неробочий день',
+  teacher:  'Викладач зайнятий',
+  group:    'Група зайнята',
+  room:     'Кабінет зайнятий',
+  reserved: 'Запропоновано іншому заняттю',
+});
+
+// Room cell text the site shows when a lesson has no room assigned
+SlotFinder.NO_ROOM = 'Кабінет не заданий';
+
 // Universal export: works as a browser content-script global AND as a Node.js module
 if (typeof module !== 'undefined') module.exports = SlotFinder;
@@ -0,0 +1,188 @@
+/**
+ * TeacherConstraints — personal limits on when extra pairs may be placed.
+ *
+ * Zero dependencies on DOM, fetch, or chrome.* APIs.
+ * Hydrate with the plain object stored under config.teacherConstraints.
+ *
+ * Hard rules (blocked weekdays, blocked pairs, blocked weekday+pair slots,
+ * max pairs per day, max consecutive pairs) reject a candidate slot;
+ * preferred pairs are soft and only make a slot cheaper to pick.
+ */
+class TeacherConstraints {
+  /**
+   * @param {object} [settings]
+   * @param {Array}  [settings.blockedWeekdays] — Date#getDay numbers, e.g. [3] for Wednesday
+   * @param {Array}  [settings.blockedPairs]    — pair numbers never taught, e.g. [6]
+   * @param {Array}  [settings.blockedSlots]    — [{weekday, pairNumber}] one pair on one weekday
+   * @param {number} [settings.maxPairsPerDay]  — 0 = unlimited
+   * @param {number} [settings.maxConsecutive]  — 0 = unlimited
+   * @param {Array}  [settings.preferredPairs]  — pair numbers to try first
+   * @param {object} [options]
+   * @param {function} [options.weekdayOf] — dateStr → weekday the rules apply to,
+   *                                         e.g. AcademicCalendar#effectiveWeekday
+   */
+  constructor({
+    blockedWeekdays = [], blockedPairs = [], blockedSlots = [],
+    maxPairsPerDay = 0, maxConsecutive = 0, preferredPairs = [],
+  } = {}, { weekdayOf } = {}) {
+    this._blockedWeekdays = TeacherConstraints._numbers(blockedWeekdays);
+    this._blockedPairs    = TeacherConstraints._numbers(blockedPairs);
+    this._blockedSlots    = blockedSlots.map((s) => ({
+      weekday: Number(s.weekday), pairNumber: Number(s.pairNumber),
+    }));
+    this._maxPairsPerDay  = Math.max(0, Number(maxPairsPerDay) || 0);
+    this._maxConsecutive  = Math.max(0, Number(maxConsecutive) || 0);
+    this._preferredPairs  = TeacherConstraints._numbers(preferredPairs);
+    this._weekdayOf = weekdayOf || ((dateStr) => TeacherConstraints._dateUtils().weekday(dateStr));
+  }
+
+  /** True when no rule is configured. */
+  isEmpty() {
+    return this._blockedWeekdays.length === 0 && this._blockedPairs.length === 0
+      && this._blockedSlots.length === 0 && !this._maxPairsPerDay
+      && !this._maxConsecutive && this._preferredPairs.length === 0;
+  }
+
+  /**
+   * Rule that forbids teaching an extra pair at date/pairNumber, or null.
+   *
+   * @param {string} dateStr     — YYYY-MM-DD
+   * @param {number} pairNumber
+   * @param {Set|Array} [busyPairs] — pairs the teacher already has that day
+   * @returns {{rule: string, reason: string}|null}
+   */
+  check(dateStr, pairNumber, busyPairs = []) {
+    const weekday = this._weekdayOf(dateStr);
+
+    if (this._blockedWeekdays.includes(weekday)) return TeacherConstraints._rejection('blocked-weekday');
+    if (this._blockedPairs.includes(pairNumber)) return TeacherConstraints._rejection('blocked-pair');
+    if (this._blockedSlots.some((s) => s.weekday === weekday && s.pairNumber === pairNumber)) {
+      return TeacherConstraints._rejection('blocked-slot');
+    }
+
+    const busy = new Set(busyPairs);
+    busy.delete(pairNumber);
+
+    if (this._maxPairsPerDay && busy.size + 1 > this._maxPairsPerDay) {
+      return TeacherConstraints._rejection('max-pairs-per-day');
+    }
+    if (this._maxConsecutive && TeacherConstraints._runLength(busy, pairNumber) > this._maxConsecutive) {
+      return TeacherConstraints._rejection('max-consecutive');
+    }
+    return null;
+  }
+
+  /** True when the pair is one of the preferred ones (always true without preferences). */
+  isPreferred(pairNumber) {
+    return this._preferredPairs.length === 0 || this._preferredPairs.includes(pairNumber);
+  }
+
+  /**
+   * Extra search cost of a pair: TeacherConstraints.NON_PREFERRED_COST for a
+   * pair outside the preferred list, 0 otherwise.
+   */
+  cost(pairNumber) {
+    return this.isPreferred(pairNumber) ? 0 : TeacherConstraints.NON_PREFERRED_COST;
+  }
+
+  /** Plain object suitable for chrome.storage (round-trips via the constructor). */
+  toJSON() {
+    return {
+      blockedWeekdays: this._blockedWeekdays,
+      blockedPairs:    this._blockedPairs,
+      blockedSlots:    this._blockedSlots,
+      maxPairsPerDay:  this._maxPairsPerDay,
+      maxConsecutive:  this._maxConsecutive,
+      preferredPairs:  this._preferredPairs,
+    };
+  }
+
+  /* ---------- Static helpers (pure, no side-effects) ---------- */
+
+  /**
+   * Parse a list of pair numbers: "5, 6" or "5 6".
+   * Throws on anything else so the caller can show the message as-is.
+   */
+  static parsePairList(text) {
+    const parts = String(text || '').split(/[\s,;]+/).filter(Boolean);
+    return parts.map((part) => {
+      if (!/^\d+$/.test(part)) throw new Error(`Невірний номер пари: «${part}»`);
+      return Number(part);
+    });
+  }
+
+  /**
+   * Parse blocked weekday+pair lines, several pairs per line allowed:
+   *   "Ср 5"  or  "пт 4, 5"  or  "3 1"
+   */
+  static parseSlotsText(text) {
+    const slots = [];
+    const lines = String(text || '').split(/\r?\n/).map((l) => l.trim()).filter(Boolean);
+
+    for (const line of lines) {
+      const m = line.match(/^(\S+)\s+(.+)$/);
+      const weekday = m ? TeacherConstraints._parseWeekday(m[1]) : 0;
+      if (!weekday) throw new Error(`Невірний рядок: «${line}» (очікується «день пара»)`);
+      for (const pairNumber of TeacherConstraints.parsePairList(m[2])) {
+        slots.push({ weekday, pairNumber });
+      }
+    }
+    return slots;
+  }
+
+  static formatSlotsText(slots) {
+    const byDay = {};
+    for (const s of slots) (byDay[s.weekday] = byDay[s.weekday] || []).push(s.pairNumber);
+    return Object.entries(byDay)
+      .map(([weekday, pairs]) => `${TeacherConstraints.WEEKDAY_SHORT[weekday]} ${pairs.join(', ')}`)
+      .join('\n');
+  }
+
+  static _rejection(rule) {
+    return { rule, reason: TeacherConstraints.RULES[rule] };
+  }
+
+  // Length of the run of adjacent pair numbers that pairNumber would join
+  static _runLength(busy, pairNumber) {
+    let length = 1;
+    for (let p = pairNumber - 1; busy.has(p); p--) length++;
+    for (let p = pairNumber + 1; busy.has(p); p++) length++;
+    return length;
+  }
+
+  static _numbers(list) {
+    return [...new Set(list.map(Number).filter((n) => Number.isInteger(n)))].sort((a, b) => a - b);
+  }
+
+  static _parseWeekday(text) {
+    const value = String(text || '').trim().toLowerCase();
+    if (/^[1-6]$/.test(value)) return Number(value);
+    const entry = Object.entries(TeacherConstraints.WEEKDAY_SHORT)
+      .find(([, short]) => short.toLowerCase() === value);
+    return entry ? Number(entry[0]) : 0;
+  }
+
+  static _dateUtils() {
+    if (typeof DateUtils !== 'undefined') return DateUtils;
+    return require('./date-utils');
+  }
+}
+
+// Rule ids and the Ukrainian text shown next to a rejected slot
+TeacherConstraints.RULES = Object.freeze({
+  'blocked-weekday':   'Вихідний / методичний день викладача',
+  'blocked-pair':      'Пара заблокована викладачем',
+  'blocked-slot':      'Пара заблокована в цей день тижня',
+  'max-pairs-per-day': 'Перевищено максимум пар на день',
+  'max-consecutive':   'Перевищено максимум пар поспіль',
+});
+
+// Less than SlotFinder.DAY_COST: a preferred pair wins within a day, not across days
+TeacherConstraints.NON_PREFERRED_COST = 5;
+
+TeacherConstraints.WEEKDAY_SHORT = Object.freeze({
+  1: 'Пн', 2: 'Вт', 3: 'Ср', 4: 'Чт', 5: 'Пт', 6: 'Сб',
+});
+
+// Universal export: works as a browser content-script global AND as a Node.js module
+if (typeof module !== 'undefined') module.exports = TeacherConstraints;
@@ -0,0 +1,311 @@
+/**
+ * TrueTypeFont — reads the parts of a .ttf file a PDF writer needs:
+ * Unicode → glyph mapping, advance widths, vertical metrics, and a glyph
+ * subset for embedding.
+ *
+ * Zero dependencies on DOM, fetch, or chrome.* APIs.
+ * Only TrueType outlines (glyf/loca) are supported, not CFF-based .otf.
+ */
+class TrueTypeFont {
+  /**
+   * @param {Uint8Array|ArrayBuffer} data — the whole .ttf file
+   */
+  constructor(data) {
+    this._bytes = data instanceof Uint8Array ? data : new Uint8Array(data);
+    this._view = new DataView(this._bytes.buffer, this._bytes.byteOffset, this._bytes.byteLength);
+    this._tables = this._readTableDirectory();
+
+    for (const tag of TrueTypeFont.REQUIRED_TABLES) {
+      if (!this._tables[tag]) throw new Error(`Шрифт не містить таблиці «${tag}» (потрібен TrueType .ttf)`);
+    }
+
+    const head = this._tables.head.offset;
+    this.unitsPerEm = this._view.getUint16(head + 18);
+    this.bbox = [0, 2, 4, 6].map((i) => this._view.getInt16(head + 36 + i));
+    this._longLoca = this._view.getInt16(head + 50) === 1;
+
+    const hhea = this._tables.hhea.offset;
+    this.ascent = this._view.getInt16(hhea + 4);
+    this.descent = this._view.getInt16(hhea + 6);
+    this._hMetricCount = this._view.getUint16(hhea + 34);
+
+    this.numGlyphs = this._view.getUint16(this._tables.maxp.offset + 4);
+    this.capHeight = this._readCapHeight();
+    this.postScriptName = this._readPostScriptName();
+    this._cmap = this._readCmap();
+  }
+
+  /** Glyph id of a Unicode code point; 0 (.notdef) when the font lacks it. */
+  glyphId(codePoint) {
+    return this._cmap.get(codePoint) || 0;
+  }
+
+  /** Advance width of a glyph in font units. */
+  advanceWidth(glyphId) {
+    const index = Math.min(glyphId, this._hMetricCount - 1);
+    return this._view.getUint16(this._tables.hmtx.offset + index * 4);
+  }
+
+  /** Width of a string in points at a font size. */
+  textWidth(text, size) {
+    let units = 0;
+    for (const ch of String(text)) units += this.advanceWidth(this.glyphId(ch.codePointAt(0)));
+    return units * size / this.unitsPerEm;
+  }
+
+  /**
+   * A copy of the font where every glyph outside `glyphIds` (and the
+   * components of composite glyphs) is empty. Glyph ids stay the same,
+   * so text encoded against this font still works.
+   *
+   * @param {Iterable<number>} glyphIds
+   * @returns {Uint8Array}
+   */
+  subset(glyphIds) {
+    const keep = this._withComponents(new Set([0, ...glyphIds]));
+
+    // glyf with only the kept outlines, each padded to 4 bytes; long loca
+    const glyphs = [];
+    const loca = new DataView(new ArrayBuffer((this.numGlyphs + 1) * 4));
+    let offset = 0;
+    for (let gid = 0; gid < this.numGlyphs; gid++) {
+      loca.setUint32(gid * 4, offset);
+      if (!keep.has(gid)) continue;
+      const { start, end } = this._glyphRange(gid);
+      const length = end - start;
+      if (length === 0) continue;
+      const padded = new Uint8Array(Math.ceil(length / 4) * 4);
+      padded.set(this._bytes.subarray(start, end));
+      glyphs.push(padded);
+      offset += padded.length;
+    }
+    loca.setUint32(this.numGlyphs * 4, offset);
+
+    const head = this._table('head').slice();
+    new DataView(head.buffer).setUint32(8, 0);   // checkSumAdjustment
+    new DataView(head.buffer).setInt16(50, 1);   // indexToLocFormat: long
+
+    const tables = {
+      head,
+      hhea: this._table('hhea'),
+      maxp: this._table('maxp'),
+      hmtx: this._table('hmtx'),
+      loca: new Uint8Array(loca.buffer),
+      glyf: TrueTypeFont._concat(glyphs),
+    };
+    for (const tag of TrueTypeFont.COPIED_TABLES) {
+      if (this._tables[tag]) tables[tag] = this._table(tag);
+    }
+    return TrueTypeFont._writeFont(tables);
+  }
+
+  /* ---------- Parsing ---------- */
+
+  _readTableDirectory() {
+    const view = this._view;
+    if (view.byteLength < 12) throw new Error('Файл шрифту пошкоджений');
+    const count = view.getUint16(4);
+    const tables = {};
+    for (let i = 0; i < count; i++) {
+      const record = 12 + i * 16;
+      const tag = String.fromCharCode(...this._bytes.subarray(record, record + 4));
+      tables[tag] = { offset: view.getUint32(record + 8), length: view.getUint32(record + 12) };
+    }
+    return tables;
+  }
+
+  _table(tag) {
+    const { offset, length } = this._tables[tag];
+    return this._bytes.subarray(offset, offset + length);
+  }
+
+  // sCapHeight exists from OS/2 version 2; older fonts get 70% of the ascent
+  _readCapHeight() {
+    const os2 = this._tables['OS/2'];
+    if (os2 && os2.length >= 90 && this._view.getUint16(os2.offset) >= 2) {
+      return this._view.getInt16(os2.offset + 88);
+    }
+    return Math.round(this.ascent * 0.7);
+  }
+
+  // nameID 6 from a Windows (UTF-16BE) name record, else a neutral fallback
+  _readPostScriptName() {
+    const name = this._tables.name;
+    if (!name) return 'Font';
+    const view = this._view;
+    const count = view.getUint16(name.offset + 2);
+    const strings = name.offset + view.getUint16(name.offset + 4);
+    for (let i = 0; i < count; i++) {
+      const record = name.offset + 6 + i * 12;
+      if (view.getUint16(record) === 3 && view.getUint16(record + 6) === 6) {
+        const length = view.getUint16(record + 8);
+        const start = strings + view.getUint16(record + 10);
+        let text = '';
+        for (let p = start; p < start + length; p += 2) text += String.fromCharCode(view.getUint16(p));
+        return text.replace(/[^\x21-\x7e]/g, '') || 'Font';
+      }
+    }
+    return 'Font';
+  }
+
+  /** Map of code point → glyph id from the best Unicode cmap subtable. */
+  _readCmap() {
+    const view = this._view;
+    const cmap = this._tables.cmap.offset;
+    const count = view.getUint16(cmap + 2);
+    const subtables = [];
+    for (let i = 0; i < count; i++) {
+      const record = cmap + 4 + i * 8;
+      const offset = cmap + view.getUint32(record + 4);
+      subtables.push({
+        platform: view.getUint16(record),
+        encoding: view.getUint16(record + 2),
+        format: view.getUint16(offset),
+        offset,
+      });
+    }
+
+    const pick = (platform, encoding, format) => subtables.find((s) =>
+      s.platform === platform && s.encoding === encoding && s.format === format);
+    const table = pick(3, 10, 12) || pick(0, 4, 12) || pick(3, 1, 4) || pick(0, 3, 4);
+    if (!table) throw new Error('Шрифт не містить Unicode-таблиці символів (cmap)');
+
+    return table.format === 12 ? this._readCmap12(table.offset) : this._readCmap4(table.offset);
+  }
+
+  _readCmap4(offset) {
+    const view = this._view;
+    const map = new Map();
+    const segCount = view.getUint16(offset + 6) / 2;
+    const ends = offset + 14;
+    const starts = ends + segCount * 2 + 2;
+    const deltas = starts + segCount * 2;
+    const ranges = deltas + segCount * 2;
+
+    for (let s = 0; s < segCount; s++) {
+      const start = view.getUint16(starts + s * 2);
+      const end = view.getUint16(ends + s * 2);
+      const delta = view.getInt16(deltas + s * 2);
+      const rangeOffset = view.getUint16(ranges + s * 2);
+      for (let code = start; code <= end && code !== 0xffff; code++) {
+        let gid;
+        if (rangeOffset === 0) {
+          gid = (code + delta) & 0xffff;
+        } else {
+          const p = ranges + s * 2 + rangeOffset + (code - start) * 2;
+          gid = view.getUint16(p);
+          if (gid !== 0) gid = (gid + delta) & 0xffff;
+        }
+        if (gid !== 0) map.set(code, gid);
+      }
+    }
+    return map;
+  }
+
+  _readCmap12(offset) {
+    const view = this._view;
+    const map = new Map();
+    const groups = view.getUint32(offset + 12);
+    for (let g = 0; g < groups; g++) {
+      const record = offset + 16 + g * 12;
+      const start = view.getUint32(record);
+      const end = view.getUint32(record + 4);
+      const firstGid = view.getUint32(record + 8);
+      for (let code = start; code <= end; code++) map.set(code, firstGid + code - start);
+    }
+    return map;
+  }
+
+  _glyphRange(gid) {
+    const loca = this._tables.loca.offset;
+    const glyf = this._tables.glyf.offset;
+    const at = (i) => (this._longLoca
+      ? this._view.getUint32(loca + i * 4)
+      : this._view.getUint16(loca + i * 2) * 2);
+    return { start: glyf + at(gid), end: glyf + at(gid + 1) };
+  }
+
+  // Composite glyphs are drawn from other glyphs — those must stay too
+  _withComponents(glyphIds) {
+    const result = new Set();
+    const queue = [...glyphIds].filter((gid) => gid < this.numGlyphs);
+    while (queue.length > 0) {
+      const gid = queue.pop();
+      if (result.has(gid)) continue;
+      result.add(gid);
+
+      const { start, end } = this._glyphRange(gid);
+      if (end - start < 10 || this._view.getInt16(start) >= 0) continue;
+
+      let p = start + 10;
+      let flags;
+      do {
+        flags = this._view.getUint16(p);
+        queue.push(this._view.getUint16(p + 2));
+        p += 4 + (flags & 0x0001 ? 4 : 2);   // ARG_1_AND_2_ARE_WORDS
+        if (flags & 0x0008) p += 2;          // WE_HAVE_A_SCALE
+        else if (flags & 0x0040) p += 4;     // WE_HAVE_AN_X_AND_Y_SCALE
+        else if (flags & 0x0080) p += 8;     // WE_HAVE_A_TWO_BY_TWO
+      } while (flags & 0x0020);              // MORE_COMPONENTS
+    }
+    return result;
+  }
+
+  /* ---------- Static helpers (pure, no side-effects) ---------- */
+
+  /** Assemble an sfnt file from {tag: bytes}, with 4-byte aligned, checksummed tables. */
+  static _writeFont(tables) {
+    const tags = Object.keys(tables).sort();
+    const count = tags.length;
+    const searchRange = 2 ** Math.floor(Math.log2(count)) * 16;
+
+    const header = new DataView(new ArrayBuffer(12 + count * 16));
+    header.setUint32(0, 0x00010000);
+    header.setUint16(4, count);
+    header.setUint16(6, searchRange);
+    header.setUint16(8, Math.floor(Math.log2(count)));
+    header.setUint16(10, count * 16 - searchRange);
+
+    const parts = [new Uint8Array(header.buffer)];
+    let offset = header.byteLength;
+    tags.forEach((tag, i) => {
+      const data = tables[tag];
+      const padded = new Uint8Array(Math.ceil(data.length / 4) * 4);
+      padded.set(data);
+      const record = 12 + i * 16;
+      for (let c = 0; c < 4; c++) header.setUint8(record + c, tag.charCodeAt(c));
+      header.setUint32(record + 4, TrueTypeFont._checksum(padded));
+      header.setUint32(record + 8, offset);
+      header.setUint32(record + 12, data.length);
+      parts.push(padded);
+      offset += padded.length;
+    });
+    return TrueTypeFont._concat(parts);
+  }
+
+  static _checksum(padded) {
+    const view = new DataView(padded.buffer, padded.byteOffset, padded.byteLength);
+    let sum = 0;
+    for (let i = 0; i < padded.length; i += 4) sum = (sum + view.getUint32(i)) >>> 0;
+    return sum;
+  }
+
+  static _concat(parts) {
+    const out = new Uint8Array(parts.reduce((n, p) => n + p.length, 0));
+    let offset = 0;
+    for (const p of parts) {
+      out.set(p, offset);
+      offset += p.length;
+    }
+    return out;
+  }
+}
+
+TrueTypeFont.REQUIRED_TABLES = Object.freeze(['cmap', 'glyf', 'head', 'hhea', 'hmtx', 'loca', 'maxp']);
+
+// Copied into subsets as-is: character map, OS/2 metrics and hinting programs,
+// so the subset is still a complete font that renders like the original
+TrueTypeFont.COPIED_TABLES = Object.freeze(['OS/2', 'cmap', 'cvt ', 'fpgm', 'prep']);
+
+// Universal export: works as a browser content-script global AND as a Node.js module
+if (typeof module !== 'undefined') module.exports = TrueTypeFont;
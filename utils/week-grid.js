@@ -0,0 +1,107 @@
+/**
+ * WeekGrid — a period's lessons laid out week by week as days × pairs.
+ *
+ * Zero dependencies on DOM, fetch, or chrome.* APIs. Bells and teaching days
+ * come in as functions (BellSchedule#pairNumbersFor, AcademicCalendar#isTeachingDay),
+ * so the popup passes the active settings and tests pass plain stubs.
+ */
+class WeekGrid {
+  /**
+   * @param {Array} entries — schedule entries (fetchedEntries); cells refer to them by index
+   * @param {object} params
+   * @param {string} params.start — YYYY-MM-DD, first date of the period
+   * @param {string} params.end   — YYYY-MM-DD, last date of the period
+   * @param {function} [params.pairNumbersFor] — date → pair numbers rung that day
+   * @param {function} [params.isTeachingDay]  — date → boolean
+   * @returns {Array} weeks: [{ start, end, days, pairs, rows }]
+   *   days: [{ date, weekday, inPeriod, teaching }]  — Mon–Fri, plus Sat/Sun when
+   *         any lesson of the period falls on them
+   *   pairs: pair numbers shown (rung on any day of the period or used by a lesson)
+   *   rows: [{ pairNumber, cells: [{ date, pairNumber, lessons: [index], state }] }]
+   *         state: 'busy' | 'free' (teaching day, pair rung, no lesson) | 'off'
+   */
+  static build(entries, {
+    start, end, pairNumbersFor = () => WeekGrid.DEFAULT_PAIRS, isTeachingDay = WeekGrid._isWeekday,
+  }) {
+    const byCell = new Map();
+    entries.forEach((entry, index) => {
+      if (!entry.date || entry.date < start || entry.date > end) return;
+      const key = `${entry.date}|${entry.pairNumber}`;
+      if (!byCell.has(key)) byCell.set(key, []);
+      byCell.get(key).push(index);
+    });
+
+    const dates = WeekGrid._dates(start, end);
+    const weekdays = new Set([1, 2, 3, 4, 5]);
+    const pairs = new Set();
+    for (const date of dates) {
+      if (isTeachingDay(date)) pairNumbersFor(date).forEach((n) => pairs.add(n));
+    }
+    for (const indices of byCell.values()) {
+      const entry = entries[indices[0]];
+      weekdays.add(WeekGrid._weekday(entry.date));
+      pairs.add(entry.pairNumber);
+    }
+    const pairList = [...pairs].filter((n) => Number.isInteger(n) && n > 0).sort((a, b) => a - b);
+    const shownDays = [1, 2, 3, 4, 5, 6, 0].filter((d) => weekdays.has(d));
+
+    const weeks = [];
+    for (let monday = WeekGrid.weekStart(start); monday <= end; monday = WeekGrid._dateUtils().shift(monday, 7)) {
+      const days = shownDays.map((weekday) => {
+        const date = WeekGrid._dateUtils().shift(monday, (weekday + 6) % 7);
+        const inPeriod = date >= start && date <= end;
+        return { date, weekday, inPeriod, teaching: inPeriod && isTeachingDay(date) };
+      });
+
+      const rows = pairList.map((pairNumber) => ({
+        pairNumber,
+        cells: days.map((day) => {
+          const lessons = byCell.get(`${day.date}|${pairNumber}`) || [];
+          let state = 'off';
+          if (lessons.length > 0) state = 'busy';
+          else if (day.teaching && pairNumbersFor(day.date).includes(pairNumber)) state = 'free';
+          return { date: day.date, pairNumber, lessons, state };
+        }),
+      }));
+
+      weeks.push({ start: monday, end: WeekGrid._dateUtils().shift(monday, 6), days, pairs: pairList, rows });
+    }
+    return weeks;
+  }
+
+  /* ---------- Static helpers (pure, no side-effects) ---------- */
+
+  /** Monday of a date's week. */
+  static weekStart(dateStr) {
+    return WeekGrid._dateUtils().weekStart(dateStr);
+  }
+
+  static _dates(start, end) {
+    const dates = [];
+    for (let date = start; date <= end; date = WeekGrid._dateUtils().shift(date, 1)) dates.push(date);
+    return dates;
+  }
+
+  static _isWeekday(dateStr) {
+    const day = WeekGrid._weekday(dateStr);
+    return day >= 1 && day <= 5;
+  }
+
+  static _weekday(dateStr) {
+    return WeekGrid._dateUtils().weekday(dateStr);
+  }
+
+  static _dateUtils() {
+    if (typeof DateUtils !== 'undefined') return DateUtils;
+    return require('./date-utils');
+  }
+}
+
+// Pairs shown when no bell schedule is passed
+WeekGrid.DEFAULT_PAIRS = [1, 2, 3, 4, 5, 6];
+
+// Short column headings by Date#getDay
+WeekGrid.DAY_SHORT = ['Нд', 'Пн', 'Вт', 'Ср', 'Чт', 'Пт', 'Сб'];
+
+// Universal export: works as a browser content-script global AND as a Node.js module
+if (typeof module !== 'undefined') module.exports = WeekGrid;
@@ -0,0 +1,159 @@
+/**
+ * WorkloadReport — a teacher's hours for a period, per subject and group,
+ * per group, per subject, per week and per month, compared with the planned
+ * hours entered for each subject + group.
+ *
+ * Zero dependencies on DOM, fetch, or chrome.* APIs. Hours come from the
+ * "Кількість годин" line of each lesson (ScheduleParser, entry.hours).
+ */
+class WorkloadReport {
+  /**
+   * @param {Array} entries — schedule entries of the period
+   * @param {object} [options]
+   * @param {Array}  [options.plan] — [{ subject, group, hours }] planned hours
+   * @returns {object} { lessons, hours, pairs, groups, subjects, weeks, months }
+   *   pairs:    [{ subject, group, lessons, hours, planned, diff, status }] — every
+   *             subject + group taught or planned, planned ones first in plan order
+   *   groups:   [{ group, lessons, hours, planned, diff, status }]
+   *   subjects: [{ subject, lessons, hours, planned, diff, status }]
+   *   weeks:    [{ start, end, lessons, hours }] — Monday to Sunday, by date
+   *   months:   [{ month: 'YYYY-MM', lessons, hours }]
+   *   planned is null (status '') where nothing was planned; status is
+   *   'over' | 'under' | 'ok' (see WorkloadReport.STATUS_LABELS)
+   */
+  static build(entries, { plan = [] } = {}) {
+    const pairs = new Map();
+    const groups = new Map();
+    const subjects = new Map();
+    const weeks = new Map();
+    const months = new Map();
+    // Names are matched loosely; the site's spelling replaces the plan's
+    const row = (map, key, fields) => {
+      if (!map.has(key)) map.set(key, { lessons: 0, hours: 0, planned: null });
+      return Object.assign(map.get(key), fields);
+    };
+    const norm = WorkloadReport._normalize;
+
+    // Planned rows first, so the report follows the order of the plan
+    for (const item of plan) {
+      const subject = String(item.subject).trim();
+      const group = String(item.group).trim();
+      row(pairs, `${norm(subject)}|${norm(group)}`, { subject, group }).planned = item.hours;
+      WorkloadReport._addPlanned(row(groups, norm(group), { group }), item.hours);
+      WorkloadReport._addPlanned(row(subjects, norm(subject), { subject }), item.hours);
+    }
+
+    let total = 0;
+    for (const entry of entries) {
+      const hours = WorkloadReport.hoursOf(entry);
+      const subject = String(entry.subject || '').trim();
+      const group = String(entry.group || '').trim();
+      const targets = [
+        row(pairs, `${norm(subject)}|${norm(group)}`, { subject, group }),
+        row(groups, norm(group), { group }),
+        row(subjects, norm(subject), { subject }),
+      ];
+      if (entry.date) {
+        const start = WorkloadReport.weekStart(entry.date);
+        targets.push(row(weeks, start, { start, end: WorkloadReport._dateUtils().shift(start, 6) }));
+        targets.push(row(months, entry.date.slice(0, 7), { month: entry.date.slice(0, 7) }));
+      }
+      for (const target of targets) {
+        target.lessons++;
+        target.hours += hours;
+      }
+      total += hours;
+    }
+
+    const compared = (map) => [...map.values()].map(WorkloadReport._compare);
+    const byDate = (key) => (a, b) => a[key].localeCompare(b[key]);
+    const dated = (map, key) => [...map.values()]
+      .map(({ planned, ...rest }) => rest)
+      .sort(byDate(key));
+
+    return {
+      lessons: entries.length,
+      hours: total,
+      pairs: compared(pairs),
+      groups: compared(groups),
+      subjects: compared(subjects),
+      weeks: dated(weeks, 'start'),
+      months: dated(months, 'month'),
+    };
+  }
+
+  /** Hours of one lesson: its "Кількість годин", else DEFAULT_HOURS. */
+  static hoursOf(entry) {
+    const hours = Number(entry.hours);
+    return entry.hours !== null && entry.hours !== '' && Number.isFinite(hours) && hours > 0
+      ? hours
+      : WorkloadReport.DEFAULT_HOURS;
+  }
+
+  /* ---------- Static helpers (pure, no side-effects) ---------- */
+
+  /**
+   * Parse the settings textarea format, one subject + group per line:
+   *   "Інформатика; 16кб (2025); 64"
+   * Throws on malformed lines so the caller can show the message as-is.
+   */
+  static parsePlanText(text) {
+    const plan = [];
+    const seen = new Set();
+    const lines = String(text || '').split(/\r?\n/).map((l) => l.trim()).filter(Boolean);
+
+    for (const line of lines) {
+      const parts = line.split(';').map((p) => p.trim());
+      const hours = parts.length === 3 ? Number(parts[2].replace(',', '.')) : NaN;
+      if (!parts[0] || !parts[1] || !(hours > 0)) {
+        throw new Error(`Невірний рядок плану: «${line}» (очікується «дисципліна; група; години»)`);
+      }
+      const key = `${WorkloadReport._normalize(parts[0])}|${WorkloadReport._normalize(parts[1])}`;
+      if (seen.has(key)) throw new Error(`План для «${parts[0]}; ${parts[1]}» вказано двічі`);
+      seen.add(key);
+      plan.push({ subject: parts[0], group: parts[1], hours });
+    }
+    return plan;
+  }
+
+  static formatPlanText(plan) {
+    return (plan || []).map((p) => `${p.subject}; ${p.group}; ${p.hours}`).join('\n');
+  }
+
+  /** Monday of a date's week. */
+  static weekStart(dateStr) {
+    return WorkloadReport._dateUtils().weekStart(dateStr);
+  }
+
+  static _addPlanned(target, hours) {
+    target.planned = (target.planned || 0) + hours;
+  }
+
+  static _compare(item) {
+    if (item.planned === null) return { ...item, diff: null, status: '' };
+    const diff = item.hours - item.planned;
+    return { ...item, diff, status: diff > 0 ? 'over' : diff < 0 ? 'under' : 'ok' };
+  }
+
+  static _normalize(value) {
+    return String(value || '').trim().replace(/\s+/g, ' ').toLowerCase();
+  }
+
+  static _dateUtils() {
+    if (typeof DateUtils !== 'undefined') return DateUtils;
+    return require('./date-utils');
+  }
+}
+
+// Academic hours of a lesson whose row has no "Кількість годин" (one pair)
+WorkloadReport.DEFAULT_HOURS = 2;
+
+// Plan comparison labels
+WorkloadReport.STATUS_LABELS = {
+  over: 'Понад план',
+  under: 'Менше плану',
+  ok: 'За планом',
+};
+
+// Universal export: works as a browser content-script global AND as a Node.js module
+if (typeof module !== 'undefined') module.exports = WorkloadReport;
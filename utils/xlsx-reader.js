@@ -0,0 +1,130 @@
+/**
+ * XlsxReader — the cell values of an Excel workbook's first sheet.
+ *
+ * Zero dependencies on DOM, fetch, or chrome.* APIs. Unpacks the file with
+ * ZipReader (utils/zip-reader.js, loaded before this file) and reads the
+ * SpreadsheetML parts with regular expressions — enough for the plain
+ * tables people import (numbers, shared and inline strings, booleans);
+ * formulas give their cached value, styles and dates are not interpreted.
+ */
+class XlsxReader {
+  /**
+   * @param {Uint8Array|ArrayBuffer} bytes — the .xlsx file
+   * @returns {Promise<Array<Array<string|number|boolean|null>>>} rows of the
+   *   first sheet; gaps between cells are null, trailing empty rows dropped
+   */
+  static async readRows(bytes) {
+    const files = await XlsxReader._zipReader().read(bytes);
+    const text = (name) => (files[name] ? new TextDecoder().decode(files[name]) : '');
+
+    const sheetPath = XlsxReader._firstSheetPath(text('xl/workbook.xml'), text('xl/_rels/workbook.xml.rels'));
+    const sheet = text(sheetPath);
+    if (!sheet) throw new Error('У файлі немає аркуша Excel');
+
+    return XlsxReader.parseSheet(sheet, XlsxReader.parseSharedStrings(text('xl/sharedStrings.xml')));
+  }
+
+  /* ---------- Static helpers (pure, no side-effects) ---------- */
+
+  /**
+   * Rows of a worksheet XML part.
+   *
+   * @param {string} xml — xl/worksheets/sheetN.xml
+   * @param {string[]} sharedStrings — see parseSharedStrings()
+   */
+  static parseSheet(xml, sharedStrings = []) {
+    const rows = [];
+    const rowPattern = /<row\b([^>]*?)(?:\/>|>([\s\S]*?)<\/row>)/g;
+    const cellPattern = /<c\b([^>]*?)(?:\/>|>([\s\S]*?)<\/c>)/g;
+
+    for (const [, rowAttrs, rowBody = ''] of xml.matchAll(rowPattern)) {
+      const rowNumber = Number(XlsxReader._attr(rowAttrs, 'r')) || rows.length + 1;
+      const cells = [];
+      for (const [, attrs, body = ''] of rowBody.matchAll(cellPattern)) {
+        const ref = XlsxReader._attr(attrs, 'r');
+        const column = ref ? XlsxReader.columnIndex(ref) : cells.length;
+        const value = XlsxReader._cellValue(XlsxReader._attr(attrs, 't'), body, sharedStrings);
+        while (cells.length < column) cells.push(null);
+        cells[column] = value;
+      }
+      while (rows.length < rowNumber - 1) rows.push([]);
+      rows[rowNumber - 1] = cells;
+    }
+
+    while (rows.length > 0 && rows[rows.length - 1].every((v) => v === null || v === '')) rows.pop();
+    return rows;
+  }
+
+  /** Text of every <si> of xl/sharedStrings.xml (rich-text runs joined). */
+  static parseSharedStrings(xml) {
+    return [...String(xml || '').matchAll(/<si>([\s\S]*?)<\/si>/g)].map(([, si]) => XlsxReader._text(si));
+  }
+
+  /** Zero-based column of a cell reference: "A1" → 0, "AB12" → 27. */
+  static columnIndex(ref) {
+    const letters = ref.match(/^[A-Z]+/i)[0].toUpperCase();
+    let index = 0;
+    for (const ch of letters) index = index * 26 + (ch.charCodeAt(0) - 64);
+    return index - 1;
+  }
+
+  static _cellValue(type, body, sharedStrings) {
+    const v = body.match(/<v>([\s\S]*?)<\/v>/);
+    switch (type) {
+      case 's': return v ? sharedStrings[Number(v[1])] ?? '' : '';
+      case 'inlineStr': return XlsxReader._text(body);
+      case 'str':
+      case 'e': return v ? XlsxReader._unescape(v[1]) : '';
+      case 'b': return v ? v[1] === '1' : null;
+      default: {
+        if (!v) return null;
+        const n = Number(v[1]);
+        return Number.isFinite(n) ? n : XlsxReader._unescape(v[1]);
+      }
+    }
+  }
+
+  // Text runs <t>…</t> of a string item; phonetic runs (<rPh>) are skipped
+  static _text(xml) {
+    const withoutPhonetic = xml.replace(/<rPh\b[\s\S]*?<\/rPh>/g, '');
+    return [...withoutPhonetic.matchAll(/<t\b[^>]*>([\s\S]*?)<\/t>/g)]
+      .map(([, t]) => XlsxReader._unescape(t))
+      .join('');
+  }
+
+  static _firstSheetPath(workbook, rels) {
+    const sheet = workbook.match(/<sheet\b[^>]*>/);
+    const id = sheet && XlsxReader._attr(sheet[0], 'r:id');
+    for (const [rel] of rels.matchAll(/<Relationship\b[^>]*>/g)) {
+      if (XlsxReader._attr(rel, 'Id') !== id) continue;
+      const target = XlsxReader._attr(rel, 'Target');
+      return target.startsWith('/') ? target.slice(1) : `xl/${target}`;
+    }
+    return 'xl/worksheets/sheet1.xml';
+  }
+
+  static _attr(attrs, name) {
+    const m = attrs.match(new RegExp(`(?:^|\\s)${name}="([^"]*)"`));
+    return m ? XlsxReader._unescape(m[1]) : '';
+  }
+
+  static _unescape(text) {
+    return text
+      .replace(/_x([0-9A-Fa-f]{4})_/g, (_, hex) => String.fromCharCode(parseInt(hex, 16)))
+      .replace(/&#x([0-9A-Fa-f]+);/g, (_, hex) => String.fromCodePoint(parseInt(hex, 16)))
+      .replace(/&#(\d+);/g, (_, dec) => String.fromCodePoint(Number(dec)))
+      .replace(/&lt;/g, '<')
+      .replace(/&gt;/g, '>')
+      .replace(/&quot;/g, '"')
+      .replace(/&apos;/g, "'")
+      .replace(/&amp;/g, '&');
+  }
+
+  static _zipReader() {
+    if (typeof ZipReader !== 'undefined') return ZipReader;
+    return require('./zip-reader');
+  }
+}
+
+// Universal export: works as a browser content-script global AND as a Node.js module
+if (typeof module !== 'undefined') module.exports = XlsxReader;
@@ -0,0 +1,250 @@
+/**
+ * XlsxWriter — builds a genuine Office Open XML workbook (.xlsx).
+ *
+ * Zero dependencies on DOM, fetch, or chrome.* APIs; needs ZipWriter
+ * (utils/zip-writer.js) loaded before this file, or resolvable via require().
+ *
+ * Every sheet gets a styled, frozen header row, fixed column widths and
+ * typed cells: numbers stay numbers, YYYY-MM-DD dates become real Excel
+ * dates shown as DD.MM.YYYY.
+ */
+class XlsxWriter {
+  constructor() {
+    this._sheets = [];
+  }
+
+  /**
+   * Add a worksheet.
+   *
+   * @param {string} name — shown on the tab; sanitised and made unique
+   * @param {object} sheet
+   * @param {Array}  sheet.columns — [{header, width?, type?: 'string'|'number'|'date'}]
+   * @param {Array}  sheet.rows    — arrays of cell values in column order;
+   *                                 null / '' cells are left empty
+   */
+  addSheet(name, { columns, rows = [] }) {
+    const used = this._sheets.map((s) => s.name);
+    this._sheets.push({ name: XlsxWriter.sheetName(name, used), columns, rows });
+    return this;
+  }
+
+  /** The workbook as zip bytes. */
+  toUint8Array() {
+    if (this._sheets.length === 0) throw new Error('Workbook has no sheets');
+
+    const Zip = XlsxWriter._zipWriter();
+    const zip = new Zip();
+    zip.addFile('[Content_Types].xml', this._contentTypes());
+    zip.addFile('_rels/.rels', XlsxWriter._rootRels());
+    zip.addFile('xl/workbook.xml', this._workbook());
+    zip.addFile('xl/_rels/workbook.xml.rels', this._workbookRels());
+    zip.addFile('xl/styles.xml', XlsxWriter._styles());
+    this._sheets.forEach((sheet, i) => {
+      zip.addFile(`xl/worksheets/sheet${i + 1}.xml`, XlsxWriter._sheetXML(sheet));
+    });
+    return zip.toUint8Array();
+  }
+
+  /** The workbook as a Blob (browser contexts). */
+  toBlob() {
+    return new Blob([this.toUint8Array()], { type: XlsxWriter.MIME_TYPE });
+  }
+
+  /* ---------- Package parts ---------- */
+
+  _contentTypes() {
+    const sheets = this._sheets.map((_, i) =>
+      `<Override PartName="/xl/worksheets/sheet${i + 1}.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>`
+    ).join('');
+    return XlsxWriter.XML_HEADER
+      + '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">'
+      + '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>'
+      + '<Default Extension="xml" ContentType="application/xml"/>'
+      + '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>'
+      + '<Override PartName="/xl/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/>'
+      + sheets
+      + '</Types>';
+  }
+
+  static _rootRels() {
+    return XlsxWriter.XML_HEADER
+      + '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">'
+      + '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/>'
+      + '</Relationships>';
+  }
+
+  _workbook() {
+    const sheets = this._sheets.map((s, i) =>
+      `<sheet name="${XlsxWriter.escapeXML(s.name)}" sheetId="${i + 1}" r:id="rId${i + 1}"/>`
+    ).join('');
+    return XlsxWriter.XML_HEADER
+      + '<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main"'
+      + ' xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">'
+      + `<sheets>${sheets}</sheets>`
+      + '</workbook>';
+  }
+
+  _workbookRels() {
+    const sheets = this._sheets.map((_, i) =>
+      `<Relationship Id="rId${i + 1}" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet${i + 1}.xml"/>`
+    ).join('');
+    const stylesId = this._sheets.length + 1;
+    return XlsxWriter.XML_HEADER
+      + '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">'
+      + sheets
+      + `<Relationship Id="rId${stylesId}" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/styles" Target="styles.xml"/>`
+      + '</Relationships>';
+  }
+
+  /**
+   * Cell formats (cellXfs index = XlsxWriter.STYLE):
+   *   0 default, 1 header (bold, filled, bordered, centred, wrapped),
+   *   2 text, 3 number, 4 date (DD.MM.YYYY) — all bordered.
+   */
+  static _styles() {
+    const border = 'borderId="1" applyBorder="1"';
+    return XlsxWriter.XML_HEADER
+      + '<styleSheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">'
+      + '<numFmts count="1"><numFmt numFmtId="164" formatCode="dd\\.mm\\.yyyy"/></numFmts>'
+      + '<fonts count="2">'
+      + '<font><sz val="11"/><name val="Calibri"/><family val="2"/></font>'
+      + '<font><b/><sz val="11"/><name val="Calibri"/><family val="2"/></font>'
+      + '</fonts>'
+      + '<fills count="3">'
+      + '<fill><patternFill patternType="none"/></fill>'
+      + '<fill><patternFill patternType="gray125"/></fill>'
+      + '<fill><patternFill patternType="solid"><fgColor rgb="FFD9E2F3"/><bgColor indexed="64"/></patternFill></fill>'
+      + '</fills>'
+      + '<borders count="2">'
+      + '<border><left/><right/><top/><bottom/><diagonal/></border>'
+      + '<border><left style="thin"><color auto="1"/></left><right style="thin"><color auto="1"/></right>'
+      + '<top style="thin"><color auto="1"/></top><bottom style="thin"><color auto="1"/></bottom><diagonal/></border>'
+      + '</borders>'
+      + '<cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs>'
+      + '<cellXfs count="5">'
+      + '<xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/>'
+      + `<xf numFmtId="0" fontId="1" fillId="2" ${border} xfId="0" applyFont="1" applyFill="1" applyAlignment="1">`
+      + '<alignment horizontal="center" vertical="center" wrapText="1"/></xf>'
+      + `<xf numFmtId="0" fontId="0" fillId="0" ${border} xfId="0" applyAlignment="1"><alignment vertical="top" wrapText="1"/></xf>`
+      + `<xf numFmtId="0" fontId="0" fillId="0" ${border} xfId="0" applyAlignment="1"><alignment horizontal="center" vertical="top"/></xf>`
+      + `<xf numFmtId="164" fontId="0" fillId="0" ${border} xfId="0" applyNumberFormat="1" applyAlignment="1"><alignment horizontal="center" vertical="top"/></xf>`
+      + '</cellXfs>'
+      + '<cellStyles count="1"><cellStyle name="Normal" xfId="0" builtinId="0"/></cellStyles>'
+      + '</styleSheet>';
+  }
+
+  static _sheetXML({ columns, rows }) {
+    const lastCol = XlsxWriter.columnLetter(columns.length - 1);
+    const cols = columns.map((c, i) =>
+      `<col min="${i + 1}" max="${i + 1}" width="${c.width || XlsxWriter.DEFAULT_WIDTH}" customWidth="1"/>`
+    ).join('');
+
+    const header = `<row r="1">${columns.map((c, i) =>
+      XlsxWriter._cell(`${XlsxWriter.columnLetter(i)}1`, c.header, 'string', XlsxWriter.STYLE.header)
+    ).join('')}</row>`;
+
+    const body = rows.map((row, r) => {
+      const ref = r + 2;
+      const cells = columns.map((c, i) =>
+        XlsxWriter._cell(`${XlsxWriter.columnLetter(i)}${ref}`, row[i], c.type || 'string')
+      ).join('');
+      return `<row r="${ref}">${cells}</row>`;
+    }).join('');
+
+    return XlsxWriter.XML_HEADER
+      + '<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main"'
+      + ' xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">'
+      + `<dimension ref="A1:${lastCol}${rows.length + 1}"/>`
+      + '<sheetViews><sheetView workbookViewId="0">'
+      + '<pane ySplit="1" topLeftCell="A2" activePane="bottomLeft" state="frozen"/>'
+      + '<selection pane="bottomLeft" activeCell="A2" sqref="A2"/>'
+      + '</sheetView></sheetViews>'
+      + '<sheetFormatPr defaultRowHeight="15"/>'
+      + `<cols>${cols}</cols>`
+      + `<sheetData>${header}${body}</sheetData>`
+      + '</worksheet>';
+  }
+
+  /**
+   * One <c> element. Numbers and dates fall back to text when the value
+   * does not parse, so nothing is silently lost.
+   */
+  static _cell(ref, value, type, style) {
+    if (value === null || value === undefined || value === '') return '';
+
+    if (type === 'number' && Number.isFinite(Number(value)) && String(value).trim() !== '') {
+      return `<c r="${ref}" s="${style || XlsxWriter.STYLE.number}"><v>${Number(value)}</v></c>`;
+    }
+    if (type === 'date') {
+      const serial = XlsxWriter.dateSerial(value);
+      if (serial !== null) return `<c r="${ref}" s="${style || XlsxWriter.STYLE.date}"><v>${serial}</v></c>`;
+    }
+    return `<c r="${ref}" s="${style || XlsxWriter.STYLE.text}" t="inlineStr"><is><t xml:space="preserve">${XlsxWriter.escapeXML(String(value))}</t></is></c>`;
+  }
+
+  /* ---------- Static helpers (pure, no side-effects) ---------- */
+
+  /** 0 → "A", 25 → "Z", 26 → "AA". */
+  static columnLetter(index) {
+    let n = index + 1;
+    let letters = '';
+    while (n > 0) {
+      const rem = (n - 1) % 26;
+      letters = String.fromCharCode(65 + rem) + letters;
+      n = Math.floor((n - 1) / 26);
+    }
+    return letters;
+  }
+
+  /** Excel serial day number of a YYYY-MM-DD date (1900 date system), or null. */
+  static dateSerial(dateStr) {
+    const m = String(dateStr).match(/^(\d{4})-(\d{2})-(\d{2})$/);
+    if (!m) return null;
+    const utc = Date.UTC(Number(m[1]), Number(m[2]) - 1, Number(m[3]));
+    return Math.round((utc - Date.UTC(1899, 11, 30)) / 86400000);
+  }
+
+  /**
+   * A valid, unique sheet name: no []:*?/\ characters, at most 31 chars.
+   */
+  static sheetName(name, used = []) {
+    const base = String(name || 'Аркуш').replace(/[[\]:*?/\\]/g, ' ').replace(/\s+/g, ' ').trim()
+      .slice(0, XlsxWriter.MAX_SHEET_NAME) || 'Аркуш';
+    const taken = new Set(used.map((u) => u.toLowerCase()));
+    let candidate = base;
+    for (let n = 2; taken.has(candidate.toLowerCase()); n++) {
+      const suffix = ` (${n})`;
+      candidate = base.slice(0, XlsxWriter.MAX_SHEET_NAME - suffix.length) + suffix;
+    }
+    return candidate;
+  }
+
+  static escapeXML(str) {
+    return String(str)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      // Control characters are not allowed in XML 1.0
+      .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, '');
+  }
+
+  static _zipWriter() {
+    if (typeof ZipWriter !== 'undefined') return ZipWriter;
+    return require('./zip-writer');
+  }
+}
+
+XlsxWriter.MIME_TYPE = 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet';
+
+XlsxWriter.XML_HEADER = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n';
+
+// cellXfs indexes in styles.xml
+XlsxWriter.STYLE = Object.freeze({ header: 1, text: 2, number: 3, date: 4 });
+
+XlsxWriter.DEFAULT_WIDTH = 14;
+
+XlsxWriter.MAX_SHEET_NAME = 31;
+
+// Universal export: works as a browser content-script global AND as a Node.js module
+if (typeof module !== 'undefined') module.exports = XlsxWriter;
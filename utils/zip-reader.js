@@ -0,0 +1,101 @@
+/**
+ * ZipReader — reads the files of a ZIP archive (.xlsx and other OOXML files).
+ *
+ * Zero dependencies on DOM, fetch, or chrome.* APIs. Entries may be STORED
+ * or DEFLATED; deflated ones are inflated with the platform's
+ * DecompressionStream('deflate-raw') (Chrome 80+, Node 18+). CRCs are
+ * checked with ZipWriter.crc32, so zip-writer.js is loaded before this file.
+ */
+class ZipReader {
+  /**
+   * @param {Uint8Array|ArrayBuffer} bytes — the whole archive
+   * @returns {Promise<object>} { 'path/in/archive': Uint8Array }
+   */
+  static async read(bytes) {
+    const data = bytes instanceof Uint8Array ? bytes : new Uint8Array(bytes);
+    const view = new DataView(data.buffer, data.byteOffset, data.byteLength);
+
+    const end = ZipReader._findEndOfCentralDirectory(view);
+    const count = view.getUint16(end + 10, true);
+    let p = view.getUint32(end + 16, true);
+
+    const files = {};
+    for (let i = 0; i < count; i++) {
+      if (p + 46 > data.length || view.getUint32(p, true) !== ZipReader.CENTRAL_SIGNATURE) {
+        throw new Error('Пошкоджений ZIP-архів: невірний центральний каталог');
+      }
+      const method = view.getUint16(p + 10, true);
+      const crc = view.getUint32(p + 16, true);
+      const compressedSize = view.getUint32(p + 20, true);
+      const nameLength = view.getUint16(p + 28, true);
+      const localOffset = view.getUint32(p + 42, true);
+      const name = new TextDecoder().decode(data.subarray(p + 46, p + 46 + nameLength));
+      p += 46 + nameLength + view.getUint16(p + 30, true) + view.getUint16(p + 32, true);
+
+      if (name.endsWith('/')) continue; // directory entry
+      if (view.getUint32(localOffset, true) !== ZipReader.LOCAL_SIGNATURE) {
+        throw new Error(`Пошкоджений ZIP-архів: ${name}`);
+      }
+      // Sizes come from the central directory: the local header may defer them (bit 3)
+      const start = localOffset + 30 + view.getUint16(localOffset + 26, true) + view.getUint16(localOffset + 28, true);
+      const raw = data.subarray(start, start + compressedSize);
+
+      let content;
+      if (method === ZipReader.STORED) content = raw;
+      else if (method === ZipReader.DEFLATED) content = await ZipReader._inflate(raw);
+      else throw new Error(`Непідтримуваний метод стиснення ZIP (${method}): ${name}`);
+
+      if (ZipReader._zipWriter().crc32(content) !== crc) {
+        throw new Error(`Пошкоджений ZIP-архів: контрольна сума ${name}`);
+      }
+      files[name] = content;
+    }
+    return files;
+  }
+
+  /* ---------- Static helpers (pure, no side-effects) ---------- */
+
+  // The end record is 22 bytes plus an optional comment of up to 64 KB
+  static _findEndOfCentralDirectory(view) {
+    const last = view.byteLength - 22;
+    for (let p = last; p >= 0 && p >= last - 0xFFFF; p--) {
+      if (view.getUint32(p, true) === ZipReader.END_SIGNATURE) return p;
+    }
+    throw new Error('Файл не є ZIP-архівом');
+  }
+
+  static async _inflate(bytes) {
+    const stream = new Blob([bytes]).stream().pipeThrough(new DecompressionStream('deflate-raw'));
+    const reader = stream.getReader();
+    const chunks = [];
+    let length = 0;
+    for (;;) {
+      const { done, value } = await reader.read();
+      if (done) break;
+      chunks.push(value);
+      length += value.length;
+    }
+    const out = new Uint8Array(length);
+    let offset = 0;
+    for (const chunk of chunks) {
+      out.set(chunk, offset);
+      offset += chunk.length;
+    }
+    return out;
+  }
+
+  static _zipWriter() {
+    if (typeof ZipWriter !== 'undefined') return ZipWriter;
+    return require('./zip-writer');
+  }
+}
+
+// Record signatures and compression methods (APPNOTE.TXT)
+ZipReader.LOCAL_SIGNATURE = 0x04034b50;
+ZipReader.CENTRAL_SIGNATURE = 0x02014b50;
+ZipReader.END_SIGNATURE = 0x06054b50;
+ZipReader.STORED = 0;
+ZipReader.DEFLATED = 8;
+
+// Universal export: works as a browser content-script global AND as a Node.js module
+if (typeof module !== 'undefined') module.exports = ZipReader;
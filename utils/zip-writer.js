@@ -0,0 +1,145 @@
+/**
+ * ZipWriter — minimal ZIP archive builder for OOXML documents (.xlsx, .docx).
+ *
+ * Zero dependencies on DOM, fetch, or chrome.* APIs (Blob only in toBlob()).
+ * Entries are STORED (no compression): office files are small, and every
+ * reader — Excel, Word, LibreOffice, Google — accepts stored entries.
+ */
+class ZipWriter {
+  constructor() {
+    this._entries = [];
+  }
+
+  /**
+   * Add a file to the archive.
+   *
+   * @param {string} name — path inside the archive, e.g. 'xl/workbook.xml'
+   * @param {string|Uint8Array} content — strings are written as UTF-8
+   * @param {object} [options]
+   * @param {Date}   [options.date] — modification time (default: now)
+   */
+  addFile(name, content, { date = new Date() } = {}) {
+    if (this._entries.some((e) => e.name === name)) {
+      throw new Error(`Duplicate zip entry: ${name}`);
+    }
+    const data = typeof content === 'string' ? ZipWriter._utf8(content) : content;
+    this._entries.push({
+      name,
+      nameBytes: ZipWriter._utf8(name),
+      data,
+      crc: ZipWriter.crc32(data),
+      ...ZipWriter._dosDateTime(date),
+    });
+    return this;
+  }
+
+  /** The archive as bytes. */
+  toUint8Array() {
+    const chunks = [];
+    const central = [];
+    let offset = 0;
+
+    for (const e of this._entries) {
+      const local = new DataView(new ArrayBuffer(30));
+      local.setUint32(0, 0x04034b50, true);        // local file header signature
+      local.setUint16(4, 20, true);                // version needed (2.0)
+      local.setUint16(6, ZipWriter.UTF8_FLAG, true);
+      local.setUint16(8, 0, true);                 // method: stored
+      local.setUint16(10, e.time, true);
+      local.setUint16(12, e.day, true);
+      local.setUint32(14, e.crc, true);
+      local.setUint32(18, e.data.length, true);    // compressed size
+      local.setUint32(22, e.data.length, true);    // uncompressed size
+      local.setUint16(26, e.nameBytes.length, true);
+      local.setUint16(28, 0, true);                // extra field length
+      chunks.push(new Uint8Array(local.buffer), e.nameBytes, e.data);
+
+      const dir = new DataView(new ArrayBuffer(46));
+      dir.setUint32(0, 0x02014b50, true);          // central directory signature
+      dir.setUint16(4, 20, true);                  // version made by
+      dir.setUint16(6, 20, true);                  // version needed
+      dir.setUint16(8, ZipWriter.UTF8_FLAG, true);
+      dir.setUint16(10, 0, true);
+      dir.setUint16(12, e.time, true);
+      dir.setUint16(14, e.day, true);
+      dir.setUint32(16, e.crc, true);
+      dir.setUint32(20, e.data.length, true);
+      dir.setUint32(24, e.data.length, true);
+      dir.setUint16(28, e.nameBytes.length, true);
+      // 30: extra length, 32: comment length, 34: disk start, 36: internal attrs,
+      // 38: external attrs — all zero
+      dir.setUint32(42, offset, true);             // local header offset
+      central.push(new Uint8Array(dir.buffer), e.nameBytes);
+
+      offset += 30 + e.nameBytes.length + e.data.length;
+    }
+
+    const centralSize = central.reduce((n, c) => n + c.length, 0);
+    const end = new DataView(new ArrayBuffer(22));
+    end.setUint32(0, 0x06054b50, true);            // end of central directory signature
+    end.setUint16(8, this._entries.length, true);  // entries on this disk
+    end.setUint16(10, this._entries.length, true); // entries total
+    end.setUint32(12, centralSize, true);
+    end.setUint32(16, offset, true);               // central directory offset
+
+    return ZipWriter._concat([...chunks, ...central, new Uint8Array(end.buffer)]);
+  }
+
+  /** The archive as a Blob (browser contexts). */
+  toBlob(type = 'application/zip') {
+    return new Blob([this.toUint8Array()], { type });
+  }
+
+  /* ---------- Static helpers (pure, no side-effects) ---------- */
+
+  /** CRC-32 (IEEE 802.3) of a byte array, as an unsigned integer. */
+  static crc32(bytes) {
+    const table = ZipWriter._crcTable();
+    let crc = 0xffffffff;
+    for (let i = 0; i < bytes.length; i++) {
+      crc = table[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xffffffff) >>> 0;
+  }
+
+  static _crcTable() {
+    if (!ZipWriter._table) {
+      ZipWriter._table = new Uint32Array(256);
+      for (let n = 0; n < 256; n++) {
+        let c = n;
+        for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+        ZipWriter._table[n] = c >>> 0;
+      }
+    }
+    return ZipWriter._table;
+  }
+
+  // MS-DOS date/time as stored in zip headers (local time, 2-second precision)
+  static _dosDateTime(date) {
+    const year = Math.max(1980, date.getFullYear());
+    return {
+      time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+      day:  ((year - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate(),
+    };
+  }
+
+  static _utf8(str) {
+    return new TextEncoder().encode(str);
+  }
+
+  static _concat(parts) {
+    const out = new Uint8Array(parts.reduce((n, p) => n + p.length, 0));
+    let offset = 0;
+    for (const p of parts) {
+      out.set(p, offset);
+      offset += p.length;
+    }
+    return out;
+  }
+}
+
+// General purpose flag bit 11: file names are UTF-8
+ZipWriter.UTF8_FLAG = 0x0800;
+
+// Universal export: works as a browser content-script global AND as a Node.js module
+if (typeof module !== 'undefined') module.exports = ZipWriter;